@@ -1,10 +1,35 @@
 // Vercel serverless function for URL redirection
-import { kv } from '@vercel/kv';
+import { waitUntil } from '@vercel/functions';
+import { config } from './_lib/config.js';
+import { getStorage } from './_lib/storage/index.js';
+import { trackClick } from './_lib/analytics.js';
+import {
+  getLinkStatus,
+  getMappingTtl,
+  renderClickLimitPage,
+  renderExpiredPage,
+  renderScheduledPage
+} from './_lib/link-options.js';
+import {
+  createAccessCookie,
+  hasValidAccessCookie,
+  renderPasswordPage,
+  verifyPassword
+} from './_lib/link-password.js';
+import { checkRateLimit, getPasswordLimits, setRateLimitHeaders } from './_lib/rate-limit.js';
 
 // Database configuration
-const DATABASE_NAME = 'link-shortening-test';
+const DATABASE_NAME = config.namespace;
+
+function sendHtml(res, status, html) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(status).send(html);
+}
 
 export default async function handler(req, res) {
+  const storage = getStorage();
+
   const { shortCode } = req.query;
 
   if (!shortCode) {
@@ -12,15 +37,68 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Get original URL from KV store
-    const originalUrl = await kv.get(`${DATABASE_NAME}:code:${shortCode}`);
+    // Get original URL, link options and password hash from KV store
+    const [originalUrl, options, passwordRecord] = await Promise.all([
+      storage.get(`${DATABASE_NAME}:code:${shortCode}`),
+      storage.get(`${DATABASE_NAME}:options:${shortCode}`),
+      storage.get(`${DATABASE_NAME}:password:${shortCode}`)
+    ]);
 
     if (!originalUrl) {
       return res.status(404).json({ error: 'Short URL not found' });
     }
 
-    // Redirect to original URL
-    return res.redirect(302, originalUrl);
+    // Expired and scheduled links get a friendly page instead of a redirect
+    const status = getLinkStatus(options);
+    if (status === 'expired') {
+      return sendHtml(res, 410, renderExpiredPage(options));
+    }
+    if (status === 'scheduled') {
+      return sendHtml(res, 404, renderScheduledPage(options));
+    }
+
+    // Protected links show a password form until a valid access cookie is present
+    if (passwordRecord && !hasValidAccessCookie(req, shortCode, passwordRecord)) {
+      if (req.method !== 'POST') {
+        return sendHtml(res, 401, renderPasswordPage());
+      }
+
+      // Every attempt counts, so guesses stop being checked once the limit is reached
+      const rateLimit = await checkRateLimit(req, `password:${shortCode}`, getPasswordLimits());
+      setRateLimitHeaders(res, rateLimit);
+      if (!rateLimit.allowed) {
+        return sendHtml(res, 429, renderPasswordPage({
+          error: `Too many attempts. Please try again in ${rateLimit.retryAfter} seconds.`
+        }));
+      }
+
+      const password = req.body && req.body.password;
+      if (!verifyPassword(password, passwordRecord)) {
+        return sendHtml(res, 401, renderPasswordPage({ error: 'Incorrect password. Please try again.' }));
+      }
+
+      res.setHeader('Set-Cookie', createAccessCookie(shortCode, passwordRecord));
+    }
+
+    // Click limits need an exact count, so this one is counted before redirecting
+    if (options && options.maxClicks) {
+      const hits = await storage.incr(`${DATABASE_NAME}:hits:${shortCode}`);
+      if (hits === 1) {
+        await storage.expire(`${DATABASE_NAME}:hits:${shortCode}`, getMappingTtl(options));
+      }
+      if (hits > options.maxClicks) {
+        return sendHtml(res, 410, renderClickLimitPage());
+      }
+    }
+
+    // Track analytics without delaying the redirect; waitUntil keeps the function
+    // alive until the writes finish instead of freezing it once the response is sent
+    waitUntil(trackClick(shortCode, req, getMappingTtl(options)).catch((error) => {
+      console.error('Error tracking click:', error);
+    }));
+
+    // Redirect to original URL (303 after the password form so the browser follows with GET)
+    return res.redirect(req.method === 'POST' ? 303 : 302, originalUrl);
 
   } catch (error) {
     console.error('Error redirecting:', error);
@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import handler from './[shortCode].js';
+import { createShortLink } from './_lib/create-link.js';
+import { createRequest, createResponse, useMemoryStorage } from './_lib/test-utils.js';
+
+async function visit(shortCode, options = {}) {
+  const res = createResponse();
+  await handler(createRequest({ query: { shortCode }, ...options }), res);
+  return res;
+}
+
+describe('GET /:shortCode', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  it('redirects to the original URL', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/landing' }, 'qubex.it');
+    const res = await visit(link.shortCode);
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toBe('https://example.com/landing');
+  });
+
+  it('returns 404 for unknown codes', async () => {
+    expect((await visit('missing')).statusCode).toBe(404);
+  });
+
+  it('stops redirecting once the click limit is reached', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/once', maxClicks: 1 }, 'qubex.it');
+
+    expect((await visit(link.shortCode)).statusCode).toBe(302);
+    expect((await visit(link.shortCode)).statusCode).toBe(410);
+  });
+});
+
+describe('password-protected links', () => {
+  let shortCode;
+
+  beforeEach(async () => {
+    useMemoryStorage();
+    const { link } = await createShortLink({ url: 'https://example.com/secret', password: 'correct horse' }, 'qubex.it');
+    shortCode = link.shortCode;
+  });
+
+  const attempt = (password, ip) => visit(shortCode, { method: 'POST', body: { password }, ip });
+
+  it('shows the password form and redirects after the right password', async () => {
+    expect((await visit(shortCode)).statusCode).toBe(401);
+
+    const res = await attempt('correct horse');
+    expect(res.statusCode).toBe(303);
+    expect(res.headers['set-cookie']).toMatch(new RegExp(`^qbx_pw_${shortCode}=`));
+  });
+
+  it('stops checking guesses after five attempts a minute', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await attempt(`guess-${i}`)).statusCode).toBe(401);
+    }
+
+    const res = await attempt('correct horse');
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+
+    // Other visitors are counted separately
+    expect((await attempt('correct horse', '198.51.100.20')).statusCode).toBe(303);
+  });
+});
@@ -0,0 +1,244 @@
+// Click analytics helpers shared by the API routes
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { config } from './config.js';
+import { getStorage } from './storage/index.js';
+import { DEFAULT_TTL } from './link-options.js';
+
+// Database configuration
+const DATABASE_NAME = config.namespace;
+
+// Key layout: <namespace>:analytics:<code>:<metric>[:<bucket>]
+export function analyticsKey(shortCode, ...parts) {
+  return [DATABASE_NAME, 'analytics', shortCode, ...parts].join(':');
+}
+
+export function analyticsTokenKey(shortCode) {
+  return `${DATABASE_NAME}:analytics-token:${shortCode}`;
+}
+
+// Hash IP + user agent so we never store raw visitor identifiers
+export function hashVisitor(shortCode, ip, userAgent) {
+  const salt = process.env.ANALYTICS_SALT || '';
+  return createHash('sha256')
+    .update(`${salt}:${shortCode}:${ip}:${userAgent}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// Get the client IP behind the Vercel proxy (or the self-hosted server's trusted proxy).
+// Clients can send their own X-Forwarded-For, so only the last entry, the one
+// appended by the proxy in front of us, can be trusted.
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    const entries = String(forwarded).split(',').map((entry) => entry.trim()).filter(Boolean);
+    if (entries.length > 0) {
+      return entries[entries.length - 1];
+    }
+  }
+  return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Reduce the referer header to its host, or "direct" when absent
+export function getReferrerHost(referer) {
+  if (!referer) {
+    return 'direct';
+  }
+  try {
+    return new URL(referer).hostname.replace(/^www\./, '') || 'direct';
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+// Coarse device class from the user agent
+export function getDeviceType(userAgent = '') {
+  const ua = userAgent.toLowerCase();
+  if (!ua) return 'unknown';
+  if (/bot|crawler|spider|crawling|preview/.test(ua)) return 'bot';
+  if (/ipad|tablet|kindle|silk|playbook/.test(ua) || (/android/.test(ua) && !/mobile/.test(ua))) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|iemobile|opera mini/.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+// Coarse browser family from the user agent (order matters: Edge/Opera also claim Chrome)
+export function getBrowser(userAgent = '') {
+  const ua = userAgent.toLowerCase();
+  if (!ua) return 'unknown';
+  if (ua.includes('edg/') || ua.includes('edge/')) return 'edge';
+  if (ua.includes('opr/') || ua.includes('opera')) return 'opera';
+  if (ua.includes('samsungbrowser')) return 'samsung';
+  if (ua.includes('firefox/') || ua.includes('fxios')) return 'firefox';
+  if (ua.includes('chrome/') || ua.includes('crios')) return 'chrome';
+  if (ua.includes('safari/')) return 'safari';
+  return 'other';
+}
+
+// Date buckets in UTC: 2024-01-15, 2024-W03, 2024-01
+export function getDateBuckets(date = new Date()) {
+  const day = date.toISOString().split('T')[0];
+  const month = day.slice(0, 7);
+
+  // ISO 8601 week: the week containing the year's first Thursday is W01
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayNumber = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const weekNumber = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+  const week = `${target.getUTCFullYear()}-W${String(weekNumber).padStart(2, '0')}`;
+
+  return { day, week, month };
+}
+
+// Increment a counter and make sure it expires with the link
+async function incrWithTtl(key, ttl) {
+  const storage = getStorage();
+  const value = await storage.incr(key);
+  if (value === 1) {
+    await storage.expire(key, ttl);
+  }
+  return value;
+}
+
+// Record a single click. `ttl` is the link's remaining lifetime (see getMappingTtl).
+// Callers hand this to waitUntil rather than awaiting it before redirecting.
+export async function trackClick(shortCode, req, ttl = DEFAULT_TTL) {
+  const storage = getStorage();
+  const userAgent = req.headers['user-agent'] || '';
+  const ip = getClientIp(req);
+  const { day, week, month } = getDateBuckets();
+
+  const visitorKey = analyticsKey(shortCode, 'visitor', hashVisitor(shortCode, ip, userAgent));
+  const isNewVisitor = await storage.set(visitorKey, 1, { nx: true, ex: ttl });
+
+  await Promise.all([
+    incrWithTtl(analyticsKey(shortCode, 'clicks', 'total'), ttl),
+    isNewVisitor ? incrWithTtl(analyticsKey(shortCode, 'clicks', 'unique'), ttl) : null,
+    incrWithTtl(analyticsKey(shortCode, 'daily', day), ttl),
+    incrWithTtl(analyticsKey(shortCode, 'weekly', week), ttl),
+    incrWithTtl(analyticsKey(shortCode, 'monthly', month), ttl),
+    incrWithTtl(analyticsKey(shortCode, 'referrers', getReferrerHost(req.headers.referer || req.headers.referrer)), ttl),
+    incrWithTtl(analyticsKey(shortCode, 'devices', getDeviceType(userAgent)), ttl),
+    incrWithTtl(analyticsKey(shortCode, 'browsers', getBrowser(userAgent)), ttl)
+  ]);
+}
+
+// Analytics access tokens: one secret per short code, handed to its creator
+export function generateAnalyticsToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+// `ttl` should match the mapping's, so the token lives exactly as long as the link
+export async function storeAnalyticsToken(shortCode, token, meta, ttl = DEFAULT_TTL) {
+  const storage = getStorage();
+  await storage.set(analyticsTokenKey(shortCode), token, { ex: ttl });
+  await storage.set(analyticsKey(shortCode, 'meta'), meta, { ex: ttl });
+}
+
+// Re-apply the link's lifetime to its token after the mapping was rewritten
+export async function expireAnalyticsToken(shortCode, ttl) {
+  const storage = getStorage();
+  await storage.expire(analyticsTokenKey(shortCode), ttl);
+  await storage.expire(analyticsKey(shortCode, 'meta'), ttl);
+}
+
+export async function verifyAnalyticsToken(shortCode, token) {
+  const storage = getStorage();
+  if (!token || typeof token !== 'string') {
+    return false;
+  }
+
+  const validToken = await storage.get(analyticsTokenKey(shortCode));
+  if (!validToken) {
+    return false;
+  }
+
+  const expected = Buffer.from(String(validToken));
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && timingSafeEqual(expected, provided);
+}
+
+// Read a counter, treating missing keys as zero
+async function getCount(key) {
+  const storage = getStorage();
+  const value = await storage.get(key);
+  return Number(value) || 0;
+}
+
+// Collect every analytics:<code>:<metric>:<value> counter into { value: count }
+async function getBreakdown(shortCode, metric) {
+  const storage = getStorage();
+  const prefix = `${analyticsKey(shortCode, metric)}:`;
+  const keys = [];
+  let cursor = 0;
+
+  do {
+    const [nextCursor, batch] = await storage.scan(cursor, { match: `${prefix}*`, count: 100 });
+    keys.push(...batch);
+    cursor = Number(nextCursor);
+  } while (cursor !== 0);
+
+  const counts = await Promise.all(keys.map(getCount));
+  const breakdown = {};
+  keys.forEach((key, index) => {
+    breakdown[key.slice(prefix.length)] = counts[index];
+  });
+  return breakdown;
+}
+
+// Series of { period, clicks } for the last `count` buckets, oldest first
+async function getSeries(shortCode, granularity, count) {
+  const periods = [];
+  const now = new Date();
+
+  for (let i = count - 1; i >= 0; i--) {
+    const date = new Date(now);
+    if (granularity === 'daily') {
+      date.setUTCDate(date.getUTCDate() - i);
+    } else if (granularity === 'weekly') {
+      date.setUTCDate(date.getUTCDate() - i * 7);
+    } else {
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() - i);
+    }
+
+    const buckets = getDateBuckets(date);
+    periods.push(granularity === 'daily' ? buckets.day : granularity === 'weekly' ? buckets.week : buckets.month);
+  }
+
+  const counts = await Promise.all(periods.map((period) => getCount(analyticsKey(shortCode, granularity, period))));
+  return periods.map((period, index) => ({ period, clicks: counts[index] }));
+}
+
+// Everything the stats page needs for a single short code
+export async function fetchAnalytics(shortCode) {
+  const storage = getStorage();
+  const [meta, totalClicks, uniqueClicks, daily, weekly, monthly, referrers, devices, browsers] = await Promise.all([
+    storage.get(analyticsKey(shortCode, 'meta')),
+    getCount(analyticsKey(shortCode, 'clicks', 'total')),
+    getCount(analyticsKey(shortCode, 'clicks', 'unique')),
+    getSeries(shortCode, 'daily', 30),
+    getSeries(shortCode, 'weekly', 12),
+    getSeries(shortCode, 'monthly', 12),
+    getBreakdown(shortCode, 'referrers'),
+    getBreakdown(shortCode, 'devices'),
+    getBreakdown(shortCode, 'browsers')
+  ]);
+
+  return {
+    shortCode,
+    meta: meta || null,
+    summary: {
+      totalClicks,
+      uniqueClicks
+    },
+    timeline: {
+      daily,
+      weekly,
+      monthly
+    },
+    referrers,
+    devices,
+    browsers
+  };
+}
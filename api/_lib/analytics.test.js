@@ -0,0 +1,131 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  analyticsKey,
+  analyticsTokenKey,
+  getBrowser,
+  getClientIp,
+  getDateBuckets,
+  getDeviceType,
+  getReferrerHost,
+  hashVisitor,
+  trackClick,
+  verifyAnalyticsToken
+} from './analytics.js';
+import { config } from './config.js';
+import { createShortLink } from './create-link.js';
+import { setStorage } from './storage/index.js';
+import { createMemoryStorage } from './storage/memory.js';
+
+const CHROME_DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+function request(headers = {}) {
+  return { headers: { 'user-agent': CHROME_DESKTOP, ...headers }, socket: { remoteAddress: '203.0.113.7' } };
+}
+
+describe('analytics keys', () => {
+  it('live under the same namespace as the link mappings', () => {
+    expect(analyticsKey('abc1234', 'clicks', 'total')).toBe(`${config.namespace}:analytics:abc1234:clicks:total`);
+    expect(analyticsTokenKey('abc1234')).toBe(`${config.namespace}:analytics-token:abc1234`);
+  });
+});
+
+describe('getClientIp', () => {
+  it('uses the entry appended by the proxy, not one the client made up', () => {
+    expect(getClientIp({ headers: { 'x-forwarded-for': '10.0.0.1, 198.51.100.9' } })).toBe('198.51.100.9');
+    expect(getClientIp({ headers: { 'x-forwarded-for': '198.51.100.9' } })).toBe('198.51.100.9');
+  });
+
+  it('falls back to X-Real-IP and the socket address', () => {
+    expect(getClientIp({ headers: { 'x-real-ip': '198.51.100.9' } })).toBe('198.51.100.9');
+    expect(getClientIp({ headers: { 'x-forwarded-for': ' , ' }, socket: { remoteAddress: '203.0.113.7' } })).toBe('203.0.113.7');
+  });
+});
+
+describe('getDateBuckets', () => {
+  it('uses ISO weeks, so early January can belong to the previous year', () => {
+    expect(getDateBuckets(new Date('2021-01-01T12:00:00Z'))).toEqual({ day: '2021-01-01', week: '2020-W53', month: '2021-01' });
+    expect(getDateBuckets(new Date('2024-01-15T00:00:00Z'))).toEqual({ day: '2024-01-15', week: '2024-W03', month: '2024-01' });
+  });
+});
+
+describe('user agent and referrer parsing', () => {
+  it('classifies devices and browsers', () => {
+    expect(getDeviceType(CHROME_DESKTOP)).toBe('desktop');
+    expect(getDeviceType(SAFARI_IPHONE)).toBe('mobile');
+    expect(getDeviceType('Googlebot/2.1')).toBe('bot');
+    expect(getDeviceType('')).toBe('unknown');
+    expect(getBrowser(CHROME_DESKTOP)).toBe('chrome');
+    expect(getBrowser(SAFARI_IPHONE)).toBe('safari');
+    expect(getBrowser(`${CHROME_DESKTOP} Edg/120.0`)).toBe('edge');
+  });
+
+  it('reduces referrers to their host', () => {
+    expect(getReferrerHost('https://www.example.com/page?q=1')).toBe('example.com');
+    expect(getReferrerHost(undefined)).toBe('direct');
+    expect(getReferrerHost('not a url')).toBe('unknown');
+  });
+
+  it('hashes visitors per short code', () => {
+    expect(hashVisitor('abc', '1.2.3.4', 'ua')).toHaveLength(32);
+    expect(hashVisitor('abc', '1.2.3.4', 'ua')).not.toBe(hashVisitor('xyz', '1.2.3.4', 'ua'));
+  });
+});
+
+describe('trackClick', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    setStorage(storage);
+  });
+
+  it('counts total and unique clicks with referrer, device and browser breakdowns', async () => {
+    await trackClick('abc1234', request({ referer: 'https://news.example.org/' }));
+    await trackClick('abc1234', request());
+
+    const { day } = getDateBuckets();
+    expect(await storage.get(analyticsKey('abc1234', 'clicks', 'total'))).toBe(2);
+    expect(await storage.get(analyticsKey('abc1234', 'clicks', 'unique'))).toBe(1);
+    expect(await storage.get(analyticsKey('abc1234', 'daily', day))).toBe(2);
+    expect(await storage.get(analyticsKey('abc1234', 'referrers', 'news.example.org'))).toBe(1);
+    expect(await storage.get(analyticsKey('abc1234', 'referrers', 'direct'))).toBe(1);
+    expect(await storage.get(analyticsKey('abc1234', 'devices', 'desktop'))).toBe(2);
+    expect(await storage.get(analyticsKey('abc1234', 'browsers', 'chrome'))).toBe(2);
+  });
+});
+
+describe('analytics tokens', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    setStorage(storage);
+  });
+
+  it('verify only the token handed to the creator', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/tracked' }, 'qubex.it');
+
+    expect(await verifyAnalyticsToken(link.shortCode, link.analyticsToken)).toBe(true);
+    expect(await verifyAnalyticsToken(link.shortCode, 'guess')).toBe(false);
+    expect(await verifyAnalyticsToken(link.shortCode, undefined)).toBe(false);
+  });
+
+  it('expire together with the link mapping', async () => {
+    vi.useFakeTimers();
+    try {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const { link } = await createShortLink({ url: 'https://example.com/short-lived', expiresAt }, 'qubex.it');
+
+      // Mappings outlive their expiry by a 30-day grace period, and so does the token
+      vi.advanceTimersByTime((60 * 60 + 29 * 24 * 60 * 60) * 1000);
+      expect(await verifyAnalyticsToken(link.shortCode, link.analyticsToken)).toBe(true);
+
+      vi.advanceTimersByTime(2 * 24 * 60 * 60 * 1000);
+      expect(await storage.get(`${config.namespace}:code:${link.shortCode}`)).toBeNull();
+      expect(await verifyAnalyticsToken(link.shortCode, link.analyticsToken)).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,15 @@
+// Server-side configuration shared by all API routes
+
+export const config = {
+  // Public origin that short codes are appended to
+  shortUrlBase: (process.env.SHORT_URL_BASE || 'https://qubex.it').replace(/\/+$/, ''),
+
+  // Prefix for link mappings in the key-value store
+  namespace: process.env.KV_NAMESPACE || 'link-shortening-test',
+
+  // Storage backend: "vercel-kv" (default), "memory" or "file"
+  storageBackend: process.env.STORAGE_BACKEND || 'vercel-kv',
+
+  // JSON file used by the "file" backend
+  storageFile: process.env.STORAGE_FILE || '.data/kv-store.json'
+};
@@ -0,0 +1,176 @@
+// Link creation shared by /api/shorten and /api/shorten/bulk
+import { config } from './config.js';
+import { getStorage } from './storage/index.js';
+import { generateAnalyticsToken, storeAnalyticsToken } from './analytics.js';
+import { DEFAULT_TTL, getMappingTtl, parseLinkOptions } from './link-options.js';
+import { hashPassword, validatePassword } from './link-password.js';
+import { checkDestination } from './url-policy.js';
+
+// Database configuration
+const DATABASE_NAME = config.namespace;
+
+// Generate random short code
+function generateShortCode(length = 7) {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
+// Custom alias rules: must stay in sync with the short-code rewrite in vercel.json
+const ALIAS_PATTERN = /^[a-zA-Z0-9_-]{3,32}$/;
+const RESERVED_ALIASES = new Set([
+  'qr', 'api', 'shortener', 'stats', 'assets', 'src', 'index', 'favicon',
+  'admin', 'login', 'static', 'public', 'dist', 'robots', 'sitemap',
+  // Short codes are rewritten to /api/<code>, so API route names are off limits too
+  'shorten', 'analytics', 'links'
+]);
+
+// Validate a custom alias, returning an error message or null
+function validateAlias(alias) {
+  if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+    return 'Alias must be 3-32 characters using only letters, numbers, hyphens and underscores';
+  }
+  if (RESERVED_ALIASES.has(alias.toLowerCase())) {
+    return `The alias "${alias}" is reserved`;
+  }
+  return null;
+}
+
+// Validate URL
+function isValidUrl(string) {
+  try {
+    const url = new URL(string);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// Create a short link from a shorten request body ({ url, alias, dynamic, password, expiresAt, ... }).
+// Returns { status, link, reused } on success or { status, error } when the request is rejected;
+// `reused` is true when an existing mapping for the same URL was returned instead.
+export async function createShortLink(input, requestHost) {
+  const storage = getStorage();
+  const { url, alias, dynamic, password } = input || {};
+
+  if (!url) {
+    return { status: 400, error: 'URL is required' };
+  }
+
+  if (typeof url !== 'string' || !isValidUrl(url)) {
+    return { status: 400, error: 'Invalid URL format' };
+  }
+
+  const destinationError = checkDestination(url, requestHost);
+  if (destinationError) {
+    return { status: 400, error: destinationError };
+  }
+
+  if (alias !== undefined && alias !== null && alias !== '') {
+    const aliasError = validateAlias(alias);
+    if (aliasError) {
+      return { status: 400, error: aliasError };
+    }
+  }
+
+  // Optional expiry date, activation date and click limit
+  const { options: linkOptions, error: optionsError } = parseLinkOptions(input);
+  if (optionsError) {
+    return { status: 400, error: optionsError };
+  }
+
+  const hasPassword = password !== undefined && password !== null && password !== '';
+  if (hasPassword) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return { status: 400, error: passwordError };
+    }
+  }
+
+  // Only dynamic links can have their destination changed later
+  const isDynamic = dynamic === true;
+
+  // Restricted, password-protected and dynamic links are never shared with other requests
+  const isPrivate = Boolean(linkOptions) || hasPassword || isDynamic;
+
+  // Check if URL already exists (aliased or private links always get their own mapping)
+  const existingCode = await storage.get(`${DATABASE_NAME}:url:${url}`);
+  if (existingCode && !alias && !isPrivate) {
+    return {
+      status: 200,
+      reused: true,
+      link: {
+        shortUrl: `${config.shortUrlBase}/${existingCode}`,
+        shortCode: existingCode,
+        originalUrl: url
+      }
+    };
+  }
+
+  let shortCode;
+  if (alias) {
+    // Claim the alias atomically so concurrent requests can't both win it
+    const claimed = await storage.set(`${DATABASE_NAME}:code:${alias}`, url, { nx: true });
+    if (!claimed) {
+      return { status: 409, error: `The alias "${alias}" is already taken` };
+    }
+    shortCode = alias;
+  } else {
+    // Generate unique short code
+    let attempts = 0;
+    do {
+      shortCode = generateShortCode();
+      attempts++;
+      if (attempts > 10) {
+        return { status: 500, error: 'Unable to generate unique short code' };
+      }
+    } while (await storage.get(`${DATABASE_NAME}:code:${shortCode}`));
+
+    await storage.set(`${DATABASE_NAME}:code:${shortCode}`, url);
+  }
+
+  // Store reverse mapping, keeping the first code created for this URL.
+  // Private links are never reused for plain requests, so they stay out of it.
+  if (!existingCode && !isPrivate) {
+    await storage.set(`${DATABASE_NAME}:url:${url}`, shortCode);
+    await storage.expire(`${DATABASE_NAME}:url:${url}`, DEFAULT_TTL);
+  }
+
+  // Set expiration (1 year by default, or just past the link's own expiry)
+  const ttl = getMappingTtl(linkOptions);
+  await storage.expire(`${DATABASE_NAME}:code:${shortCode}`, ttl);
+
+  // The dynamic flag is stored with the options so the edit endpoint can check it
+  const storedOptions = isDynamic ? { ...linkOptions, dynamic: true } : linkOptions;
+  if (storedOptions) {
+    await storage.set(`${DATABASE_NAME}:options:${shortCode}`, storedOptions, { ex: ttl });
+  }
+
+  if (hasPassword) {
+    await storage.set(`${DATABASE_NAME}:password:${shortCode}`, hashPassword(password), { ex: ttl });
+  }
+
+  // Analytics token is only ever returned here, to the link's creator
+  const analyticsToken = generateAnalyticsToken();
+  await storeAnalyticsToken(shortCode, analyticsToken, {
+    url,
+    created: new Date().toISOString()
+  }, ttl);
+
+  return {
+    status: 200,
+    reused: false,
+    link: {
+      shortUrl: `${config.shortUrlBase}/${shortCode}`,
+      shortCode,
+      analyticsToken,
+      originalUrl: url,
+      ...(linkOptions && { options: linkOptions }),
+      ...(isDynamic && { dynamic: true }),
+      ...(hasPassword && { passwordProtected: true })
+    }
+  };
+}
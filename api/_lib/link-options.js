@@ -0,0 +1,169 @@
+// Per-link options: expiry date, activation date and click limit
+
+// Default lifetime of a mapping when no expiry is given (1 year)
+export const DEFAULT_TTL = 31536000;
+
+// Keep expired mappings around a while so visitors see the expired page, not a 404
+const EXPIRED_GRACE_TTL = 30 * 24 * 60 * 60;
+
+const MAX_CLICKS_LIMIT = 1000000000;
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Validate the optional fields of a shorten request.
+// Returns { options, error } where options is null when nothing was set.
+export function parseLinkOptions(body = {}, now = new Date()) {
+  const { expiresAt, activeFrom, maxClicks } = body;
+  const options = {};
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const date = parseDate(expiresAt);
+    if (!date) {
+      return { options: null, error: 'Invalid expiry date' };
+    }
+    if (date <= now) {
+      return { options: null, error: 'Expiry date must be in the future' };
+    }
+    options.expiresAt = date.toISOString();
+  }
+
+  if (activeFrom !== undefined && activeFrom !== null && activeFrom !== '') {
+    const date = parseDate(activeFrom);
+    if (!date) {
+      return { options: null, error: 'Invalid activation date' };
+    }
+    options.activeFrom = date.toISOString();
+  }
+
+  if (options.expiresAt && options.activeFrom && options.activeFrom >= options.expiresAt) {
+    return { options: null, error: 'Activation date must be before the expiry date' };
+  }
+
+  if (maxClicks !== undefined && maxClicks !== null && maxClicks !== '') {
+    const limit = Number(maxClicks);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CLICKS_LIMIT) {
+      return { options: null, error: 'Maximum clicks must be a whole number greater than 0' };
+    }
+    options.maxClicks = limit;
+  }
+
+  return {
+    options: Object.keys(options).length > 0 ? options : null,
+    error: null
+  };
+}
+
+// How long (in seconds) the KV mapping for a link should live
+export function getMappingTtl(options, now = new Date()) {
+  if (options && options.expiresAt) {
+    const secondsLeft = Math.ceil((new Date(options.expiresAt) - now) / 1000);
+    return secondsLeft + EXPIRED_GRACE_TTL;
+  }
+
+  if (options && options.activeFrom) {
+    const secondsUntilActive = Math.max(0, Math.ceil((new Date(options.activeFrom) - now) / 1000));
+    return secondsUntilActive + DEFAULT_TTL;
+  }
+
+  return DEFAULT_TTL;
+}
+
+// Date-based status of a link: 'active', 'scheduled' or 'expired'
+export function getLinkStatus(options, now = new Date()) {
+  if (!options) {
+    return 'active';
+  }
+  if (options.activeFrom && now < new Date(options.activeFrom)) {
+    return 'scheduled';
+  }
+  if (options.expiresAt && now >= new Date(options.expiresAt)) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(isoString) {
+  return new Date(isoString).toUTCString().replace('GMT', 'UTC');
+}
+
+// Self-contained HTML page shown instead of a redirect (API routes don't get the Tailwind build).
+// `content` is trusted markup placed under the message, e.g. a form.
+export function renderStatusPage({ title, message, detail = '', content = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} | Qubex Tools</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #f9fafb; color: #111827; font-family: Inter, system-ui, sans-serif; }
+    .card { max-width: 28rem; margin: 1rem; padding: 2rem; background: #fff; border: 1px solid #e5e7eb; border-radius: 0.75rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); text-align: center; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.75rem; }
+    p { color: #4b5563; line-height: 1.5; margin: 0 0 1rem; }
+    .detail { font-size: 0.875rem; color: #6b7280; }
+    a { color: #2563eb; text-decoration: none; font-weight: 500; }
+    a:hover { text-decoration: underline; }
+    form { margin: 0 0 1rem; text-align: left; }
+    label { display: block; font-size: 0.875rem; font-weight: 500; margin-bottom: 0.25rem; }
+    input { box-sizing: border-box; width: 100%; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 1rem; }
+    button { width: 100%; margin-top: 0.75rem; padding: 0.5rem 1rem; border: 0; border-radius: 0.5rem; background: #2563eb; color: #fff; font-size: 1rem; font-weight: 500; cursor: pointer; }
+    button:hover { background: #1d4ed8; }
+    .error { color: #dc2626; font-size: 0.875rem; margin: 0.5rem 0 0; }
+    @media (prefers-color-scheme: dark) {
+      body { background: #111827; color: #f9fafb; }
+      .card { background: #1f2937; border-color: #374151; }
+      p { color: #d1d5db; }
+      .detail { color: #9ca3af; }
+      a { color: #60a5fa; }
+      input { background: #111827; color: #f9fafb; border-color: #4b5563; }
+      .error { color: #f87171; }
+    }
+  </style>
+</head>
+<body>
+  <main class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${detail ? `<p class="detail">${escapeHtml(detail)}</p>` : ''}
+    ${content}
+    <a href="https://qubex.it/">Go to Qubex Tools</a>
+  </main>
+</body>
+</html>`;
+}
+
+export function renderExpiredPage(options) {
+  return renderStatusPage({
+    title: 'This link has expired',
+    message: 'The short link you followed is no longer active.',
+    detail: options && options.expiresAt ? `Expired on ${formatDate(options.expiresAt)}` : ''
+  });
+}
+
+export function renderClickLimitPage() {
+  return renderStatusPage({
+    title: 'This link is no longer available',
+    message: 'The short link you followed has reached its maximum number of visits.'
+  });
+}
+
+export function renderScheduledPage(options) {
+  return renderStatusPage({
+    title: 'This link is not active yet',
+    message: 'The short link you followed has been created but is not live yet. Please check back later.',
+    detail: `Available from ${formatDate(options.activeFrom)}`
+  });
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_TTL, escapeHtml, getLinkStatus, getMappingTtl, parseLinkOptions } from './link-options.js';
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+const DAY = 24 * 60 * 60;
+
+describe('parseLinkOptions', () => {
+  it('returns null options when nothing was set', () => {
+    expect(parseLinkOptions({ url: 'https://example.com' }, NOW)).toEqual({ options: null, error: null });
+    expect(parseLinkOptions({ expiresAt: '', activeFrom: null, maxClicks: '' }, NOW)).toEqual({ options: null, error: null });
+  });
+
+  it('normalizes dates to ISO strings and click limits to integers', () => {
+    const { options, error } = parseLinkOptions({
+      activeFrom: '2024-06-02T00:00:00+02:00',
+      expiresAt: '2024-07-01T00:00:00Z',
+      maxClicks: '25'
+    }, NOW);
+
+    expect(error).toBeNull();
+    expect(options).toEqual({
+      activeFrom: '2024-06-01T22:00:00.000Z',
+      expiresAt: '2024-07-01T00:00:00.000Z',
+      maxClicks: 25
+    });
+  });
+
+  it('rejects invalid, past and out-of-order dates', () => {
+    expect(parseLinkOptions({ expiresAt: 'soon' }, NOW).error).toBe('Invalid expiry date');
+    expect(parseLinkOptions({ expiresAt: '2024-05-01T00:00:00Z' }, NOW).error).toBe('Expiry date must be in the future');
+    expect(parseLinkOptions({ activeFrom: 'later' }, NOW).error).toBe('Invalid activation date');
+    expect(parseLinkOptions({
+      activeFrom: '2024-07-01T00:00:00Z',
+      expiresAt: '2024-06-15T00:00:00Z'
+    }, NOW).error).toBe('Activation date must be before the expiry date');
+  });
+
+  it('rejects click limits that are not positive integers', () => {
+    ['0', -3, 1.5, 'many', 1000000001].forEach((maxClicks) => {
+      expect(parseLinkOptions({ maxClicks }, NOW).error).toBe('Maximum clicks must be a whole number greater than 0');
+    });
+  });
+});
+
+describe('getMappingTtl', () => {
+  it('defaults to a year', () => {
+    expect(getMappingTtl(null, NOW)).toBe(DEFAULT_TTL);
+    expect(getMappingTtl({ maxClicks: 5 }, NOW)).toBe(DEFAULT_TTL);
+  });
+
+  it('keeps expiring links for 30 days past their expiry', () => {
+    expect(getMappingTtl({ expiresAt: '2024-06-02T12:00:00.000Z' }, NOW)).toBe(DAY + 30 * DAY);
+  });
+
+  it('starts the default lifetime at the activation date', () => {
+    expect(getMappingTtl({ activeFrom: '2024-06-11T12:00:00.000Z' }, NOW)).toBe(10 * DAY + DEFAULT_TTL);
+    expect(getMappingTtl({ activeFrom: '2024-05-01T12:00:00.000Z' }, NOW)).toBe(DEFAULT_TTL);
+  });
+});
+
+describe('getLinkStatus', () => {
+  const options = { activeFrom: '2024-06-01T00:00:00.000Z', expiresAt: '2024-06-02T00:00:00.000Z' };
+
+  it('reports scheduled, active and expired links', () => {
+    expect(getLinkStatus(null, NOW)).toBe('active');
+    expect(getLinkStatus(options, new Date('2024-05-31T23:59:59Z'))).toBe('scheduled');
+    expect(getLinkStatus(options, NOW)).toBe('active');
+    expect(getLinkStatus(options, new Date('2024-06-02T00:00:00Z'))).toBe('expired');
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes markup and quotes', () => {
+    expect(escapeHtml('<a href="x">O\'Neil & co</a>')).toBe('&lt;a href=&quot;x&quot;&gt;O&#39;Neil &amp; co&lt;/a&gt;');
+  });
+});
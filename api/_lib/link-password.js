@@ -0,0 +1,89 @@
+// Password protection for short links
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { escapeHtml, renderStatusPage } from './link-options.js';
+
+// How long a correct password unlocks the link in the same browser (1 hour)
+export const ACCESS_COOKIE_MAX_AGE = 3600;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Validate the optional password of a shorten request, returning an error message or null
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Salted scrypt hash stored next to the mapping; the password itself is never stored
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, 32).toString('hex');
+  return { salt, hash };
+}
+
+export function verifyPassword(password, record) {
+  if (typeof password !== 'string' || !record || !record.salt || !record.hash) {
+    return false;
+  }
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = scryptSync(password, record.salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+function getCookieName(shortCode) {
+  return `qbx_pw_${shortCode}`;
+}
+
+// Keyed on the stored hash too, so changing the password invalidates old cookies
+function signAccess(shortCode, expires, record) {
+  const secret = `${process.env.LINK_COOKIE_SECRET || ''}:${record.hash}`;
+  return createHmac('sha256', secret).update(`${shortCode}.${expires}`).digest('base64url');
+}
+
+export function createAccessCookie(shortCode, record) {
+  const expires = Math.floor(Date.now() / 1000) + ACCESS_COOKIE_MAX_AGE;
+  const value = `${expires}.${signAccess(shortCode, expires, record)}`;
+  return `${getCookieName(shortCode)}=${value}; Max-Age=${ACCESS_COOKIE_MAX_AGE}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  header.split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+export function hasValidAccessCookie(req, shortCode, record) {
+  const cookie = parseCookies(req.headers.cookie)[getCookieName(shortCode)];
+  if (!cookie) {
+    return false;
+  }
+
+  const [expires, signature] = cookie.split('.');
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(signAccess(shortCode, expires, record));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && timingSafeEqual(expected, provided);
+}
+
+export function renderPasswordPage({ error = '' } = {}) {
+  return renderStatusPage({
+    title: 'This link is password protected',
+    message: 'Enter the password you were given to continue.',
+    content: `<form method="POST" action="">
+      <label for="password">Password</label>
+      <input type="password" id="password" name="password" autocomplete="current-password" required autofocus>
+      ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+      <button type="submit">Continue</button>
+    </form>`
+  });
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createAccessCookie,
+  hashPassword,
+  hasValidAccessCookie,
+  validatePassword,
+  verifyPassword
+} from './link-password.js';
+
+describe('validatePassword', () => {
+  it('requires 8 to 128 characters', () => {
+    expect(validatePassword('1234567')).toBe('Password must be between 8 and 128 characters');
+    expect(validatePassword('12345678')).toBeNull();
+    expect(validatePassword('x'.repeat(129))).toBe('Password must be between 8 and 128 characters');
+    expect(validatePassword(12345678)).toBe('Password must be between 8 and 128 characters');
+  });
+});
+
+describe('password hashes', () => {
+  it('verifies the original password only', () => {
+    const record = hashPassword('open sesame');
+
+    expect(record).not.toHaveProperty('password');
+    expect(verifyPassword('open sesame', record)).toBe(true);
+    expect(verifyPassword('open sesam', record)).toBe(false);
+    expect(verifyPassword(undefined, record)).toBe(false);
+  });
+});
+
+describe('access cookies', () => {
+  const cookieHeader = (setCookie) => setCookie.split(';')[0];
+
+  it('unlock the link they were issued for', () => {
+    const record = hashPassword('open sesame');
+    const cookie = cookieHeader(createAccessCookie('abc1234', record));
+
+    expect(hasValidAccessCookie({ headers: { cookie } }, 'abc1234', record)).toBe(true);
+    expect(hasValidAccessCookie({ headers: { cookie: cookie.replace('abc1234', 'xyz9876') } }, 'xyz9876', record)).toBe(false);
+  });
+
+  it('stop working when the password changes', () => {
+    const cookie = cookieHeader(createAccessCookie('abc1234', hashPassword('open sesame')));
+
+    expect(hasValidAccessCookie({ headers: { cookie } }, 'abc1234', hashPassword('open sesame'))).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+// Per-IP sliding-window rate limiting backed by KV
+import { createHash } from 'crypto';
+import { config } from './config.js';
+import { getStorage } from './storage/index.js';
+import { getClientIp } from './analytics.js';
+
+// "max/windowSeconds" pairs, e.g. 10 requests a minute and 200 a day
+const DEFAULT_SHORTEN_LIMITS = '10/60,200/86400';
+
+// Bulk requests are charged one unit per URL
+const DEFAULT_BULK_SHORTEN_LIMITS = '500/3600,2000/86400';
+
+// Password attempts per visitor and short code, so a protected link can't be brute-forced
+const DEFAULT_PASSWORD_LIMITS = '5/60,20/3600';
+
+// Parse a limits string such as "10/60,200/86400" into [{ max, window }]
+export function parseLimits(value = DEFAULT_SHORTEN_LIMITS, fallback = DEFAULT_SHORTEN_LIMITS) {
+  const limits = String(value)
+    .split(',')
+    .map((part) => part.trim().split('/').map(Number))
+    .filter(([max, window]) => Number.isInteger(max) && max > 0 && Number.isInteger(window) && window > 0)
+    .map(([max, window]) => ({ max, window }));
+
+  return limits.length > 0 ? limits : parseLimits(fallback, fallback);
+}
+
+export function getShortenLimits() {
+  return parseLimits(process.env.SHORTEN_RATE_LIMITS || DEFAULT_SHORTEN_LIMITS);
+}
+
+export function getBulkShortenLimits() {
+  return parseLimits(process.env.BULK_SHORTEN_RATE_LIMITS || DEFAULT_BULK_SHORTEN_LIMITS, DEFAULT_BULK_SHORTEN_LIMITS);
+}
+
+export function getPasswordLimits() {
+  return parseLimits(process.env.PASSWORD_RATE_LIMITS || DEFAULT_PASSWORD_LIMITS, DEFAULT_PASSWORD_LIMITS);
+}
+
+// Key layout: <namespace>:ratelimit:<bucket>:<windowSeconds>:<ip hash>:<window index>
+export function rateLimitKey(bucket, window, identity, windowIndex) {
+  return [config.namespace, 'ratelimit', bucket, window, identity, windowIndex].join(':');
+}
+
+function hashIp(ip) {
+  return createHash('sha256').update(`${process.env.ANALYTICS_SALT || ''}:${ip}`).digest('hex').slice(0, 32);
+}
+
+// Sliding window approximated from the current and previous fixed windows:
+// count = previous * (share of previous window still inside the sliding window) + current.
+// The current window is incremented first: incr is atomic, so concurrent requests
+// can't all read the same count and slip past the limit together.
+async function consumeWindow(bucket, identity, { max, window }, cost, nowSeconds) {
+  const storage = getStorage();
+  const windowIndex = Math.floor(nowSeconds / window);
+  const elapsed = nowSeconds - windowIndex * window;
+  const key = rateLimitKey(bucket, window, identity, windowIndex);
+
+  const [current, previousValue] = await Promise.all([
+    storage.incr(key, cost),
+    storage.get(rateLimitKey(bucket, window, identity, windowIndex - 1))
+  ]);
+  if (current === cost) {
+    await storage.expire(key, window * 2);
+  }
+
+  const previous = Number(previousValue) || 0;
+  const estimated = previous * ((window - elapsed) / window) + current;
+
+  if (estimated <= max) {
+    return { key, window, allowed: true, limit: max, remaining: Math.max(0, Math.floor(max - estimated)) };
+  }
+
+  // Seconds until enough of the previous window has slid out, or until the next window
+  let retryAfter = window - elapsed;
+  if (previous > 0 && current <= max) {
+    retryAfter = (window - elapsed) - ((max - current) / previous) * window;
+  }
+
+  return { key, window, allowed: false, limit: max, retryAfter: Math.max(1, Math.ceil(retryAfter)) };
+}
+
+// Consume `cost` requests for the caller's IP against every limit.
+// A refused request is rolled back, so it uses up none of the quota.
+// Returns { allowed, retryAfter, limit, remaining }.
+export async function checkRateLimit(req, bucket, limits = getShortenLimits(), cost = 1) {
+  const storage = getStorage();
+  const identity = hashIp(getClientIp(req));
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  const windows = await Promise.all(
+    limits.map((limit) => consumeWindow(bucket, identity, limit, cost, nowSeconds))
+  );
+
+  const refused = windows.find((window) => !window.allowed);
+  if (refused) {
+    await Promise.all(windows.map(({ key }) => storage.incr(key, -cost)));
+    return refused;
+  }
+
+  return windows.reduce((tightest, window) => (window.remaining < tightest.remaining ? window : tightest));
+}
+
+// Standard rate limit headers, plus Retry-After when the request was refused
+export function setRateLimitHeaders(res, result) {
+  if (!result) return;
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  if (result.allowed) {
+    res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  } else {
+    res.setHeader('X-RateLimit-Remaining', '0');
+    res.setHeader('Retry-After', String(result.retryAfter));
+  }
+}
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { config } from './config.js';
+import { checkRateLimit, parseLimits, rateLimitKey, setRateLimitHeaders } from './rate-limit.js';
+import { createRequest, createResponse, useMemoryStorage } from './test-utils.js';
+
+describe('parseLimits', () => {
+  it('parses max/window pairs and skips invalid ones', () => {
+    expect(parseLimits('10/60, 200/86400')).toEqual([{ max: 10, window: 60 }, { max: 200, window: 86400 }]);
+    expect(parseLimits('10/60,0/60,abc,5/-1')).toEqual([{ max: 10, window: 60 }]);
+  });
+
+  it('falls back when nothing is usable', () => {
+    expect(parseLimits('nonsense', '3/30')).toEqual([{ max: 3, window: 30 }]);
+  });
+});
+
+describe('rateLimitKey', () => {
+  it('lives under the configured namespace', () => {
+    expect(rateLimitKey('shorten', 60, 'abc', 42)).toBe(`${config.namespace}:ratelimit:shorten:60:abc:42`);
+  });
+});
+
+describe('checkRateLimit', () => {
+  const limits = [{ max: 3, window: 60 }];
+  const req = createRequest();
+  let storage;
+
+  beforeEach(() => {
+    storage = useMemoryStorage();
+    vi.useFakeTimers();
+    // 10 seconds into a one-minute window
+    vi.setSystemTime(new Date('2024-06-01T12:00:10Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('allows requests up to the limit, then refuses with Retry-After', async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await checkRateLimit(req, 'test', limits));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    expect(results.map((result) => result.remaining).slice(0, 3)).toEqual([2, 1, 0]);
+    expect(results[3].retryAfter).toBe(50);
+
+    const res = createResponse();
+    setRateLimitHeaders(res, results[3]);
+    expect(res.headers).toMatchObject({ 'x-ratelimit-limit': '3', 'x-ratelimit-remaining': '0', 'retry-after': '50' });
+  });
+
+  it('lets exactly max concurrent requests through', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => checkRateLimit(req, 'test', limits)));
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(3);
+  });
+
+  it('does not charge refused requests', async () => {
+    expect((await checkRateLimit(req, 'test', limits, 2)).allowed).toBe(true);
+    expect((await checkRateLimit(req, 'test', limits, 2)).allowed).toBe(false);
+    expect((await checkRateLimit(req, 'test', limits, 1)).allowed).toBe(true);
+  });
+
+  it('counts part of the previous window', async () => {
+    for (let i = 0; i < 3; i++) {
+      await checkRateLimit(req, 'test', limits);
+    }
+
+    // 30 seconds into the next window half of the previous three still count
+    vi.setSystemTime(new Date('2024-06-01T12:01:30Z'));
+    expect((await checkRateLimit(req, 'test', limits)).allowed).toBe(true);
+    expect((await checkRateLimit(req, 'test', limits)).allowed).toBe(false);
+  });
+
+  it('stores its counters under the configured namespace', async () => {
+    await checkRateLimit(req, 'test', limits);
+
+    const [, keys] = await storage.scan(0, { match: '*ratelimit*', count: 100 });
+    expect(keys).toHaveLength(1);
+    expect(keys[0].startsWith(`${config.namespace}:ratelimit:test:60:`)).toBe(true);
+  });
+
+  it('keeps buckets and clients apart', async () => {
+    for (let i = 0; i < 3; i++) {
+      await checkRateLimit(req, 'test', limits);
+    }
+
+    expect((await checkRateLimit(req, 'other', limits)).allowed).toBe(true);
+    expect((await checkRateLimit(createRequest({ ip: '198.51.100.1' }), 'test', limits)).allowed).toBe(true);
+  });
+
+  it('refuses when any of several limits is exceeded', async () => {
+    const both = [{ max: 5, window: 60 }, { max: 2, window: 3600 }];
+
+    expect((await checkRateLimit(req, 'test', both)).allowed).toBe(true);
+    expect((await checkRateLimit(req, 'test', both)).allowed).toBe(true);
+    const refused = await checkRateLimit(req, 'test', both);
+    expect(refused).toMatchObject({ allowed: false, limit: 2 });
+  });
+});
@@ -0,0 +1,44 @@
+// JSON file storage adapter for small self-hosted installs (single process only)
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { createMemoryStorage } from './memory.js';
+
+function load(filePath) {
+  if (!existsSync(filePath)) {
+    return new Map();
+  }
+  const data = JSON.parse(readFileSync(filePath, 'utf8'));
+  return new Map(Object.entries(data));
+}
+
+// Write to a temporary file first so a crash never leaves a half-written store
+function save(filePath, entries) {
+  const now = Date.now();
+  const data = {};
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt === null || entry.expiresAt > now) {
+      data[key] = entry;
+    }
+  }
+
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(`${filePath}.tmp`, JSON.stringify(data));
+  renameSync(`${filePath}.tmp`, filePath);
+}
+
+export function createFileStorage(filePath) {
+  const entries = load(filePath);
+
+  // Batch the writes of one request (several KV calls) into a single save
+  let pending = null;
+  const onChange = () => {
+    if (!pending) {
+      pending = setTimeout(() => {
+        pending = null;
+        save(filePath, entries);
+      }, 50);
+    }
+  };
+
+  return createMemoryStorage({ entries, onChange });
+}
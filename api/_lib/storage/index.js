@@ -0,0 +1,39 @@
+// Storage adapter selection. Every adapter implements:
+//   get(key)                          -> value or null
+//   set(key, value, { ex, nx })       -> true when written, false when nx found an existing key
+//   expire(key, seconds)              -> true when the key exists
+//   incr(key, amount = 1)             -> new numeric value
+//   del(key)                          -> number of keys removed
+//   scan(cursor, { match, count })    -> [nextCursor, keys], nextCursor is 0 when done
+import { config } from '../config.js';
+import { createVercelKvStorage } from './vercel-kv.js';
+import { createMemoryStorage } from './memory.js';
+import { createFileStorage } from './file.js';
+
+let storage = null;
+
+export function createStorage(backend = config.storageBackend) {
+  switch (backend) {
+    case 'vercel-kv':
+      return createVercelKvStorage();
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage(config.storageFile);
+    default:
+      throw new Error(`Unknown storage backend "${backend}"`);
+  }
+}
+
+// Shared adapter for the configured backend, created on first use
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+// Swap the shared adapter, e.g. for a self-hosted server or tests
+export function setStorage(adapter) {
+  storage = adapter;
+}
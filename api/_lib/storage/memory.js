@@ -0,0 +1,86 @@
+// In-memory storage adapter for local development and tests (data is lost on restart)
+
+// Redis-style glob (* and ?) to a RegExp
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// Values round-trip through JSON, matching what Vercel KV hands back
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// `entries` maps key -> { value, expiresAt }; `onChange` runs after every write
+export function createMemoryStorage({ entries = new Map(), onChange = () => {} } = {}) {
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    async get(key) {
+      const entry = getEntry(key);
+      return entry ? clone(entry.value) : null;
+    },
+
+    async set(key, value, { ex, nx } = {}) {
+      if (nx && getEntry(key)) {
+        return false;
+      }
+      entries.set(key, {
+        value: clone(value),
+        expiresAt: ex ? Date.now() + ex * 1000 : null
+      });
+      onChange();
+      return true;
+    },
+
+    async expire(key, seconds) {
+      const entry = getEntry(key);
+      if (!entry) return false;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      onChange();
+      return true;
+    },
+
+    async incr(key, amount = 1) {
+      const entry = getEntry(key);
+      const current = entry ? Number(entry.value) : 0;
+      if (Number.isNaN(current)) {
+        throw new Error(`Value at ${key} is not an integer`);
+      }
+      const value = current + amount;
+      entries.set(key, { value, expiresAt: entry ? entry.expiresAt : null });
+      onChange();
+      return value;
+    },
+
+    async del(key) {
+      const existed = Boolean(getEntry(key));
+      entries.delete(key);
+      if (existed) onChange();
+      return existed ? 1 : 0;
+    },
+
+    async scan(cursor, { match = '*', count = 10 } = {}) {
+      const pattern = globToRegExp(match);
+      const keys = [...entries.keys()];
+      const start = Number(cursor) || 0;
+      const end = Math.min(start + count, keys.length);
+
+      const matches = keys
+        .slice(start, end)
+        .filter((key) => pattern.test(key) && getEntry(key));
+
+      return [end >= keys.length ? 0 : end, matches];
+    }
+  };
+}
@@ -0,0 +1,35 @@
+// Vercel KV (Redis) storage adapter
+import { kv } from '@vercel/kv';
+
+export function createVercelKvStorage(client = kv) {
+  return {
+    async get(key) {
+      return client.get(key);
+    },
+
+    async set(key, value, { ex, nx } = {}) {
+      const options = {};
+      if (ex) options.ex = ex;
+      if (nx) options.nx = true;
+      const result = await client.set(key, value, options);
+      return result === 'OK';
+    },
+
+    async expire(key, seconds) {
+      return (await client.expire(key, seconds)) === 1;
+    },
+
+    async incr(key, amount = 1) {
+      return amount === 1 ? client.incr(key) : client.incrby(key, amount);
+    },
+
+    async del(key) {
+      return client.del(key);
+    },
+
+    async scan(cursor, { match, count } = {}) {
+      const [nextCursor, keys] = await client.scan(cursor, { match, count });
+      return [Number(nextCursor), keys];
+    }
+  };
+}
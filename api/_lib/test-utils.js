@@ -0,0 +1,53 @@
+// Request/response doubles for exercising API handlers in specs
+import { setStorage } from './storage/index.js';
+import { createMemoryStorage } from './storage/memory.js';
+
+// Point every handler at a fresh in-memory store and return it
+export function useMemoryStorage() {
+  const storage = createMemoryStorage();
+  setStorage(storage);
+  return storage;
+}
+
+export function createRequest({ method = 'GET', query = {}, body, headers = {}, ip = '203.0.113.10' } = {}) {
+  return {
+    method,
+    query,
+    body,
+    headers: { host: 'qubex.it', ...headers },
+    socket: { remoteAddress: ip }
+  };
+}
+
+// Records what the handler sent: statusCode, lowercase headers and body
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    status(statusCode) {
+      res.statusCode = statusCode;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    },
+    redirect(statusCode, location) {
+      res.statusCode = statusCode;
+      res.headers.location = location;
+      return res;
+    }
+  };
+  return res;
+}
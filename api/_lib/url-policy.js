@@ -0,0 +1,41 @@
+// Destination URL rules for the shortener: blocked domains and redirect loops
+import { config } from './config.js';
+
+// Our own short-link domains; shortening them would create redirect loops
+const SELF_DOMAINS = [...new Set(['qubex.it', new URL(config.shortUrlBase).hostname])];
+
+// Extra blocked destination domains, comma separated (e.g. "evil.example,spam.test")
+function getBlockedDomains() {
+  return (process.env.BLOCKED_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+}
+
+// True when host is domain itself or one of its subdomains
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Returns an error message when the destination is not allowed, otherwise null.
+// requestHost is the host the API was called on, so self-hosted deployments are covered too.
+export function checkDestination(url, requestHost = '') {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+  } catch (_) {
+    return 'Invalid URL format';
+  }
+
+  const ownHost = String(requestHost).split(':')[0].toLowerCase();
+  const selfDomains = ownHost && ownHost !== 'localhost' ? [...SELF_DOMAINS, ownHost] : SELF_DOMAINS;
+  if (selfDomains.some((domain) => matchesDomain(host, domain))) {
+    return 'Short links cannot point to another short link on this service';
+  }
+
+  if (getBlockedDomains().some((domain) => matchesDomain(host, domain))) {
+    return 'This destination domain is not allowed';
+  }
+
+  return null;
+}
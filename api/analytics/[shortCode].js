@@ -0,0 +1,58 @@
+// Vercel serverless function for token-protected link analytics
+import { config } from '../_lib/config.js';
+import { getStorage } from '../_lib/storage/index.js';
+import { fetchAnalytics, verifyAnalyticsToken } from '../_lib/analytics.js';
+
+// Database configuration
+const DATABASE_NAME = config.namespace;
+
+export default async function handler(req, res) {
+  const storage = getStorage();
+
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { shortCode } = req.query;
+
+  // Accept the token as ?token= or as a Bearer header
+  const authHeader = req.headers.authorization || '';
+  const token = req.query.token || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  if (!shortCode) {
+    return res.status(400).json({ error: 'Short code is required' });
+  }
+
+  if (!token) {
+    return res.status(401).json({ error: 'Analytics token is required' });
+  }
+
+  try {
+    if (!(await verifyAnalyticsToken(shortCode, token))) {
+      return res.status(403).json({ error: 'Invalid analytics token' });
+    }
+
+    const originalUrl = await storage.get(`${DATABASE_NAME}:code:${shortCode}`);
+    const analytics = await fetchAnalytics(shortCode);
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      ...analytics,
+      shortUrl: `${config.shortUrlBase}/${shortCode}`,
+      originalUrl: originalUrl || (analytics.meta && analytics.meta.url) || null
+    });
+
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
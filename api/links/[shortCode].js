@@ -0,0 +1,145 @@
+// Vercel serverless function for viewing and editing a short link's destination
+import { config } from '../_lib/config.js';
+import { getStorage } from '../_lib/storage/index.js';
+import { expireAnalyticsToken, verifyAnalyticsToken } from '../_lib/analytics.js';
+import { getMappingTtl } from '../_lib/link-options.js';
+import { checkDestination } from '../_lib/url-policy.js';
+
+// Database configuration
+const DATABASE_NAME = config.namespace;
+
+// Oldest destinations are dropped once the history grows past this
+const MAX_HISTORY_ENTRIES = 50;
+
+// Validate URL
+function isValidUrl(string) {
+  try {
+    const url = new URL(string);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// The creator token can be sent as a Bearer header, ?token= or in the JSON body
+function getToken(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+  return req.query.token || (req.body && req.body.token) || null;
+}
+
+export default async function handler(req, res) {
+  const storage = getStorage();
+
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { shortCode } = req.query;
+  const token = getToken(req);
+
+  if (!shortCode) {
+    return res.status(400).json({ error: 'Short code is required' });
+  }
+
+  if (!token) {
+    return res.status(401).json({ error: 'Creator token is required' });
+  }
+
+  try {
+    if (!(await verifyAnalyticsToken(shortCode, token))) {
+      return res.status(403).json({ error: 'Invalid creator token' });
+    }
+
+    const [currentUrl, history, options] = await Promise.all([
+      storage.get(`${DATABASE_NAME}:code:${shortCode}`),
+      storage.get(`${DATABASE_NAME}:history:${shortCode}`),
+      storage.get(`${DATABASE_NAME}:options:${shortCode}`)
+    ]);
+
+    if (!currentUrl) {
+      return res.status(404).json({ error: 'Short URL not found' });
+    }
+
+    const isDynamic = Boolean(options && options.dynamic);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        shortUrl: `${config.shortUrlBase}/${shortCode}`,
+        shortCode,
+        originalUrl: currentUrl,
+        dynamic: isDynamic,
+        history: history || []
+      });
+    }
+
+    // Plain links may be shared with anyone who shortened the same URL, so they stay fixed
+    if (!isDynamic) {
+      return res.status(409).json({ error: 'Only dynamic links can change their destination' });
+    }
+
+    const { url } = req.body || {};
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    if (!isValidUrl(url)) {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    const destinationError = checkDestination(url, req.headers.host);
+    if (destinationError) {
+      return res.status(400).json({ error: destinationError });
+    }
+
+    if (url === currentUrl) {
+      return res.status(200).json({
+        shortUrl: `${config.shortUrlBase}/${shortCode}`,
+        shortCode,
+        originalUrl: url,
+        dynamic: true,
+        history: history || []
+      });
+    }
+
+    // Record the destination being replaced
+    const updatedHistory = [
+      ...(history || []),
+      { url: currentUrl, replacedAt: new Date().toISOString() }
+    ].slice(-MAX_HISTORY_ENTRIES);
+
+    // Rewriting the mapping resets its TTL, so apply the link's lifetime again
+    const ttl = getMappingTtl(options);
+    await storage.set(`${DATABASE_NAME}:code:${shortCode}`, url, { ex: ttl });
+    await storage.set(`${DATABASE_NAME}:history:${shortCode}`, updatedHistory, { ex: ttl });
+
+    // Settings stored next to the mapping must live exactly as long as it does
+    await storage.expire(`${DATABASE_NAME}:options:${shortCode}`, ttl);
+    await storage.expire(`${DATABASE_NAME}:password:${shortCode}`, ttl);
+    await expireAnalyticsToken(shortCode, ttl);
+
+    return res.status(200).json({
+      shortUrl: `${config.shortUrlBase}/${shortCode}`,
+      shortCode,
+      originalUrl: url,
+      dynamic: true,
+      history: updatedHistory
+    });
+
+  } catch (error) {
+    console.error('Error updating link:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
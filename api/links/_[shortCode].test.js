@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import handler from './[shortCode].js';
+import { createShortLink } from '../_lib/create-link.js';
+import { createRequest, createResponse, useMemoryStorage } from '../_lib/test-utils.js';
+
+async function patch(link, url) {
+  const res = createResponse();
+  await handler(createRequest({
+    method: 'PATCH',
+    query: { shortCode: link.shortCode },
+    headers: { authorization: `Bearer ${link.analyticsToken}` },
+    body: { url }
+  }), res);
+  return res;
+}
+
+describe('PATCH /api/links/:shortCode', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  it('repoints dynamic links and records the old destination', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/menu', dynamic: true }, 'qubex.it');
+    const res = await patch(link, 'https://example.com/menu-v2');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.originalUrl).toBe('https://example.com/menu-v2');
+    expect(res.body.history).toEqual([{ url: 'https://example.com/menu', replacedAt: expect.any(String) }]);
+  });
+
+  it('refuses to repoint plain links that other shorten requests may share', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/shared' }, 'qubex.it');
+    const res = await patch(link, 'https://attacker.example/');
+
+    expect(res.statusCode).toBe(409);
+
+    const { link: reused } = await createShortLink({ url: 'https://example.com/shared' }, 'qubex.it');
+    expect(reused.shortCode).toBe(link.shortCode);
+  });
+
+  it('never hands out a dynamic link for a plain shorten request', async () => {
+    const { link: dynamicLink } = await createShortLink({ url: 'https://example.com/page', dynamic: true }, 'qubex.it');
+    const { link: plainLink, reused } = await createShortLink({ url: 'https://example.com/page' }, 'qubex.it');
+
+    expect(reused).toBe(false);
+    expect(plainLink.shortCode).not.toBe(dynamicLink.shortCode);
+  });
+
+  it('reports whether the link is dynamic on GET', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/info', dynamic: true }, 'qubex.it');
+    const res = createResponse();
+    await handler(createRequest({ query: { shortCode: link.shortCode, token: link.analyticsToken } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.dynamic).toBe(true);
+  });
+
+  it('rejects a wrong creator token', async () => {
+    const { link } = await createShortLink({ url: 'https://example.com/owned', dynamic: true }, 'qubex.it');
+    const res = await patch({ ...link, analyticsToken: 'not-the-token' }, 'https://example.com/other');
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -1,34 +1,13 @@
 // Vercel serverless function for URL shortening
-import { kv } from '@vercel/kv';
-
-// Database configuration
-const DATABASE_NAME = 'link-shortening-test';
-
-// Generate random short code
-function generateShortCode(length = 7) {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-// Validate URL
-function isValidUrl(string) {
-  try {
-    const url = new URL(string);
-    return url.protocol === 'http:' || url.protocol === 'https:';
-  } catch (_) {
-    return false;
-  }
-}
+import { createShortLink } from './_lib/create-link.js';
+import { checkRateLimit, setRateLimitHeaders } from './_lib/rate-limit.js';
 
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -39,50 +18,22 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { url } = req.body;
-
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
-    }
-
-    if (!isValidUrl(url)) {
-      return res.status(400).json({ error: 'Invalid URL format' });
-    }
-
-    // Check if URL already exists
-    const existingCode = await kv.get(`${DATABASE_NAME}:url:${url}`);
-    if (existingCode) {
-      return res.status(200).json({
-        shortUrl: `https://qubex.it/${existingCode}`,
-        shortCode: existingCode,
-        originalUrl: url
+    // Per-IP throttling keeps anyone from filling the KV namespace
+    const rateLimit = await checkRateLimit(req, 'shorten');
+    setRateLimitHeaders(res, rateLimit);
+    if (!rateLimit.allowed) {
+      return res.status(429).json({
+        error: 'Too many requests. Please try again later.',
+        retryAfter: rateLimit.retryAfter
       });
     }
 
-    // Generate unique short code
-    let shortCode;
-    let attempts = 0;
-    do {
-      shortCode = generateShortCode();
-      attempts++;
-      if (attempts > 10) {
-        return res.status(500).json({ error: 'Unable to generate unique short code' });
-      }
-    } while (await kv.get(`${DATABASE_NAME}:code:${shortCode}`));
-
-    // Store mappings
-    await kv.set(`${DATABASE_NAME}:code:${shortCode}`, url);
-    await kv.set(`${DATABASE_NAME}:url:${url}`, shortCode);
-    
-    // Set expiration (optional - 1 year).
-    await kv.expire(`${DATABASE_NAME}:code:${shortCode}`, 31536000);
-    await kv.expire(`${DATABASE_NAME}:url:${url}`, 31536000);
+    const { status, link, error } = await createShortLink(req.body, req.headers.host);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    return res.status(200).json({
-      shortUrl: `https://qubex.it/${shortCode}`,
-      shortCode,
-      originalUrl: url
-    });
+    return res.status(status).json(link);
 
   } catch (error) {
     console.error('Error shortening URL:', error);
@@ -0,0 +1,76 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import handler from './bulk.js';
+import { createRequest, createResponse, useMemoryStorage } from '../_lib/test-utils.js';
+
+const KEY = '3f0c9a8e-5b1d-4c52-9d3e-2a7b6c1f0e4d';
+
+async function bulk(items, headers = {}) {
+  const res = createResponse();
+  await handler(createRequest({ method: 'POST', body: { items }, headers }), res);
+  return res;
+}
+
+describe('POST /api/shorten/bulk', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  it('shortens every item and reports existing plain URLs', async () => {
+    await bulk(['https://example.com/a']);
+    const res = await bulk(['https://example.com/a', { url: 'https://example.com/b', alias: 'bulk-b' }, 'ftp://nope']);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results.map((result) => [result.success, result.existing])).toEqual([
+      [true, true],
+      [true, false],
+      [false, undefined]
+    ]);
+    expect(res.body.summary).toEqual({ total: 3, created: 1, existing: 1, failed: 1 });
+  });
+
+  it('creates duplicates for private items when retried without a key', async () => {
+    const items = [{ url: 'https://example.com/secret', password: 'correct horse' }];
+    const first = await bulk(items);
+    const second = await bulk(items);
+
+    expect(second.body.results[0].shortCode).not.toBe(first.body.results[0].shortCode);
+  });
+
+  it('replays the first response for a retry with the same Idempotency-Key', async () => {
+    const items = [{ url: 'https://example.com/secret', password: 'correct horse' }, { url: 'https://example.com/c', alias: 'bulk-c' }];
+    const first = await bulk(items, { 'idempotency-key': KEY });
+    const retry = await bulk(items, { 'idempotency-key': KEY });
+
+    expect(retry.statusCode).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(retry.body.results.every((result) => result.success && result.analyticsToken)).toBe(true);
+  });
+
+  it('asks retries to come back later while the first request is still running', async () => {
+    const items = ['https://example.com/slow'];
+    const pending = bulk(items, { 'idempotency-key': KEY });
+    const retry = await bulk(items, { 'idempotency-key': KEY });
+    const first = await pending;
+
+    expect(retry.statusCode).toBe(409);
+    expect(retry.headers['retry-after']).toBe('2');
+
+    const replay = await bulk(items, { 'idempotency-key': KEY });
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+  });
+
+  it('rejects malformed keys and keys reused for other items', async () => {
+    expect((await bulk(['https://example.com/a'], { 'idempotency-key': 'short' })).statusCode).toBe(400);
+
+    await bulk(['https://example.com/a'], { 'idempotency-key': KEY });
+    const reused = await bulk(['https://example.com/other'], { 'idempotency-key': KEY });
+    expect(reused.statusCode).toBe(422);
+  });
+
+  it('validates the items array', async () => {
+    expect((await bulk([])).statusCode).toBe(400);
+    expect((await bulk(Array(101).fill('https://example.com/a'))).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,154 @@
+// Vercel serverless function for shortening many URLs in one request
+import { createHash } from 'crypto';
+import { config } from '../_lib/config.js';
+import { getStorage } from '../_lib/storage/index.js';
+import { createShortLink } from '../_lib/create-link.js';
+import { checkRateLimit, getBulkShortenLimits, setRateLimitHeaders } from '../_lib/rate-limit.js';
+
+// Database configuration
+const DATABASE_NAME = config.namespace;
+
+// Larger imports are split into several requests by the client
+const MAX_BULK_ITEMS = 100;
+
+// Items with an alias, password or options always get a new code, so a retried request
+// would create duplicates. Clients send an Idempotency-Key to get the first response back.
+const IDEMPOTENCY_KEY_PATTERN = /^[a-zA-Z0-9_-]{16,128}$/;
+const IDEMPOTENCY_TTL = 24 * 60 * 60;
+
+// How long a request may run before a retry with the same key is processed again
+const IDEMPOTENCY_PENDING_TTL = 5 * 60;
+
+// Seconds a client should wait before asking again about a request that is still running
+const IDEMPOTENCY_RETRY_AFTER = 2;
+
+// Ties a key to the items it was first used with
+function fingerprint(items) {
+  return createHash('sha256').update(JSON.stringify(items)).digest('hex');
+}
+
+// Items may be plain URL strings or objects with the same fields as /api/shorten
+function normalizeItem(item) {
+  return typeof item === 'string' ? { url: item.trim() } : item;
+}
+
+export default async function handler(req, res) {
+  const storage = getStorage();
+
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, Idempotent-Replayed');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const items = req.body && req.body.items;
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+
+    if (items.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({ error: `A bulk request can contain at most ${MAX_BULK_ITEMS} items` });
+    }
+
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({ error: 'Idempotency-Key must be 16-128 letters, numbers, hyphens or underscores' });
+    }
+
+    // A repeated key replays the stored response instead of creating the links again
+    const idempotencyStorageKey = idempotencyKey && `${DATABASE_NAME}:bulk:${idempotencyKey}`;
+    const itemsFingerprint = idempotencyKey && fingerprint(items);
+    if (idempotencyStorageKey) {
+      const claimed = await storage.set(
+        idempotencyStorageKey,
+        { status: 'pending', fingerprint: itemsFingerprint },
+        { nx: true, ex: IDEMPOTENCY_PENDING_TTL }
+      );
+
+      if (!claimed) {
+        const saved = await storage.get(idempotencyStorageKey);
+        if (saved && saved.fingerprint !== itemsFingerprint) {
+          return res.status(422).json({ error: 'This Idempotency-Key was already used with different items' });
+        }
+        if (saved && saved.status === 'done') {
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(200).json(saved.response);
+        }
+        res.setHeader('Retry-After', String(IDEMPOTENCY_RETRY_AFTER));
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          retryAfter: IDEMPOTENCY_RETRY_AFTER
+        });
+      }
+    }
+
+    // Each URL counts against the caller's bulk quota
+    const rateLimit = await checkRateLimit(req, 'shorten-bulk', getBulkShortenLimits(), items.length);
+    setRateLimitHeaders(res, rateLimit);
+    if (!rateLimit.allowed) {
+      // Nothing was created, so the key can be used again once the limit resets
+      if (idempotencyStorageKey) {
+        await storage.del(idempotencyStorageKey);
+      }
+      return res.status(429).json({
+        error: 'Too many requests. Please try again later.',
+        retryAfter: rateLimit.retryAfter
+      });
+    }
+
+    // Sequential on purpose: a URL repeated within the batch reuses the code created for its first occurrence
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      const input = normalizeItem(item);
+      if (!input || typeof input !== 'object') {
+        results.push({ index, success: false, status: 400, error: 'Each item must be a URL or an object with a url' });
+        continue;
+      }
+
+      try {
+        const { status, link, error, reused } = await createShortLink(input, req.headers.host);
+        results.push(error
+          ? { index, success: false, status, url: input.url, error }
+          : { index, success: true, status, existing: reused, ...link });
+      } catch (error) {
+        console.error('Error shortening bulk item:', error);
+        results.push({ index, success: false, status: 500, url: input.url, error: 'Internal server error' });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success);
+    const response = {
+      results,
+      summary: {
+        total: results.length,
+        created: succeeded.filter((result) => !result.existing).length,
+        existing: succeeded.filter((result) => result.existing).length,
+        failed: results.length - succeeded.length
+      }
+    };
+
+    if (idempotencyStorageKey) {
+      await storage.set(
+        idempotencyStorageKey,
+        { status: 'done', fingerprint: itemsFingerprint, response },
+        { ex: IDEMPOTENCY_TTL }
+      );
+    }
+
+    return res.status(200).json(response);
+
+  } catch (error) {
+    console.error('Error bulk shortening URLs:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,174 @@
+// Self-hosted server: mounts the api/ handlers, replays vercel.json rewrites and serves the Vite build
+import { createServer } from 'http';
+import { createReadStream, existsSync, statSync } from 'fs';
+import { extname, join, normalize, resolve, sep } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { applyRewrites, discoverApiRoutes, loadRewrites, matchApiRoute } from './routes.js';
+import { enhanceRequest, enhanceResponse, setForwardedFor } from './vercel-shim.js';
+
+const ROOT_DIR = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const DIST_DIR = resolve(ROOT_DIR, process.env.DIST_DIR || 'dist');
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+
+// Only behind a reverse proxy that appends X-Forwarded-For may clients' forwarding headers be kept
+const TRUST_PROXY = ['1', 'true', 'yes'].includes(String(process.env.TRUST_PROXY || '').toLowerCase());
+
+// Without Vercel KV credentials, keep links in a local JSON file
+if (!process.env.STORAGE_BACKEND) {
+  process.env.STORAGE_BACKEND = process.env.KV_REST_API_URL ? 'vercel-kv' : 'file';
+}
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+const apiRoutes = discoverApiRoutes(ROOT_DIR);
+const rewrites = loadRewrites(ROOT_DIR);
+const handlerCache = new Map();
+
+async function loadHandler(file) {
+  if (!handlerCache.has(file)) {
+    const module = await import(pathToFileURL(file).href);
+    handlerCache.set(file, module.default);
+  }
+  return handlerCache.get(file);
+}
+
+// Resolve a URL path to a file inside dist/, refusing anything outside it
+function findStaticFile(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (_) {
+    return null;
+  }
+
+  const filePath = normalize(join(DIST_DIR, decoded));
+  if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + sep)) {
+    return null;
+  }
+
+  if (!existsSync(filePath)) {
+    return null;
+  }
+  if (statSync(filePath).isFile()) {
+    return filePath;
+  }
+
+  // Directories serve their index.html, like /shortener/ -> shortener/index.html
+  const indexPath = join(filePath, 'index.html');
+  return existsSync(indexPath) && statSync(indexPath).isFile() ? indexPath : null;
+}
+
+function serveStatic(req, res, filePath) {
+  const type = MIME_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream';
+  res.setHeader('Content-Type', type);
+
+  // Vite fingerprints everything under assets/, so those can be cached forever
+  if (filePath.startsWith(join(DIST_DIR, 'assets') + sep)) {
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  createReadStream(filePath).pipe(res);
+}
+
+async function serveApi(req, res, route, url) {
+  setForwardedFor(req, { trustProxy: TRUST_PROXY });
+  await enhanceRequest(req, url, route.params);
+  enhanceResponse(res);
+  const handler = await loadHandler(route.file);
+  await handler(req, res);
+}
+
+function sendNotFound(res) {
+  const notFoundPage = findStaticFile('/404.html');
+  res.statusCode = 404;
+  if (notFoundPage) {
+    res.setHeader('Content-Type', MIME_TYPES['.html']);
+    createReadStream(notFoundPage).pipe(res);
+  } else {
+    res.setHeader('Content-Type', MIME_TYPES['.txt']);
+    res.end('Not found');
+  }
+}
+
+// Same order as Vercel: API functions, then static files, then rewrites
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { pathname } = url;
+
+  if (pathname === '/api' || pathname.startsWith('/api/')) {
+    const route = matchApiRoute(apiRoutes, pathname);
+    if (route) {
+      return serveApi(req, res, route, url);
+    }
+  }
+
+  const staticFile = findStaticFile(pathname);
+  if (staticFile && (req.method === 'GET' || req.method === 'HEAD')) {
+    return serveStatic(req, res, staticFile);
+  }
+
+  const destination = applyRewrites(rewrites, pathname);
+  if (destination) {
+    const destinationUrl = new URL(destination, url);
+    url.searchParams.forEach((value, key) => {
+      if (!destinationUrl.searchParams.has(key)) {
+        destinationUrl.searchParams.append(key, value);
+      }
+    });
+
+    const route = matchApiRoute(apiRoutes, destinationUrl.pathname);
+    if (route) {
+      return serveApi(req, res, route, destinationUrl);
+    }
+
+    const rewrittenFile = findStaticFile(destinationUrl.pathname);
+    if (rewrittenFile && (req.method === 'GET' || req.method === 'HEAD')) {
+      return serveStatic(req, res, rewrittenFile);
+    }
+  }
+
+  return sendNotFound(res);
+}
+
+const server = createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    console.error('Request error:', error);
+    if (!res.headersSent) {
+      res.statusCode = error.statusCode || 500;
+      res.setHeader('Content-Type', MIME_TYPES['.json']);
+      res.end(JSON.stringify({ error: error.statusCode ? error.message : 'Internal server error' }));
+    } else {
+      res.end();
+    }
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Qubex server listening on http://localhost:${PORT}`);
+  console.log(`Storage backend: ${process.env.STORAGE_BACKEND}`);
+  console.log(`Client IPs from: ${TRUST_PROXY ? 'X-Forwarded-For (TRUST_PROXY)' : 'socket address'}`);
+  if (!existsSync(DIST_DIR)) {
+    console.warn(`No build found at ${DIST_DIR}; run "npm run build" to serve the site (API routes still work)`);
+  }
+});
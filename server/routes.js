@@ -0,0 +1,90 @@
+// API route discovery and vercel.json rewrite matching for the self-hosted server
+import { readdirSync, readFileSync, statSync } from 'fs';
+import { join, relative, sep } from 'path';
+
+// Vercel ignores files and folders starting with "_" or "." inside api/
+function isRouteFile(name) {
+  return name.endsWith('.js') && !name.startsWith('_') && !name.startsWith('.');
+}
+
+function collectRouteFiles(dir) {
+  return readdirSync(dir).flatMap((name) => {
+    if (name.startsWith('_') || name.startsWith('.')) {
+      return [];
+    }
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) {
+      return collectRouteFiles(path);
+    }
+    return isRouteFile(name) ? [path] : [];
+  });
+}
+
+// Build the api/ route table: "api/links/[shortCode].js" -> /api/links/:shortCode.
+// Static segments win over dynamic ones, like Vercel's filesystem routing.
+export function discoverApiRoutes(rootDir) {
+  const apiDir = join(rootDir, 'api');
+
+  const routes = collectRouteFiles(apiDir).map((file) => {
+    const segments = ['api', ...relative(apiDir, file).replace(/\.js$/, '').split(sep)];
+    if (segments[segments.length - 1] === 'index') {
+      segments.pop();
+    }
+    return {
+      file,
+      segments: segments.map((segment) => {
+        const match = segment.match(/^\[(\w+)\]$/);
+        return match ? { param: match[1] } : { literal: segment };
+      })
+    };
+  });
+
+  const dynamicCount = (route) => route.segments.filter((segment) => segment.param).length;
+  return routes.sort((a, b) => dynamicCount(a) - dynamicCount(b));
+}
+
+// Find the API route for a path, returning { file, params } or null
+export function matchApiRoute(routes, pathname) {
+  const parts = pathname.replace(/^\/+|\/+$/g, '').split('/').map(decodeURIComponent);
+
+  for (const route of routes) {
+    if (route.segments.length !== parts.length) continue;
+
+    const params = {};
+    const matches = route.segments.every((segment, index) => {
+      if (segment.literal) {
+        return segment.literal === parts[index];
+      }
+      params[segment.param] = parts[index];
+      return parts[index] !== '';
+    });
+
+    if (matches) {
+      return { file: route.file, params };
+    }
+  }
+
+  return null;
+}
+
+// Compile vercel.json "rewrites". Sources here only use raw regex groups,
+// e.g. "/api/(.*)" or "/([a-zA-Z0-9_-]{3,32})", referenced as $1 in destinations.
+export function loadRewrites(rootDir) {
+  const vercelConfig = JSON.parse(readFileSync(join(rootDir, 'vercel.json'), 'utf8'));
+
+  return (vercelConfig.rewrites || []).map(({ source, destination }) => ({
+    regex: new RegExp(`^${source}$`),
+    destination
+  }));
+}
+
+// Apply the first matching rewrite, returning the destination path or null
+export function applyRewrites(rewrites, pathname) {
+  for (const { regex, destination } of rewrites) {
+    const match = pathname.match(regex);
+    if (match) {
+      return destination.replace(/\$(\d+)/g, (_, index) => match[Number(index)] || '');
+    }
+  }
+  return null;
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { fileURLToPath } from 'url';
+import { join, resolve } from 'path';
+import { applyRewrites, discoverApiRoutes, loadRewrites, matchApiRoute } from './routes.js';
+
+const ROOT_DIR = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const routes = discoverApiRoutes(ROOT_DIR);
+const rewrites = loadRewrites(ROOT_DIR);
+
+describe('discoverApiRoutes', () => {
+  it('skips files Vercel ignores, like _lib/ and _-prefixed specs', () => {
+    const files = routes.map((route) => route.file);
+
+    expect(files).toContain(join(ROOT_DIR, 'api', 'shorten.js'));
+    expect(files.some((file) => file.includes('_lib') || file.includes('.test.'))).toBe(false);
+  });
+});
+
+describe('matchApiRoute', () => {
+  it('prefers static segments over dynamic ones', () => {
+    expect(matchApiRoute(routes, '/api/shorten')).toEqual({ file: join(ROOT_DIR, 'api', 'shorten.js'), params: {} });
+    expect(matchApiRoute(routes, '/api/shorten/bulk').file).toBe(join(ROOT_DIR, 'api', 'shorten', 'bulk.js'));
+  });
+
+  it('extracts dynamic segments', () => {
+    expect(matchApiRoute(routes, '/api/abc1234')).toEqual({ file: join(ROOT_DIR, 'api', '[shortCode].js'), params: { shortCode: 'abc1234' } });
+    expect(matchApiRoute(routes, '/api/links/my%20code/')).toEqual({
+      file: join(ROOT_DIR, 'api', 'links', '[shortCode].js'),
+      params: { shortCode: 'my code' }
+    });
+  });
+
+  it('returns null for unknown paths', () => {
+    expect(matchApiRoute(routes, '/api/links/abc/extra')).toBeNull();
+    expect(matchApiRoute(routes, '/api')).toBeNull();
+  });
+});
+
+describe('applyRewrites', () => {
+  it('maps pretty page URLs to their HTML files', () => {
+    expect(applyRewrites(rewrites, '/qr/vcard')).toBe('/qr/vcard/index.html');
+    expect(applyRewrites(rewrites, '/shortener/stats/')).toBe('/shortener/stats/index.html');
+  });
+
+  it('sends short codes and aliases to the redirect function', () => {
+    expect(applyRewrites(rewrites, '/abc1234')).toBe('/api/abc1234');
+    expect(applyRewrites(rewrites, '/spring-sale_24')).toBe('/api/spring-sale_24');
+  });
+
+  it('leaves reserved and out-of-pattern paths alone', () => {
+    expect(applyRewrites(rewrites, '/assets')).toBeNull();
+    expect(applyRewrites(rewrites, '/ab')).toBeNull();
+    expect(applyRewrites(rewrites, '/favicon.ico')).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+// Minimal Vercel-compatible request/response helpers for Node's http module
+import { parse as parseQueryString } from 'querystring';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Parse the body the way Vercel does: JSON, urlencoded forms and text by content type
+async function parseBody(req) {
+  const raw = await readRawBody(req);
+  if (raw.length === 0) {
+    return undefined;
+  }
+
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'application/json') {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch (_) {
+      throw Object.assign(new Error('Invalid JSON'), { statusCode: 400 });
+    }
+  }
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return { ...parseQueryString(raw.toString('utf8')) };
+  }
+
+  if (contentType.startsWith('text/')) {
+    return raw.toString('utf8');
+  }
+
+  return raw;
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  header.split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+// Like Vercel, replace the client's X-Forwarded-For with the address the request came from,
+// so per-IP rate limits can't be dodged with a made-up header. Behind a trusted reverse proxy
+// the header is kept: the proxy appends the real address, which getClientIp reads.
+export function setForwardedFor(req, { trustProxy = false } = {}) {
+  if (trustProxy) {
+    return req;
+  }
+  delete req.headers['x-real-ip'];
+  req.headers['x-forwarded-for'] = (req.socket && req.socket.remoteAddress) || 'unknown';
+  return req;
+}
+
+// Add req.query, req.cookies and req.body. `params` are the dynamic route segments.
+export async function enhanceRequest(req, url, params = {}) {
+  const query = {};
+  for (const [key, value] of url.searchParams) {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  }
+
+  req.query = { ...query, ...params };
+  req.cookies = parseCookies(req.headers.cookie);
+  req.body = await parseBody(req);
+  return req;
+}
+
+// Add res.status(), res.json(), res.send() and res.redirect()
+export function enhanceResponse(res) {
+  res.status = (statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  };
+
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+
+  res.send = (body) => {
+    if (body === undefined || body === null) {
+      res.end();
+    } else if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) {
+        res.setHeader('Content-Type', 'application/octet-stream');
+      }
+      res.end(body);
+    } else if (typeof body === 'object') {
+      return res.json(body);
+    } else {
+      if (!res.getHeader('Content-Type')) {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      }
+      res.end(String(body));
+    }
+    return res;
+  };
+
+  res.redirect = (statusOrUrl, url) => {
+    const [statusCode, location] = typeof statusOrUrl === 'number' ? [statusOrUrl, url] : [307, statusOrUrl];
+    res.statusCode = statusCode;
+    res.setHeader('Location', location);
+    res.end();
+    return res;
+  };
+
+  return res;
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { setForwardedFor } from './vercel-shim.js';
+
+function request(headers) {
+  return { headers: { ...headers }, socket: { remoteAddress: '203.0.113.5' } };
+}
+
+describe('setForwardedFor', () => {
+  it('replaces client-supplied forwarding headers with the socket address', () => {
+    const req = setForwardedFor(request({ 'x-forwarded-for': '1.1.1.1', 'x-real-ip': '1.1.1.1' }));
+
+    expect(req.headers['x-forwarded-for']).toBe('203.0.113.5');
+    expect(req.headers).not.toHaveProperty('x-real-ip');
+  });
+
+  it('keeps the headers behind a trusted proxy', () => {
+    const req = setForwardedFor(request({ 'x-forwarded-for': '1.1.1.1, 198.51.100.9' }), { trustProxy: true });
+
+    expect(req.headers['x-forwarded-for']).toBe('1.1.1.1, 198.51.100.9');
+  });
+});
@@ -0,0 +1,410 @@
+// Batch QR Generator Main Application
+import { QRBatchGenerator, BATCH_TYPES, MAX_BATCH_ROWS } from './components/qr-batch-generator.js';
+import { QRRenderer } from './components/qr-renderer.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFGenerator, PRINT_TEMPLATES, PAGE_SIZES } from './components/pdf-generator.js';
+import { ThemeToggle } from './components/theme-toggle.js';
+import { CSVUtils } from './utils/csv.js';
+import { DOMHelpers } from './utils/dom-helpers.js';
+import { ErrorHandler } from './utils/error-handler.js';
+import { LoadingStates } from './utils/loading-states.js';
+
+class QRBatchApp {
+  constructor() {
+    this.batchGenerator = new QRBatchGenerator();
+    this.pdfGenerator = new PDFGenerator();
+    this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.batchGenerator.updateOptions(design)
+    });
+
+    // Parsed CSV: { fileName, headers, records }
+    this.csv = null;
+    this.zipBlob = null;
+    this.zipFileName = '';
+    // Last generated batch { type, rows }, for print sheets
+    this.batch = null;
+  }
+
+  init() {
+    this.themeToggle.init();
+    this.designPanel.init();
+    this.renderTypeOptions();
+    this.renderPrintOptions();
+    this.attachEventListeners();
+    this.resetApplication();
+  }
+
+  renderTypeOptions() {
+    const select = DOMHelpers.$('#batch-type-select');
+    if (!select) return;
+
+    DOMHelpers.setHTML(select, Object.entries(BATCH_TYPES)
+      .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+      .join(''));
+  }
+
+  renderPrintOptions() {
+    const templateSelect = DOMHelpers.$('#print-template-select');
+    if (templateSelect) {
+      DOMHelpers.setHTML(templateSelect, Object.entries(PRINT_TEMPLATES)
+        .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+        .join(''));
+    }
+
+    const pageSizeSelect = DOMHelpers.$('#print-page-size-select');
+    if (pageSizeSelect) {
+      DOMHelpers.setHTML(pageSizeSelect, Object.entries(PAGE_SIZES)
+        .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+        .join(''));
+    }
+
+    this.updatePrintSettings();
+  }
+
+  // Label sheets come pre-cut in one size, so page size, bleed and crop marks only apply to cut templates
+  updatePrintSettings() {
+    const template = PRINT_TEMPLATES[DOMHelpers.$('#print-template-select')?.value];
+    if (!template) return;
+
+    const isLabelSheet = template.kind === 'labels';
+    ['#print-page-size-select', '#print-bleed-input', '#print-crop-marks'].forEach((selector) => {
+      const input = DOMHelpers.$(selector);
+      if (input) {
+        input.disabled = isLabelSheet;
+      }
+    });
+
+    if (isLabelSheet) {
+      DOMHelpers.$('#print-page-size-select').value = template.pageSize;
+    }
+
+    DOMHelpers.setContent('#print-template-help', {
+      labels: 'Pre-cut label sheet: print at 100% scale, without "fit to page".',
+      cards: 'Cards are tiled onto the page to be cut out. Add bleed when the background isn\'t white.',
+      tent: 'One tent per sheet: fold along the dashed line so both sides face outwards.'
+    }[template.kind]);
+  }
+
+  getPrintOptions() {
+    return {
+      template: DOMHelpers.$('#print-template-select').value,
+      pageSize: DOMHelpers.$('#print-page-size-select').value,
+      bleed: parseFloat(DOMHelpers.$('#print-bleed-input').value) || 0,
+      cropMarks: DOMHelpers.$('#print-crop-marks').checked,
+      // Cells share the code's background so the bleed matches it
+      background: this.batchGenerator.renderer.getOptions().color.light
+    };
+  }
+
+  attachEventListeners() {
+    const form = DOMHelpers.$('#batch-form');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleGenerate();
+      });
+    }
+
+    const typeSelect = DOMHelpers.$('#batch-type-select');
+    if (typeSelect) {
+      typeSelect.addEventListener('change', () => {
+        this.renderColumnMapping();
+      });
+    }
+
+    const templateBtn = DOMHelpers.$('#download-template-btn');
+    if (templateBtn) {
+      templateBtn.addEventListener('click', () => {
+        const type = this.getSelectedType();
+        CSVUtils.download(`qubex-batch-${type}-template.csv`, QRBatchGenerator.getTemplateRows(type));
+      });
+    }
+
+    const fileInput = DOMHelpers.$('#csv-file-input');
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (file) {
+          this.handleFileUpload(file);
+        }
+      });
+    }
+
+    const templateSelect = DOMHelpers.$('#print-template-select');
+    if (templateSelect) {
+      templateSelect.addEventListener('change', () => {
+        this.updatePrintSettings();
+      });
+    }
+
+    const printBtn = DOMHelpers.$('#download-print-btn');
+    if (printBtn) {
+      printBtn.addEventListener('click', () => {
+        this.downloadPrintSheet();
+      });
+    }
+
+    const downloadBtn = DOMHelpers.$('#download-zip-btn');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => {
+        this.downloadZip();
+      });
+    }
+
+    const startOverBtn = DOMHelpers.$('#start-over-btn');
+    if (startOverBtn) {
+      startOverBtn.addEventListener('click', () => {
+        this.resetApplication();
+      });
+    }
+
+    const dismissErrorBtn = DOMHelpers.$('#dismiss-error-btn');
+    if (dismissErrorBtn) {
+      dismissErrorBtn.addEventListener('click', () => {
+        ErrorHandler.hideError();
+        // A failed print sheet leaves the generated batch available
+        if (this.batch) {
+          LoadingStates.showResults();
+        }
+      });
+    }
+  }
+
+  getSelectedType() {
+    const select = DOMHelpers.$('#batch-type-select');
+    return select && BATCH_TYPES[select.value] ? select.value : Object.keys(BATCH_TYPES)[0];
+  }
+
+  getSelectedFormats() {
+    return Array.from(DOMHelpers.$$('input[name="batch-format"]:checked')).map(input => input.value);
+  }
+
+  async handleFileUpload(file) {
+    ErrorHandler.hideFieldError('#csv-file-input');
+    ErrorHandler.hideError();
+    this.csv = null;
+    this.renderColumnMapping();
+
+    try {
+      const [header, ...records] = CSVUtils.parseRecords(await file.text());
+
+      if (!header || records.length === 0) {
+        ErrorHandler.showFieldError('#csv-file-input', 'The CSV needs a header row and at least one data row');
+        return;
+      }
+
+      if (records.length > MAX_BATCH_ROWS) {
+        ErrorHandler.showFieldError('#csv-file-input', `Please import at most ${MAX_BATCH_ROWS} rows at a time (this file has ${records.length})`);
+        return;
+      }
+
+      this.csv = {
+        fileName: file.name,
+        headers: header.cells.map(cell => cell.trim()),
+        records
+      };
+      this.renderColumnMapping();
+    } catch (error) {
+      console.error('CSV import error:', error);
+      ErrorHandler.showFieldError('#csv-file-input', 'The file could not be read as CSV');
+    }
+  }
+
+  // One select per field of the chosen type, pre-set from the header names
+  renderColumnMapping() {
+    const container = DOMHelpers.$('#column-mapping');
+    if (!container) return;
+
+    if (!this.csv) {
+      DOMHelpers.hide('#column-mapping-section');
+      container.replaceChildren();
+      return;
+    }
+
+    const type = this.getSelectedType();
+    const mapping = QRBatchGenerator.suggestMapping(type, this.csv.headers);
+
+    container.replaceChildren(...BATCH_TYPES[type].fields.map((field) => {
+      const wrapper = DOMHelpers.createElement('div');
+      const label = DOMHelpers.createElement('label', 'form-label');
+      const select = DOMHelpers.createElement('select', 'form-input');
+
+      select.id = `map-${field.key}`;
+      select.dataset.field = field.key;
+      label.htmlFor = select.id;
+      label.textContent = field.label;
+
+      // Header names come from the user's file, so build options as text
+      select.append(new Option('(not used)', '-1'), ...this.csv.headers.map((header, index) => (
+        new Option(header || `Column ${index + 1}`, String(index))
+      )));
+      select.value = String(mapping[field.key]);
+
+      wrapper.append(label, select);
+      return wrapper;
+    }));
+
+    const rowCount = this.csv.records.length;
+    DOMHelpers.setContent('#csv-summary', `${rowCount} ${rowCount === 1 ? 'row' : 'rows'} found in ${this.csv.fileName}`);
+    DOMHelpers.show('#column-mapping-section');
+  }
+
+  getMapping() {
+    return Array.from(DOMHelpers.$$('#column-mapping select')).reduce((mapping, select) => ({
+      ...mapping,
+      [select.dataset.field]: parseInt(select.value, 10)
+    }), {});
+  }
+
+  async handleGenerate() {
+    ErrorHandler.hideFieldError('#batch-format');
+
+    if (!this.csv) {
+      ErrorHandler.showFieldError('#csv-file-input', 'Please choose a CSV file');
+      return;
+    }
+
+    const formats = this.getSelectedFormats();
+    if (formats.length === 0) {
+      ErrorHandler.showFieldError('#batch-format', 'Choose at least one file format');
+      return;
+    }
+
+    const type = this.getSelectedType();
+    const { rows, invalid } = this.batchGenerator.prepareRows(type, this.csv.records, this.getMapping());
+
+    try {
+      ErrorHandler.hideError();
+      LoadingStates.resetAllStates();
+      LoadingStates.showButtonLoading('#generate-batch-btn');
+      this.zipBlob = null;
+      this.batch = null;
+      this.zipFileName = `qubex-${type}-qr-codes-${new Date().toISOString().slice(0, 10)}.zip`;
+
+      if (rows.length > 0) {
+        this.zipBlob = await this.batchGenerator.createZip(type, rows, formats, (done, total) => {
+          DOMHelpers.setContent('#batch-progress', `Generating ${done} of ${total}...`);
+        });
+        this.batch = { type, rows };
+      }
+
+      this.displayResults(rows.length, invalid);
+    } catch (error) {
+      console.error('Batch generation error:', error);
+      ErrorHandler.showError(error.message || 'The QR codes could not be generated');
+    } finally {
+      LoadingStates.hideButtonLoading('#generate-batch-btn');
+      DOMHelpers.setContent('#batch-progress', 'Generating...');
+    }
+  }
+
+  displayResults(generatedCount, invalid) {
+    const summary = generatedCount > 0
+      ? `${generatedCount} QR ${generatedCount === 1 ? 'code' : 'codes'} generated from ${this.csv.fileName}.`
+      : 'No QR codes were generated: every row has a problem.';
+    DOMHelpers.setContent('#batch-summary', invalid.length > 0
+      ? `${summary} ${invalid.length} ${invalid.length === 1 ? 'row was' : 'rows were'} skipped.`
+      : summary);
+
+    const list = DOMHelpers.$('#invalid-rows');
+    if (list) {
+      list.replaceChildren(...invalid.map(({ line, error }) => {
+        const item = DOMHelpers.createElement('li', 'text-red-700 dark:text-red-300');
+        item.textContent = `Line ${line}: ${error}`;
+        return item;
+      }));
+    }
+
+    if (invalid.length > 0) {
+      DOMHelpers.show('#invalid-rows-section');
+    } else {
+      DOMHelpers.hide('#invalid-rows-section');
+    }
+
+    if (this.zipBlob) {
+      DOMHelpers.show('#download-zip-btn');
+      DOMHelpers.show('#download-print-btn');
+    } else {
+      DOMHelpers.hide('#download-zip-btn');
+      DOMHelpers.hide('#download-print-btn');
+    }
+
+    LoadingStates.showResults();
+  }
+
+  downloadZip() {
+    if (!this.zipBlob) return;
+
+    const url = URL.createObjectURL(this.zipBlob);
+
+    try {
+      QRRenderer.triggerDownload(url, this.zipFileName);
+    } finally {
+      // Revoke after the click has been handled
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  }
+
+  async downloadPrintSheet() {
+    if (!this.batch) return;
+
+    ErrorHandler.hideFieldError('#print-bleed-input');
+    const options = this.getPrintOptions();
+    if (options.bleed < 0 || options.bleed > 5) {
+      DOMHelpers.$('#print-settings').open = true;
+      ErrorHandler.showFieldError('#print-bleed-input', 'Bleed must be between 0 and 5 mm');
+      return;
+    }
+
+    try {
+      ErrorHandler.hideError();
+      LoadingStates.showButtonLoading('#download-print-btn');
+
+      const { type, rows } = this.batch;
+      const items = await this.batchGenerator.createPrintItems(type, rows, (done, total) => {
+        DOMHelpers.setContent('#print-progress', `Preparing ${done} of ${total}...`);
+      });
+      DOMHelpers.setContent('#print-progress', 'Laying out pages...');
+
+      const date = new Date().toISOString().slice(0, 10);
+      const result = await this.pdfGenerator.downloadSheetPDF(items, options, `qubex-${type}-${options.template}-${date}.pdf`);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Print sheet error:', error);
+      ErrorHandler.showError(error.message || 'The print sheet could not be created');
+    } finally {
+      LoadingStates.hideButtonLoading('#download-print-btn');
+      DOMHelpers.setContent('#print-progress', 'Preparing...');
+    }
+  }
+
+  resetApplication() {
+    this.csv = null;
+    this.zipBlob = null;
+    this.zipFileName = '';
+    this.batch = null;
+
+    const fileInput = DOMHelpers.$('#csv-file-input');
+    if (fileInput) {
+      fileInput.value = '';
+    }
+
+    this.renderColumnMapping();
+    ErrorHandler.hideFieldError('#csv-file-input');
+    ErrorHandler.hideFieldError('#batch-format');
+    LoadingStates.resetAllStates();
+    ErrorHandler.hideError();
+  }
+}
+
+// Initialize application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new QRBatchApp();
+  app.init();
+
+  // Make app available globally for debugging
+  window.QRBatchApp = app;
+});
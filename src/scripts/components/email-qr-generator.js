@@ -1,18 +1,10 @@
-import QRCode from 'qrcode';
+import { QRRenderer } from './qr-renderer.js';
 
 export class EmailQRGenerator {
     constructor() {
-        this.qrOptions = {
-            errorCorrectionLevel: 'M',
-            type: 'image/png',
-            quality: 0.92,
-            margin: 1,
-            color: {
-                dark: '#000000',
-                light: '#FFFFFF'
-            },
-            width: 300
-        };
+        this.renderer = new QRRenderer({
+            margin: 1
+        });
     }
 
     /**
@@ -33,7 +25,7 @@ export class EmailQRGenerator {
             const mailtoUrl = this.createMailtoUrl(emailData);
 
             // Generate QR code
-            const qrCodeDataUrl = await QRCode.toCanvas(canvas, mailtoUrl, this.qrOptions);
+            await this.renderer.renderToCanvas(canvas, mailtoUrl);
             
             // Return the data URL for PDF generation
             return canvas.toDataURL('image/png');
@@ -111,7 +103,8 @@ export class EmailQRGenerator {
      */
     parseMailtoUrl(mailtoUrl) {
         try {
-            if (!mailtoUrl.startsWith('mailto:')) {
+            // URI schemes are case-insensitive, and QR codes often use MAILTO: for the denser alphanumeric mode
+            if (!/^mailto:/i.test(mailtoUrl)) {
                 throw new Error('Invalid mailto URL');
             }
 
@@ -155,7 +148,7 @@ export class EmailQRGenerator {
         try {
             this.validateEmailData(emailData);
             const mailtoUrl = this.createMailtoUrl(emailData);
-            return await QRCode.toDataURL(mailtoUrl, this.qrOptions);
+            return await this.renderer.toDataURL(mailtoUrl);
         } catch (error) {
             console.error('Error generating email QR data URL:', error);
             throw new Error('Failed to generate email QR code');
@@ -167,7 +160,15 @@ export class EmailQRGenerator {
      * @param {Object} options - New QR code options
      */
     updateQROptions(options) {
-        this.qrOptions = { ...this.qrOptions, ...options };
+        this.renderer.setOptions(options);
+    }
+
+    /**
+     * Read the last email QR code back and compare it with the mailto URL
+     * @returns {Object} { passed, expected, decoded, error }
+     */
+    verifyQR() {
+        return this.renderer.verifyLast();
     }
 
     /**
@@ -175,6 +176,22 @@ export class EmailQRGenerator {
      * @returns {Object} Current QR code options
      */
     getQROptions() {
-        return { ...this.qrOptions };
+        return this.renderer.getOptions();
+    }
+
+    /**
+     * Download the last email QR code as PNG, SVG or EPS
+     * @param {string} filename - File name (the extension follows the format)
+     * @param {string} format - png, svg or eps
+     * @returns {Promise<boolean>} Whether the download was started
+     */
+    async downloadQR(filename = 'email-qr-code.png', format = 'png') {
+        try {
+            await this.renderer.downloadLast(filename, format);
+            return true;
+        } catch (error) {
+            console.error('QR download error:', error);
+            return false;
+        }
     }
 }
@@ -1,19 +1,12 @@
 // Event QR Generator Component
-import QRCode from 'qrcode';
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
+import { ContentLines } from '../utils/content-lines.js';
 
 export class EventQRGenerator {
   constructor() {
     this.canvas = null;
-    this.qrOptions = {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      errorCorrectionLevel: 'M'
-    };
+    this.renderer = new QRRenderer();
   }
 
   async init() {
@@ -47,7 +40,9 @@ export class EventQRGenerator {
 
     // Start and end dates/times
     const startDateTime = this.formatICalDateTime(eventData.startDate, eventData.startTime, eventData.allDay);
-    const endDateTime = this.formatICalDateTime(eventData.endDate, eventData.endTime, eventData.allDay);
+    // All-day DTEND is exclusive (RFC 5545), so it names the day after the form's end date
+    const endDate = eventData.allDay ? this.shiftFormDate(eventData.endDate, 1) : eventData.endDate;
+    const endDateTime = this.formatICalDateTime(endDate, eventData.endTime, eventData.allDay);
 
     if (eventData.allDay) {
       ical += `DTSTART;VALUE=DATE:${startDateTime}\n`;
@@ -104,10 +99,27 @@ export class EventQRGenerator {
     return ical;
   }
 
+  // A form date (YYYY-MM-DD) and optional time (HH:MM) in local time; new Date('YYYY-MM-DD') would be UTC midnight
+  toLocalDate(date, time = '') {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours = 0, minutes = 0] = time ? time.split(':').map(Number) : [];
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+
+  // Move a form date (YYYY-MM-DD) by whole days, in local time
+  shiftFormDate(date, days) {
+    if (!date) return date;
+
+    const dateObj = this.toLocalDate(date);
+    dateObj.setDate(dateObj.getDate() + days);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${dateObj.getFullYear()}-${pad(dateObj.getMonth() + 1)}-${pad(dateObj.getDate())}`;
+  }
+
   formatICalDateTime(date, time, isAllDay) {
     if (!date) return '';
 
-    const dateObj = new Date(date);
+    const dateObj = this.toLocalDate(date);
     
     if (isAllDay) {
       // For all-day events, return YYYYMMDD format
@@ -127,6 +139,63 @@ export class EventQRGenerator {
     return dateObj.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
   }
 
+  /**
+   * "Add to calendar" links that open the event in Google Calendar or Outlook on the web
+   * @param {Object} eventData - Form data, as for generateICalString
+   * @returns {Object} { google, outlook, office365 } URLs
+   */
+  getCalendarLinks(eventData) {
+    const allDay = Boolean(eventData.allDay);
+    const start = this.toLocalDate(eventData.startDate, allDay ? '' : eventData.startTime);
+    // Calendar links take an exclusive all-day end, as the .ics file does
+    const end = allDay
+      ? this.toLocalDate(this.shiftFormDate(eventData.endDate, 1))
+      : this.toLocalDate(eventData.endDate, eventData.endTime);
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const localDate = (date, separator) => [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())].join(separator);
+    const details = [eventData.eventDescription, eventData.eventUrl].filter(Boolean).join('\n\n');
+    const location = eventData.eventLocation || '';
+
+    // Google: YYYYMMDD or UTC YYYYMMDDTHHMMSSZ, as in the iCalendar file
+    const googleDate = (date) => (allDay ? localDate(date, '') : date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z');
+    const google = `https://calendar.google.com/calendar/render?${new URLSearchParams({
+      action: 'TEMPLATE',
+      text: eventData.eventTitle || '',
+      dates: `${googleDate(start)}/${googleDate(end)}`,
+      details,
+      location
+    })}`;
+
+    // Outlook: ISO 8601 dates; outlook.live.com serves personal accounts, outlook.office.com work ones
+    const outlookDate = (date) => (allDay ? localDate(date, '-') : date.toISOString());
+    const outlookQuery = new URLSearchParams({
+      path: '/calendar/action/compose',
+      rru: 'addevent',
+      subject: eventData.eventTitle || '',
+      startdt: outlookDate(start),
+      enddt: outlookDate(end),
+      allday: String(allDay),
+      body: details,
+      location
+    });
+
+    return {
+      google,
+      outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${outlookQuery}`,
+      office365: `https://outlook.office.com/calendar/0/deeplink/compose?${outlookQuery}`
+    };
+  }
+
+  /**
+   * Save the event as an .ics file
+   * @param {string} icalString - From generateICalString
+   * @param {string} filename - File name, with extension
+   */
+  downloadICS(icalString, filename = 'event.ics') {
+    ContentLines.download(filename, icalString, 'text/calendar');
+  }
+
   escapeICalText(text) {
     if (!text) return '';
     
@@ -138,6 +207,100 @@ export class EventQRGenerator {
       .replace(/\r/g, '');     // Remove carriage returns
   }
 
+  /**
+   * Read the first VEVENT of an iCalendar string back into form fields
+   * @param {string} icalString - VCALENDAR document or bare VEVENT
+   * @returns {Object|null} Event data shaped like the form (dates as YYYY-MM-DD, times as HH:MM in local time)
+   */
+  parseICalString(icalString) {
+    if (!/BEGIN:VEVENT/i.test(icalString || '')) {
+      return null;
+    }
+
+    const eventData = { allDay: false };
+    let inEvent = false;
+
+    ContentLines.parse(icalString).forEach(({ name, params, value }) => {
+      if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+        inEvent = true;
+        return;
+      }
+      if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+        inEvent = false;
+        return;
+      }
+      if (!inEvent) return;
+
+      switch (name) {
+        case 'SUMMARY':
+          eventData.eventTitle = ContentLines.unescape(value);
+          break;
+        case 'DESCRIPTION':
+          eventData.eventDescription = ContentLines.unescape(value);
+          break;
+        case 'LOCATION':
+          eventData.eventLocation = ContentLines.unescape(value);
+          break;
+        case 'URL':
+          eventData.eventUrl = value;
+          break;
+        case 'ORGANIZER': {
+          const email = value.replace(/^mailto:/i, '');
+          const name = params.CN ? ContentLines.unescape(params.CN) : '';
+          // The generator falls back to a placeholder address when only a name was given
+          if (email === 'noreply@qubex.it') {
+            eventData.eventOrganizer = name;
+          } else {
+            eventData.eventOrganizer = name ? `${name} <${email}>` : email;
+          }
+          break;
+        }
+        case 'DTSTART':
+        case 'DTEND': {
+          const parsed = this.parseICalDateTime(value);
+          if (!parsed) break;
+          const isDate = params.VALUE === 'DATE' || !parsed.time;
+          const prefix = name === 'DTSTART' ? 'start' : 'end';
+          // An all-day DTEND is exclusive; the form shows the last day of the event
+          eventData[`${prefix}Date`] = name === 'DTEND' && isDate ? this.shiftFormDate(parsed.date, -1) : parsed.date;
+          eventData[`${prefix}Time`] = parsed.time;
+          if (isDate) {
+            eventData.allDay = true;
+          }
+          break;
+        }
+      }
+    });
+
+    // Files that wrote an inclusive DTEND (DTEND equal to DTSTART) still make a one-day event
+    if (eventData.startDate && eventData.endDate && eventData.endDate < eventData.startDate) {
+      eventData.endDate = eventData.startDate;
+    }
+
+    return eventData;
+  }
+
+  // YYYYMMDD, YYYYMMDDTHHMMSS (floating) or YYYYMMDDTHHMMSSZ (UTC) to local form values
+  parseICalDateTime(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+      return { date: `${year}-${month}-${day}`, time: '' };
+    }
+
+    const dateObj = utc
+      ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+      : new Date(year, month - 1, day, hours, minutes, seconds);
+    const pad = (number) => String(number).padStart(2, '0');
+
+    return {
+      date: `${dateObj.getFullYear()}-${pad(dateObj.getMonth() + 1)}-${pad(dateObj.getDate())}`,
+      time: `${pad(dateObj.getHours())}:${pad(dateObj.getMinutes())}`
+    };
+  }
+
   async generateEventQR(eventData) {
     try {
       if (!this.canvas) {
@@ -178,7 +341,7 @@ export class EventQRGenerator {
       const icalString = this.generateICalString(eventData);
 
       // Generate QR code
-      await QRCode.toCanvas(this.canvas, icalString, this.qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, icalString);
 
       // Get data URL for PDF generation
       const dataURL = this.canvas.toDataURL('image/png');
@@ -198,13 +361,42 @@ export class EventQRGenerator {
     }
   }
 
-  clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  /**
+   * Download the last event QR code as PNG, SVG or EPS
+   * @param {string} filename - File name (the extension follows the format)
+   * @param {string} format - png, svg or eps
+   * @returns {Promise<boolean>} Whether the download was started
+   */
+  async downloadQR(filename = 'event-qr-code.png', format = 'png') {
+    try {
+      await this.renderer.downloadLast(filename, format);
+      return true;
+    } catch (error) {
+      console.error('QR download error:', error);
+      return false;
     }
   }
 
+  clearQR() {
+    this.renderer.clear(this.canvas);
+  }
+
+  /**
+   * Apply renderer options (colors, margin, logo) to the next event QR code
+   * @param {Object} options - Merged over the current renderer options
+   */
+  updateOptions(options) {
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * Decode the rendered event QR code and check the iCalendar text survives intact
+   * @returns {Object} { passed, expected, decoded, error }
+   */
+  verifyQR() {
+    return this.renderer.verifyLast();
+  }
+
   // Utility method to validate event data
   validateEventData(eventData) {
     const errors = [];
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { EventQRGenerator } from './event-qr-generator.js';
+
+const generator = new EventQRGenerator();
+
+const allDayEvent = {
+  eventTitle: 'Team offsite',
+  startDate: '2024-06-28',
+  endDate: '2024-06-30',
+  allDay: true
+};
+
+const timedEvent = {
+  eventTitle: 'Standup, daily',
+  startDate: '2024-06-01',
+  startTime: '09:30',
+  endDate: '2024-06-01',
+  endTime: '10:00',
+  allDay: false
+};
+
+// The UTC form of a local date and time, so the expectations hold in any time zone
+function utcStamp(year, month, day, hours, minutes) {
+  return new Date(year, month - 1, day, hours, minutes).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+describe('generateICalString', () => {
+  it('writes an exclusive DTEND for all-day events', () => {
+    const ical = generator.generateICalString(allDayEvent);
+
+    expect(ical).toContain('DTSTART;VALUE=DATE:20240628\n');
+    expect(ical).toContain('DTEND;VALUE=DATE:20240701\n');
+  });
+
+  it('ends a one-day event on the following day, across month and year boundaries', () => {
+    const ical = generator.generateICalString({ ...allDayEvent, startDate: '2024-12-31', endDate: '2024-12-31' });
+
+    expect(ical).toContain('DTSTART;VALUE=DATE:20241231\n');
+    expect(ical).toContain('DTEND;VALUE=DATE:20250101\n');
+  });
+
+  it('writes timed events in UTC', () => {
+    const ical = generator.generateICalString(timedEvent);
+
+    expect(ical).toContain(`DTSTART:${utcStamp(2024, 6, 1, 9, 30)}\n`);
+    expect(ical).toContain(`DTEND:${utcStamp(2024, 6, 1, 10, 0)}\n`);
+    expect(ical).toContain('SUMMARY:Standup\\, daily\n');
+  });
+});
+
+describe('parseICalString', () => {
+  it('reads all-day events back with the inclusive end date the form uses', () => {
+    const parsed = generator.parseICalString(generator.generateICalString(allDayEvent));
+
+    expect(parsed).toMatchObject({ eventTitle: 'Team offsite', startDate: '2024-06-28', endDate: '2024-06-30', allDay: true });
+  });
+
+  it('keeps a one-day event when the file wrote DTEND equal to DTSTART', () => {
+    const parsed = generator.parseICalString('BEGIN:VEVENT\nDTSTART;VALUE=DATE:20240628\nDTEND;VALUE=DATE:20240628\nEND:VEVENT');
+
+    expect(parsed).toMatchObject({ startDate: '2024-06-28', endDate: '2024-06-28', allDay: true });
+  });
+
+  it('reads timed events back in local time', () => {
+    const parsed = generator.parseICalString(generator.generateICalString(timedEvent));
+
+    expect(parsed).toMatchObject({
+      eventTitle: 'Standup, daily',
+      startDate: '2024-06-01',
+      startTime: '09:30',
+      endDate: '2024-06-01',
+      endTime: '10:00',
+      allDay: false
+    });
+  });
+
+  it('returns null without a VEVENT', () => {
+    expect(generator.parseICalString('BEGIN:VCARD\nEND:VCARD')).toBeNull();
+  });
+});
+
+describe('getCalendarLinks', () => {
+  it('uses the same exclusive end date as the .ics file for all-day events', () => {
+    const links = generator.getCalendarLinks(allDayEvent);
+
+    expect(new URL(links.google).searchParams.get('dates')).toBe('20240628/20240701');
+    const outlook = new URL(links.outlook).searchParams;
+    expect(outlook.get('startdt')).toBe('2024-06-28');
+    expect(outlook.get('enddt')).toBe('2024-07-01');
+    expect(outlook.get('allday')).toBe('true');
+  });
+
+  it('uses UTC times for timed events', () => {
+    const links = generator.getCalendarLinks(timedEvent);
+
+    expect(new URL(links.google).searchParams.get('dates')).toBe(`${utcStamp(2024, 6, 1, 9, 30)}/${utcStamp(2024, 6, 1, 10, 0)}`);
+    expect(new URL(links.office365).searchParams.get('enddt')).toBe(new Date(2024, 5, 1, 10, 0).toISOString());
+  });
+});
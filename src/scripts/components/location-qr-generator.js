@@ -1,19 +1,11 @@
 // Location QR Generator Component
-import QRCode from 'qrcode';
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 
 export class LocationQRGenerator {
   constructor() {
     this.canvas = null;
-    this.qrOptions = {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      errorCorrectionLevel: 'M'
-    };
+    this.renderer = new QRRenderer();
   }
 
   async init() {
@@ -172,6 +164,39 @@ export class LocationQRGenerator {
     return `geo:${lat},${lng}`;
   }
 
+  /**
+   * Parse a geo URI (RFC 5870), including an optional ?q= label
+   * @param {string} geoUri - e.g. geo:40.712800,-74.006000 or geo:0,0?q=Office
+   * @returns {Object|null} {latitude, longitude, label} or null when it isn't a valid geo URI
+   */
+  parseGeoUri(geoUri) {
+    const match = (geoUri || '').trim().match(/^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,[^;?]*)?(?:;[^?]*)?(?:\?(.*))?$/i);
+    if (!match) {
+      return null;
+    }
+
+    let latitude = parseFloat(match[1]);
+    let longitude = parseFloat(match[2]);
+    const query = new URLSearchParams(match[3] || '').get('q') || '';
+
+    // Android-style geo:0,0?q=lat,lng(Label) carries the position and label in the query
+    const queryMatch = query.match(/^(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)\s*(?:\(([^)]*)\))?$/);
+    if (queryMatch && latitude === 0 && longitude === 0) {
+      latitude = parseFloat(queryMatch[1]);
+      longitude = parseFloat(queryMatch[2]);
+    }
+
+    if (!this.validateCoordinates(latitude, longitude).isValid) {
+      return null;
+    }
+
+    return {
+      latitude,
+      longitude,
+      label: queryMatch ? (queryMatch[3] || '') : query
+    };
+  }
+
   /**
    * Generate Location QR code
    * @param {Object} locationData 
@@ -207,7 +232,7 @@ export class LocationQRGenerator {
       const geoUri = this.generateGeoUri(latitude, longitude);
 
       // Generate QR code
-      await QRCode.toCanvas(this.canvas, geoUri, this.qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, geoUri);
 
       // Get data URL for PDF generation
       const dataURL = this.canvas.toDataURL('image/png');
@@ -231,14 +256,27 @@ export class LocationQRGenerator {
     }
   }
 
+  /**
+   * Download the last location QR code as PNG, SVG or EPS
+   * @param {string} filename - File name (the extension follows the format)
+   * @param {string} format - png, svg or eps
+   * @returns {Promise<boolean>} Whether the download was started
+   */
+  async downloadQR(filename = 'location-qr-code.png', format = 'png') {
+    try {
+      await this.renderer.downloadLast(filename, format);
+      return true;
+    } catch (error) {
+      console.error('QR download error:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear the QR code canvas
    */
   clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.renderer.clear(this.canvas);
   }
 
   /**
@@ -246,6 +284,14 @@ export class LocationQRGenerator {
    * @param {Object} options 
    */
   updateOptions(options) {
-    this.qrOptions = { ...this.qrOptions, ...options };
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * Check the rendered location QR code decodes to the same geo/maps content
+   * @returns {Object} { passed, expected, decoded, error }
+   */
+  verifyQR() {
+    return this.renderer.verifyLast();
   }
 }
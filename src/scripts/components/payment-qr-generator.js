@@ -1,18 +1,11 @@
-import QRCode from 'https://cdn.skypack.dev/qrcode';
+import { QRRenderer } from './qr-renderer.js';
 
 export class PaymentQRGenerator {
     constructor() {
-        this.qrOptions = {
-            errorCorrectionLevel: 'M',
-            type: 'image/png',
-            quality: 0.92,
-            margin: 1,
-            color: {
-                dark: '#000000',
-                light: '#FFFFFF'
-            },
-            width: 256
-        };
+        this.renderer = new QRRenderer({
+            width: 256,
+            margin: 1
+        });
     }
 
     async generateQR(paymentString) {
@@ -23,7 +16,7 @@ export class PaymentQRGenerator {
             }
 
             // Generate QR code data URL
-            const qrDataURL = await QRCode.toDataURL(paymentString, this.qrOptions);
+            const qrDataURL = await this.renderer.toDataURL(paymentString);
             
             return {
                 dataURL: qrDataURL,
@@ -36,6 +29,22 @@ export class PaymentQRGenerator {
         }
     }
 
+    /**
+     * Update renderer options (colors, margin, logo) for the next payment QR code
+     * @param {Object} options - Merged over the current renderer options
+     */
+    updateOptions(options) {
+        this.renderer.setOptions(options);
+    }
+
+    /**
+     * Decode the last payment QR code and compare it with the payment string
+     * @returns {Object} { passed, expected, decoded, error }
+     */
+    verifyQR() {
+        return this.renderer.verifyLast();
+    }
+
     displayQR(canvasElement, qrData) {
         if (!canvasElement || !qrData) {
             throw new Error('Canvas element and QR data are required');
@@ -76,16 +85,8 @@ export class PaymentQRGenerator {
 
     async generateQRCanvas(paymentString, size = 256) {
         try {
-            const options = {
-                ...this.qrOptions,
-                width: size
-            };
-            
-            // Create a temporary canvas
-            const canvas = document.createElement('canvas');
-            await QRCode.toCanvas(canvas, paymentString, options);
-            
-            return canvas;
+            // Render on a temporary canvas
+            return await this.renderer.createCanvas(paymentString, { width: size });
         } catch (error) {
             console.error('Error generating QR canvas:', error);
             throw new Error('Failed to generate QR canvas: ' + error.message);
@@ -306,4 +307,20 @@ export class PaymentQRGenerator {
         
         return { type: 'iban', raw: paymentString };
     }
+
+    /**
+     * Download the last payment QR code as PNG, SVG or EPS
+     * @param {string} filename - File name (the extension follows the format)
+     * @param {string} format - png, svg or eps
+     * @returns {Promise<boolean>} Whether the download was started
+     */
+    async downloadQR(filename = 'payment-qr-code.png', format = 'png') {
+        try {
+            await this.renderer.downloadLast(filename, format);
+            return true;
+        } catch (error) {
+            console.error('QR download error:', error);
+            return false;
+        }
+    }
 }
@@ -0,0 +1,290 @@
+// PDF branding picker for results pages: choose, create, edit or delete saved profiles (BrandingProfiles)
+import { DEFAULT_BRANDING, PAGE_SIZES, PDF_FONTS, QR_SIZE_RANGE } from './pdf-generator.js';
+import { QRLogoControls } from './qr-logo-controls.js';
+import { BrandingProfiles } from '../utils/branding-profiles.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { ErrorHandler } from '../utils/error-handler.js';
+
+// jsPDF embeds PNG and JPEG; logos are stored in localStorage, so keep them small
+const ACCEPTED_LOGO_TYPES = ['image/png', 'image/jpeg'];
+const MAX_LOGO_BYTES = 200 * 1024;
+
+const ORIENTATIONS = {
+  portrait: 'Portrait',
+  landscape: 'Landscape'
+};
+
+export class PDFBrandingPicker {
+  /**
+   * @param {string} containerSelector - Placeholder element the picker is rendered into
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onChange - Called with the chosen profile (or null for the default) on load and on every change
+   */
+  constructor(containerSelector = '#pdf-branding', { onChange = () => {} } = {}) {
+    this.container = DOMHelpers.$(containerSelector);
+    this.onChange = onChange;
+    // Profile being edited ({} for a new one), and its logo
+    this.editing = null;
+    this.logo = null;
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.render();
+    this.attachEventListeners();
+    this.renderProfileOptions(BrandingProfiles.getSelectedId());
+    this.emitChange();
+  }
+
+  static renderOptions(options) {
+    return Object.entries(options)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+  }
+
+  render() {
+    DOMHelpers.setHTML(this.container, `
+      <details id="branding-panel" class="rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+        <summary class="cursor-pointer select-none px-4 py-3 font-medium text-gray-700 dark:text-gray-300">PDF style</summary>
+        <div class="space-y-4 px-4 pb-4">
+          <div class="flex flex-col sm:flex-row gap-3 sm:items-end">
+            <div class="flex-1">
+              <label for="branding-profile-select" class="form-label">Branding profile</label>
+              <select id="branding-profile-select" class="form-input"></select>
+            </div>
+            <div class="flex gap-2">
+              <button type="button" id="branding-new-btn" class="btn-secondary text-sm">New</button>
+              <button type="button" id="branding-edit-btn" class="btn-secondary text-sm">Edit</button>
+              <button type="button" id="branding-delete-btn" class="btn-secondary text-sm">Delete</button>
+            </div>
+          </div>
+
+          <div id="branding-editor" class="hidden space-y-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+            <div>
+              <label for="branding-name-input" class="form-label">Profile name</label>
+              <input type="text" id="branding-name-input" maxlength="40" class="form-input">
+              <div id="branding-name-input-error" class="form-error hidden"></div>
+            </div>
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label for="branding-header-input" class="form-label">Header text</label>
+                <input type="text" id="branding-header-input" maxlength="80" class="form-input" placeholder="Acme Hotel">
+              </div>
+              <div>
+                <label for="branding-footer-input" class="form-label">Footer text</label>
+                <input type="text" id="branding-footer-input" maxlength="80" class="form-input">
+              </div>
+            </div>
+            <div>
+              <label for="branding-cta-input" class="form-label">Call to action (under the code)</label>
+              <input type="text" id="branding-cta-input" maxlength="60" class="form-input" placeholder="Scan to connect">
+            </div>
+            <div class="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              <div>
+                <label for="branding-accent-input" class="form-label">Accent color</label>
+                <input type="color" id="branding-accent-input" class="h-10 w-full rounded border border-gray-300 dark:border-gray-600">
+              </div>
+              <div>
+                <label for="branding-font-select" class="form-label">Font</label>
+                <select id="branding-font-select" class="form-input">${PDFBrandingPicker.renderOptions(PDF_FONTS)}</select>
+              </div>
+              <div>
+                <label for="branding-qr-size-input" class="form-label">QR size (mm)</label>
+                <input type="number" id="branding-qr-size-input" min="${QR_SIZE_RANGE.min}" max="${QR_SIZE_RANGE.max}" step="5" class="form-input">
+              </div>
+              <div>
+                <label for="branding-page-size-select" class="form-label">Page size</label>
+                <select id="branding-page-size-select" class="form-input">${PDFBrandingPicker.renderOptions(
+                  Object.fromEntries(Object.entries(PAGE_SIZES).map(([id, { label }]) => [id, label]))
+                )}</select>
+              </div>
+              <div>
+                <label for="branding-orientation-select" class="form-label">Orientation</label>
+                <select id="branding-orientation-select" class="form-input">${PDFBrandingPicker.renderOptions(ORIENTATIONS)}</select>
+              </div>
+            </div>
+            <div>
+              <label for="branding-logo-input" class="form-label">Header logo (optional)</label>
+              <input type="file" id="branding-logo-input" accept="${ACCEPTED_LOGO_TYPES.join(',')}" class="form-input">
+              <div id="branding-logo-input-error" class="form-error hidden"></div>
+              <p class="text-sm text-gray-600 dark:text-gray-400 mt-1">PNG or JPEG up to 200 KB. Profiles are saved in this browser only.</p>
+              <div id="branding-logo-settings" class="hidden flex items-center gap-4 mt-2">
+                <img id="branding-logo-preview" alt="Header logo preview" class="h-10 max-w-[8rem] object-contain rounded border border-gray-200 dark:border-gray-600 bg-white">
+                <button type="button" id="branding-logo-remove-btn" class="btn-secondary text-sm">Remove logo</button>
+              </div>
+            </div>
+            <div id="branding-editor-error" class="form-error hidden"></div>
+            <div class="flex gap-2">
+              <button type="button" id="branding-save-btn" class="btn-primary text-sm">Save profile</button>
+              <button type="button" id="branding-cancel-btn" class="btn-secondary text-sm">Cancel</button>
+            </div>
+          </div>
+        </div>
+      </details>
+    `);
+  }
+
+  attachEventListeners() {
+    DOMHelpers.$('#branding-profile-select').addEventListener('change', (e) => {
+      BrandingProfiles.setSelectedId(e.target.value || null);
+      this.closeEditor();
+      this.updateButtons();
+      this.emitChange();
+    });
+
+    DOMHelpers.$('#branding-new-btn').addEventListener('click', () => this.openEditor({}));
+    DOMHelpers.$('#branding-edit-btn').addEventListener('click', () => {
+      const profile = this.getSelectedProfile();
+      if (profile) {
+        this.openEditor(profile);
+      }
+    });
+    DOMHelpers.$('#branding-delete-btn').addEventListener('click', () => this.deleteSelected());
+    DOMHelpers.$('#branding-save-btn').addEventListener('click', () => this.saveProfile());
+    DOMHelpers.$('#branding-cancel-btn').addEventListener('click', () => this.closeEditor());
+    DOMHelpers.$('#branding-logo-remove-btn').addEventListener('click', () => this.setLogo(null));
+
+    const logoInput = DOMHelpers.$('#branding-logo-input');
+    logoInput.addEventListener('change', () => {
+      const file = logoInput.files && logoInput.files[0];
+      if (file) {
+        this.loadLogo(file);
+      }
+    });
+  }
+
+  // Profile names are user input, so options are built as text
+  renderProfileOptions(selectedId) {
+    const select = DOMHelpers.$('#branding-profile-select');
+    const profiles = BrandingProfiles.getAll();
+
+    select.replaceChildren(
+      new Option(`Default (${DEFAULT_BRANDING.name})`, ''),
+      ...profiles.map(profile => new Option(profile.name, profile.id))
+    );
+    select.value = profiles.some(profile => profile.id === selectedId) ? selectedId : '';
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    const hasProfile = Boolean(this.getSelectedProfile());
+    DOMHelpers.$('#branding-edit-btn').disabled = !hasProfile;
+    DOMHelpers.$('#branding-delete-btn').disabled = !hasProfile;
+  }
+
+  getSelectedProfile() {
+    const id = DOMHelpers.$('#branding-profile-select').value;
+    return id ? BrandingProfiles.get(id) : null;
+  }
+
+  openEditor(profile) {
+    const values = { ...DEFAULT_BRANDING, ...profile };
+    this.editing = profile;
+
+    DOMHelpers.$('#branding-name-input').value = profile.name || '';
+    DOMHelpers.$('#branding-header-input').value = values.headerText;
+    DOMHelpers.$('#branding-footer-input').value = values.footerText;
+    DOMHelpers.$('#branding-cta-input').value = values.callToAction;
+    DOMHelpers.$('#branding-accent-input').value = values.accentColor;
+    DOMHelpers.$('#branding-font-select').value = values.font;
+    DOMHelpers.$('#branding-qr-size-input').value = values.qrSize;
+    DOMHelpers.$('#branding-page-size-select').value = values.pageSize;
+    DOMHelpers.$('#branding-orientation-select').value = values.orientation;
+    this.setLogo(values.logo);
+
+    ErrorHandler.hideFieldError('#branding-name-input');
+    ErrorHandler.hideFieldError('#branding-editor');
+    DOMHelpers.show('#branding-editor');
+    DOMHelpers.$('#branding-name-input').focus();
+  }
+
+  closeEditor() {
+    this.editing = null;
+    this.setLogo(null);
+    DOMHelpers.hide('#branding-editor');
+  }
+
+  async loadLogo(file) {
+    ErrorHandler.hideFieldError('#branding-logo-input');
+
+    if (!ACCEPTED_LOGO_TYPES.includes(file.type)) {
+      ErrorHandler.showFieldError('#branding-logo-input', 'Please choose a PNG or JPEG image');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      ErrorHandler.showFieldError('#branding-logo-input', 'The logo must be 200 KB or smaller');
+      return;
+    }
+
+    try {
+      this.setLogo(await QRLogoControls.readAsDataURL(file));
+    } catch (error) {
+      console.error('Branding logo read error:', error);
+      ErrorHandler.showFieldError('#branding-logo-input', 'The logo could not be read');
+    }
+  }
+
+  setLogo(src) {
+    this.logo = src || null;
+    DOMHelpers.$('#branding-logo-input').value = '';
+
+    const preview = DOMHelpers.$('#branding-logo-preview');
+    if (this.logo) {
+      preview.src = this.logo;
+      DOMHelpers.show('#branding-logo-settings');
+    } else {
+      preview.removeAttribute('src');
+      DOMHelpers.hide('#branding-logo-settings');
+    }
+  }
+
+  saveProfile() {
+    if (!this.editing) return;
+
+    const name = DOMHelpers.$('#branding-name-input').value.trim();
+    if (!name) {
+      ErrorHandler.showFieldError('#branding-name-input', 'Please name the profile');
+      return;
+    }
+    ErrorHandler.hideFieldError('#branding-name-input');
+
+    const qrSize = Number(DOMHelpers.$('#branding-qr-size-input').value);
+    try {
+      const saved = BrandingProfiles.save({
+        id: this.editing.id,
+        name,
+        headerText: DOMHelpers.$('#branding-header-input').value.trim(),
+        footerText: DOMHelpers.$('#branding-footer-input').value.trim(),
+        callToAction: DOMHelpers.$('#branding-cta-input').value.trim(),
+        accentColor: DOMHelpers.$('#branding-accent-input').value,
+        font: DOMHelpers.$('#branding-font-select').value,
+        qrSize: Math.min(QR_SIZE_RANGE.max, Math.max(QR_SIZE_RANGE.min, qrSize || DEFAULT_BRANDING.qrSize)),
+        pageSize: DOMHelpers.$('#branding-page-size-select').value,
+        orientation: DOMHelpers.$('#branding-orientation-select').value,
+        logo: this.logo
+      });
+
+      BrandingProfiles.setSelectedId(saved.id);
+      this.closeEditor();
+      this.renderProfileOptions(saved.id);
+      this.emitChange();
+    } catch (error) {
+      ErrorHandler.showFieldError('#branding-editor', error.message);
+    }
+  }
+
+  deleteSelected() {
+    const profile = this.getSelectedProfile();
+    if (!profile || !window.confirm(`Delete the "${profile.name}" profile?`)) return;
+
+    BrandingProfiles.remove(profile.id);
+    this.closeEditor();
+    this.renderProfileOptions(null);
+    this.emitChange();
+  }
+
+  emitChange() {
+    this.onChange(this.getSelectedProfile());
+  }
+}
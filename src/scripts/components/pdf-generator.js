@@ -2,93 +2,342 @@
 import { jsPDF } from 'jspdf';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 
+const MM_PER_INCH = 25.4;
+
+// Sheet sizes for print templates, portrait, in mm
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'US Letter', width: 8.5 * MM_PER_INCH, height: 11 * MM_PER_INCH }
+};
+
+// Print templates, in mm. `labels` are pre-cut sheets with a fixed page and grid (bleed and crop marks
+// don't apply); `cards` are tiled onto the chosen page to be cut out; a `tent` fills the page and is folded
+// across the middle, so its top panel is printed upside down.
+export const PRINT_TEMPLATES = {
+  'avery-5160': {
+    label: 'Avery 5160 address labels (30 per Letter sheet)',
+    kind: 'labels',
+    pageSize: 'letter',
+    width: 2.625 * MM_PER_INCH,
+    height: 1 * MM_PER_INCH,
+    columns: 3,
+    rows: 10,
+    left: 0.1875 * MM_PER_INCH,
+    top: 0.5 * MM_PER_INCH,
+    pitchX: 2.75 * MM_PER_INCH,
+    pitchY: 1 * MM_PER_INCH,
+    fontSize: 8
+  },
+  'avery-5163': {
+    label: 'Avery 5163 shipping labels (10 per Letter sheet)',
+    kind: 'labels',
+    pageSize: 'letter',
+    width: 4 * MM_PER_INCH,
+    height: 2 * MM_PER_INCH,
+    columns: 2,
+    rows: 5,
+    left: 0.15625 * MM_PER_INCH,
+    top: 0.5 * MM_PER_INCH,
+    pitchX: 4.1875 * MM_PER_INCH,
+    pitchY: 2 * MM_PER_INCH,
+    fontSize: 10
+  },
+  'avery-l7160': {
+    label: 'Avery L7160 labels (21 per A4 sheet)',
+    kind: 'labels',
+    pageSize: 'a4',
+    width: 63.5,
+    height: 38.1,
+    columns: 3,
+    rows: 7,
+    left: 7.25,
+    top: 15.15,
+    pitchX: 66.04,
+    pitchY: 38.1,
+    fontSize: 8
+  },
+  'avery-l7163': {
+    label: 'Avery L7163 labels (14 per A4 sheet)',
+    kind: 'labels',
+    pageSize: 'a4',
+    width: 99.1,
+    height: 38.1,
+    columns: 2,
+    rows: 7,
+    left: 4.65,
+    top: 15.15,
+    pitchX: 101.6,
+    pitchY: 38.1,
+    fontSize: 9
+  },
+  'business-card': {
+    label: 'Business cards (85 × 55 mm)',
+    kind: 'cards',
+    width: 85,
+    height: 55,
+    fontSize: 9
+  },
+  'business-card-us': {
+    label: 'US business cards (3.5 × 2 in)',
+    kind: 'cards',
+    width: 3.5 * MM_PER_INCH,
+    height: 2 * MM_PER_INCH,
+    fontSize: 9
+  },
+  'card-4x6': {
+    label: '4 × 6 in cards',
+    kind: 'cards',
+    width: 6 * MM_PER_INCH,
+    height: 4 * MM_PER_INCH,
+    fontSize: 14
+  },
+  'table-tent': {
+    label: 'Table tents (1 per sheet, fold in half)',
+    kind: 'tent',
+    fontSize: 20
+  }
+};
+
+// Crop marks start this far outside the bleed and are this long
+const CROP_MARK_OFFSET = 2;
+const CROP_MARK_LENGTH = 5;
+// Page margin for cut templates: printers can't print to the edge, and crop marks are drawn in it
+const SHEET_MARGIN = 10;
+
+// Branding profile for single-code PDFs; saved profiles (see BrandingProfiles) are merged over it
+export const DEFAULT_BRANDING = {
+  name: 'Qubex Tools',
+  logo: null, // PNG or JPEG data URL shown in the header
+  accentColor: '#000000', // Title, call to action and header rule
+  headerText: '',
+  footerText: 'Generated by Qubex Tools',
+  callToAction: '', // Printed under the code, e.g. "Scan to join our WiFi"
+  qrSize: 60, // mm
+  pageSize: 'a4', // Key of PAGE_SIZES
+  orientation: 'portrait',
+  font: 'helvetica' // One of PDF_FONTS
+};
+
+// Fonts built into every PDF viewer
+export const PDF_FONTS = {
+  helvetica: 'Helvetica',
+  times: 'Times',
+  courier: 'Courier'
+};
+
+// Smallest and largest QR size a profile can ask for, in mm
+export const QR_SIZE_RANGE = { min: 30, max: 150 };
+
+// Space kept free at the bottom of single-code pages for drawFooter, in mm
+const FOOTER_SPACE = 30;
+// Height of the call-to-action line, and the gap above it
+const CALL_TO_ACTION_HEIGHT = 12;
+const CALL_TO_ACTION_GAP = 10;
+
 export class PDFGenerator {
   constructor() {
-    this.defaultOptions = {
-      orientation: 'portrait',
+    this.branding = { ...DEFAULT_BRANDING };
+  }
+
+  /**
+   * Use a branding profile for the next single-code PDFs
+   * @param {Object|null} profile - Merged over DEFAULT_BRANDING; null restores the defaults
+   */
+  setBranding(profile) {
+    this.branding = { ...DEFAULT_BRANDING, ...(profile || {}) };
+  }
+
+  getBranding() {
+    return this.branding;
+  }
+
+  // New document in the profile's page size, orientation and font
+  createDocument(title, subject) {
+    const { pageSize, orientation, font } = this.branding;
+    const page = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const pdf = new jsPDF({
+      orientation: orientation === 'landscape' ? 'landscape' : 'portrait',
       unit: 'mm',
-      format: 'a4'
-    };
+      format: [page.width, page.height]
+    });
+
+    pdf.setProperties({
+      title: title,
+      subject: subject,
+      author: this.branding.name,
+      creator: 'Qubex Tools'
+    });
+    pdf.setFont(PDF_FONTS[font] ? font : DEFAULT_BRANDING.font);
+
+    return pdf;
+  }
+
+  /**
+   * Draw the profile's logo and header text with an accent rule below them
+   * @returns {number} How far (mm) the rest of the page has to move down
+   */
+  drawHeader(pdf) {
+    const { logo, headerText, accentColor } = this.branding;
+    if (!logo && !headerText) {
+      return 0;
+    }
+
+    const pageWidth = pdf.internal.pageSize.width;
+    const logoHeight = 12;
+    let textX = 20;
+
+    if (logo) {
+      try {
+        const { width, height } = pdf.getImageProperties(logo);
+        const logoWidth = Math.min(60, logoHeight * (width / height));
+        pdf.addImage(logo, 20, 10, logoWidth, logoHeight);
+        textX += logoWidth + 5;
+      } catch (error) {
+        console.warn('Unable to add the branding logo to the PDF');
+      }
+    }
+
+    if (headerText) {
+      pdf.setFontSize(11);
+      pdf.setFont(undefined, 'normal');
+      pdf.setTextColor(80, 80, 80);
+      pdf.text(pdf.splitTextToSize(headerText, pageWidth - textX - 20)[0], textX, 18);
+    }
+
+    pdf.setDrawColor(accentColor);
+    pdf.setLineWidth(0.5);
+    pdf.line(20, 26, pageWidth - 20, 26);
+    pdf.setTextColor(0, 0, 0);
+
+    return 20;
+  }
+
+  // Footer text and date at the bottom of the current page
+  drawFooter(pdf) {
+    const pageHeight = pdf.internal.pageSize.height;
+    pdf.setFontSize(8);
+    pdf.setFont(undefined, 'normal');
+    pdf.setTextColor(128, 128, 128);
+    if (this.branding.footerText) {
+      pdf.text(this.branding.footerText, 20, pageHeight - 20);
+    }
+    pdf.text(new Date().toLocaleDateString(), 20, pageHeight - 15);
+  }
+
+  // Call-to-action line centered under the code; returns the height it used
+  drawCallToAction(pdf, y) {
+    const { callToAction, accentColor } = this.branding;
+    if (!callToAction) {
+      return 0;
+    }
+
+    pdf.setFontSize(14);
+    pdf.setFont(undefined, 'bold');
+    pdf.setTextColor(accentColor);
+    pdf.text(callToAction, pdf.internal.pageSize.width / 2, y, { align: 'center' });
+    pdf.setTextColor(0, 0, 0);
+    return CALL_TO_ACTION_HEIGHT;
+  }
+
+  /**
+   * Profile QR size, clamped to QR_SIZE_RANGE and to what fits on the page
+   * @param {Object} pdf - Document, for its page size; without it only the range applies
+   * @param {number} qrY - Top of the code (mm)
+   * @param {number} below - Room (mm) needed under the code besides the call to action
+   * @returns {number} Size in mm
+   */
+  getQRSize(pdf = null, qrY = 0, below = 0) {
+    const size = Number(this.branding.qrSize) || DEFAULT_BRANDING.qrSize;
+    const clamped = Math.min(QR_SIZE_RANGE.max, Math.max(QR_SIZE_RANGE.min, size));
+    if (!pdf) {
+      return clamped;
+    }
+
+    // A large code on a landscape page would run into the call to action and the footer
+    const { width, height } = pdf.internal.pageSize;
+    const callToAction = this.branding.callToAction ? CALL_TO_ACTION_GAP + CALL_TO_ACTION_HEIGHT : 0;
+    return Math.min(clamped, width - 40, height - FOOTER_SPACE - callToAction - below - qrY);
   }
 
   async generatePDF(qrDataURL, title = 'QR Code', subtitle = '', details = []) {
     try {
-      const pdf = new jsPDF(this.defaultOptions);
-      
-      // Set up document properties
-      pdf.setProperties({
-        title: title,
-        subject: 'Generated QR Code',
-        author: 'Qubex Tools',
-        creator: 'Qubex Tools'
-      });
+      const pdf = this.createDocument(title, 'Generated QR Code');
+      const pageWidth = pdf.internal.pageSize.width;
+      const top = this.drawHeader(pdf);
 
       // Add title
       pdf.setFontSize(20);
       pdf.setFont(undefined, 'bold');
-      pdf.text(title, 20, 30);
+      pdf.setTextColor(this.branding.accentColor);
+      pdf.text(title, 20, top + 30);
 
       // Add subtitle if provided
       if (subtitle) {
         pdf.setFontSize(14);
         pdf.setFont(undefined, 'normal');
         pdf.setTextColor(100, 100, 100);
-        pdf.text(subtitle, 20, 40);
+        pdf.text(subtitle, 20, top + 40);
       }
 
-      // Add QR code
+      // Add QR code, centered
+      const qrY = top + (subtitle ? 60 : 50);
+      const qrSize = this.getQRSize(pdf, qrY);
       if (qrDataURL) {
-        const qrSize = 60; // mm
-        const qrX = (210 - qrSize) / 2; // Center on A4 width
-        const qrY = subtitle ? 60 : 50;
-        
+        const qrX = (pageWidth - qrSize) / 2;
         pdf.addImage(qrDataURL, 'PNG', qrX, qrY, qrSize, qrSize);
       }
 
       // Add details
-      let yPosition = subtitle ? 140 : 130;
+      let yPosition = qrY + qrSize + CALL_TO_ACTION_GAP;
+      yPosition += this.drawCallToAction(pdf, yPosition);
+      yPosition += 10;
       pdf.setTextColor(0, 0, 0); // Reset to black
+      const maxWidth = pageWidth - 40; // mm
+      const bottom = pdf.internal.pageSize.height - FOOTER_SPACE;
       
       if (details && details.length > 0) {
         details.forEach((detail, index) => {
           if (detail) {
-            pdf.setFontSize(12);
-            pdf.setFont(undefined, 'bold');
-            
             // Split detail into label and value if it contains ':'
             const colonIndex = detail.indexOf(':');
-            if (colonIndex > 0) {
-              const label = detail.substring(0, colonIndex + 1);
-              const value = detail.substring(colonIndex + 1).trim();
-              
+            const label = colonIndex > 0 ? detail.substring(0, colonIndex + 1) : '';
+            const value = colonIndex > 0 ? detail.substring(colonIndex + 1).trim() : detail;
+
+            // Handle long values by splitting them
+            pdf.setFontSize(10);
+            const valueLines = pdf.splitTextToSize(value, maxWidth);
+            const labelHeight = label ? 8 : 0;
+
+            // Details that would reach the footer continue on a new page
+            if (yPosition + labelHeight + valueLines.length * 4 > bottom) {
+              pdf.addPage();
+              yPosition = 20;
+            }
+
+            if (label) {
+              pdf.setFontSize(12);
+              pdf.setFont(undefined, 'bold');
               pdf.text(label, 20, yPosition);
-              
-              pdf.setFont(undefined, 'normal');
-              pdf.setFontSize(10);
-              
-              // Handle long values by splitting them
-              const maxWidth = 170; // mm
-              const valueLines = pdf.splitTextToSize(value, maxWidth);
-              pdf.text(valueLines, 20, yPosition + 8);
-              
-              yPosition += 8 + (valueLines.length * 4) + 8;
-            } else {
-              pdf.setFontSize(10);
-              pdf.setFont(undefined, 'normal');
-              const detailLines = pdf.splitTextToSize(detail, 170);
-              pdf.text(detailLines, 20, yPosition);
-              yPosition += detailLines.length * 4 + 8;
             }
+
+            pdf.setFont(undefined, 'normal');
+            pdf.setFontSize(10);
+            pdf.text(valueLines, 20, yPosition + labelHeight);
+            yPosition += labelHeight + valueLines.length * 4 + 8;
           }
         });
       }
 
-      // Add footer
-      const pageHeight = pdf.internal.pageSize.height;
-      pdf.setFontSize(8);
-      pdf.setTextColor(128, 128, 128);
-      pdf.text('Generated by Qubex Tools', 20, pageHeight - 20);
-      pdf.text(new Date().toLocaleDateString(), 20, pageHeight - 15);
+      // Add footer to all pages
+      const totalPages = pdf.internal.getNumberOfPages();
+      for (let i = 1; i <= totalPages; i++) {
+        pdf.setPage(i);
+        this.drawFooter(pdf);
+
+        if (totalPages > 1) {
+          pdf.text(`Page ${i} of ${totalPages}`, pageWidth - 40, pdf.internal.pageSize.height - 15);
+        }
+      }
 
       return {
         success: true,
@@ -161,38 +410,35 @@ export class PDFGenerator {
 
   async generateTextQRPDF(qrDataURL, textContent, filename = 'text-qr-code.pdf') {
     try {
-      const pdf = new jsPDF(this.defaultOptions);
-      
-      // Set up document properties
-      pdf.setProperties({
-        title: 'Plain Text QR Code',
-        subject: 'Generated Text QR Code',
-        author: 'Qubex Tools',
-        creator: 'Qubex Tools'
-      });
+      const pdf = this.createDocument('Plain Text QR Code', 'Generated Text QR Code');
+      const pageWidth = pdf.internal.pageSize.width;
+      const top = this.drawHeader(pdf);
 
       // Add title
       pdf.setFontSize(20);
       pdf.setFont(undefined, 'bold');
-      pdf.text('Plain Text QR Code', 20, 30);
+      pdf.setTextColor(this.branding.accentColor);
+      pdf.text('Plain Text QR Code', 20, top + 30);
 
       // Add subtitle
       pdf.setFontSize(12);
       pdf.setFont(undefined, 'normal');
       pdf.setTextColor(100, 100, 100);
-      pdf.text('Scan this QR code to view the text content', 20, 40);
+      pdf.text('Scan this QR code to view the text content', 20, top + 40);
 
-      // Add QR code
+      // Add QR code, centered
+      const qrY = top + 55;
+      // Keep the "Text Content:" heading above the footer
+      const qrSize = this.getQRSize(pdf, qrY, 15);
       if (qrDataURL) {
-        const qrSize = 60; // mm
-        const qrX = (210 - qrSize) / 2; // Center on A4 width
-        const qrY = 55;
-        
+        const qrX = (pageWidth - qrSize) / 2;
         pdf.addImage(qrDataURL, 'PNG', qrX, qrY, qrSize, qrSize);
       }
 
       // Add text content section
-      let yPosition = 130;
+      let yPosition = qrY + qrSize + 5;
+      yPosition += this.drawCallToAction(pdf, yPosition + 5);
+      yPosition += 10;
       pdf.setTextColor(0, 0, 0); // Reset to black
       pdf.setFontSize(14);
       pdf.setFont(undefined, 'bold');
@@ -204,12 +450,12 @@ export class PDFGenerator {
       pdf.setFont(undefined, 'normal');
       
       // Handle long text by splitting it
-      const maxWidth = 170; // mm
+      const maxWidth = pageWidth - 40; // mm
       const textLines = pdf.splitTextToSize(textContent, maxWidth);
       
       // Check if text fits on one page
       const lineHeight = 4;
-      const availableHeight = pdf.internal.pageSize.height - yPosition - 30; // Leave space for footer
+      const availableHeight = pdf.internal.pageSize.height - yPosition - FOOTER_SPACE;
       const requiredHeight = textLines.length * lineHeight;
       
       if (requiredHeight > availableHeight) {
@@ -218,7 +464,7 @@ export class PDFGenerator {
         let currentPage = 1;
         
         for (let i = 0; i < textLines.length; i++) {
-          if (currentY > pdf.internal.pageSize.height - 30) {
+          if (currentY > pdf.internal.pageSize.height - FOOTER_SPACE) {
             // Add new page
             pdf.addPage();
             currentPage++;
@@ -245,14 +491,10 @@ export class PDFGenerator {
       const totalPages = pdf.internal.getNumberOfPages();
       for (let i = 1; i <= totalPages; i++) {
         pdf.setPage(i);
-        const pageHeight = pdf.internal.pageSize.height;
-        pdf.setFontSize(8);
-        pdf.setTextColor(128, 128, 128);
-        pdf.text('Generated by Qubex Tools', 20, pageHeight - 20);
-        pdf.text(new Date().toLocaleDateString(), 20, pageHeight - 15);
+        this.drawFooter(pdf);
         
         if (totalPages > 1) {
-          pdf.text(`Page ${i} of ${totalPages}`, 170, pageHeight - 15);
+          pdf.text(`Page ${i} of ${totalPages}`, pageWidth - 40, pdf.internal.pageSize.height - 15);
         }
       }
 
@@ -271,4 +513,302 @@ export class PDFGenerator {
       };
     }
   }
+
+  /**
+   * Work out where each cell of a print template sits on the page
+   * @param {string} templateId - Key of PRINT_TEMPLATES
+   * @param {Object} options - { pageSize, bleed, cropMarks }; labels ignore all three
+   * @returns {Object} { page: { width, height }, cells: [{ x, y, width, height }], bleed, cutsX, cutsY, cropMarks }
+   */
+  static getSheetLayout(templateId, { pageSize = 'a4', bleed = 0, cropMarks = false } = {}) {
+    const template = PRINT_TEMPLATES[templateId];
+    if (!template) {
+      throw new Error(`Unknown print template "${templateId}"`);
+    }
+
+    if (template.kind === 'labels') {
+      const cells = [];
+      for (let row = 0; row < template.rows; row++) {
+        for (let column = 0; column < template.columns; column++) {
+          cells.push({
+            x: template.left + column * template.pitchX,
+            y: template.top + row * template.pitchY,
+            width: template.width,
+            height: template.height
+          });
+        }
+      }
+      return { page: PAGE_SIZES[template.pageSize], cells, bleed: 0, cutsX: [], cutsY: [], cropMarks: false };
+    }
+
+    const page = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const usableWidth = page.width - 2 * SHEET_MARGIN;
+    const usableHeight = page.height - 2 * SHEET_MARGIN;
+
+    let width = template.width;
+    let height = template.height;
+    if (template.kind === 'tent') {
+      // Front and back panels, one above the other, meeting at the fold
+      width = usableWidth - 2 * bleed;
+      height = usableHeight - 2 * bleed;
+    }
+
+    // Neighbouring cells are spaced so each keeps its own bleed
+    const pitchX = width + 2 * bleed;
+    const pitchY = height + 2 * bleed;
+    const columns = Math.floor(usableWidth / pitchX);
+    const rows = Math.floor(usableHeight / pitchY);
+    if (columns < 1 || rows < 1) {
+      throw new Error('This template does not fit on the selected page size with this bleed');
+    }
+
+    // Center the grid on the page
+    const left = (page.width - columns * pitchX) / 2 + bleed;
+    const top = (page.height - rows * pitchY) / 2 + bleed;
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        cells.push({ x: left + column * pitchX, y: top + row * pitchY, width, height });
+      }
+    }
+
+    // Trim lines the crop marks point at
+    const cutsX = [];
+    const cutsY = [];
+    for (let column = 0; column < columns; column++) {
+      cutsX.push(left + column * pitchX, left + column * pitchX + width);
+    }
+    for (let row = 0; row < rows; row++) {
+      cutsY.push(top + row * pitchY, top + row * pitchY + height);
+    }
+
+    return {
+      page,
+      cells,
+      bleed,
+      cutsX: [...new Set(cutsX)],
+      cutsY: [...new Set(cutsY)],
+      cropMarks,
+      grid: { left: left - bleed, top: top - bleed, right: left + columns * pitchX - bleed, bottom: top + rows * pitchY - bleed }
+    };
+  }
+
+  /**
+   * Tile QR codes onto print sheets (labels, cards or table tents), one item per cell
+   * @param {Object[]} items - [{ qrDataURL, title, lines }]; lines are short caption lines under the title
+   * @param {Object} options
+   * @param {string} options.template - Key of PRINT_TEMPLATES
+   * @param {string} options.pageSize - Key of PAGE_SIZES (cut templates only)
+   * @param {number} options.bleed - Extra background around each cut cell, in mm
+   * @param {boolean} options.cropMarks - Draw trim marks in the page margin
+   * @param {string} options.background - Cell background color, printed into the bleed
+   * @returns {Promise<Object>} { success, pdf, blob, pageCount } or { success: false, error }
+   */
+  async generateSheetPDF(items, { template = 'business-card', pageSize = 'a4', bleed = 0, cropMarks = false, background = '#FFFFFF' } = {}) {
+    try {
+      if (!items || items.length === 0) {
+        throw new Error('There are no QR codes to print');
+      }
+
+      const layout = PDFGenerator.getSheetLayout(template, { pageSize, bleed, cropMarks });
+      const { fontSize } = PRINT_TEMPLATES[template];
+      const pdf = new jsPDF({
+        orientation: 'portrait',
+        unit: 'mm',
+        format: [layout.page.width, layout.page.height]
+      });
+
+      pdf.setProperties({
+        title: 'QR Code Print Sheet',
+        subject: PRINT_TEMPLATES[template].label,
+        author: 'Qubex Tools',
+        creator: 'Qubex Tools'
+      });
+
+      const pageCount = Math.ceil(items.length / layout.cells.length);
+      for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        if (pageIndex > 0) {
+          pdf.addPage([layout.page.width, layout.page.height], 'portrait');
+        }
+
+        const pageItems = items.slice(pageIndex * layout.cells.length, (pageIndex + 1) * layout.cells.length);
+        for (let index = 0; index < pageItems.length; index++) {
+          const cell = layout.cells[index];
+
+          if (layout.bleed > 0 || background.toUpperCase() !== '#FFFFFF') {
+            pdf.setFillColor(background);
+            pdf.rect(cell.x - layout.bleed, cell.y - layout.bleed, cell.width + 2 * layout.bleed, cell.height + 2 * layout.bleed, 'F');
+          }
+
+          if (PRINT_TEMPLATES[template].kind === 'tent') {
+            await this.drawTent(pdf, pageItems[index], cell, fontSize);
+          } else {
+            this.drawSheetCell(pdf, pageItems[index], cell, fontSize);
+          }
+        }
+
+        if (layout.cropMarks) {
+          this.drawCropMarks(pdf, layout);
+        }
+      }
+
+      return {
+        success: true,
+        pdf: pdf,
+        blob: pdf.output('blob'),
+        pageCount: pageCount
+      };
+    } catch (error) {
+      console.error('Print sheet generation error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to generate print sheet'
+      };
+    }
+  }
+
+  async downloadSheetPDF(items, options = {}, filename = 'qr-print-sheet.pdf') {
+    const result = await this.generateSheetPDF(items, options);
+
+    if (!result.success) {
+      return result;
+    }
+
+    try {
+      result.pdf.save(filename);
+
+      return {
+        success: true,
+        filename: filename,
+        pageCount: result.pageCount
+      };
+    } catch (error) {
+      console.error('PDF download error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to download PDF'
+      };
+    }
+  }
+
+  /**
+   * Draw one code with its caption inside a cell. Wide cells put the caption beside the code,
+   * others below it. With `rotated`, the content is turned 180° about the cell center.
+   */
+  drawSheetCell(pdf, item, cell, fontSize, rotated = false) {
+    const padding = Math.min(cell.width, cell.height) * 0.08;
+    const lineHeight = fontSize * 0.45;
+    const hasCaption = Boolean(item.title || (item.lines && item.lines.length > 0));
+    const sideBySide = cell.width >= cell.height * 1.4;
+
+    const qrSize = sideBySide || !hasCaption
+      ? Math.min(cell.height, cell.width) - 2 * padding
+      : Math.min(cell.width - 2 * padding, cell.height * 0.7 - padding);
+    const qrX = sideBySide ? cell.x + padding : cell.x + (cell.width - qrSize) / 2;
+    const qrY = sideBySide || !hasCaption ? cell.y + (cell.height - qrSize) / 2 : cell.y + padding;
+
+    // Rotating 180° about the cell center maps a point p to (2c - p)
+    const turn = (x, y) => (rotated
+      ? { x: 2 * cell.x + cell.width - x, y: 2 * cell.y + cell.height - y }
+      : { x, y });
+
+    if (item.qrDataURL) {
+      const corner = turn(qrX + (rotated ? qrSize : 0), qrY + (rotated ? qrSize : 0));
+      pdf.addImage(item.qrDataURL, 'PNG', corner.x, corner.y, qrSize, qrSize);
+    }
+
+    if (!hasCaption) return;
+
+    const textLeft = sideBySide ? qrX + qrSize + padding : cell.x + padding;
+    const textWidth = sideBySide ? cell.x + cell.width - padding - textLeft : cell.width - 2 * padding;
+    const textTop = sideBySide ? cell.y + padding : qrY + qrSize + padding * 0.5;
+    const textBottom = cell.y + cell.height - padding * 0.5;
+
+    // Fit as many caption lines as the cell has room for; the title is bold and one size up
+    const captionLines = [];
+    if (item.title) {
+      pdf.setFont(undefined, 'bold');
+      pdf.setFontSize(fontSize + 1);
+      pdf.splitTextToSize(item.title, textWidth).slice(0, 2).forEach(text => captionLines.push({ text, bold: true }));
+    }
+    pdf.setFont(undefined, 'normal');
+    pdf.setFontSize(fontSize);
+    (item.lines || []).filter(Boolean).forEach((line) => {
+      pdf.splitTextToSize(line, textWidth).forEach(text => captionLines.push({ text, bold: false }));
+    });
+
+    const maxLines = Math.max(0, Math.floor((textBottom - textTop) / lineHeight));
+    let y = sideBySide
+      ? cell.y + (cell.height - Math.min(captionLines.length, maxLines) * lineHeight) / 2 + lineHeight * 0.8
+      : textTop + lineHeight * 0.8;
+
+    pdf.setTextColor(0, 0, 0);
+    captionLines.slice(0, maxLines).forEach(({ text, bold }) => {
+      pdf.setFont(undefined, bold ? 'bold' : 'normal');
+      pdf.setFontSize(bold ? fontSize + 1 : fontSize);
+
+      const width = pdf.getTextWidth(text);
+      const x = sideBySide ? textLeft : cell.x + (cell.width - width) / 2;
+      const anchor = turn(x, y);
+      pdf.text(text, anchor.x, anchor.y, rotated ? { angle: 180 } : undefined);
+      y += lineHeight;
+    });
+  }
+
+  // Front panel reads upright below the fold; the back panel is upside down above it
+  async drawTent(pdf, item, cell, fontSize) {
+    const panelHeight = cell.height / 2;
+    const front = { x: cell.x, y: cell.y + panelHeight, width: cell.width, height: panelHeight };
+    const back = { x: cell.x, y: cell.y, width: cell.width, height: panelHeight };
+
+    this.drawSheetCell(pdf, item, front, fontSize);
+    this.drawSheetCell(pdf, {
+      ...item,
+      qrDataURL: item.qrDataURL ? await PDFGenerator.rotateImage(item.qrDataURL) : null
+    }, back, fontSize, true);
+
+    // Dashed fold line
+    pdf.setDrawColor(180, 180, 180);
+    pdf.setLineWidth(0.2);
+    pdf.setLineDashPattern([2, 2], 0);
+    pdf.line(cell.x, cell.y + panelHeight, cell.x + cell.width, cell.y + panelHeight);
+    pdf.setLineDashPattern([], 0);
+  }
+
+  // Turn an image upside down (for the back of table tents), as a PNG data URL
+  static rotateImage(dataURL) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+
+        const ctx = canvas.getContext('2d');
+        ctx.translate(canvas.width, canvas.height);
+        ctx.rotate(Math.PI);
+        ctx.drawImage(image, 0, 0);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      image.onerror = () => reject(new Error('The QR code image could not be read'));
+      image.src = dataURL;
+    });
+  }
+
+  // Trim marks in the margin around the grid, in line with every cut
+  drawCropMarks(pdf, layout) {
+    const { grid, cutsX, cutsY, bleed } = layout;
+    const start = bleed + CROP_MARK_OFFSET;
+
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setLineWidth(0.15);
+    cutsX.forEach((x) => {
+      pdf.line(x, grid.top + bleed - start, x, grid.top + bleed - start - CROP_MARK_LENGTH);
+      pdf.line(x, grid.bottom - bleed + start, x, grid.bottom - bleed + start + CROP_MARK_LENGTH);
+    });
+    cutsY.forEach((y) => {
+      pdf.line(grid.left + bleed - start, y, grid.left + bleed - start - CROP_MARK_LENGTH, y);
+      pdf.line(grid.right - bleed + start, y, grid.right - bleed + start + CROP_MARK_LENGTH, y);
+    });
+  }
 }
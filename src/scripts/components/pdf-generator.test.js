@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { PDFGenerator, QR_SIZE_RANGE } from './pdf-generator.js';
+
+function generatorWith(branding) {
+  const generator = new PDFGenerator();
+  generator.setBranding(branding);
+  return generator;
+}
+
+describe('PDFGenerator.getQRSize', () => {
+  it('clamps the profile size to QR_SIZE_RANGE', () => {
+    expect(generatorWith({ qrSize: 500 }).getQRSize()).toBe(QR_SIZE_RANGE.max);
+    expect(generatorWith({ qrSize: 5 }).getQRSize()).toBe(QR_SIZE_RANGE.min);
+    expect(generatorWith({ qrSize: 'big' }).getQRSize()).toBe(60);
+  });
+
+  it('keeps the largest code on a portrait A4 page', () => {
+    const generator = generatorWith({ qrSize: 150 });
+    const pdf = generator.createDocument('Test', 'Test');
+
+    expect(generator.getQRSize(pdf, 50)).toBe(150);
+  });
+
+  it('shrinks the code to the room left above the call to action and footer on landscape pages', () => {
+    const generator = generatorWith({ qrSize: 150, orientation: 'landscape', headerText: 'Acme', callToAction: 'Scan me' });
+    const pdf = generator.createDocument('Test', 'Test');
+
+    // 210 mm page, code at 80 mm, 30 mm footer space and 22 mm for the call to action
+    expect(pdf.internal.pageSize.height).toBe(210);
+    expect(generator.getQRSize(pdf, 80)).toBe(78);
+    expect(generator.getQRSize(pdf, 80, 15)).toBe(63);
+  });
+});
+
+describe('PDFGenerator.generatePDF', () => {
+  const details = Array.from({ length: 12 }, (_, index) => `Field ${index + 1}: ${'value '.repeat(30)}`);
+
+  it('moves details that would reach the footer onto more pages', async () => {
+    const generator = generatorWith({ qrSize: 150, orientation: 'landscape', callToAction: 'Scan me' });
+    const result = await generator.generatePDF(null, 'Contact', 'Jane Doe', details);
+
+    expect(result.success).toBe(true);
+    expect(result.pdf.internal.getNumberOfPages()).toBeGreaterThan(1);
+    // Continuation pages keep the profile's orientation
+    expect(result.pdf.internal.pageSize.height).toBe(210);
+  });
+
+  it('fits a short details list on one page', async () => {
+    const result = await new PDFGenerator().generatePDF(null, 'WiFi', '', ['Network: Cafe', 'Security: WPA']);
+
+    expect(result.pdf.internal.getNumberOfPages()).toBe(1);
+  });
+});
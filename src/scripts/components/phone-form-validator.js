@@ -404,4 +404,25 @@ export class PhoneFormValidator {
       displayName: this.displayNameInput ? this.displayNameInput.value.trim() : ''
     };
   }
+
+  /**
+   * Fill the form from phone details (e.g. a scanned tel: or WhatsApp code)
+   * @param {Object} data - { platform, phone, displayName }
+   */
+  populateForm(data) {
+    if (!data) return;
+
+    if (this.platformSelect && data.platform) {
+      this.platformSelect.value = data.platform;
+      this.validatePlatformField();
+    }
+    if (this.phoneInput) {
+      this.phoneInput.value = data.phone || '';
+      this.validatePhoneField();
+    }
+    if (this.displayNameInput) {
+      this.displayNameInput.value = data.displayName || '';
+      this.validateDisplayNameField();
+    }
+  }
 }
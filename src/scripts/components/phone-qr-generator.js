@@ -1,20 +1,17 @@
 // Phone QR Generator Component
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 import { ErrorHandler } from '../utils/error-handler.js';
 
 export class PhoneQRGenerator {
   constructor() {
-    this.qrLib = null;
+    this.renderer = new QRRenderer();
     this.canvas = null;
     this.currentPhoneData = null;
   }
 
   async init() {
     try {
-      // Import QR code library
-      const QRCode = await import('https://cdn.skypack.dev/qrcode');
-      this.qrLib = QRCode.default || QRCode;
-      
       // Get canvas element
       this.canvas = DOMHelpers.$('#qr-canvas');
       if (!this.canvas) {
@@ -45,7 +42,7 @@ export class PhoneQRGenerator {
       }
 
       // Initialize if not already done
-      if (!this.qrLib) {
+      if (!this.canvas) {
         const initResult = await this.init();
         if (!initResult.success) {
           return { success: false, error: initResult.error };
@@ -60,17 +57,7 @@ export class PhoneQRGenerator {
       this.currentPhoneData = { ...phoneData, phoneString };
 
       // Generate QR code
-      const qrOptions = {
-        width: 300,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        },
-        errorCorrectionLevel: 'M'
-      };
-
-      await this.qrLib.toCanvas(this.canvas, phoneString, qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, phoneString);
 
       // Get data URL for PDF generation
       const dataURL = this.canvas.toDataURL('image/png');
@@ -127,6 +114,26 @@ export class PhoneQRGenerator {
     return `https://wa.me/${whatsappPhone}`;
   }
 
+  /**
+   * Parse a tel: URI or a bare WhatsApp link back into phone details
+   * @returns {Object|null} { platform, phone } or null for other content
+   */
+  parsePhoneString(phoneString) {
+    const text = (phoneString || '').trim();
+
+    let match = text.match(/^tel:([+\d\s().-]+)$/i);
+    if (match) {
+      return { platform: 'phone', phone: match[1].trim() };
+    }
+
+    match = text.match(/^https?:\/\/(?:api\.)?wa\.me\/(\d+)\/?$/i);
+    if (match) {
+      return { platform: 'whatsapp', phone: `+${match[1]}` };
+    }
+
+    return null;
+  }
+
   /**
    * Format phone number for phone QR code
    */
@@ -232,17 +239,46 @@ export class PhoneQRGenerator {
     return { isValid: true };
   }
 
+  /**
+   * Download the last phone QR code as PNG, SVG or EPS
+   * @param {string} filename - File name (the extension follows the format)
+   * @param {string} format - png, svg or eps
+   * @returns {Promise<boolean>} Whether the download was started
+   */
+  async downloadQR(filename = 'phone-qr-code.png', format = 'png') {
+    try {
+      await this.renderer.downloadLast(filename, format);
+      return true;
+    } catch (error) {
+      console.error('QR download error:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear the QR code display
    */
   clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.renderer.clear(this.canvas);
     this.currentPhoneData = null;
   }
 
+  /**
+   * Apply renderer options (colors, margin, logo) to the next phone QR code
+   * @param {Object} options - Merged over the current renderer options
+   */
+  updateOptions(options) {
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * Read the rendered phone QR code back and compare it with the tel: URI
+   * @returns {Object} { passed, expected, decoded, error }
+   */
+  verifyQR() {
+    return this.renderer.verifyLast();
+  }
+
   /**
    * Get current phone data
    */
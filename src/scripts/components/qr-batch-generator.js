@@ -0,0 +1,321 @@
+// Batch QR generation: maps CSV columns onto a generator's form fields, validates every row with that
+// generator's form validator and packages the rendered codes with a manifest as one ZIP
+import { QRRenderer, EXPORT_FORMATS } from './qr-renderer.js';
+import { VCardFormValidator } from './vcard-form-validator.js';
+import { VCardQRGenerator } from './vcard-qr-generator.js';
+import { WiFiFormValidator } from './wifi-form-validator.js';
+import { WiFiQRGenerator } from './wifi-qr-generator.js';
+import { SMSFormValidator } from './sms-form-validator.js';
+import { SMSQRGenerator } from './sms-qr-generator.js';
+import { TextFormValidator } from './text-form-validator.js';
+import { URLValidator } from '../utils/url-validator.js';
+import { CSVUtils } from '../utils/csv.js';
+import { ZipArchive } from '../utils/zip-archive.js';
+
+// Most data rows one batch will render
+export const MAX_BATCH_ROWS = 1000;
+
+// Pixel width of codes placed on print sheets (about 250 dpi at 60 mm)
+const PRINT_QR_WIDTH = 600;
+
+// Batch-capable types and their fields, keyed like each generator's form data.
+// `aliases` are extra header names a column is matched by (compared without case, spaces or punctuation).
+export const BATCH_TYPES = {
+  vcard: {
+    label: 'Contact (vCard)',
+    fields: [
+      { key: 'firstName', label: 'First name', aliases: ['given name', 'first'] },
+      { key: 'lastName', label: 'Last name', aliases: ['family name', 'surname', 'last'] },
+      { key: 'jobTitle', label: 'Job title', aliases: ['title', 'position', 'role'] },
+      { key: 'company', label: 'Company', aliases: ['organization', 'organisation', 'org'] },
+      { key: 'phone', label: 'Mobile phone', aliases: ['telephone', 'tel', 'mobile', 'cell'] },
+      { key: 'workPhone', label: 'Work phone', aliases: ['office phone'] },
+      { key: 'homePhone', label: 'Home phone', aliases: [] },
+      { key: 'email', label: 'Work email', aliases: ['e-mail', 'email address'] },
+      { key: 'homeEmail', label: 'Personal email', aliases: ['home email'] },
+      { key: 'otherEmail', label: 'Other email', aliases: [] },
+      { key: 'website', label: 'Website', aliases: ['url', 'web'] },
+      { key: 'linkedin', label: 'LinkedIn URL', aliases: [] },
+      { key: 'twitter', label: 'X (Twitter) URL', aliases: ['x'] },
+      { key: 'github', label: 'GitHub URL', aliases: [] },
+      { key: 'instagram', label: 'Instagram URL', aliases: [] },
+      { key: 'street', label: 'Street', aliases: ['address', 'work street'] },
+      { key: 'city', label: 'City', aliases: ['town', 'work city'] },
+      { key: 'state', label: 'State', aliases: ['region', 'province', 'work state'] },
+      { key: 'zip', label: 'ZIP code', aliases: ['postal code', 'postcode', 'zip code', 'work zip'] },
+      { key: 'country', label: 'Country', aliases: ['work country'] },
+      { key: 'homeStreet', label: 'Home street', aliases: ['home address'] },
+      { key: 'homeCity', label: 'Home city', aliases: [] },
+      { key: 'homeState', label: 'Home state', aliases: [] },
+      { key: 'homeZip', label: 'Home ZIP code', aliases: ['home postal code', 'home postcode'] },
+      { key: 'homeCountry', label: 'Home country', aliases: [] },
+      { key: 'birthday', label: 'Birthday (YYYY-MM-DD)', aliases: ['birth date', 'date of birth', 'dob'] },
+      { key: 'note', label: 'Note', aliases: ['notes', 'comment'] },
+      { key: 'format', label: 'Format (vcard, mecard)', aliases: ['output format'] },
+      { key: 'version', label: 'vCard version (3.0, 4.0)', aliases: ['vcard version'] }
+    ]
+  },
+  wifi: {
+    label: 'WiFi Network',
+    fields: [
+      { key: 'ssid', label: 'Network name (SSID)', aliases: ['network', 'network name', 'wifi'] },
+      { key: 'password', label: 'Password', aliases: ['key', 'passphrase'] },
+      { key: 'security', label: 'Security (WPA, WPA3, WEP, nopass)', aliases: ['security', 'encryption', 'auth'] }
+    ]
+  },
+  sms: {
+    label: 'Message (SMS / WhatsApp)',
+    fields: [
+      { key: 'platform', label: 'Platform (sms, whatsapp)', aliases: ['platform', 'channel'] },
+      { key: 'phone', label: 'Phone', aliases: ['number', 'phone number', 'mobile'] },
+      { key: 'message', label: 'Message', aliases: ['text', 'body'] }
+    ]
+  },
+  url: {
+    label: 'Website URL',
+    fields: [
+      { key: 'url', label: 'URL', aliases: ['link', 'website', 'address'] }
+    ]
+  },
+  text: {
+    label: 'Plain Text',
+    fields: [
+      { key: 'text', label: 'Text', aliases: ['content', 'message'] }
+    ]
+  }
+};
+
+export class QRBatchGenerator {
+  constructor() {
+    this.renderer = new QRRenderer();
+    this.vcardValidator = new VCardFormValidator();
+    this.vcardGenerator = new VCardQRGenerator();
+    this.wifiValidator = new WiFiFormValidator();
+    this.wifiGenerator = new WiFiQRGenerator();
+    this.smsValidator = new SMSFormValidator();
+    this.smsGenerator = new SMSQRGenerator();
+    this.textValidator = new TextFormValidator();
+  }
+
+  static normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Guess which CSV column feeds each field from the header row
+   * @param {string} type - Key of BATCH_TYPES
+   * @param {string[]} headers - Header row
+   * @returns {Object} Field key -> column index (-1 when no column matches)
+   */
+  static suggestMapping(type, headers) {
+    const normalizedHeaders = headers.map(header => QRBatchGenerator.normalizeHeader(header));
+
+    return BATCH_TYPES[type].fields.reduce((mapping, field) => {
+      const names = [field.key, field.label, ...field.aliases].map(name => QRBatchGenerator.normalizeHeader(name));
+      return { ...mapping, [field.key]: normalizedHeaders.findIndex(header => names.includes(header)) };
+    }, {});
+  }
+
+  // Header row for a blank CSV template of this type
+  static getTemplateRows(type) {
+    return [BATCH_TYPES[type].fields.map(field => field.key)];
+  }
+
+  /**
+   * Apply renderer options (colors, shapes, logo) to every code in the batch
+   * @param {Object} options - Merged over the current renderer options
+   */
+  updateOptions(options) {
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * Map CSV records onto form data and validate each row
+   * @param {string} type - Key of BATCH_TYPES
+   * @param {Object[]} records - Data rows from CSVUtils.parseRecords ({ cells, line }), header excluded
+   * @param {Object} mapping - Field key -> column index, as from suggestMapping
+   * @returns {Object} { rows: [{ line, data }], invalid: [{ line, error }] }
+   */
+  prepareRows(type, records, mapping) {
+    const rows = [];
+    const invalid = [];
+
+    records.forEach(({ cells, line }) => {
+      const values = {};
+      BATCH_TYPES[type].fields.forEach(({ key }) => {
+        const column = mapping[key];
+        values[key] = column >= 0 && cells[column] !== undefined ? cells[column].trim() : '';
+      });
+
+      const validation = this.validateRow(type, values);
+      if (validation.isValid) {
+        rows.push({ line, data: validation.data });
+      } else {
+        invalid.push({ line, error: validation.error });
+      }
+    });
+
+    return { rows, invalid };
+  }
+
+  // Validate with the same rules as the type's generator page
+  validateRow(type, values) {
+    switch (type) {
+      case 'vcard':
+        return this.vcardValidator.validateData(values);
+      case 'wifi':
+        return this.wifiValidator.validateData(values);
+      case 'sms':
+        return this.smsValidator.validateData(values);
+      case 'url': {
+        const result = URLValidator.validateAndNormalize(values.url);
+        return result.isValid
+          ? { isValid: true, data: { url: result.normalizedURL } }
+          : { isValid: false, error: result.error };
+      }
+      case 'text': {
+        const result = this.textValidator.validateText(values.text);
+        return result.isValid
+          ? { isValid: true, data: { text: values.text.trim() } }
+          : { isValid: false, error: result.error };
+      }
+      default:
+        return { isValid: false, error: `Unsupported batch type "${type}"` };
+    }
+  }
+
+  // The string that gets encoded, built exactly as on the type's generator page
+  getContent(type, data) {
+    switch (type) {
+      case 'vcard':
+        return this.vcardGenerator.generatePayload(data);
+      case 'wifi':
+        return this.wifiGenerator.formatWiFiString(data);
+      case 'sms':
+        return this.smsGenerator.formatMessageString(data);
+      case 'url':
+        return data.url;
+      case 'text':
+        return data.text;
+      default:
+        return '';
+    }
+  }
+
+  // Readable part of a row's file name
+  getFileLabel(type, data) {
+    switch (type) {
+      case 'vcard':
+        return [data.firstName, data.lastName].filter(Boolean).join(' ');
+      case 'wifi':
+        return data.ssid;
+      case 'sms':
+        return data.phone;
+      case 'url':
+        return URLValidator.getDomain(data.url) || '';
+      case 'text':
+        return data.text.slice(0, 30);
+      default:
+        return '';
+    }
+  }
+
+  // Title and caption lines printed next to a row's code on print sheets
+  getCaption(type, data) {
+    switch (type) {
+      case 'vcard':
+        return {
+          title: [data.firstName, data.lastName].filter(Boolean).join(' '),
+          lines: [data.jobTitle, data.company]
+        };
+      case 'wifi':
+        return {
+          title: data.ssid,
+          lines: [
+            data.security === 'nopass' ? '' : `Password: ${data.password}`,
+            this.wifiGenerator.getSecurityDisplayName(data.security)
+          ]
+        };
+      case 'sms':
+        return { title: data.phone, lines: [data.message] };
+      case 'url':
+        return { title: URLValidator.getDomain(data.url) || '', lines: [data.url] };
+      case 'text':
+        return { title: '', lines: [data.text] };
+      default:
+        return { title: '', lines: [] };
+    }
+  }
+
+  static slugify(value) {
+    return String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+  }
+
+  /**
+   * Render every valid row and package the files with a manifest.csv
+   * @param {string} type - Key of BATCH_TYPES
+   * @param {Object[]} rows - Valid rows from prepareRows
+   * @param {string[]} formats - Any of png, svg
+   * @param {Function} onProgress - Called with (done, total) after each row
+   * @returns {Promise<Blob>} application/zip
+   * @throws {QRRenderError} When a code can't be rendered (e.g. content too long, or unreadable colors)
+   */
+  async createZip(type, rows, formats, onProgress = () => {}) {
+    const zip = new ZipArchive();
+    const fields = BATCH_TYPES[type].fields;
+    const digits = String(rows.length).length;
+    const manifest = [[
+      'line',
+      ...formats.map(format => `${format} file`),
+      'content',
+      ...fields.map(field => field.key)
+    ]];
+
+    for (let index = 0; index < rows.length; index++) {
+      const { line, data } = rows[index];
+      const content = this.getContent(type, data);
+      const number = String(index + 1).padStart(digits, '0');
+      const label = QRBatchGenerator.slugify(this.getFileLabel(type, data));
+      const basename = label ? `${number}-${label}` : number;
+      const filenames = [];
+
+      for (const format of formats) {
+        const filename = `${basename}.${EXPORT_FORMATS[format].extension}`;
+        await zip.addFile(filename, await this.renderer.toBlob(content, format));
+        filenames.push(filename);
+      }
+
+      manifest.push([line, ...filenames, content, ...fields.map(field => data[field.key] || '')]);
+      onProgress(index + 1, rows.length);
+    }
+
+    await zip.addFile('manifest.csv', CSVUtils.stringify(manifest));
+    return zip.toBlob();
+  }
+
+  /**
+   * Render every valid row for PDFGenerator.generateSheetPDF
+   * @param {string} type - Key of BATCH_TYPES
+   * @param {Object[]} rows - Valid rows from prepareRows
+   * @param {Function} onProgress - Called with (done, total) after each row
+   * @returns {Promise<Object[]>} [{ qrDataURL, title, lines }]
+   */
+  async createPrintItems(type, rows, onProgress = () => {}) {
+    const items = [];
+
+    for (let index = 0; index < rows.length; index++) {
+      const { data } = rows[index];
+      const qrDataURL = await this.renderer.toDataURL(this.getContent(type, data), { width: PRINT_QR_WIDTH });
+      items.push({ qrDataURL, ...this.getCaption(type, data) });
+      onProgress(index + 1, rows.length);
+    }
+
+    return items;
+  }
+}
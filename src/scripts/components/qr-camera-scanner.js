@@ -0,0 +1,92 @@
+// Webcam QR scanning: streams the camera into a <video> and decodes frames until a code is found
+import { QRDecoder } from './qr-decoder.js';
+
+// Frames are scaled down before decoding; phones stream 1080p+, which jsQR doesn't need
+const MAX_FRAME_SIZE = 640;
+
+export class QRCameraScanner {
+  /**
+   * @param {HTMLVideoElement} video - Element the camera stream is shown in
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onDetect - Called once with the decoded result ({ text, bytes, version })
+   */
+  constructor(video, { onDetect = () => {} } = {}) {
+    this.video = video;
+    this.onDetect = onDetect;
+    this.stream = null;
+    this.frameRequest = null;
+    this.canvas = document.createElement('canvas');
+  }
+
+  static isSupported() {
+    return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  /**
+   * Ask for the camera (rear-facing where there is one) and start scanning
+   * @throws {Error} With a user-facing message when the camera can't be used
+   */
+  async start() {
+    if (!QRCameraScanner.isSupported()) {
+      throw new Error('This browser cannot access a camera. Upload a photo of the QR code instead.');
+    }
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+    } catch (error) {
+      console.error('Camera access error:', error);
+      throw new Error(error.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in your browser settings, or upload a photo instead.'
+        : 'No camera could be started. Upload a photo of the QR code instead.');
+    }
+
+    this.video.srcObject = this.stream;
+    this.video.setAttribute('playsinline', '');
+    await this.video.play();
+    this.scanFrame();
+  }
+
+  scanFrame() {
+    this.frameRequest = requestAnimationFrame(() => {
+      if (!this.stream) return;
+
+      const result = this.decodeFrame();
+      if (result) {
+        this.stop();
+        this.onDetect(result);
+        return;
+      }
+      this.scanFrame();
+    });
+  }
+
+  decodeFrame() {
+    const { videoWidth, videoHeight } = this.video;
+    if (!videoWidth || !videoHeight) {
+      return null;
+    }
+
+    const scale = Math.min(1, MAX_FRAME_SIZE / Math.max(videoWidth, videoHeight));
+    this.canvas.width = Math.round(videoWidth * scale);
+    this.canvas.height = Math.round(videoHeight * scale);
+
+    const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+    return QRDecoder.decodeImageData(ctx.getImageData(0, 0, this.canvas.width, this.canvas.height));
+  }
+
+  stop() {
+    if (this.frameRequest) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    this.video.srcObject = null;
+  }
+}
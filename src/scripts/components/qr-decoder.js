@@ -0,0 +1,113 @@
+// Reads QR codes back from pixels (rendered canvases, photos, camera frames) with jsQR
+import jsQR from 'jsqr';
+
+// Longest side, in pixels, that uploaded images are decoded at
+const MAX_UPLOAD_SIZE = 1024;
+
+export class QRDecoder {
+  /**
+   * Decode the first QR code found in raw pixels
+   * @param {ImageData} imageData - RGBA pixels
+   * @param {Object} options
+   * @param {boolean} options.allowInverted - Also look for light-on-dark codes (slower)
+   * @returns {Object|null} { text, bytes, version } or null when nothing could be read
+   */
+  static decodeImageData(imageData, { allowInverted = false } = {}) {
+    const result = jsQR(imageData.data, imageData.width, imageData.height, {
+      inversionAttempts: allowInverted ? 'attemptBoth' : 'dontInvert'
+    });
+    if (!result) {
+      return null;
+    }
+
+    return {
+      text: QRDecoder.getText(result),
+      bytes: result.binaryData,
+      version: result.version
+    };
+  }
+
+  // jsQR drops byte segments it can't URI-decode, so fall back to a lenient UTF-8 decode of the raw bytes
+  static getText(result) {
+    if (result.data || !result.binaryData || result.binaryData.length === 0) {
+      return result.data;
+    }
+    return new TextDecoder('utf-8').decode(new Uint8Array(result.binaryData));
+  }
+
+  // jsQR ignores alpha, so transparent pixels would read as black; flatten onto white paper first
+  static decodeCanvas(canvas, options = {}) {
+    const flat = document.createElement('canvas');
+    flat.width = canvas.width;
+    flat.height = canvas.height;
+
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(canvas, 0, 0);
+    return QRDecoder.decodeImageData(ctx.getImageData(0, 0, flat.width, flat.height), options);
+  }
+
+  /**
+   * Decode an uploaded photo or screenshot
+   * @param {Blob} file - Image file
+   * @returns {Promise<Object|null>} { text, bytes, version } or null when no code was found
+   * @throws {Error} When the file isn't a readable image
+   */
+  static async decodeFile(file) {
+    const url = URL.createObjectURL(file);
+
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('The image could not be read'));
+        img.src = url;
+      });
+
+      // Large photos decode slowly and no better; scale them down first
+      const scale = Math.min(1, MAX_UPLOAD_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      // Uploads may be light-on-dark screenshots
+      return QRDecoder.decodeCanvas(canvas, { allowInverted: true });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Decode a canvas and check it reads back as exactly the encoded content
+   * @param {HTMLCanvasElement} canvas - Rendered QR code
+   * @param {string} expected - Content that was encoded
+   * @returns {Object} { passed, expected, decoded, error }
+   */
+  static verifyCanvas(canvas, expected) {
+    let result = null;
+    try {
+      result = QRDecoder.decodeCanvas(canvas);
+    } catch (error) {
+      console.error('QR decode error:', error);
+    }
+
+    if (!result) {
+      return {
+        passed: false,
+        expected,
+        decoded: null,
+        error: 'The QR code could not be read back. Simplify the design (logo, shapes or colors) before printing.'
+      };
+    }
+
+    const passed = result.text === expected;
+    return {
+      passed,
+      expected,
+      decoded: result.text,
+      error: passed ? null : 'The QR code reads back differently from what was entered.'
+    };
+  }
+}
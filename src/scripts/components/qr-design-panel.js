@@ -0,0 +1,269 @@
+// Shared "Design" panel for every QR generator page: colors, gradient, background photo, module shape, finder eyes and logo
+import { MODULE_STYLES, FINDER_STYLES } from './qr-shapes.js';
+import { QRRenderer, DEFAULT_QR_OPTIONS, DEFAULT_BACKGROUND_OVERLAY } from './qr-renderer.js';
+import { QRLogoControls } from './qr-logo-controls.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { ErrorHandler } from '../utils/error-handler.js';
+
+const FILL_TYPES = {
+  solid: 'Solid color',
+  linear: 'Linear gradient',
+  radial: 'Radial gradient'
+};
+
+const ACCEPTED_BACKGROUND_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_BACKGROUND_BYTES = 2 * 1024 * 1024;
+
+export class QRDesignPanel {
+  /**
+   * @param {string} containerSelector - Placeholder element the panel is rendered into
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onChange - Called with renderer options ({ color, gradient, backgroundImage, moduleStyle, finder, logo }) on every change
+   */
+  constructor(containerSelector = '#qr-design-panel', { onChange = () => {} } = {}) {
+    this.container = DOMHelpers.$(containerSelector);
+    this.onChange = onChange;
+    this.logoControls = null;
+    this.backgroundSrc = null;
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.render();
+    // The logo controls mount into the placeholder rendered above
+    this.logoControls = new QRLogoControls('#qr-logo-controls', {
+      onChange: () => this.emitChange()
+    });
+    this.logoControls.init();
+    this.attachEventListeners();
+    this.updateContrast(this.getOptions());
+  }
+
+  static renderOptions(styles, selected) {
+    return Object.entries(styles)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+  }
+
+  render() {
+    const { moduleStyle, finder, color } = DEFAULT_QR_OPTIONS;
+
+    DOMHelpers.setHTML(this.container, `
+      <details id="design-panel" class="rounded-lg border border-gray-200 dark:border-gray-700">
+        <summary class="cursor-pointer select-none px-4 py-3 font-medium text-gray-700 dark:text-gray-300">Design</summary>
+        <div class="space-y-4 px-4 pb-4">
+          <div class="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            <div>
+              <label for="design-foreground-color" class="form-label">Foreground</label>
+              <input type="color" id="design-foreground-color" value="${color.dark}" class="h-10 w-full rounded border border-gray-300 dark:border-gray-600">
+            </div>
+            <div>
+              <label for="design-background-color" class="form-label">Background</label>
+              <input type="color" id="design-background-color" value="${color.light}" class="h-10 w-full rounded border border-gray-300 dark:border-gray-600">
+            </div>
+            <div class="col-span-2 sm:col-span-1">
+              <label for="design-fill-type" class="form-label">Fill</label>
+              <select id="design-fill-type" class="form-input">${QRDesignPanel.renderOptions(FILL_TYPES, 'solid')}</select>
+            </div>
+          </div>
+          <div id="design-gradient-settings" class="hidden grid grid-cols-2 gap-4">
+            <div>
+              <label for="design-gradient-end-color" class="form-label">Gradient end</label>
+              <input type="color" id="design-gradient-end-color" value="#2563eb" class="h-10 w-full rounded border border-gray-300 dark:border-gray-600">
+            </div>
+            <div id="design-gradient-rotation-field">
+              <label for="design-gradient-rotation" class="form-label">Angle: <span id="design-gradient-rotation-value">45°</span></label>
+              <input type="range" id="design-gradient-rotation" min="0" max="360" step="15" value="45" class="w-full">
+            </div>
+          </div>
+          <div>
+            <label for="design-background-image" class="form-label">Background photo (optional)</label>
+            <input type="file" id="design-background-image" accept="${ACCEPTED_BACKGROUND_TYPES.join(',')}" class="form-input">
+            <div id="design-background-image-error" class="form-error hidden"></div>
+            <div id="design-background-settings" class="hidden flex items-center gap-4 mt-2">
+              <label for="design-background-overlay" class="text-sm text-gray-700 dark:text-gray-300 flex-shrink-0">Wash: <span id="design-background-overlay-value">${Math.round(DEFAULT_BACKGROUND_OVERLAY * 100)}%</span></label>
+              <input type="range" id="design-background-overlay" min="0" max="100" step="5" value="${Math.round(DEFAULT_BACKGROUND_OVERLAY * 100)}" class="flex-1">
+              <button type="button" id="design-background-remove-btn" class="btn-secondary text-sm">Remove</button>
+            </div>
+          </div>
+          <p id="design-contrast" class="text-sm text-gray-600 dark:text-gray-400"></p>
+          <div class="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label for="design-module-style" class="form-label">Modules</label>
+              <select id="design-module-style" class="form-input">${QRDesignPanel.renderOptions(MODULE_STYLES, moduleStyle)}</select>
+            </div>
+            <div>
+              <label for="design-frame-style" class="form-label">Eye frame</label>
+              <select id="design-frame-style" class="form-input">${QRDesignPanel.renderOptions(FINDER_STYLES, finder.frameStyle)}</select>
+            </div>
+            <div>
+              <label for="design-ball-style" class="form-label">Eye ball</label>
+              <select id="design-ball-style" class="form-input">${QRDesignPanel.renderOptions(FINDER_STYLES, finder.ballStyle)}</select>
+            </div>
+          </div>
+          <div>
+            <label for="design-eye-colors-toggle" class="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" id="design-eye-colors-toggle" class="rounded border-gray-300 text-blue-600 focus:ring-blue-500">
+              <span class="text-sm text-gray-700 dark:text-gray-300">Custom eye colors</span>
+            </label>
+            <div id="design-eye-colors" class="hidden grid grid-cols-2 gap-4 mt-3">
+              <div>
+                <label for="design-frame-color" class="form-label">Frame color</label>
+                <input type="color" id="design-frame-color" value="${color.dark}" class="h-10 w-full rounded border border-gray-300 dark:border-gray-600">
+              </div>
+              <div>
+                <label for="design-ball-color" class="form-label">Ball color</label>
+                <input type="color" id="design-ball-color" value="${color.dark}" class="h-10 w-full rounded border border-gray-300 dark:border-gray-600">
+              </div>
+            </div>
+          </div>
+          <div id="qr-logo-controls"></div>
+        </div>
+      </details>
+    `);
+  }
+
+  attachEventListeners() {
+    [
+      '#design-foreground-color', '#design-background-color', '#design-fill-type', '#design-gradient-end-color',
+      '#design-module-style', '#design-frame-style', '#design-ball-style', '#design-frame-color', '#design-ball-color'
+    ].forEach((selector) => {
+      DOMHelpers.$(selector).addEventListener('input', () => this.emitChange());
+    });
+
+    DOMHelpers.$('#design-gradient-rotation').addEventListener('input', (e) => {
+      DOMHelpers.setContent('#design-gradient-rotation-value', `${e.target.value}°`);
+      this.emitChange();
+    });
+
+    const backgroundInput = DOMHelpers.$('#design-background-image');
+    backgroundInput.addEventListener('change', () => {
+      const file = backgroundInput.files && backgroundInput.files[0];
+      if (file) {
+        this.loadBackgroundImage(file);
+      }
+    });
+    DOMHelpers.$('#design-background-overlay').addEventListener('input', (e) => {
+      DOMHelpers.setContent('#design-background-overlay-value', `${e.target.value}%`);
+      this.emitChange();
+    });
+    DOMHelpers.$('#design-background-remove-btn').addEventListener('click', () => this.clearBackgroundImage());
+
+    DOMHelpers.$('#design-eye-colors-toggle').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        DOMHelpers.show('#design-eye-colors');
+      } else {
+        DOMHelpers.hide('#design-eye-colors');
+      }
+      this.emitChange();
+    });
+
+    // A form reset restores the selects' defaults; re-emit once it has happened
+    const form = this.container.closest('form');
+    if (form) {
+      form.addEventListener('reset', () => {
+        setTimeout(() => {
+          DOMHelpers.hide('#design-eye-colors');
+          this.clearBackgroundImage();
+        }, 0);
+      });
+    }
+  }
+
+  async loadBackgroundImage(file) {
+    ErrorHandler.hideFieldError('#design-background-image');
+
+    if (!ACCEPTED_BACKGROUND_TYPES.includes(file.type)) {
+      ErrorHandler.showFieldError('#design-background-image', 'Please choose a PNG, JPEG or WebP photo');
+      return;
+    }
+    if (file.size > MAX_BACKGROUND_BYTES) {
+      ErrorHandler.showFieldError('#design-background-image', 'The photo must be 2 MB or smaller');
+      return;
+    }
+
+    try {
+      this.backgroundSrc = await QRLogoControls.readAsDataURL(file);
+      DOMHelpers.removeClass('#design-background-settings', 'hidden');
+      this.emitChange();
+    } catch (error) {
+      console.error('Background image read error:', error);
+      ErrorHandler.showFieldError('#design-background-image', 'The photo could not be read');
+    }
+  }
+
+  clearBackgroundImage() {
+    this.backgroundSrc = null;
+    DOMHelpers.$('#design-background-image').value = '';
+    DOMHelpers.addClass('#design-background-settings', 'hidden');
+    ErrorHandler.hideFieldError('#design-background-image');
+    this.emitChange();
+  }
+
+  /**
+   * Current design as QRRenderer options
+   * @returns {Object} { color, gradient, backgroundImage, moduleStyle, finder, logo }
+   */
+  getOptions() {
+    const customEyeColors = DOMHelpers.$('#design-eye-colors-toggle').checked;
+    const fillType = DOMHelpers.$('#design-fill-type').value;
+    const foreground = DOMHelpers.$('#design-foreground-color').value;
+
+    return {
+      color: {
+        dark: foreground,
+        light: DOMHelpers.$('#design-background-color').value
+      },
+      gradient: fillType === 'solid' ? null : {
+        type: fillType,
+        colors: [foreground, DOMHelpers.$('#design-gradient-end-color').value],
+        rotation: Number(DOMHelpers.$('#design-gradient-rotation').value)
+      },
+      backgroundImage: this.backgroundSrc ? {
+        src: this.backgroundSrc,
+        overlay: Number(DOMHelpers.$('#design-background-overlay').value) / 100
+      } : null,
+      moduleStyle: DOMHelpers.$('#design-module-style').value,
+      finder: {
+        frameStyle: DOMHelpers.$('#design-frame-style').value,
+        ballStyle: DOMHelpers.$('#design-ball-style').value,
+        frameColor: customEyeColors ? DOMHelpers.$('#design-frame-color').value : null,
+        ballColor: customEyeColors ? DOMHelpers.$('#design-ball-color').value : null
+      },
+      logo: this.logoControls ? this.logoControls.getOptions() : null
+    };
+  }
+
+  // Gradient settings only apply to gradient fills, and the angle only to linear ones
+  updateGradientFields(options) {
+    const fillType = options.gradient ? options.gradient.type : 'solid';
+    if (fillType === 'solid') {
+      DOMHelpers.hide('#design-gradient-settings');
+    } else {
+      DOMHelpers.show('#design-gradient-settings');
+    }
+    if (fillType === 'linear') {
+      DOMHelpers.show('#design-gradient-rotation-field');
+    } else {
+      DOMHelpers.hide('#design-gradient-rotation-field');
+    }
+  }
+
+  // Live feedback on the colors; photos are checked by the renderer when the code is generated
+  updateContrast(options) {
+    const contrast = DOMHelpers.$('#design-contrast');
+    const result = QRRenderer.checkContrast(new QRRenderer(options).resolveOptions());
+    contrast.textContent = result.passed
+      ? `✓ Contrast ${result.ratio}:1${options.backgroundImage ? ' (the photo is checked when you generate)' : ''}`
+      : result.error;
+    contrast.classList.toggle('text-red-600', !result.passed);
+  }
+
+  emitChange() {
+    const options = this.getOptions();
+    this.updateGradientFields(options);
+    this.updateContrast(options);
+    this.onChange(options);
+  }
+}
@@ -1,36 +1,25 @@
-// QR code generation using qrcode.js library
-import QRCode from 'qrcode';
+// URL QR code generation on top of the shared QR renderer
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 
 export class QRGenerator {
   constructor() {
     this.canvas = DOMHelpers.$('#qr-canvas');
     this.container = DOMHelpers.$('#qr-code-container');
-  }
-
-  async generateQR(url, options = {}) {
-    const defaultOptions = {
+    this.renderer = new QRRenderer({
       width: 256,
-      height: 256,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      errorCorrectionLevel: 'M',
-      type: 'image/png',
-      quality: 0.92,
       margin: 1
-    };
-
-    const qrOptions = { ...defaultOptions, ...options };
+    });
+  }
 
+  async generateQR(url, options = {}) {
     try {
       if (!this.canvas) {
         throw new Error('QR canvas element not found');
       }
 
       // Generate QR code on canvas
-      await QRCode.toCanvas(this.canvas, url, qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, url, options);
       
       return {
         success: true,
@@ -54,34 +43,27 @@ export class QRGenerator {
   }
 
   getQRBlob() {
-    return new Promise((resolve) => {
-      if (this.canvas) {
-        this.canvas.toBlob(resolve, 'image/png');
-      } else {
-        resolve(null);
-      }
-    });
+    return QRRenderer.canvasToBlob(this.canvas, 'image/png');
   }
 
   clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.renderer.clear(this.canvas);
+  }
+
+  // Renderer options (colors, margin, logo) used for every following code
+  updateOptions(options) {
+    this.renderer.setOptions(options);
   }
 
-  downloadQR(filename = 'qr-code.png') {
-    if (!this.canvas) return false;
+  // Decode the current QR code and check it reads back as the URL that was entered
+  verifyQR() {
+    return this.renderer.verifyLast();
+  }
 
+  // Download the current QR code as png, svg or eps with the same colors, margin and error correction
+  async downloadQR(filename = 'qr-code.png', format = 'png') {
     try {
-      const link = document.createElement('a');
-      link.download = filename;
-      link.href = this.canvas.toDataURL('image/png');
-      
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
+      await this.renderer.downloadLast(filename, format);
       return true;
     } catch (error) {
       console.error('QR download error:', error);
@@ -0,0 +1,154 @@
+// Logo upload and placement controls, mounted into a placeholder on every QR generator page
+import { DEFAULT_LOGO_OPTIONS } from './qr-renderer.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { ErrorHandler } from '../utils/error-handler.js';
+
+const ACCEPTED_LOGO_TYPES = ['image/png', 'image/svg+xml'];
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+export class QRLogoControls {
+  /**
+   * @param {string} containerSelector - Placeholder element the controls are rendered into
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onChange - Called with the logo options (or null) whenever they change
+   */
+  constructor(containerSelector = '#qr-logo-controls', { onChange = () => {} } = {}) {
+    this.container = DOMHelpers.$(containerSelector);
+    this.onChange = onChange;
+    this.src = null;
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.render();
+    this.attachEventListeners();
+  }
+
+  render() {
+    DOMHelpers.setHTML(this.container, `
+      <div class="space-y-3">
+        <div>
+          <label for="logo-file-input" class="form-label">Logo (optional)</label>
+          <input type="file" id="logo-file-input" accept="${ACCEPTED_LOGO_TYPES.join(',')}" class="form-input">
+          <div id="logo-file-input-error" class="form-error hidden"></div>
+          <p class="text-sm text-gray-600 dark:text-gray-400 mt-1">PNG or SVG up to 1 MB, placed in the center of the code. Error correction switches to High while a logo is used.</p>
+        </div>
+        <div id="logo-settings" class="hidden space-y-3">
+          <div class="flex items-center gap-4">
+            <img id="logo-preview" alt="Logo preview" class="w-12 h-12 object-contain rounded border border-gray-200 dark:border-gray-600 bg-white">
+            <button type="button" id="logo-remove-btn" class="btn-secondary text-sm">Remove logo</button>
+          </div>
+          <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label for="logo-size-input" class="form-label">Logo size: <span id="logo-size-value">${Math.round(DEFAULT_LOGO_OPTIONS.size * 100)}%</span></label>
+              <input type="range" id="logo-size-input" min="10" max="25" step="1" value="${Math.round(DEFAULT_LOGO_OPTIONS.size * 100)}" class="w-full">
+            </div>
+            <div>
+              <label for="logo-padding-input" class="form-label">Padding</label>
+              <select id="logo-padding-input" class="form-input">
+                <option value="0">None</option>
+                <option value="1" selected>Small</option>
+                <option value="2">Medium</option>
+                <option value="3">Large</option>
+              </select>
+            </div>
+          </div>
+          <label for="logo-background-toggle" class="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" id="logo-background-toggle" class="rounded border-gray-300 text-blue-600 focus:ring-blue-500" ${DEFAULT_LOGO_OPTIONS.background ? 'checked' : ''}>
+            <span class="text-sm text-gray-700 dark:text-gray-300">Rounded background behind the logo</span>
+          </label>
+        </div>
+      </div>
+    `);
+  }
+
+  attachEventListeners() {
+    const fileInput = DOMHelpers.$('#logo-file-input');
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+
+    DOMHelpers.$('#logo-size-input').addEventListener('input', (e) => {
+      DOMHelpers.setContent('#logo-size-value', `${e.target.value}%`);
+      this.emitChange();
+    });
+    DOMHelpers.$('#logo-padding-input').addEventListener('change', () => this.emitChange());
+    DOMHelpers.$('#logo-background-toggle').addEventListener('change', () => this.emitChange());
+    DOMHelpers.$('#logo-remove-btn').addEventListener('click', () => this.clear());
+
+    // Resetting the page form empties the file input, so drop the logo with it
+    const form = this.container.closest('form');
+    if (form) {
+      form.addEventListener('reset', () => this.clear());
+    }
+  }
+
+  async loadFile(file) {
+    ErrorHandler.hideFieldError('#logo-file-input');
+
+    if (!ACCEPTED_LOGO_TYPES.includes(file.type)) {
+      ErrorHandler.showFieldError('#logo-file-input', 'Please choose a PNG or SVG image');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      ErrorHandler.showFieldError('#logo-file-input', 'The logo must be 1 MB or smaller');
+      return;
+    }
+
+    try {
+      // Data URLs keep SVG downloads self-contained
+      this.src = await QRLogoControls.readAsDataURL(file);
+      DOMHelpers.$('#logo-preview').src = this.src;
+      DOMHelpers.removeClass('#logo-settings', 'hidden');
+      this.emitChange();
+    } catch (error) {
+      console.error('Logo read error:', error);
+      ErrorHandler.showFieldError('#logo-file-input', 'The logo could not be read');
+    }
+  }
+
+  static readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  clear() {
+    this.src = null;
+    DOMHelpers.$('#logo-file-input').value = '';
+    DOMHelpers.$('#logo-preview').removeAttribute('src');
+    DOMHelpers.setContent('#logo-size-value', `${DOMHelpers.$('#logo-size-input').defaultValue}%`);
+    DOMHelpers.addClass('#logo-settings', 'hidden');
+    ErrorHandler.hideFieldError('#logo-file-input');
+    this.emitChange();
+  }
+
+  /**
+   * Current logo options for QRRenderer
+   * @returns {Object|null} { src, size, padding, background } or null when no logo is chosen
+   */
+  getOptions() {
+    if (!this.src) {
+      return null;
+    }
+
+    return {
+      ...DEFAULT_LOGO_OPTIONS,
+      src: this.src,
+      size: Number(DOMHelpers.$('#logo-size-input').value) / 100,
+      padding: Number(DOMHelpers.$('#logo-padding-input').value),
+      background: DOMHelpers.$('#logo-background-toggle').checked
+    };
+  }
+
+  emitChange() {
+    this.onChange(this.getOptions());
+  }
+}
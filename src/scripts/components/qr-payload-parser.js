@@ -0,0 +1,264 @@
+// Recognizes decoded QR content and maps it back to the generator that makes that kind of code,
+// reusing each generator's own parser so scanning and generating agree on the formats
+import { EmailQRGenerator } from './email-qr-generator.js';
+import { PaymentQRGenerator } from './payment-qr-generator.js';
+import { WiFiQRGenerator } from './wifi-qr-generator.js';
+import { VCardQRGenerator, SOCIAL_PROFILES } from './vcard-qr-generator.js';
+import { EventQRGenerator } from './event-qr-generator.js';
+import { LocationQRGenerator } from './location-qr-generator.js';
+import { SMSQRGenerator } from './sms-qr-generator.js';
+import { PhoneQRGenerator } from './phone-qr-generator.js';
+
+// Generator page for each payload type
+export const PAYLOAD_TYPES = {
+  url: { label: 'Website URL', path: '/qr/' },
+  wifi: { label: 'WiFi Network', path: '/qr/wifi/' },
+  vcard: { label: 'Contact (vCard)', path: '/qr/vcard/' },
+  event: { label: 'Calendar Event', path: '/qr/event/' },
+  location: { label: 'Location', path: '/qr/location/' },
+  sms: { label: 'Message', path: '/qr/sms/' },
+  phone: { label: 'Phone Number', path: '/qr/phone/' },
+  email: { label: 'Email', path: '/qr/email/' },
+  payment: { label: 'Payment', path: '/qr/payment/' },
+  text: { label: 'Plain Text', path: '/qr/text/' }
+};
+
+// Payment types extractPaymentInfo recognizes (plain URLs are handled as website URLs)
+const PAYMENT_METHODS = {
+  paypal: 'PayPal',
+  bitcoin: 'Bitcoin',
+  ethereum: 'Ethereum',
+  upi: 'UPI',
+  iban: 'IBAN'
+};
+
+export class QRPayloadParser {
+  constructor() {
+    this.emailGenerator = new EmailQRGenerator();
+    this.paymentGenerator = new PaymentQRGenerator();
+    this.wifiGenerator = new WiFiQRGenerator();
+    this.vcardGenerator = new VCardQRGenerator();
+    this.eventGenerator = new EventQRGenerator();
+    this.locationGenerator = new LocationQRGenerator();
+    this.smsGenerator = new SMSQRGenerator();
+    this.phoneGenerator = new PhoneQRGenerator();
+  }
+
+  /**
+   * Work out what a decoded QR code contains
+   * @param {string} text - Decoded content
+   * @returns {Object} { type, label, details: [{ label, value }], formData, editPath }
+   */
+  parse(text) {
+    const content = text || '';
+    const parsed = this.parseEmail(content)
+      || this.parseWiFi(content)
+      || this.parseVCard(content)
+      || this.parseEvent(content)
+      || this.parseLocation(content)
+      || this.parseMessage(content)
+      || this.parsePhone(content)
+      || this.parsePayment(content)
+      || this.parseURL(content)
+      || { type: 'text', details: [], formData: { text: content } };
+
+    return {
+      ...parsed,
+      label: PAYLOAD_TYPES[parsed.type].label,
+      // Empty values are noise in the details list
+      details: parsed.details.filter((detail) => detail.value),
+      editPath: PAYLOAD_TYPES[parsed.type].path
+    };
+  }
+
+  parseEmail(content) {
+    if (!/^mailto:/i.test(content)) return null;
+
+    try {
+      const emailData = this.emailGenerator.parseMailtoUrl(content);
+      return {
+        type: 'email',
+        details: [
+          { label: 'To', value: emailData.recipient },
+          { label: 'Subject', value: emailData.subject },
+          { label: 'Body', value: emailData.body }
+        ],
+        formData: emailData
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseWiFi(content) {
+    const wifiData = this.wifiGenerator.parseWiFiString(content);
+    if (!wifiData) return null;
+
+    return {
+      type: 'wifi',
+      details: [
+        { label: 'Network (SSID)', value: wifiData.ssid },
+        { label: 'Security', value: this.wifiGenerator.getSecurityDisplayName(wifiData.security) },
+        { label: 'Password', value: wifiData.password },
+        { label: 'Hidden network', value: wifiData.hidden ? 'Yes' : '' }
+      ],
+      formData: wifiData
+    };
+  }
+
+  parseVCard(content) {
+    const vcardData = this.vcardGenerator.parseVCardString(content) || this.vcardGenerator.parseMeCardString(content);
+    if (!vcardData) return null;
+
+    const address = (fields) => fields.map(field => vcardData[field]).filter(Boolean).join(', ');
+
+    return {
+      type: 'vcard',
+      details: [
+        { label: 'Name', value: [vcardData.firstName, vcardData.lastName].filter(Boolean).join(' ') },
+        { label: 'Company', value: vcardData.company },
+        { label: 'Job title', value: vcardData.jobTitle },
+        { label: 'Birthday', value: vcardData.birthday },
+        { label: 'Mobile phone', value: vcardData.phone },
+        { label: 'Work phone', value: vcardData.workPhone },
+        { label: 'Home phone', value: vcardData.homePhone },
+        { label: 'Work email', value: vcardData.email },
+        { label: 'Personal email', value: vcardData.homeEmail },
+        { label: 'Other email', value: vcardData.otherEmail },
+        { label: 'Website', value: vcardData.website },
+        ...Object.entries(SOCIAL_PROFILES).map(([field, { label }]) => ({ label, value: vcardData[field] })),
+        { label: 'Work address', value: address(['street', 'city', 'state', 'zip', 'country']) },
+        { label: 'Home address', value: address(['homeStreet', 'homeCity', 'homeState', 'homeZip', 'homeCountry']) },
+        { label: 'Note', value: vcardData.note },
+        { label: 'Photo', value: vcardData.photo ? 'Embedded' : '' }
+      ],
+      formData: vcardData
+    };
+  }
+
+  parseEvent(content) {
+    const eventData = this.eventGenerator.parseICalString(content);
+    if (!eventData) return null;
+
+    const formatWhen = (date, time) => [date, eventData.allDay ? '' : time].filter(Boolean).join(' ');
+
+    return {
+      type: 'event',
+      details: [
+        { label: 'Title', value: eventData.eventTitle },
+        { label: 'Starts', value: formatWhen(eventData.startDate, eventData.startTime) },
+        { label: 'Ends', value: formatWhen(eventData.endDate, eventData.endTime) },
+        { label: 'All day', value: eventData.allDay ? 'Yes' : '' },
+        { label: 'Location', value: eventData.eventLocation },
+        { label: 'Description', value: eventData.eventDescription },
+        { label: 'Organizer', value: eventData.eventOrganizer },
+        { label: 'URL', value: eventData.eventUrl }
+      ],
+      formData: eventData
+    };
+  }
+
+  parseLocation(content) {
+    const location = this.locationGenerator.parseGeoUri(content);
+    if (!location) return null;
+
+    return {
+      type: 'location',
+      details: [
+        { label: 'Latitude', value: String(location.latitude) },
+        { label: 'Longitude', value: String(location.longitude) },
+        { label: 'Label', value: location.label }
+      ],
+      // The location form takes a Google Maps URL; ?q=lat,lng is the first format parseGoogleMapsUrl reads
+      formData: {
+        mapsUrl: `https://maps.google.com/maps?q=${location.latitude},${location.longitude}`,
+        locationLabel: location.label
+      }
+    };
+  }
+
+  parseMessage(content) {
+    const smsData = this.smsGenerator.parseMessageString(content);
+    // A WhatsApp link without a message is a click-to-chat number, which the phone generator makes
+    if (!smsData || (smsData.platform === 'whatsapp' && !smsData.message)) return null;
+
+    return {
+      type: 'sms',
+      details: [
+        { label: 'Platform', value: smsData.platform === 'whatsapp' ? 'WhatsApp' : 'SMS' },
+        { label: 'Phone', value: smsData.phone },
+        { label: 'Message', value: smsData.message }
+      ],
+      formData: smsData
+    };
+  }
+
+  parsePhone(content) {
+    const phoneData = this.phoneGenerator.parsePhoneString(content);
+    if (!phoneData) return null;
+
+    return {
+      type: 'phone',
+      details: [
+        { label: 'Platform', value: phoneData.platform === 'whatsapp' ? 'WhatsApp' : 'Phone call' },
+        { label: 'Phone', value: phoneData.phone }
+      ],
+      formData: phoneData
+    };
+  }
+
+  parsePayment(content) {
+    const info = this.paymentGenerator.extractPaymentInfo(content);
+    if (!PAYMENT_METHODS[info.type]) return null;
+
+    const formData = { paymentType: info.type };
+    const details = [{ label: 'Method', value: PAYMENT_METHODS[info.type] }];
+
+    switch (info.type) {
+      case 'paypal':
+        Object.assign(formData, { paypalUsername: info.username, paypalAmount: info.amount });
+        details.push({ label: 'Username', value: info.username }, { label: 'Amount', value: info.amount });
+        break;
+      case 'bitcoin':
+      case 'ethereum': {
+        const amount = info.type === 'bitcoin' ? info.amount : info.value;
+        Object.assign(formData, { cryptoAddress: info.address, cryptoAmount: amount });
+        details.push({ label: 'Address', value: info.address }, { label: 'Amount', value: amount });
+        break;
+      }
+      case 'upi':
+        Object.assign(formData, { upiId: info.payeeAddress, upiName: info.payeeName, upiAmount: info.amount });
+        details.push(
+          { label: 'UPI ID', value: info.payeeAddress },
+          { label: 'Payee', value: info.payeeName },
+          { label: 'Amount', value: info.amount && `${info.amount} ${info.currency || ''}`.trim() }
+        );
+        break;
+      case 'iban':
+        Object.assign(formData, { ibanCode: info.iban, ibanName: info.beneficiary, ibanAmount: info.amount });
+        details.push(
+          { label: 'IBAN', value: info.iban },
+          { label: 'Beneficiary', value: info.beneficiary },
+          { label: 'Amount', value: info.amount && `${info.amount} ${info.currency || ''}`.trim() }
+        );
+        break;
+    }
+
+    // Strings that matched the scheme but not the expected layout only have raw content
+    if (info.raw) {
+      details.push({ label: 'Content', value: info.raw });
+    }
+
+    return { type: 'payment', details, formData };
+  }
+
+  parseURL(content) {
+    if (!/^https?:\/\/\S+$/i.test(content.trim())) return null;
+
+    return {
+      type: 'url',
+      details: [{ label: 'URL', value: content.trim() }],
+      formData: { url: content.trim() }
+    };
+  }
+}
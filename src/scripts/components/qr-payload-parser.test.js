@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import { QRPayloadParser } from './qr-payload-parser.js';
+import { EmailQRGenerator } from './email-qr-generator.js';
+import { EventQRGenerator } from './event-qr-generator.js';
+import { LocationQRGenerator } from './location-qr-generator.js';
+import { PhoneQRGenerator } from './phone-qr-generator.js';
+import { SMSQRGenerator } from './sms-qr-generator.js';
+import { VCardQRGenerator } from './vcard-qr-generator.js';
+import { WiFiQRGenerator } from './wifi-qr-generator.js';
+
+const parser = new QRPayloadParser();
+
+const contact = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  company: 'Doe; Smith & Co',
+  phone: '+15551234567',
+  email: 'jane@work.example',
+  website: 'https://example.com'
+};
+
+describe('QRPayloadParser.parse', () => {
+  it('recognizes WiFi strings, escaped semicolons and commas included', () => {
+    const payload = new WiFiQRGenerator().formatWiFiString({ ssid: 'Cafe;Guest', password: 'pa;ss,word\\1', security: 'WPA', hidden: true });
+    const parsed = parser.parse(payload);
+
+    expect(parsed.type).toBe('wifi');
+    expect(parsed.formData).toEqual({ ssid: 'Cafe;Guest', password: 'pa;ss,word\\1', security: 'WPA', hidden: true });
+    expect(parsed.details).toContainEqual({ label: 'Hidden network', value: 'Yes' });
+    expect(parsed.editPath).toBe('/qr/wifi/');
+  });
+
+  it('recognizes open networks without a password', () => {
+    const parsed = parser.parse(new WiFiQRGenerator().formatWiFiString({ ssid: 'Library', security: 'nopass' }));
+
+    expect(parsed.formData).toEqual({ ssid: 'Library', password: '', security: 'nopass', hidden: false });
+    expect(parsed.details.map((detail) => detail.label)).not.toContain('Password');
+  });
+
+  it('recognizes vCards and MeCards', () => {
+    const vcard = new VCardQRGenerator();
+
+    [vcard.generatePayload(contact, 'vcard'), vcard.generatePayload(contact, 'mecard')].forEach((payload) => {
+      const parsed = parser.parse(payload);
+
+      expect(parsed.type).toBe('vcard');
+      expect(parsed.formData).toMatchObject(contact);
+      expect(parsed.details).toContainEqual({ label: 'Name', value: 'Jane Doe' });
+    });
+    expect(parser.parse(vcard.generatePayload(contact, 'mecard')).formData.format).toBe('mecard');
+  });
+
+  it('recognizes calendar events', () => {
+    const event = { eventTitle: 'Launch', startDate: '2024-09-01', endDate: '2024-09-02', allDay: true, eventLocation: 'HQ' };
+    const parsed = parser.parse(new EventQRGenerator().generateICalString(event));
+
+    expect(parsed.type).toBe('event');
+    expect(parsed.formData).toMatchObject(event);
+    expect(parsed.details).toContainEqual({ label: 'Ends', value: '2024-09-02' });
+  });
+
+  it('recognizes geo URIs and hands the location form a maps URL', () => {
+    const parsed = parser.parse(new LocationQRGenerator().generateGeoUri(40.7128, -74.006));
+
+    expect(parsed.type).toBe('location');
+    expect(parsed.formData).toEqual({ mapsUrl: 'https://maps.google.com/maps?q=40.7128,-74.006', locationLabel: '' });
+  });
+
+  it('reads the position from the query of Android-style geo:0,0 URIs', () => {
+    const parsed = parser.parse('geo:0,0?q=51.5,-0.12(Big Ben)');
+
+    expect(parsed.type).toBe('location');
+    expect(parsed.formData).toEqual({ mapsUrl: 'https://maps.google.com/maps?q=51.5,-0.12', locationLabel: 'Big Ben' });
+  });
+
+  it('recognizes SMS and WhatsApp messages', () => {
+    const sms = new SMSQRGenerator();
+
+    expect(parser.parse(sms.formatMessageString({ platform: 'sms', phone: '+1 555 123 4567', message: 'Hi: there' }))).toMatchObject({
+      type: 'sms',
+      formData: { platform: 'sms', phone: '+15551234567', message: 'Hi: there' }
+    });
+    expect(parser.parse(sms.formatMessageString({ platform: 'whatsapp', phone: '+1 555 123 4567', message: 'Hello & welcome' }))).toMatchObject({
+      type: 'sms',
+      formData: { platform: 'whatsapp', phone: '+15551234567', message: 'Hello & welcome' }
+    });
+  });
+
+  it('treats a WhatsApp link without a message as a phone number', () => {
+    const whatsapp = new SMSQRGenerator().formatMessageString({ platform: 'whatsapp', phone: '+1 555 123 4567' });
+    const parsed = parser.parse(whatsapp);
+
+    expect(parsed.type).toBe('phone');
+    expect(parsed.formData).toEqual({ platform: 'whatsapp', phone: '+15551234567' });
+    expect(parser.parse(new PhoneQRGenerator().formatPhoneString({ platform: 'whatsapp', phone: '+15551234567' })).type).toBe('phone');
+  });
+
+  it('recognizes tel: URIs', () => {
+    const parsed = parser.parse(new PhoneQRGenerator().formatPhoneString({ platform: 'phone', phone: '+1 555 123 4567' }));
+
+    expect(parsed).toMatchObject({ type: 'phone', formData: { platform: 'phone', phone: '+15551234567' } });
+  });
+
+  it('recognizes mailto: links in either case', () => {
+    const email = { recipient: 'team@example.com', subject: 'Hello', body: 'See you soon' };
+    const payload = new EmailQRGenerator().createMailtoUrl(email);
+
+    expect(parser.parse(payload)).toMatchObject({ type: 'email', formData: email });
+    expect(parser.parse(payload.replace(/^mailto:/, 'MAILTO:'))).toMatchObject({ type: 'email', formData: email });
+  });
+
+  it('recognizes payment links before plain URLs', () => {
+    expect(parser.parse('https://paypal.me/janedoe/25')).toMatchObject({
+      type: 'payment',
+      formData: { paymentType: 'paypal', paypalUsername: 'janedoe', paypalAmount: '25' }
+    });
+    expect(parser.parse('bitcoin:1BoatSLRHtKNngkdXEeobR76b53LETtpyT?amount=0.01')).toMatchObject({
+      type: 'payment',
+      formData: { paymentType: 'bitcoin', cryptoAddress: '1BoatSLRHtKNngkdXEeobR76b53LETtpyT', cryptoAmount: '0.01' }
+    });
+  });
+
+  it('falls back to URLs and then plain text', () => {
+    expect(parser.parse(' https://example.com/page ')).toMatchObject({ type: 'url', formData: { url: 'https://example.com/page' }, editPath: '/qr/' });
+    expect(parser.parse('just some words')).toMatchObject({ type: 'text', label: 'Plain Text', details: [], formData: { text: 'just some words' } });
+    expect(parser.parse(null)).toMatchObject({ type: 'text', formData: { text: '' } });
+  });
+});
@@ -0,0 +1,942 @@
+// Core QR rendering shared by every generator: encoding, options, canvas/SVG/PNG output and errors
+import QRCode from 'qrcode';
+import {
+  MODULE_STYLES,
+  FINDER_STYLES,
+  getFinderOrigins,
+  isFinderModule,
+  getModuleShape,
+  getFinderShapes,
+  traceShapes,
+  createCanvasPen,
+  createSVGPen,
+  createPostScriptPen
+} from './qr-shapes.js';
+import { QRDecoder } from './qr-decoder.js';
+import { ColorContrast } from '../utils/color-contrast.js';
+
+export const DEFAULT_QR_OPTIONS = {
+  width: 300,
+  margin: 2,
+  color: {
+    dark: '#000000',
+    light: '#FFFFFF'
+  },
+  errorCorrectionLevel: 'M',
+  moduleStyle: 'square',
+  // Finder "eyes": outer frame and inner ball; null colors follow color.dark
+  finder: {
+    frameStyle: 'square',
+    ballStyle: 'square',
+    frameColor: null,
+    ballColor: null
+  },
+  // Foreground gradient { type: 'linear' | 'radial', colors: [start, end], rotation (degrees) }; null paints color.dark
+  gradient: null,
+  // Photo behind the code { src, overlay }, washed with color.light at `overlay` opacity
+  backgroundImage: null,
+  logo: null
+};
+
+// Scanners need the foreground clearly darker than the background. 4:1 (WCAG luminance contrast)
+// leaves headroom for print and screen glare while still allowing mid-tone brand colors.
+export const MIN_CONTRAST_RATIO = 4;
+
+export const DEFAULT_BACKGROUND_OVERLAY = 0.6;
+
+// Logo defaults: size is a share of the symbol width, padding is in modules
+export const DEFAULT_LOGO_OPTIONS = {
+  size: 0.2,
+  padding: 1,
+  background: true,
+  backgroundColor: null,
+  radius: 0.3
+};
+
+// The logo plate (logo + padding) never covers more than this share of the symbol width,
+// which keeps the hidden area well inside what level H error correction can recover
+export const MAX_LOGO_RATIO = 0.25;
+
+// Download formats: MIME type and file extension
+export const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  svg: { mimeType: 'image/svg+xml', extension: 'svg' },
+  eps: { mimeType: 'application/postscript', extension: 'eps' }
+};
+
+export class QRRenderError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'QRRenderError';
+    this.cause = cause;
+  }
+}
+
+export class QRRenderer {
+  /**
+   * @param {Object} options - Defaults for this renderer, merged over DEFAULT_QR_OPTIONS
+   * @param {number} options.width - Output size in pixels, quiet zone included
+   * @param {number} options.margin - Quiet zone in modules
+   * @param {Object} options.color - { dark, light } colours
+   * @param {string} options.errorCorrectionLevel - L, M, Q or H (forced to H when a logo is set)
+   * @param {string} options.moduleStyle - square, dots, rounded or classy (see MODULE_STYLES)
+   * @param {Object} options.finder - { frameStyle, ballStyle, frameColor, ballColor } for the three finder patterns
+   * @param {Object|null} options.gradient - { type, colors, rotation } foreground gradient
+   * @param {Object|null} options.backgroundImage - { src, overlay } background photo
+   * @param {Object|null} options.logo - { src, size, padding, background, backgroundColor, radius }, see DEFAULT_LOGO_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = QRRenderer.mergeOptions(DEFAULT_QR_OPTIONS, options);
+    // Content and options of the last canvas render, so downloads match what is on screen
+    this.lastRender = null;
+    // Logo images by source as { promise, image }, so re-renders don't reload them and EPS export can read them synchronously
+    this.images = new Map();
+  }
+
+  static mergeOptions(base, overrides = {}) {
+    return {
+      ...base,
+      ...overrides,
+      color: { ...base.color, ...(overrides.color || {}) },
+      finder: { ...base.finder, ...(overrides.finder || {}) }
+    };
+  }
+
+  setOptions(options = {}) {
+    this.options = QRRenderer.mergeOptions(this.options, options);
+  }
+
+  getOptions() {
+    return QRRenderer.mergeOptions(this.options);
+  }
+
+  resolveOptions(overrides = {}) {
+    const options = QRRenderer.mergeOptions(this.options, overrides);
+    if (options.logo && options.logo.src) {
+      // The logo hides modules, so use the highest error correction to keep the code decodable
+      options.logo = { ...DEFAULT_LOGO_OPTIONS, ...options.logo };
+      options.errorCorrectionLevel = 'H';
+    } else {
+      options.logo = null;
+    }
+    options.gradient = QRRenderer.normalizeGradient(options.gradient);
+    if (options.backgroundImage && options.backgroundImage.src) {
+      const overlay = Number(options.backgroundImage.overlay);
+      options.backgroundImage = {
+        ...options.backgroundImage,
+        overlay: Number.isFinite(overlay) ? Math.min(1, Math.max(0, overlay)) : DEFAULT_BACKGROUND_OVERLAY
+      };
+    } else {
+      options.backgroundImage = null;
+    }
+    // Unknown styles fall back to plain squares rather than failing the render
+    if (!MODULE_STYLES[options.moduleStyle]) {
+      options.moduleStyle = 'square';
+    }
+    ['frameStyle', 'ballStyle'].forEach((key) => {
+      if (!FINDER_STYLES[options.finder[key]]) {
+        options.finder[key] = 'square';
+      }
+    });
+    return options;
+  }
+
+  static normalizeGradient(gradient) {
+    if (!gradient || !Array.isArray(gradient.colors) || gradient.colors.length < 2) {
+      return null;
+    }
+    return {
+      type: gradient.type === 'radial' ? 'radial' : 'linear',
+      colors: gradient.colors.slice(0, 2),
+      rotation: Number(gradient.rotation) || 0
+    };
+  }
+
+  /**
+   * Encode content into a QR symbol
+   * @param {string} text - Content to encode
+   * @param {Object} overrides - Per-call options
+   * @returns {Object} { size, version, errorCorrectionLevel, isDark(row, col) }
+   */
+  encode(text, overrides = {}) {
+    const options = this.resolveOptions(overrides);
+
+    if (typeof text !== 'string' || text.length === 0) {
+      throw new QRRenderError('There is no content to encode');
+    }
+
+    try {
+      const qr = QRCode.create(text, {
+        errorCorrectionLevel: options.errorCorrectionLevel,
+        ...(options.version && { version: options.version })
+      });
+
+      return {
+        size: qr.modules.size,
+        version: qr.version,
+        errorCorrectionLevel: options.errorCorrectionLevel,
+        isDark: (row, col) => qr.modules.get(row, col) === 1
+      };
+    } catch (error) {
+      throw new QRRenderError(QRRenderer.getErrorMessage(error, options), error);
+    }
+  }
+
+  // Friendly message for errors thrown by the encoder
+  static getErrorMessage(error, options = {}) {
+    const message = (error && error.message) || '';
+    if (message.includes('too big') && options.logo) {
+      return 'The content is too long to fit in a QR code with a logo. Shorten it or remove the logo.';
+    }
+    if (message.includes('too big')) {
+      return 'The content is too long to fit in a QR code. Shorten it or use a lower error correction level.';
+    }
+    if (message.includes('No input text')) {
+      return 'There is no content to encode';
+    }
+    return message || 'Failed to generate QR code';
+  }
+
+  // Parse #RGB, #RRGGBB or #RRGGBBAA into 0-1 channels (vector formats need explicit values)
+  static parseColor(color) {
+    let hex = String(color || '').trim().replace(/^#/, '');
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(char => char + char).join('');
+    }
+    if (!/^[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/.test(hex)) {
+      throw new QRRenderError(`Unsupported color "${color}". Use a hex color such as #000000.`);
+    }
+
+    const channel = (index) => parseInt(hex.slice(index, index + 2), 16) / 255;
+    return {
+      r: channel(0),
+      g: channel(2),
+      b: channel(4),
+      a: hex.length === 8 ? channel(6) : 1
+    };
+  }
+
+  // Horizontal runs of dark modules as { row, col, length }, in symbol coordinates
+  getDarkRuns(symbol) {
+    const runs = [];
+    for (let row = 0; row < symbol.size; row++) {
+      let col = 0;
+      while (col < symbol.size) {
+        if (!symbol.isDark(row, col)) {
+          col++;
+          continue;
+        }
+        const start = col;
+        while (col < symbol.size && symbol.isDark(row, col)) {
+          col++;
+        }
+        runs.push({ row, col: start, length: col - start });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Logo plate position in symbol modules, centred and snapped to the module grid
+   * @returns {Object|null} { start, plate, inset } or null without a logo
+   */
+  getLogoLayout(symbol, options) {
+    const { logo } = options;
+    if (!logo) {
+      return null;
+    }
+
+    // Symbols have an odd number of modules, so an odd plate sits exactly in the middle
+    const toOdd = (value) => (value % 2 === 0 ? value - 1 : value);
+    const maxPlate = toOdd(Math.floor(symbol.size * MAX_LOGO_RATIO));
+    const padding = Math.max(0, Math.round(Number(logo.padding) || 0));
+    const logoModules = Math.max(1, Math.round(symbol.size * (Number(logo.size) || DEFAULT_LOGO_OPTIONS.size)));
+    const plate = Math.max(1, Math.min(maxPlate, toOdd(logoModules + padding * 2 + 1)));
+
+    return {
+      start: (symbol.size - plate) / 2,
+      plate,
+      // Padding shrinks first when the plate hits the size cap
+      inset: Math.min(padding, Math.floor((plate - 1) / 2))
+    };
+  }
+
+  // Without a background plate the modules under the logo are left out instead of covered
+  maskSymbol(symbol, logoLayout, options) {
+    if (!logoLayout || options.logo.background) {
+      return symbol;
+    }
+
+    const { start, plate } = logoLayout;
+    const inside = (index) => index >= start && index < start + plate;
+    return {
+      ...symbol,
+      isDark: (row, col) => !(inside(row) && inside(col)) && symbol.isDark(row, col)
+    };
+  }
+
+  // Plate and logo boxes in module units, quiet zone included
+  getLogoBoxes(logoLayout, options) {
+    const { start, plate, inset } = logoLayout;
+    const offset = start + options.margin;
+    const radius = options.logo.background ? Number((plate * Math.min(0.5, Math.max(0, Number(options.logo.radius) || 0))).toFixed(4)) : 0;
+    return {
+      plate: { x: offset, y: offset, size: plate, radius },
+      logo: { x: offset + inset, y: offset + inset, size: plate - inset * 2 }
+    };
+  }
+
+  getLogoBackground(options) {
+    return options.logo.backgroundColor || options.color.light;
+  }
+
+  /**
+   * Load a logo image once per source
+   * @param {string} src - Data URL (or same-origin URL) of a PNG or SVG image
+   * @returns {Promise<HTMLImageElement>}
+   */
+  loadImage(src) {
+    if (!this.images.has(src)) {
+      const entry = { image: null };
+      entry.promise = new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+          entry.image = image;
+          resolve(image);
+        };
+        image.onerror = () => reject(new QRRenderError('The logo image could not be loaded'));
+        image.src = src;
+      });
+      // Forget failed loads so a later attempt can retry
+      entry.promise.catch(() => this.images.delete(src));
+      this.images.set(src, entry);
+    }
+    return this.images.get(src).promise;
+  }
+
+  // Synchronous access for the vector exports; toBlob loads images before calling them
+  getLoadedImage(src, message) {
+    const entry = this.images.get(src);
+    if (!entry || !entry.image) {
+      throw new QRRenderError(message);
+    }
+    return entry.image;
+  }
+
+  // Load every image the options refer to, so vector output can use them synchronously
+  async preloadImages(options) {
+    const sources = [options.logo && options.logo.src, options.backgroundImage && options.backgroundImage.src].filter(Boolean);
+    await Promise.all(sources.map(src => this.loadImage(src)));
+  }
+
+  // Image rectangle with its aspect ratio kept, fitted into ("contain") or over ("cover") a square box
+  static fitImage(image, box, mode = 'contain') {
+    const width = image.naturalWidth || image.width || 1;
+    const height = image.naturalHeight || image.height || 1;
+    const scale = box.size / (mode === 'cover' ? Math.min(width, height) : Math.max(width, height));
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+    return {
+      x: box.x + (box.size - drawWidth) / 2,
+      y: box.y + (box.size - drawHeight) / 2,
+      width: drawWidth,
+      height: drawHeight
+    };
+  }
+
+  /**
+   * Everything dark in the symbol as paint layers, in module units with the quiet zone included
+   * @param {Object} symbol - Encoded (and logo-masked) symbol
+   * @param {Object} options - Resolved options
+   * @returns {Object[]} [{ paint, evenOdd, shapes }] in paint order: modules, finder frames, finder balls
+   */
+  getShapeLayers(symbol, options) {
+    const { margin, moduleStyle, finder } = options;
+    const { size } = symbol;
+    const paint = this.getForegroundPaint(options, size + margin * 2);
+    const isDataDark = (row, col) =>
+      row >= 0 && col >= 0 && row < size && col < size && !isFinderModule(size, row, col) && symbol.isDark(row, col);
+    const modules = [];
+
+    if (moduleStyle === 'square') {
+      // Horizontal runs keep square output small
+      this.getDarkRuns({ size, isDark: isDataDark }).forEach(({ row, col, length }) => {
+        modules.push({ type: 'rect', x: col + margin, y: row + margin, width: length, height: 1 });
+      });
+    } else {
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          if (isDataDark(row, col)) {
+            modules.push(getModuleShape(moduleStyle, col + margin, row + margin, {
+              up: isDataDark(row - 1, col),
+              right: isDataDark(row, col + 1),
+              down: isDataDark(row + 1, col),
+              left: isDataDark(row, col - 1)
+            }));
+          }
+        }
+      }
+    }
+
+    const frames = [];
+    const balls = [];
+    getFinderOrigins(size).forEach(([row, col]) => {
+      const { frame, ball } = getFinderShapes(finder, col + margin, row + margin);
+      frames.push(...frame);
+      balls.push(ball);
+    });
+
+    return [
+      { paint, evenOdd: false, shapes: modules },
+      { paint: finder.frameColor || paint, evenOdd: true, shapes: frames },
+      { paint: finder.ballColor || paint, evenOdd: false, shapes: balls }
+    ];
+  }
+
+  // Square modules and eyes line up with the pixel grid; curved styles need anti-aliasing
+  hasOnlySquares(options) {
+    return options.moduleStyle === 'square'
+      && options.finder.frameStyle === 'square'
+      && options.finder.ballStyle === 'square';
+  }
+
+  // Every color that ends up on a dark module: gradient stops (or color.dark) and custom eye colors
+  static getForegroundColors(options) {
+    const colors = options.gradient ? [...options.gradient.colors] : [options.color.dark];
+    if (options.finder.frameColor) colors.push(options.finder.frameColor);
+    if (options.finder.ballColor) colors.push(options.finder.ballColor);
+    return colors;
+  }
+
+  /**
+   * Check that scanners can tell the foreground from the background
+   * @param {Object} options - Resolved options
+   * @param {number|null} backgroundLuminance - Darkest luminance of the background image, when there is one
+   * @returns {Object} { passed, ratio, error } where ratio compares the lightest foreground with the darkest background
+   */
+  static checkContrast(options, backgroundLuminance = null) {
+    // A transparent background is judged as if printed on white paper
+    const white = { r: 1, g: 1, b: 1 };
+    const light = ColorContrast.composite(QRRenderer.parseColor(options.color.light), white);
+    const background = backgroundLuminance === null ? ColorContrast.luminance(light) : backgroundLuminance;
+    const foreground = Math.max(...QRRenderer.getForegroundColors(options).map(color =>
+      ColorContrast.luminance(ColorContrast.composite(QRRenderer.parseColor(color), light))
+    ));
+    const ratio = Number(ColorContrast.ratio(foreground, background).toFixed(2));
+
+    if (foreground >= background) {
+      return {
+        passed: false,
+        ratio,
+        error: 'Light-on-dark (inverted) QR codes cannot be read by many scanners. Use a foreground that is darker than the background.'
+      };
+    }
+    if (ratio < MIN_CONTRAST_RATIO) {
+      return {
+        passed: false,
+        ratio,
+        error: `The foreground and background are too similar to scan reliably (contrast ${ratio}:1, at least ${MIN_CONTRAST_RATIO}:1 is needed).`
+      };
+    }
+    return { passed: true, ratio, error: null };
+  }
+
+  // Darkest spot of the washed background photo, sampled small so single noisy pixels don't count
+  getBackgroundImageLuminance(options) {
+    if (!options.backgroundImage) {
+      return null;
+    }
+
+    const image = this.getLoadedImage(options.backgroundImage.src, 'The background image has not been loaded yet');
+    const size = 16;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    this.paintBackgroundImage(ctx, image, options, size);
+
+    const { data } = ctx.getImageData(0, 0, size, size);
+    let darkest = 1;
+    for (let index = 0; index < data.length; index += 4) {
+      darkest = Math.min(darkest, ColorContrast.luminance({ r: data[index] / 255, g: data[index + 1] / 255, b: data[index + 2] / 255 }));
+    }
+    return darkest;
+  }
+
+  assertContrast(options) {
+    const result = QRRenderer.checkContrast(options, this.getBackgroundImageLuminance(options));
+    if (!result.passed) {
+      throw new QRRenderError(result.error);
+    }
+  }
+
+  // Photo scaled to cover the square, then washed with the light color so modules stay readable
+  paintBackgroundImage(ctx, image, options, pixelSize) {
+    const light = QRRenderer.parseColor(options.color.light);
+    ctx.fillStyle = light.a > 0 ? options.color.light : '#FFFFFF';
+    ctx.fillRect(0, 0, pixelSize, pixelSize);
+
+    const cover = QRRenderer.fitImage(image, { x: 0, y: 0, size: pixelSize }, 'cover');
+    ctx.drawImage(image, cover.x, cover.y, cover.width, cover.height);
+
+    ctx.save();
+    ctx.globalAlpha = options.backgroundImage.overlay;
+    ctx.fillRect(0, 0, pixelSize, pixelSize);
+    ctx.restore();
+  }
+
+  /**
+   * Foreground paint in module units: a color string, or gradient geometry spanning the whole square
+   * @returns {string|Object} color or { type, colors, x1, y1, x2, y2 } / { type, colors, cx, cy, r }
+   */
+  getForegroundPaint(options, totalModules) {
+    const { gradient } = options;
+    if (!gradient) {
+      return options.color.dark;
+    }
+
+    const center = totalModules / 2;
+    if (gradient.type === 'radial') {
+      return { type: 'radial', colors: gradient.colors, cx: center, cy: center, r: center * Math.SQRT2 };
+    }
+
+    // Rotation 0 runs left to right; the half length reaches the corners at any angle
+    const angle = (gradient.rotation * Math.PI) / 180;
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const half = center * (Math.abs(dx) + Math.abs(dy));
+    return {
+      type: 'linear',
+      colors: gradient.colors,
+      x1: center - dx * half,
+      y1: center - dy * half,
+      x2: center + dx * half,
+      y2: center + dy * half
+    };
+  }
+
+  static createCanvasPaint(ctx, paint, scale) {
+    if (typeof paint === 'string') {
+      return paint;
+    }
+
+    const gradient = paint.type === 'radial'
+      ? ctx.createRadialGradient(paint.cx * scale, paint.cy * scale, 0, paint.cx * scale, paint.cy * scale, paint.r * scale)
+      : ctx.createLinearGradient(paint.x1 * scale, paint.y1 * scale, paint.x2 * scale, paint.y2 * scale);
+    gradient.addColorStop(0, paint.colors[0]);
+    gradient.addColorStop(1, paint.colors[1]);
+    return gradient;
+  }
+
+  static getSVGGradient(paint, id) {
+    const num = (value) => Number(value.toFixed(4));
+    const stops = `<stop offset="0" stop-color="${paint.colors[0]}"/><stop offset="1" stop-color="${paint.colors[1]}"/>`;
+    if (paint.type === 'radial') {
+      return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${num(paint.cx)}" cy="${num(paint.cy)}" r="${num(paint.r)}">${stops}</radialGradient>`;
+    }
+    return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${num(paint.x1)}" y1="${num(paint.y1)}" x2="${num(paint.x2)}" y2="${num(paint.y2)}">${stops}</linearGradient>`;
+  }
+
+  // PostScript level 3 shading dictionary for a gradient paint (axial or radial, clamped at both ends)
+  static getPostScriptShading(paint) {
+    const num = (value) => Number(value.toFixed(4));
+    const rgb = (color) => {
+      const { r, g, b } = QRRenderer.parseColor(color);
+      return [r, g, b].map(num).join(' ');
+    };
+    const coords = paint.type === 'radial'
+      ? `${num(paint.cx)} ${num(paint.cy)} 0 ${num(paint.cx)} ${num(paint.cy)} ${num(paint.r)}`
+      : `${num(paint.x1)} ${num(paint.y1)} ${num(paint.x2)} ${num(paint.y2)}`;
+    return `<< /ShadingType ${paint.type === 'radial' ? 3 : 2} /ColorSpace /DeviceRGB /Coords [${coords}] `
+      + `/Function << /FunctionType 2 /Domain [0 1] /C0 [${rgb(paint.colors[0])}] /C1 [${rgb(paint.colors[1])}] /N 1 >> /Extend [true true] >> shfill`;
+  }
+
+  // Pixel geometry: module edges are rounded so neighbouring modules never leave seams
+  getLayout(symbol, options) {
+    const totalModules = symbol.size + options.margin * 2;
+    const pixelSize = Math.max(Math.round(options.width), totalModules);
+    const edge = (index) => Math.round((index * pixelSize) / totalModules);
+    return { totalModules, pixelSize, edge };
+  }
+
+  /**
+   * Render content onto an existing canvas
+   * @param {HTMLCanvasElement} canvas - Target canvas, resized to the output width
+   * @param {string} text - Content to encode
+   * @param {Object} overrides - Per-call options
+   * @returns {Promise<HTMLCanvasElement>} The rendered canvas
+   */
+  async renderToCanvas(canvas, text, overrides = {}) {
+    if (!canvas) {
+      throw new QRRenderError('QR canvas element not found');
+    }
+
+    const options = this.resolveOptions(overrides);
+    const encoded = this.encode(text, options);
+    const logoLayout = this.getLogoLayout(encoded, options);
+    const symbol = this.maskSymbol(encoded, logoLayout, options);
+    const { totalModules, pixelSize, edge } = this.getLayout(symbol, options);
+    const [logoImage, backgroundImage] = await Promise.all([
+      logoLayout ? this.loadImage(options.logo.src) : null,
+      options.backgroundImage ? this.loadImage(options.backgroundImage.src) : null
+    ]);
+    this.assertContrast(options);
+
+    this.lastRender = { text, options, canvas };
+    canvas.width = pixelSize;
+    canvas.height = pixelSize;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, pixelSize, pixelSize);
+    if (backgroundImage) {
+      this.paintBackgroundImage(ctx, backgroundImage, options, pixelSize);
+    } else {
+      ctx.fillStyle = options.color.light;
+      ctx.fillRect(0, 0, pixelSize, pixelSize);
+    }
+
+    const scale = pixelSize / totalModules;
+    const pen = createCanvasPen(ctx, edge, scale);
+
+    this.getShapeLayers(symbol, options).forEach(({ paint, evenOdd, shapes }) => {
+      ctx.fillStyle = QRRenderer.createCanvasPaint(ctx, paint, scale);
+      ctx.beginPath();
+      traceShapes(pen, shapes);
+      ctx.fill(evenOdd ? 'evenodd' : 'nonzero');
+    });
+
+    if (logoLayout) {
+      const boxes = this.getLogoBoxes(logoLayout, options);
+
+      if (options.logo.background) {
+        ctx.fillStyle = this.getLogoBackground(options);
+        ctx.beginPath();
+        traceShapes(pen, [QRRenderer.getPlateShape(boxes.plate)]);
+        ctx.fill();
+      }
+
+      const fit = QRRenderer.fitImage(logoImage, boxes.logo);
+      ctx.drawImage(logoImage, fit.x * scale, fit.y * scale, fit.width * scale, fit.height * scale);
+    }
+
+    return canvas;
+  }
+
+  static getPlateShape({ x, y, size, radius }) {
+    return { type: 'rect', x, y, width: size, height: size, radii: [radius, radius, radius, radius] };
+  }
+
+  // Render onto a new, detached canvas
+  async createCanvas(text, overrides = {}) {
+    const canvas = document.createElement('canvas');
+    return this.renderToCanvas(canvas, text, overrides);
+  }
+
+  async toDataURL(text, overrides = {}) {
+    const canvas = await this.createCanvas(text, overrides);
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Render content as a standalone SVG document
+   * @param {string} text - Content to encode
+   * @param {Object} overrides - Per-call options
+   * @returns {string} SVG markup, one module per user unit
+   * @throws {QRRenderError} When the colors are not scannable, or an image has not been loaded yet (see toBlob)
+   */
+  toSVG(text, overrides = {}) {
+    const options = this.resolveOptions(overrides);
+    const encoded = this.encode(text, options);
+    const logoLayout = this.getLogoLayout(encoded, options);
+    const symbol = this.maskSymbol(encoded, logoLayout, options);
+    const { totalModules, pixelSize } = this.getLayout(symbol, options);
+    this.assertContrast(options);
+
+    let defs = '';
+    const paths = this.getShapeLayers(symbol, options).map(({ paint, evenOdd, shapes }) => {
+      const pen = createSVGPen();
+      traceShapes(pen, shapes);
+      let fill = paint;
+      if (typeof paint !== 'string') {
+        // Every gradient layer shares the same foreground gradient
+        defs = `<defs>${QRRenderer.getSVGGradient(paint, 'qr-foreground')}</defs>`;
+        fill = 'url(#qr-foreground)';
+      }
+      return `<path fill="${fill}"${evenOdd ? ' fill-rule="evenodd"' : ''} d="${pen}"/>`;
+    }).join('');
+    const rendering = this.hasOnlySquares(options) ? ' shape-rendering="crispEdges"' : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelSize}" height="${pixelSize}" viewBox="0 0 ${totalModules} ${totalModules}"${rendering}>`
+      + defs
+      + this.getSVGBackground(options, totalModules)
+      + paths
+      + (logoLayout ? this.getSVGLogo(logoLayout, options) : '')
+      + '</svg>';
+  }
+
+  static escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  // Light background, or the photo (sliced to fill the square) under a translucent light wash
+  getSVGBackground(options, totalModules) {
+    const background = `<rect width="${totalModules}" height="${totalModules}" fill="${options.color.light}"/>`;
+    if (!options.backgroundImage) {
+      return background;
+    }
+
+    const { src, overlay } = options.backgroundImage;
+    return background
+      + `<image width="${totalModules}" height="${totalModules}" preserveAspectRatio="xMidYMid slice" href="${QRRenderer.escapeAttribute(src)}"/>`
+      + `<rect width="${totalModules}" height="${totalModules}" fill="${options.color.light}" fill-opacity="${overlay}"/>`;
+  }
+
+  // Logo plate and embedded image; the image keeps its source so the SVG stays self-contained
+  getSVGLogo(logoLayout, options) {
+    const { plate, logo } = this.getLogoBoxes(logoLayout, options);
+    const plateMarkup = options.logo.background
+      ? `<rect x="${plate.x}" y="${plate.y}" width="${plate.size}" height="${plate.size}" rx="${plate.radius}" fill="${this.getLogoBackground(options)}" shape-rendering="auto"/>`
+      : '';
+
+    return plateMarkup
+      + `<image x="${logo.x}" y="${logo.y}" width="${logo.size}" height="${logo.size}" preserveAspectRatio="xMidYMid meet" href="${QRRenderer.escapeAttribute(options.logo.src)}"/>`;
+  }
+
+  /**
+   * Render content as Encapsulated PostScript for print workflows
+   * @param {string} text - Content to encode
+   * @param {Object} overrides - Per-call options
+   * @returns {string} EPS document sized in points (1 pixel = 1 point)
+   * @throws {QRRenderError} When the colors are not scannable, or an image has not been loaded yet (see toBlob)
+   */
+  toEPS(text, overrides = {}) {
+    const options = this.resolveOptions(overrides);
+    const encoded = this.encode(text, options);
+    const logoLayout = this.getLogoLayout(encoded, options);
+    const symbol = this.maskSymbol(encoded, logoLayout, options);
+    const { totalModules, pixelSize } = this.getLayout(symbol, options);
+    const light = QRRenderer.parseColor(options.color.light);
+    this.assertContrast(options);
+    const rgb = ({ r, g, b }) => [r, g, b].map(value => Number(value.toFixed(4))).join(' ');
+
+    const lines = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      `%%BoundingBox: 0 0 ${pixelSize} ${pixelSize}`,
+      '%%Creator: Qubex Tools',
+      '%%Title: QR Code',
+      '%%EndComments',
+      'gsave',
+      // Work in module units with the origin at the top left, like the canvas and SVG output
+      `0 ${pixelSize} translate`,
+      `${pixelSize / totalModules} dup neg scale`
+    ];
+
+    const scale = pixelSize / totalModules;
+
+    if (options.backgroundImage) {
+      // The photo and its wash are flattened into one raster
+      const image = this.getLoadedImage(options.backgroundImage.src, 'The background image has not been loaded yet');
+      const box = { x: 0, y: 0, width: totalModules, height: totalModules };
+      lines.push(...QRRenderer.getEPSRaster(box, scale, (ctx, size) => this.paintBackgroundImage(ctx, image, options, size)));
+    } else if (light.a > 0) {
+      // PostScript has no transparency: a transparent background is simply left out
+      lines.push(`${rgb(light)} setrgbcolor`, `0 0 ${totalModules} ${totalModules} rectfill`);
+    }
+
+    this.getShapeLayers(symbol, options).forEach(({ paint, evenOdd, shapes }) => {
+      if (typeof paint !== 'string') {
+        // Gradients: clip to the traced shapes and fill the clip with a smooth shading
+        const pen = createPostScriptPen();
+        traceShapes(pen, shapes);
+        lines.push('gsave', 'newpath', ...pen.lines, evenOdd ? 'eoclip' : 'clip', QRRenderer.getPostScriptShading(paint), 'grestore');
+        return;
+      }
+
+      lines.push(`${rgb(QRRenderer.parseColor(paint))} setrgbcolor`);
+
+      // Plain squares become rectfill; anything curved (and the even-odd frames) is traced as a path
+      const isPlainRect = (shape) => !evenOdd && shape.type === 'rect' && !(shape.radii && shape.radii.some(Boolean));
+      shapes.filter(isPlainRect).forEach(({ x, y, width, height }) => {
+        lines.push(`${x} ${y} ${width} ${height} rectfill`);
+      });
+
+      const curved = shapes.filter(shape => !isPlainRect(shape));
+      if (curved.length > 0) {
+        const pen = createPostScriptPen();
+        traceShapes(pen, curved);
+        lines.push('newpath', ...pen.lines, evenOdd ? 'eofill' : 'fill');
+      }
+    });
+
+    if (logoLayout) {
+      lines.push(...this.getEPSLogo(logoLayout, options, scale));
+    }
+
+    lines.push('grestore', 'showpage', '%%EOF');
+    return lines.join('\n');
+  }
+
+  /**
+   * Logo plate as a vector path and the logo itself as an RGB raster (PostScript can't embed PNG/SVG)
+   * @param {Object} logoLayout - From getLogoLayout
+   * @param {Object} options - Resolved options
+   * @param {number} scale - Points per module
+   * @returns {string[]} PostScript lines, in module units
+   */
+  getEPSLogo(logoLayout, options, scale) {
+    const image = this.getLoadedImage(options.logo.src, 'The logo has not been loaded yet');
+
+    const { plate, logo } = this.getLogoBoxes(logoLayout, options);
+    const background = this.getLogoBackground(options);
+    const num = (value) => Number(value.toFixed(4));
+    const lines = [];
+
+    if (options.logo.background) {
+      const color = QRRenderer.parseColor(background);
+      const pen = createPostScriptPen();
+      traceShapes(pen, [QRRenderer.getPlateShape(plate)]);
+      lines.push(`${[color.r, color.g, color.b].map(num).join(' ')} setrgbcolor`, 'newpath', ...pen.lines, 'fill');
+    }
+
+    // Rasterise at output resolution, flattened onto the plate colour (or white when transparent)
+    const fit = QRRenderer.fitImage(image, logo);
+    const flatten = QRRenderer.parseColor(background).a > 0 ? background : '#FFFFFF';
+    lines.push(...QRRenderer.getEPSRaster(fit, scale, (ctx, width, height) => {
+      ctx.fillStyle = flatten;
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, width, height);
+    }));
+    return lines;
+  }
+
+  /**
+   * Opaque RGB raster for EPS output, drawn by `paint` on an offscreen canvas at output resolution
+   * @param {Object} box - { x, y, width, height } in module units
+   * @param {number} scale - Points per module
+   * @param {Function} paint - (ctx, width, height) drawing callback
+   * @returns {string[]} PostScript lines
+   */
+  static getEPSRaster(box, scale, paint) {
+    const num = (value) => Number(value.toFixed(4));
+    const width = Math.max(1, Math.round(box.width * scale));
+    const height = Math.max(1, Math.round(box.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    paint(ctx, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    let hex = '';
+    for (let index = 0; index < data.length; index += 4) {
+      hex += [data[index], data[index + 1], data[index + 2]]
+        .map(value => value.toString(16).padStart(2, '0'))
+        .join('');
+    }
+    // readhexstring skips whitespace; short lines keep the file DSC friendly
+    const hexLines = hex.match(/.{1,128}/g) || [];
+
+    // The flipped module coordinate system already puts image row 0 at the top
+    return [
+      'gsave',
+      `${num(box.x)} ${num(box.y)} translate`,
+      `${num(box.width)} ${num(box.height)} scale`,
+      `/rasterstr ${width * 3} string def`,
+      `${width} ${height} 8 [${width} 0 0 ${height} 0 0] { currentfile rasterstr readhexstring pop } false 3 colorimage`,
+      ...hexLines,
+      'grestore'
+    ];
+  }
+
+  /**
+   * Render content in a download format
+   * @param {string} text - Content to encode
+   * @param {string} format - png, svg or eps
+   * @param {Object} overrides - Per-call options
+   * @returns {Promise<Blob>}
+   */
+  async toBlob(text, format = 'png', overrides = {}) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      throw new QRRenderError(`Unsupported download format "${format}"`);
+    }
+
+    // Vector output reads images synchronously, so make sure they have loaded first
+    if (format === 'svg' || format === 'eps') {
+      await this.preloadImages(this.resolveOptions(overrides));
+    }
+    if (format === 'svg') {
+      return new Blob([this.toSVG(text, overrides)], { type: exportFormat.mimeType });
+    }
+    if (format === 'eps') {
+      return new Blob([this.toEPS(text, overrides)], { type: exportFormat.mimeType });
+    }
+
+    const canvas = await this.createCanvas(text, overrides);
+    return QRRenderer.canvasToBlob(canvas, exportFormat.mimeType);
+  }
+
+  /**
+   * Download the last rendered QR code (same content and options) in any format
+   * @param {string} filename - File name; the extension is replaced to match the format
+   * @param {string} format - png, svg or eps
+   */
+  async downloadLast(filename = 'qr-code', format = 'png') {
+    if (!this.lastRender) {
+      throw new QRRenderError('Generate a QR code before downloading it');
+    }
+
+    const { text, options } = this.lastRender;
+    const blob = await this.toBlob(text, format, options);
+    const url = URL.createObjectURL(blob);
+    const basename = filename.replace(/\.(png|svg|eps)$/i, '');
+
+    try {
+      QRRenderer.triggerDownload(url, `${basename}.${EXPORT_FORMATS[format].extension}`);
+    } finally {
+      // Revoke after the click has been handled
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  }
+
+  /**
+   * Decode the last rendered canvas and compare it with the encoded content
+   * @returns {Object} { passed, expected, decoded, error } from QRDecoder.verifyCanvas
+   */
+  verifyLast() {
+    if (!this.lastRender) {
+      throw new QRRenderError('Generate a QR code before verifying it');
+    }
+
+    const { canvas, text } = this.lastRender;
+    return QRDecoder.verifyCanvas(canvas, text);
+  }
+
+  static canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve) => {
+      if (canvas) {
+        canvas.toBlob(resolve, type);
+      } else {
+        resolve(null);
+      }
+    });
+  }
+
+  clear(canvas) {
+    if (canvas) {
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+  }
+
+  // Trigger a browser download for a data/object URL
+  static triggerDownload(href, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = href;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+}
@@ -0,0 +1,191 @@
+// Module and finder-pattern geometry for QRRenderer, plus the "pens" that trace it onto canvas, SVG and PostScript
+
+export const MODULE_STYLES = {
+  square: 'Square',
+  dots: 'Dots',
+  rounded: 'Rounded',
+  classy: 'Classy'
+};
+
+export const FINDER_STYLES = {
+  square: 'Square',
+  rounded: 'Rounded',
+  circle: 'Circle',
+  classy: 'Classy'
+};
+
+// Finder patterns are 7x7: a one-module frame around a 3x3 ball
+const FINDER_SIZE = 7;
+const DOT_RADIUS = 0.45;
+
+// Top-left module of each finder pattern as [row, col]
+export function getFinderOrigins(size) {
+  return [[0, 0], [0, size - FINDER_SIZE], [size - FINDER_SIZE, 0]];
+}
+
+export function isFinderModule(size, row, col) {
+  return getFinderOrigins(size).some(([top, left]) =>
+    row >= top && row < top + FINDER_SIZE && col >= left && col < left + FINDER_SIZE
+  );
+}
+
+/**
+ * Shape for one dark module
+ * @param {string} style - Key of MODULE_STYLES
+ * @param {number} x - Left edge in module units
+ * @param {number} y - Top edge in module units
+ * @param {Object} neighbours - { up, right, down, left } booleans for dark neighbours
+ * @returns {Object} rect or circle shape
+ */
+export function getModuleShape(style, x, y, neighbours) {
+  if (style === 'dots') {
+    return { type: 'circle', cx: x + 0.5, cy: y + 0.5, r: DOT_RADIUS };
+  }
+
+  const { up, right, down, left } = neighbours;
+  const round = (exposed) => (exposed ? 0.5 : 0);
+  let radii = [0, 0, 0, 0];
+
+  if (style === 'rounded') {
+    // Round every corner that has no dark neighbour on either side, so runs read as blobs
+    radii = [round(!up && !left), round(!up && !right), round(!down && !right), round(!down && !left)];
+  } else if (style === 'classy') {
+    // Only the top-left and bottom-right corners, which gives the leaf look
+    radii = [round(!up && !left), 0, round(!down && !right), 0];
+  }
+
+  return { type: 'rect', x, y, width: 1, height: 1, radii };
+}
+
+// Outline of a square finder part (frame edge or ball) in a given style
+function getFinderPart(style, x, y, size) {
+  if (style === 'circle') {
+    return { type: 'circle', cx: x + size / 2, cy: y + size / 2, r: size / 2 };
+  }
+
+  const radius = size * (style === 'rounded' ? 0.3 : style === 'classy' ? 0.45 : 0);
+  const radii = style === 'classy' ? [radius, 0, radius, 0] : [radius, radius, radius, radius];
+  return { type: 'rect', x, y, width: size, height: size, radii };
+}
+
+/**
+ * Frame (outer ring) and ball shapes of one finder pattern
+ * @param {Object} finder - { frameStyle, ballStyle }
+ * @param {number} x - Left edge in module units
+ * @param {number} y - Top edge in module units
+ * @returns {Object} { frame: [outer, inner], ball } - the frame is filled even-odd
+ */
+export function getFinderShapes(finder, x, y) {
+  return {
+    frame: [
+      getFinderPart(finder.frameStyle, x, y, FINDER_SIZE),
+      getFinderPart(finder.frameStyle, x + 1, y + 1, FINDER_SIZE - 2)
+    ],
+    ball: getFinderPart(finder.ballStyle, x + 2, y + 2, FINDER_SIZE - 4)
+  };
+}
+
+/**
+ * Trace shapes with a pen: { moveTo, lineTo, arcTo, circle, closePath }.
+ * arcTo follows the canvas/PostScript arct semantics (tangent corner arcs).
+ */
+export function traceShapes(pen, shapes) {
+  shapes.forEach((shape) => {
+    if (shape.type === 'circle') {
+      pen.circle(shape.cx, shape.cy, shape.r);
+      return;
+    }
+
+    const { x, y, width, height } = shape;
+    const [tl, tr, br, bl] = shape.radii || [0, 0, 0, 0];
+    pen.moveTo(x + tl, y);
+    pen.arcTo(x + width, y, x + width, y + height, tr);
+    pen.arcTo(x + width, y + height, x, y + height, br);
+    pen.arcTo(x, y + height, x, y, bl);
+    pen.arcTo(x, y, x + width, y, tl);
+    pen.closePath();
+  });
+}
+
+// Canvas pen: whole-module coordinates snap to the same pixel edges as square modules, so shapes never leave seams
+export function createCanvasPen(ctx, edge, scale) {
+  const toPixel = (value) => (Number.isInteger(value) ? edge(value) : value * scale);
+  return {
+    moveTo: (x, y) => ctx.moveTo(toPixel(x), toPixel(y)),
+    lineTo: (x, y) => ctx.lineTo(toPixel(x), toPixel(y)),
+    arcTo: (x1, y1, x2, y2, r) => {
+      if (r > 0) {
+        ctx.arcTo(toPixel(x1), toPixel(y1), toPixel(x2), toPixel(y2), r * scale);
+      } else {
+        ctx.lineTo(toPixel(x1), toPixel(y1));
+      }
+    },
+    circle: (cx, cy, r) => {
+      ctx.moveTo(toPixel(cx) + r * scale, toPixel(cy));
+      ctx.arc(toPixel(cx), toPixel(cy), r * scale, 0, Math.PI * 2);
+      ctx.closePath();
+    },
+    closePath: () => ctx.closePath()
+  };
+}
+
+const num = (value) => Number(value.toFixed(4));
+
+// SVG pen: collects path data; corner arcs are converted to explicit tangent points
+export function createSVGPen() {
+  const parts = [];
+  let current = { x: 0, y: 0 };
+
+  return {
+    moveTo: (x, y) => {
+      parts.push(`M${num(x)} ${num(y)}`);
+      current = { x, y };
+    },
+    lineTo: (x, y) => {
+      parts.push(`L${num(x)} ${num(y)}`);
+      current = { x, y };
+    },
+    arcTo: (x1, y1, x2, y2, r) => {
+      if (r <= 0) {
+        parts.push(`L${num(x1)} ${num(y1)}`);
+        current = { x: x1, y: y1 };
+        return;
+      }
+      // Corners are axis aligned, so the tangent points are r away from the corner along each side
+      const towards = (from, to) => {
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        return { x: from.x + ((to.x - from.x) / length) * r, y: from.y + ((to.y - from.y) / length) * r };
+      };
+      const corner = { x: x1, y: y1 };
+      const start = towards(corner, current);
+      const end = towards(corner, { x: x2, y: y2 });
+      const sweep = (x1 - current.x) * (y2 - y1) - (y1 - current.y) * (x2 - x1) > 0 ? 1 : 0;
+      parts.push(`L${num(start.x)} ${num(start.y)}A${num(r)} ${num(r)} 0 0 ${sweep} ${num(end.x)} ${num(end.y)}`);
+      current = end;
+    },
+    circle: (cx, cy, r) => {
+      parts.push(`M${num(cx - r)} ${num(cy)}a${num(r)} ${num(r)} 0 1 0 ${num(r * 2)} 0a${num(r)} ${num(r)} 0 1 0 ${num(-r * 2)} 0z`);
+    },
+    closePath: () => parts.push('z'),
+    toString: () => parts.join('')
+  };
+}
+
+// PostScript pen: one path operator per line
+export function createPostScriptPen() {
+  const lines = [];
+  return {
+    moveTo: (x, y) => lines.push(`${num(x)} ${num(y)} moveto`),
+    lineTo: (x, y) => lines.push(`${num(x)} ${num(y)} lineto`),
+    arcTo: (x1, y1, x2, y2, r) => {
+      lines.push(r > 0
+        ? `${num(x1)} ${num(y1)} ${num(x2)} ${num(y2)} ${num(r)} arct`
+        : `${num(x1)} ${num(y1)} lineto`);
+    },
+    circle: (cx, cy, r) => {
+      lines.push(`${num(cx + r)} ${num(cy)} moveto ${num(cx)} ${num(cy)} ${num(r)} 0 360 arc closepath`);
+    },
+    closePath: () => lines.push('closepath'),
+    lines
+  };
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { createPostScriptPen, createSVGPen, getModuleShape, isFinderModule, traceShapes } from './qr-shapes.js';
+
+const ISOLATED = { up: false, right: false, down: false, left: false };
+
+function svgPath(shapes) {
+  const pen = createSVGPen();
+  traceShapes(pen, shapes);
+  return pen.toString();
+}
+
+describe('getModuleShape', () => {
+  it('rounds every corner of an isolated module in the rounded style', () => {
+    expect(getModuleShape('rounded', 3, 4, ISOLATED)).toEqual({ type: 'rect', x: 3, y: 4, width: 1, height: 1, radii: [0.5, 0.5, 0.5, 0.5] });
+  });
+
+  it('keeps corners square where a dark neighbour touches either side', () => {
+    expect(getModuleShape('rounded', 0, 0, { ...ISOLATED, right: true }).radii).toEqual([0.5, 0, 0, 0.5]);
+    expect(getModuleShape('rounded', 0, 0, { ...ISOLATED, up: true, left: true }).radii).toEqual([0, 0, 0.5, 0]);
+    expect(getModuleShape('rounded', 0, 0, { up: true, right: true, down: true, left: true }).radii).toEqual([0, 0, 0, 0]);
+  });
+
+  it('rounds only the top-left and bottom-right corners in the classy style', () => {
+    expect(getModuleShape('classy', 0, 0, ISOLATED).radii).toEqual([0.5, 0, 0.5, 0]);
+    expect(getModuleShape('classy', 0, 0, { ...ISOLATED, down: true }).radii).toEqual([0.5, 0, 0, 0]);
+    expect(getModuleShape('classy', 0, 0, { ...ISOLATED, left: true }).radii).toEqual([0, 0, 0.5, 0]);
+  });
+
+  it('draws square modules and dots', () => {
+    expect(getModuleShape('square', 1, 2, ISOLATED).radii).toEqual([0, 0, 0, 0]);
+    expect(getModuleShape('dots', 1, 2, ISOLATED)).toEqual({ type: 'circle', cx: 1.5, cy: 2.5, r: 0.45 });
+  });
+});
+
+describe('createSVGPen', () => {
+  it('turns a rounded corner into a clockwise arc between its tangent points', () => {
+    const shape = { type: 'rect', x: 2, y: 3, width: 1, height: 1, radii: [0, 0.5, 0, 0] };
+
+    expect(svgPath([shape])).toBe('M2 3L2.5 3A0.5 0.5 0 0 1 3 3.5L3 4L2 4L2 3z');
+  });
+
+  it('draws a circle as two half arcs', () => {
+    expect(svgPath([getModuleShape('dots', 2, 3, ISOLATED)])).toBe('M2.05 3.5a0.45 0.45 0 1 0 0.9 0a0.45 0.45 0 1 0 -0.9 0z');
+  });
+
+  it('traces an isolated rounded module as four arcs', () => {
+    expect(svgPath([getModuleShape('rounded', 0, 0, ISOLATED)])).toBe(
+      'M0.5 0L0.5 0A0.5 0.5 0 0 1 1 0.5L1 0.5A0.5 0.5 0 0 1 0.5 1L0.5 1A0.5 0.5 0 0 1 0 0.5L0 0.5A0.5 0.5 0 0 1 0.5 0z'
+    );
+  });
+});
+
+describe('createPostScriptPen', () => {
+  it('uses arct for rounded corners and lineto for square ones', () => {
+    const pen = createPostScriptPen();
+    traceShapes(pen, [getModuleShape('classy', 0, 0, ISOLATED)]);
+
+    expect(pen.lines).toEqual([
+      '0.5 0 moveto',
+      '1 0 lineto',
+      '1 1 0 1 0.5 arct',
+      '0 1 lineto',
+      '0 0 1 0 0.5 arct',
+      'closepath'
+    ]);
+  });
+});
+
+describe('isFinderModule', () => {
+  it('covers the three 7x7 corners only', () => {
+    expect(isFinderModule(21, 6, 6)).toBe(true);
+    expect(isFinderModule(21, 0, 20)).toBe(true);
+    expect(isFinderModule(21, 20, 0)).toBe(true);
+    expect(isFinderModule(21, 7, 7)).toBe(false);
+    expect(isFinderModule(21, 20, 20)).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+// Pass/fail badge under a generated QR code, showing what a scanner reads back from it
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+const BADGE_CLASSES = {
+  passed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+export class QRVerificationBadge {
+  /**
+   * @param {string} containerSelector - Placeholder element below the QR code
+   */
+  constructor(containerSelector = '#qr-verification') {
+    this.container = DOMHelpers.$(containerSelector);
+  }
+
+  /**
+   * Show the outcome of a read-back check
+   * @param {Object} result - { passed, expected, decoded, error } from QRRenderer.verifyLast
+   */
+  show(result) {
+    if (!this.container || !result) return;
+
+    DOMHelpers.setHTML(this.container, `
+      <span class="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${result.passed ? BADGE_CLASSES.passed : BADGE_CLASSES.failed}">
+        ${result.passed ? '✓ Scan check passed' : '✗ Scan check failed'}
+      </span>
+      <p data-verification="error" class="hidden mt-2 text-sm text-red-600 dark:text-red-400"></p>
+      <details class="mt-2 text-left"${result.passed ? '' : ' open'}>
+        <summary class="cursor-pointer text-sm text-gray-600 dark:text-gray-400">Decoded content</summary>
+        <pre data-verification="decoded" class="mt-2 p-3 rounded bg-gray-100 dark:bg-gray-800 text-xs text-gray-800 dark:text-gray-200 whitespace-pre-wrap break-all"></pre>
+      </details>
+    `);
+
+    // Decoded payloads are user input, so they only ever go in as text
+    const decoded = this.container.querySelector('[data-verification="decoded"]');
+    decoded.textContent = result.decoded === null ? '(nothing could be decoded)' : result.decoded;
+
+    if (result.error) {
+      const error = this.container.querySelector('[data-verification="error"]');
+      error.textContent = result.error;
+      DOMHelpers.show(error);
+    }
+  }
+
+  clear() {
+    if (this.container) {
+      DOMHelpers.setHTML(this.container, '');
+    }
+  }
+}
@@ -0,0 +1,107 @@
+// "Share this generator" panel for results pages: a copyable link that reopens the page with the
+// same form values (URLState), also mirrored in the address bar
+import { ClipboardCopy } from './clipboard-copy.js';
+import { URLState } from '../utils/url-state.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class ShareLinkPanel {
+  /**
+   * @param {string} containerSelector - Placeholder element the panel is rendered into
+   * @param {Object} options
+   * @param {string[]} options.fields - Form data keys written to the link
+   * @param {string[]} options.secrets - Keys only included when the user ticks the opt-in box
+   * @param {string} options.secretLabel - What the opt-in box calls the secrets, e.g. "the password"
+   */
+  constructor(containerSelector = '#share-link', { fields, secrets = [], secretLabel = 'secret values' }) {
+    this.container = DOMHelpers.$(containerSelector);
+    this.fields = fields;
+    this.secrets = secrets;
+    this.secretLabel = secretLabel;
+    this.clipboardCopy = new ClipboardCopy();
+    // Form data of the code on screen
+    this.data = null;
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.render();
+    this.attachEventListeners();
+  }
+
+  render() {
+    DOMHelpers.setHTML(this.container, `
+      <div class="rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-4 space-y-3">
+        <label for="share-link-input" class="form-label">Shareable link</label>
+        <div class="flex gap-2">
+          <input type="text" id="share-link-input" readonly class="form-input flex-1 text-sm">
+          <button type="button" id="share-link-copy-btn" class="btn-copy relative" title="Copy link">
+            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
+            </svg>
+            <div class="copy-feedback">Copied!</div>
+          </button>
+        </div>
+        <label id="share-link-secrets" class="hidden flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input type="checkbox" id="share-link-secrets-checkbox" class="mr-2">
+          Include ${this.secretLabel} in the link
+        </label>
+        <p class="text-xs text-gray-500 dark:text-gray-400">Opens this generator with the same details filled in and generates the code.</p>
+      </div>
+    `);
+  }
+
+  attachEventListeners() {
+    DOMHelpers.$('#share-link-secrets-checkbox').addEventListener('change', () => this.refresh());
+
+    const copyBtn = DOMHelpers.$('#share-link-copy-btn');
+    copyBtn.addEventListener('click', () => {
+      const link = DOMHelpers.$('#share-link-input').value;
+      if (link) {
+        this.clipboardCopy.copyWithFeedback(link, copyBtn);
+      }
+    });
+
+    DOMHelpers.$('#share-link-input').addEventListener('focus', (e) => e.target.select());
+  }
+
+  /**
+   * Show the link for a newly generated code
+   * @param {Object} data - The page's form data
+   */
+  update(data) {
+    this.data = data;
+    if (!this.container) return;
+
+    // Secrets are opt-in for every new code
+    DOMHelpers.$('#share-link-secrets-checkbox').checked = false;
+    const hasSecrets = this.secrets.some(field => data[field]);
+    if (hasSecrets) {
+      DOMHelpers.show('#share-link-secrets');
+    } else {
+      DOMHelpers.hide('#share-link-secrets');
+    }
+
+    this.refresh();
+  }
+
+  refresh() {
+    if (!this.data) return;
+
+    const link = URLState.buildURL(this.data, {
+      fields: this.fields,
+      secrets: this.secrets,
+      includeSecrets: DOMHelpers.$('#share-link-secrets-checkbox').checked
+    });
+    DOMHelpers.$('#share-link-input').value = link;
+    URLState.replace(link);
+  }
+
+  // Back to a blank form: drop the state from the address bar too
+  reset() {
+    if (!this.data) return;
+
+    this.data = null;
+    URLState.replace();
+  }
+}
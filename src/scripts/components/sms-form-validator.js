@@ -410,4 +410,49 @@ export class SMSFormValidator {
     
     return phone; // Return original if no formatting applied
   }
+
+  /**
+   * Validate message details that don't come from the form (e.g. a CSV row)
+   * @param {Object} data - { platform, phone, message }; platform defaults to sms
+   * @returns {Object} { isValid, data } or { isValid: false, error }, like getFormData
+   */
+  validateData(data) {
+    const platform = (data.platform || 'sms').trim().toLowerCase();
+    const results = [
+      this.validatePlatform(platform),
+      this.validatePhone(data.phone),
+      this.validateMessage(data.message || '')
+    ];
+
+    const firstError = results.find(result => !result.isValid);
+    if (firstError) {
+      return { isValid: false, error: firstError.error };
+    }
+
+    return {
+      isValid: true,
+      data: {
+        platform,
+        phone: results[1].normalizedValue,
+        message: results[2].normalizedValue
+      }
+    };
+  }
+
+  /**
+   * Fill the form from message details (e.g. a scanned SMS or WhatsApp code)
+   * @param {Object} data - { platform, phone, message }
+   */
+  populateForm(data) {
+    if (!data) return;
+
+    const platformSelect = DOMHelpers.$('#platform-select');
+    if (platformSelect && data.platform) {
+      platformSelect.value = data.platform;
+      this.updatePlatformHelp();
+    }
+
+    this.setFieldValue('#phone-input', data.phone || '');
+    this.setFieldValue('#message-input', data.message || '');
+  }
 }
@@ -1,20 +1,17 @@
 // SMS QR Generator Component
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 import { ErrorHandler } from '../utils/error-handler.js';
 
 export class SMSQRGenerator {
   constructor() {
-    this.qrLib = null;
+    this.renderer = new QRRenderer();
     this.canvas = null;
     this.currentSMSData = null;
   }
 
   async init() {
     try {
-      // Import QR code library
-      const QRCode = await import('https://cdn.skypack.dev/qrcode');
-      this.qrLib = QRCode.default || QRCode;
-      
       // Get canvas element
       this.canvas = DOMHelpers.$('#qr-canvas');
       if (!this.canvas) {
@@ -45,7 +42,7 @@ export class SMSQRGenerator {
       }
 
       // Initialize if not already done
-      if (!this.qrLib) {
+      if (!this.canvas) {
         const initResult = await this.init();
         if (!initResult.success) {
           return { success: false, error: initResult.error };
@@ -60,17 +57,7 @@ export class SMSQRGenerator {
       this.currentSMSData = { ...smsData, messageString };
 
       // Generate QR code
-      const qrOptions = {
-        width: 300,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        },
-        errorCorrectionLevel: 'M'
-      };
-
-      await this.qrLib.toCanvas(this.canvas, messageString, qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, messageString);
 
       // Get data URL for PDF generation
       const dataURL = this.canvas.toDataURL('image/png');
@@ -138,6 +125,44 @@ export class SMSQRGenerator {
     }
   }
 
+  /**
+   * Parse a message QR string back into message details (inverse of formatMessageString)
+   * Accepts SMSTO:, sms: and WhatsApp wa.me links
+   * @returns {Object|null} { platform, phone, message } or null for other content
+   */
+  parseMessageString(messageString) {
+    const text = (messageString || '').trim();
+
+    // SMSTO:+1234567890:Hello%20World (other generators leave the message unencoded)
+    let match = text.match(/^SMSTO:([^:]*):?([\s\S]*)$/i);
+    if (match) {
+      return { platform: 'sms', phone: match[1], message: this.decodeMessage(match[2]) };
+    }
+
+    // sms:+1234567890?body=Hello
+    match = text.match(/^sms:([^?]*)(?:\?([\s\S]*))?$/i);
+    if (match) {
+      const params = new URLSearchParams(match[2] || '');
+      return { platform: 'sms', phone: match[1], message: params.get('body') || '' };
+    }
+
+    match = text.match(/^https?:\/\/(?:api\.)?wa\.me\/(\d+)\/?(?:\?([\s\S]*))?$/i);
+    if (match) {
+      const params = new URLSearchParams(match[2] || '');
+      return { platform: 'whatsapp', phone: `+${match[1]}`, message: params.get('text') || '' };
+    }
+
+    return null;
+  }
+
+  decodeMessage(message) {
+    try {
+      return decodeURIComponent(message);
+    } catch (error) {
+      return message;
+    }
+  }
+
   /**
    * Format phone number for SMS QR code
    */
@@ -243,17 +268,46 @@ export class SMSQRGenerator {
     return { isValid: true };
   }
 
+  /**
+   * Download the last SMS QR code as PNG, SVG or EPS
+   * @param {string} filename - File name (the extension follows the format)
+   * @param {string} format - png, svg or eps
+   * @returns {Promise<boolean>} Whether the download was started
+   */
+  async downloadQR(filename = 'sms-qr-code.png', format = 'png') {
+    try {
+      await this.renderer.downloadLast(filename, format);
+      return true;
+    } catch (error) {
+      console.error('QR download error:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear the QR code display
    */
   clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.renderer.clear(this.canvas);
     this.currentSMSData = null;
   }
 
+  /**
+   * Apply renderer options (colors, margin, logo) to the next message QR code
+   * @param {Object} options - Merged over the current renderer options
+   */
+  updateOptions(options) {
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * Decode the rendered message QR code and compare it with the SMSTO string
+   * @returns {Object} { passed, expected, decoded, error }
+   */
+  verifyQR() {
+    return this.renderer.verifyLast();
+  }
+
   /**
    * Get current SMS data
    */
@@ -1,16 +1,8 @@
-import QRCode from 'qrcode';
+import { QRRenderer } from './qr-renderer.js';
 
 export class TextQRGenerator {
     constructor() {
-        this.defaultOptions = {
-            width: 300,
-            margin: 2,
-            color: {
-                dark: '#000000',
-                light: '#FFFFFF'
-            },
-            errorCorrectionLevel: 'M'
-        };
+        this.renderer = new QRRenderer();
     }
 
     /**
@@ -34,14 +26,8 @@ export class TextQRGenerator {
                 throw new Error('Text content is too long (maximum 2000 characters)');
             }
 
-            // Merge options with defaults
-            const qrOptions = {
-                ...this.defaultOptions,
-                ...options
-            };
-
-            // Generate QR code as data URL
-            const dataURL = await QRCode.toDataURL(trimmedText, qrOptions);
+            // Generate QR code as data URL (options are merged over the renderer defaults)
+            const dataURL = await this.renderer.toDataURL(trimmedText, options);
             
             return dataURL;
 
@@ -52,21 +38,47 @@ export class TextQRGenerator {
     }
 
     /**
-     * Generate QR code with custom styling options
+     * Update renderer options (colors, margin, logo) used by generateQR
+     * @param {Object} options - Merged over the current renderer options
+     */
+    updateOptions(options) {
+        this.renderer.setOptions(options);
+    }
+
+    /**
+     * Read the last text QR code back and check the text round-trips exactly
+     * @returns {Object} { passed, expected, decoded, error }
+     */
+    verifyQR() {
+        return this.renderer.verifyLast();
+    }
+
+    /**
+     * Generate QR code with custom styling options.
+     * Colors that scanners can't read (inverted, or below MIN_CONTRAST_RATIO) are refused with an error.
      * @param {string} text - The text content to encode
      * @param {Object} styleOptions - Custom styling options
+     * @param {Object} styleOptions.logo - Optional { src, size, padding, background } logo; forces error correction H
+     * @param {string} styleOptions.moduleStyle - Optional square, dots, rounded or classy modules
+     * @param {Object} styleOptions.finder - Optional { frameStyle, ballStyle, frameColor, ballColor } for the eyes
+     * @param {Object} styleOptions.gradient - Optional { type, colors, rotation } foreground gradient
+     * @param {Object} styleOptions.backgroundImage - Optional { src, overlay } background photo
      * @returns {Promise<string>} - Data URL of the generated QR code
      */
     async generateStyledQR(text, styleOptions = {}) {
         const options = {
-            ...this.defaultOptions,
             width: styleOptions.size || 300,
             margin: styleOptions.margin || 2,
             color: {
                 dark: styleOptions.foregroundColor || '#000000',
                 light: styleOptions.backgroundColor || '#FFFFFF'
             },
-            errorCorrectionLevel: styleOptions.errorCorrection || 'M'
+            errorCorrectionLevel: styleOptions.errorCorrection || 'M',
+            logo: styleOptions.logo || null,
+            ...(styleOptions.moduleStyle && { moduleStyle: styleOptions.moduleStyle }),
+            ...(styleOptions.finder && { finder: styleOptions.finder }),
+            gradient: styleOptions.gradient || null,
+            backgroundImage: styleOptions.backgroundImage || null
         };
 
         return this.generateQR(text, options);
@@ -79,7 +91,6 @@ export class TextQRGenerator {
      */
     async generatePrintQR(text) {
         const printOptions = {
-            ...this.defaultOptions,
             width: 600, // Higher resolution for printing
             margin: 4,  // Larger margin for print
             errorCorrectionLevel: 'H' // Higher error correction for print
@@ -228,4 +239,20 @@ export class TextQRGenerator {
             estimatedQRSize: this.estimateQRSize(trimmedText)
         };
     }
+
+    /**
+     * Download the last text QR code as PNG, SVG or EPS
+     * @param {string} filename - File name (the extension follows the format)
+     * @param {string} format - png, svg or eps
+     * @returns {Promise<boolean>} Whether the download was started
+     */
+    async downloadQR(filename = 'text-qr-code.png', format = 'png') {
+        try {
+            await this.renderer.downloadLast(filename, format);
+            return true;
+        } catch (error) {
+            console.error('QR download error:', error);
+            return false;
+        }
+    }
 }
@@ -1,4 +1,17 @@
 // URL shortening functionality using custom qubex.it domain
+
+// localStorage key for the user's own links (see Analytics_Architecture_KV_LocalStorage.md)
+const USER_LINKS_KEY = 'qubex_user_links';
+
+// Matches MAX_BULK_ITEMS in api/shorten/bulk.js
+const BULK_BATCH_SIZE = 100;
+
+// How long to keep asking about a batch the server is still processing (its pending marker lasts 5 minutes)
+const BULK_PENDING_WAIT_MS = 5 * 60 * 1000;
+
+// Longest pause between two requests for the same batch
+const BULK_MAX_RETRY_DELAY_MS = 30 * 1000;
+
 export class URLShortener {
   constructor() {
     // Use Vercel dev server during development, production domain in production
@@ -6,13 +19,16 @@ export class URLShortener {
     this.cache = new Map();
   }
 
-  async shortenURL(originalURL) {
+  // linkOptions: optional { expiresAt, activeFrom, maxClicks, password, dynamic }
+  async shortenURL(originalURL, linkOptions = {}) {
     try {
       console.log('URLShortener: Starting shortening process for:', originalURL);
       console.log('URLShortener: Using baseURL:', this.baseURL);
+
+      const hasOptions = this.hasLinkOptions(linkOptions);
       
-      // Check cache first
-      if (this.cache.has(originalURL)) {
+      // Check cache first (restricted links always get their own mapping)
+      if (!hasOptions && this.cache.has(originalURL)) {
         console.log('URLShortener: Found cached result');
         return {
           success: true,
@@ -29,7 +45,8 @@ export class URLShortener {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          url: originalURL
+          url: originalURL,
+          ...this.cleanLinkOptions(linkOptions)
         })
       });
 
@@ -39,6 +56,19 @@ export class URLShortener {
       if (!response.ok) {
         const errorText = await response.text();
         console.error('URLShortener: API error response:', errorText);
+
+        if (response.status === 429) {
+          throw new Error(this.getRateLimitMessage(response));
+        }
+
+        // Validation errors (e.g. a past expiry date) are meant for the user
+        if (response.status === 400) {
+          const errorData = this.parseErrorBody(errorText);
+          if (errorData.error) {
+            throw new Error(errorData.error);
+          }
+        }
+
         throw new Error(`Shortening API error: ${response.status} ${response.statusText}`);
       }
 
@@ -54,13 +84,27 @@ export class URLShortener {
       console.log('URLShortener: Generated short URL:', shortURL);
       
       // Cache the result
-      this.cache.set(originalURL, shortURL);
+      if (!hasOptions) {
+        this.cache.set(originalURL, shortURL);
+      }
       
+      // Remember links we created so their analytics can be viewed later
+      if (data.analyticsToken) {
+        this.saveLink({
+          shortCode: data.shortCode,
+          shortURL: shortURL,
+          analyticsToken: data.analyticsToken,
+          originalURL: originalURL,
+          dynamic: linkOptions.dynamic === true
+        });
+      }
+
       return {
         success: true,
         shortURL: shortURL,
         originalURL: originalURL,
-        shortCode: data.shortCode
+        shortCode: data.shortCode,
+        analyticsToken: data.analyticsToken || null
       };
     } catch (error) {
       console.error('URL shortening error:', error);
@@ -98,15 +142,60 @@ export class URLShortener {
     return result;
   }
 
+  // Drop empty expiry/activation/click-limit/password fields before sending them
+  cleanLinkOptions(linkOptions = {}) {
+    const cleaned = {};
+    ['expiresAt', 'activeFrom', 'maxClicks', 'password'].forEach((key) => {
+      const value = linkOptions[key];
+      if (value !== undefined && value !== null && value !== '') {
+        cleaned[key] = value;
+      }
+    });
+    if (linkOptions.dynamic === true) {
+      cleaned.dynamic = true;
+    }
+    return cleaned;
+  }
+
+  hasLinkOptions(linkOptions = {}) {
+    return Object.keys(this.cleanLinkOptions(linkOptions)).length > 0;
+  }
+
+  // Friendly message for 429 responses, using the Retry-After header when exposed
+  getRateLimitMessage(response) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (!retryAfter || retryAfter <= 0) {
+      return 'You are creating links too quickly. Please wait a moment and try again.';
+    }
+
+    const wait = retryAfter < 60
+      ? `${retryAfter} second${retryAfter === 1 ? '' : 's'}`
+      : retryAfter < 3600
+        ? `${Math.ceil(retryAfter / 60)} minute${Math.ceil(retryAfter / 60) === 1 ? '' : 's'}`
+        : `${Math.ceil(retryAfter / 3600)} hour${Math.ceil(retryAfter / 3600) === 1 ? '' : 's'}`;
+
+    return `You are creating links too quickly. Please try again in ${wait}.`;
+  }
+
+  parseErrorBody(text) {
+    try {
+      return JSON.parse(text) || {};
+    } catch (_) {
+      return {};
+    }
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   // Method to create custom alias (optional feature)
-  async shortenWithAlias(originalURL, alias = null) {
+  async shortenWithAlias(originalURL, alias = null, linkOptions = {}) {
     try {
-      // Check cache first
-      if (this.cache.has(originalURL)) {
+      const hasOptions = this.hasLinkOptions(linkOptions);
+
+      // Check cache first (an alias or restricted link always needs its own mapping)
+      if (!alias && !hasOptions && this.cache.has(originalURL)) {
         return {
           success: true,
           shortURL: this.cache.get(originalURL),
@@ -115,10 +204,11 @@ export class URLShortener {
       }
 
       const requestBody = {
-        url: originalURL
+        url: originalURL,
+        ...this.cleanLinkOptions(linkOptions)
       };
 
-      // Add alias if provided (for future implementation)
+      // Add alias if provided
       if (alias) {
         requestBody.alias = alias;
       }
@@ -132,7 +222,13 @@ export class URLShortener {
       });
 
       if (!response.ok) {
-        throw new Error(`Shortening API error: ${response.status} ${response.statusText}`);
+        if (response.status === 429) {
+          throw new Error(this.getRateLimitMessage(response));
+        }
+
+        // 400/409 responses explain what is wrong with the alias
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Shortening API error: ${response.status} ${response.statusText}`);
       }
 
       const data = await response.json();
@@ -143,14 +239,27 @@ export class URLShortener {
 
       const shortURL = data.shortUrl;
       
-      // Cache the result
-      this.cache.set(originalURL, shortURL);
+      // Cache the result (aliased or restricted links are not the default link for a URL)
+      if (!alias && !hasOptions) {
+        this.cache.set(originalURL, shortURL);
+      }
+
+      if (data.analyticsToken) {
+        this.saveLink({
+          shortCode: data.shortCode,
+          shortURL: shortURL,
+          analyticsToken: data.analyticsToken,
+          originalURL: originalURL,
+          dynamic: linkOptions.dynamic === true
+        });
+      }
       
       return {
         success: true,
         shortURL: shortURL,
         originalURL: originalURL,
-        shortCode: data.shortCode
+        shortCode: data.shortCode,
+        analyticsToken: data.analyticsToken || null
       };
     } catch (error) {
       console.error('URL shortening with alias error:', error);
@@ -161,10 +270,240 @@ export class URLShortener {
     }
   }
 
+  // Shorten many URLs through /api/shorten/bulk, BULK_BATCH_SIZE at a time.
+  // items: URL strings or { url, alias, expiresAt, activeFrom, maxClicks, password } objects.
+  // Results keep the order of `items`; a failed batch stops the import and is reported in `error`.
+  async shortenBulk(items, onProgress = null) {
+    const results = [];
+
+    try {
+      for (let start = 0; start < items.length; start += BULK_BATCH_SIZE) {
+        const batch = items.slice(start, start + BULK_BATCH_SIZE).map((item) => (
+          typeof item === 'string' ? item : { url: item.url, ...(item.alias && { alias: item.alias }), ...this.cleanLinkOptions(item) }
+        ));
+
+        const response = await this.postBulkBatch(batch);
+
+        if (!response.ok) {
+          if (response.status === 429) {
+            throw new Error(this.getRateLimitMessage(response));
+          }
+
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Bulk shortening API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        data.results.forEach((result) => {
+          const item = { ...result, index: start + result.index };
+          results.push(item);
+
+          if (item.success && item.analyticsToken) {
+            this.saveLink({
+              shortCode: item.shortCode,
+              shortURL: item.shortUrl,
+              analyticsToken: item.analyticsToken,
+              originalURL: item.originalUrl
+            });
+          }
+        });
+
+        if (onProgress) {
+          onProgress(results.length, items.length);
+        }
+      }
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Bulk URL shortening error:', error);
+      return {
+        success: false,
+        results,
+        error: error.message || 'Failed to shorten URLs'
+      };
+    }
+  }
+
+  // A batch keeps one Idempotency-Key across retries, so a response lost to a network error
+  // is replayed by the server instead of creating aliased or protected links a second time.
+  // A 409 means the first request is still creating the links: wait and ask again until it is replayed.
+  async postBulkBatch(batch, attempts = 3) {
+    const idempotencyKey = crypto.randomUUID();
+    const deadline = Date.now() + BULK_PENDING_WAIT_MS;
+    let failures = 0;
+
+    for (let retry = 0; ; retry++) {
+      let response;
+      try {
+        response = await fetch(`${this.baseURL}/api/shorten/bulk`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          },
+          body: JSON.stringify({ items: batch })
+        });
+      } catch (error) {
+        failures++;
+        if (failures >= attempts) {
+          throw error;
+        }
+        await this.delay(this.getRetryDelay(null, retry));
+        continue;
+      }
+
+      if (response.status !== 409 || Date.now() >= deadline) {
+        return response;
+      }
+      await this.delay(this.getRetryDelay(response, retry));
+    }
+  }
+
+  // Exponential backoff from one second, never shorter than the server's Retry-After
+  getRetryDelay(response, retry) {
+    const retryAfter = response ? parseInt(response.headers.get('Retry-After'), 10) : 0;
+    const backoff = Math.min(1000 * 2 ** retry, BULK_MAX_RETRY_DELAY_MS);
+    return Math.max(backoff, retryAfter > 0 ? retryAfter * 1000 : 0);
+  }
+
   clearCache() {
     this.cache.clear();
   }
 
+  // Dynamic links get their own short code whose destination can be changed later
+  async createDynamicLink(originalURL, linkOptions = {}) {
+    return this.shortenURL(originalURL, { ...linkOptions, dynamic: true });
+  }
+
+  // Current destination and destination history of a link
+  async getLinkDetails(shortCode, creatorToken) {
+    return this.requestLink(shortCode, creatorToken, { method: 'GET' });
+  }
+
+  // Point an existing short link at a new URL (requires the creator token)
+  async updateDestination(shortCode, creatorToken, newURL) {
+    const result = await this.requestLink(shortCode, creatorToken, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: newURL })
+    });
+
+    if (result.success) {
+      // Cached short URLs for the old destination are no longer accurate
+      this.clearCache();
+      const savedLink = this.getSavedLink(shortCode);
+      if (savedLink) {
+        this.saveLink({ ...savedLink, originalURL: result.link.originalUrl });
+      }
+    }
+
+    return result;
+  }
+
+  async requestLink(shortCode, creatorToken, init) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/links/${encodeURIComponent(shortCode)}`, {
+        ...init,
+        headers: {
+          ...(init.headers || {}),
+          Authorization: `Bearer ${creatorToken}`
+        }
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.error) {
+        if (response.status === 403 || response.status === 401) {
+          throw new Error('Invalid creator token for this link');
+        }
+        throw new Error(data.error || `Link API error: ${response.status} ${response.statusText}`);
+      }
+
+      return {
+        success: true,
+        link: data
+      };
+    } catch (error) {
+      console.error('Link API error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update link'
+      };
+    }
+  }
+
+  // Fetch click analytics for a short code using its creator token
+  async getAnalytics(shortCode, analyticsToken) {
+    try {
+      const response = await fetch(
+        `${this.baseURL}/api/analytics/${encodeURIComponent(shortCode)}?token=${encodeURIComponent(analyticsToken)}`
+      );
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.error) {
+        if (response.status === 403 || response.status === 401) {
+          throw new Error('Invalid analytics token for this link');
+        }
+        throw new Error(data.error || `Analytics API error: ${response.status} ${response.statusText}`);
+      }
+
+      return {
+        success: true,
+        analytics: data
+      };
+    } catch (error) {
+      console.error('Analytics fetch error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load analytics'
+      };
+    }
+  }
+
+  // Links created from this browser, stored with their analytics tokens
+  getSavedLinks() {
+    try {
+      const links = JSON.parse(localStorage.getItem(USER_LINKS_KEY) || '[]');
+      return Array.isArray(links) ? links : [];
+    } catch (error) {
+      console.warn('Unable to read saved links from localStorage');
+      return [];
+    }
+  }
+
+  getSavedLink(shortCode) {
+    return this.getSavedLinks().find(link => link.shortCode === shortCode) || null;
+  }
+
+  saveLink(link) {
+    const links = this.getSavedLinks().filter(existing => existing.shortCode !== link.shortCode);
+    links.unshift({
+      ...link,
+      created: link.created || new Date().toISOString()
+    });
+
+    try {
+      localStorage.setItem(USER_LINKS_KEY, JSON.stringify(links));
+    } catch (error) {
+      console.warn('Unable to store link in localStorage');
+    }
+  }
+
+  removeSavedLink(shortCode) {
+    const links = this.getSavedLinks().filter(link => link.shortCode !== shortCode);
+
+    try {
+      localStorage.setItem(USER_LINKS_KEY, JSON.stringify(links));
+    } catch (error) {
+      console.warn('Unable to update saved links in localStorage');
+    }
+  }
+
   getCachedURL(originalURL) {
     return this.cache.get(originalURL) || null;
   }
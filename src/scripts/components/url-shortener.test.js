@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { URLShortener } from './url-shortener.js';
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+const PENDING = { error: 'A request with this Idempotency-Key is still being processed', retryAfter: 2 };
+
+const REPLAYED = {
+  results: [{ index: 0, success: true, shortCode: 'abc1234', shortUrl: 'https://qubex.it/abc1234', analyticsToken: 'token', originalUrl: 'https://example.com/a' }],
+  summary: { total: 1, created: 1, existing: 0, failed: 0 }
+};
+
+describe('URLShortener.shortenBulk', () => {
+  let shortener;
+  let fetchMock;
+
+  beforeEach(() => {
+    const stored = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => stored.get(key) ?? null,
+      setItem: (key, value) => stored.set(key, value)
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    shortener = new URLShortener();
+    vi.spyOn(shortener, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('retries a lost response with the same key and waits while the first request is still running', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse(409, PENDING, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(jsonResponse(409, PENDING, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(jsonResponse(200, REPLAYED, { 'Idempotent-Replayed': 'true' }));
+
+    const result = await shortener.shortenBulk(['https://example.com/a']);
+
+    expect(result.success).toBe(true);
+    expect(result.results[0].shortCode).toBe('abc1234');
+    expect(shortener.getSavedLink('abc1234')).toMatchObject({ analyticsToken: 'token' });
+
+    const keys = fetchMock.mock.calls.map(([, init]) => init.headers['Idempotency-Key']);
+    expect(new Set(keys).size).toBe(1);
+    expect(shortener.delay.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000, 4000]);
+  });
+
+  it('gives up after repeated network errors', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const result = await shortener.shortenBulk(['https://example.com/a']);
+
+    expect(result).toMatchObject({ success: false, error: 'Failed to fetch' });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('reports a batch that is still pending once the server would process it again', async () => {
+    vi.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValue(5 * 60 * 1000);
+    fetchMock.mockResolvedValue(jsonResponse(409, PENDING, { 'Retry-After': '2' }));
+
+    const result = await shortener.shortenBulk(['https://example.com/a']);
+
+    expect(result).toMatchObject({ success: false, error: PENDING.error });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('URLShortener.getRetryDelay', () => {
+  it('backs off exponentially up to 30 seconds and honours Retry-After', () => {
+    const shortener = new URLShortener();
+    const response = new Response(null, { status: 409, headers: { 'Retry-After': '5' } });
+
+    expect([0, 1, 2, 5, 10].map((retry) => shortener.getRetryDelay(null, retry))).toEqual([1000, 2000, 4000, 30000, 30000]);
+    expect(shortener.getRetryDelay(response, 0)).toBe(5000);
+    expect(shortener.getRetryDelay(response, 3)).toBe(8000);
+  });
+});
@@ -1,23 +1,67 @@
 // VCard Form Validator Component
+import { CONTACT_FORMATS, VCARD_VERSIONS } from './vcard-qr-generator.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 
 export class VCardFormValidator {
   constructor() {
     this.form = null;
     this.fields = {
+      format: null,
+      version: null,
       firstName: null,
       lastName: null,
       jobTitle: null,
       company: null,
       phone: null,
+      workPhone: null,
+      homePhone: null,
       email: null,
+      homeEmail: null,
+      otherEmail: null,
       website: null,
+      linkedin: null,
+      twitter: null,
+      github: null,
+      instagram: null,
       street: null,
       city: null,
       state: null,
       zip: null,
-      country: null
+      country: null,
+      homeStreet: null,
+      homeCity: null,
+      homeState: null,
+      homeZip: null,
+      homeCountry: null,
+      birthday: null,
+      note: null,
+      // Hidden input holding the embedded photo as a data URL (see setPhoto)
+      photo: null
     };
+
+    // Fields with a format check, and the value check each one uses
+    this.checks = {
+      format: 'getFormatError',
+      version: 'getVersionError',
+      phone: 'getPhoneError',
+      workPhone: 'getPhoneError',
+      homePhone: 'getPhoneError',
+      email: 'getEmailError',
+      homeEmail: 'getEmailError',
+      otherEmail: 'getEmailError',
+      website: 'getWebsiteError',
+      linkedin: 'getWebsiteError',
+      twitter: 'getWebsiteError',
+      github: 'getWebsiteError',
+      instagram: 'getWebsiteError',
+      birthday: 'getBirthdayError'
+    };
+
+    // Everything validateField covers: the checks above plus each output format's length limits
+    this.validatedFields = [...new Set([
+      ...Object.keys(this.checks),
+      ...Object.values(CONTACT_FORMATS).flatMap(({ maxLengths }) => Object.keys(maxLengths))
+    ])];
   }
 
   setupValidation() {
@@ -38,26 +82,14 @@ export class VCardFormValidator {
   }
 
   attachValidationListeners() {
-    // Email validation
-    if (this.fields.email) {
-      this.fields.email.addEventListener('blur', () => {
-        this.validateEmail();
-      });
-    }
-
-    // Website validation
-    if (this.fields.website) {
-      this.fields.website.addEventListener('blur', () => {
-        this.validateWebsite();
-      });
-    }
-
-    // Phone validation
-    if (this.fields.phone) {
-      this.fields.phone.addEventListener('blur', () => {
-        this.validatePhone();
-      });
-    }
+    // Format checks (emails, phones, URLs, birthday) and length limits
+    this.validatedFields.forEach(fieldName => {
+      if (this.fields[fieldName]) {
+        this.fields[fieldName].addEventListener('blur', () => {
+          this.validateField(fieldName);
+        });
+      }
+    });
 
     // Name validation (at least one name required)
     if (this.fields.firstName && this.fields.lastName) {
@@ -70,66 +102,124 @@ export class VCardFormValidator {
     }
   }
 
-  validateEmail() {
-    const email = this.fields.email?.value.trim();
-    if (!email) return true; // Optional field
+  validateField(fieldName) {
+    const error = this.getFieldError(fieldName, this.fields[fieldName]?.value.trim(), this.fields.format?.value);
+    if (error) {
+      this.showFieldError(fieldName, error);
+      return false;
+    }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    const isValid = emailRegex.test(email);
+    this.clearFieldError(fieldName);
+    return true;
+  }
 
-    if (!isValid) {
-      this.showFieldError('email', 'Please enter a valid email address');
+  validateNames() {
+    const error = this.getNamesError(
+      this.fields.firstName?.value.trim() || '',
+      this.fields.lastName?.value.trim() || ''
+    );
+
+    if (error) {
+      this.showFieldError('first-name', error);
+      this.showFieldError('last-name', error);
       return false;
     }
 
-    this.clearFieldError('email');
+    this.clearFieldError('first-name');
+    this.clearFieldError('last-name');
     return true;
   }
 
-  validateWebsite() {
-    const website = this.fields.website?.value.trim();
-    if (!website) return true; // Optional field
+  // Value checks shared by the form and validateData; each returns an error message or null
+
+  getFieldError(fieldName, value, format) {
+    const check = this.checks[fieldName];
+    return (check && this[check](value)) || this.getLimitError(fieldName, value, format);
+  }
+
+  // Limits of the chosen output format (CONTACT_FORMATS), e.g. MeCard's 24-digit phone numbers
+  getLimitError(fieldName, value, format) {
+    if (!value) return null;
+
+    const { label, maxLengths, maxPhoneDigits } = CONTACT_FORMATS[format] || CONTACT_FORMATS.vcard;
+    if (maxLengths[fieldName] && value.length > maxLengths[fieldName]) {
+      return `${label} limits the ${fieldName.replace(/([A-Z])/g, ' $1').toLowerCase()} to ${maxLengths[fieldName]} characters`;
+    }
+    if (maxPhoneDigits && this.checks[fieldName] === 'getPhoneError' && value.replace(/\D/g, '').length > maxPhoneDigits) {
+      return `${label} phone numbers can have at most ${maxPhoneDigits} digits`;
+    }
+    return null;
+  }
+
+  getEmailError(email) {
+    if (!email) return null; // Optional field
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email) ? null : 'Please enter a valid email address';
+  }
+
+  getWebsiteError(website) {
+    if (!website) return null; // Optional field
 
     try {
       new URL(website);
-      this.clearFieldError('website');
-      return true;
+      return null;
     } catch {
-      this.showFieldError('website', 'Please enter a valid URL (e.g., https://example.com)');
-      return false;
+      return 'Please enter a valid URL (e.g., https://example.com)';
     }
   }
 
-  validatePhone() {
-    const phone = this.fields.phone?.value.trim();
-    if (!phone) return true; // Optional field
+  getPhoneError(phone) {
+    if (!phone) return null; // Optional field
 
     // Basic phone validation - allows various formats
     const phoneRegex = /^[\+]?[\d\s\-\(\)\.]{7,}$/;
-    const isValid = phoneRegex.test(phone);
+    return phoneRegex.test(phone) ? null : 'Please enter a valid phone number';
+  }
 
-    if (!isValid) {
-      this.showFieldError('phone', 'Please enter a valid phone number');
-      return false;
+  getBirthdayError(birthday) {
+    if (!birthday) return null; // Optional field
+
+    const date = new Date(`${birthday}T00:00:00`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(birthday) || Number.isNaN(date.getTime())) {
+      return 'Please enter the birthday as YYYY-MM-DD';
     }
+    return date > new Date() ? 'The birthday can\'t be in the future' : null;
+  }
 
-    this.clearFieldError('phone');
-    return true;
+  getFormatError(format) {
+    if (!format) return null; // Defaults to vCard
+
+    return CONTACT_FORMATS[format] ? null : `The format must be ${Object.keys(CONTACT_FORMATS).join(' or ')}`;
   }
 
-  validateNames() {
-    const firstName = this.fields.firstName?.value.trim() || '';
-    const lastName = this.fields.lastName?.value.trim() || '';
+  getVersionError(version) {
+    if (!version) return null; // Defaults to 3.0
 
-    if (!firstName && !lastName) {
-      this.showFieldError('first-name', 'At least first name or last name is required');
-      this.showFieldError('last-name', 'At least first name or last name is required');
-      return false;
-    }
+    return VCARD_VERSIONS[version] ? null : `The vCard version must be ${Object.keys(VCARD_VERSIONS).join(' or ')}`;
+  }
 
-    this.clearFieldError('first-name');
-    this.clearFieldError('last-name');
-    return true;
+  getNamesError(firstName, lastName) {
+    return !firstName && !lastName ? 'At least first name or last name is required' : null;
+  }
+
+  /**
+   * Validate contact details that don't come from the form (e.g. a CSV row)
+   * @param {Object} data - Values keyed like this.fields
+   * @returns {Object} { isValid, data } or { isValid: false, error }, like getFormData
+   */
+  validateData(data) {
+    const values = {};
+    Object.keys(this.fields).forEach(fieldName => {
+      values[fieldName] = String(data[fieldName] || '').trim();
+    });
+
+    const error = this.getNamesError(values.firstName, values.lastName)
+      || this.validatedFields
+        .map(fieldName => this.getFieldError(fieldName, values[fieldName], values.format))
+        .find(Boolean);
+
+    return error ? { isValid: false, error } : { isValid: true, data: values };
   }
 
   showFieldError(fieldName, message) {
@@ -165,6 +255,16 @@ export class VCardFormValidator {
     }
   }
 
+  // Current field values, trimmed and not validated
+  getValues() {
+    const data = {};
+    Object.keys(this.fields).forEach(fieldName => {
+      const field = this.fields[fieldName];
+      data[fieldName] = field ? field.value.trim() : '';
+    });
+    return data;
+  }
+
   getFormData() {
     if (!this.form) {
       return {
@@ -174,18 +274,12 @@ export class VCardFormValidator {
     }
 
     // Get all field values
-    const data = {};
-    Object.keys(this.fields).forEach(fieldName => {
-      const field = this.fields[fieldName];
-      data[fieldName] = field ? field.value.trim() : '';
-    });
+    const data = this.getValues();
 
     // Validate all fields
     const validations = [
       this.validateNames(),
-      this.validateEmail(),
-      this.validateWebsite(),
-      this.validatePhone()
+      ...this.validatedFields.map(fieldName => this.validateField(fieldName))
     ];
 
     const isValid = validations.every(validation => validation);
@@ -198,7 +292,7 @@ export class VCardFormValidator {
     }
 
     // Check if at least some data is provided
-    const hasData = Object.values(data).some(value => value.length > 0);
+    const hasData = Object.keys(data).some(fieldName => !['format', 'version'].includes(fieldName) && data[fieldName].length > 0);
     if (!hasData) {
       return {
         isValid: false,
@@ -222,6 +316,9 @@ export class VCardFormValidator {
     Object.keys(this.fields).forEach(fieldName => {
       this.clearFieldError(fieldName);
     });
+
+    // form.reset() leaves hidden inputs alone
+    this.setPhoto(null);
   }
 
   // Utility method to populate form with data (for editing)
@@ -234,5 +331,30 @@ export class VCardFormValidator {
         field.value = data[fieldName];
       }
     });
+
+    if (data.photo) {
+      this.setPhoto(data.photo);
+    }
+  }
+
+  /**
+   * Set or remove the embedded photo and its preview
+   * @param {string|null} dataURL - Image data URL (see VCardQRGenerator.createPhoto)
+   */
+  setPhoto(dataURL) {
+    if (this.fields.photo) {
+      this.fields.photo.value = dataURL || '';
+    }
+
+    const preview = DOMHelpers.$('#photo-preview');
+    if (!preview) return;
+
+    if (dataURL) {
+      preview.src = dataURL;
+      DOMHelpers.show('#photo-settings');
+    } else {
+      preview.removeAttribute('src');
+      DOMHelpers.hide('#photo-settings');
+    }
   }
 }
@@ -1,19 +1,56 @@
 // VCard QR Generator Component
-import QRCode from 'qrcode';
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
+import { ContentLines } from '../utils/content-lines.js';
+import { QRLogoControls } from './qr-logo-controls.js';
+
+export const VCARD_VERSIONS = {
+  '3.0': 'vCard 3.0 (widest support)',
+  '4.0': 'vCard 4.0 (RFC 6350)'
+};
+
+// Output formats, and the limits VCardFormValidator enforces for each. MeCard (NTT DoCoMo) is a
+// single line with no property types, so it makes smaller codes but drops the fields in `omits`.
+export const CONTACT_FORMATS = {
+  vcard: {
+    label: 'vCard',
+    maxLengths: { note: 300 },
+    maxPhoneDigits: null,
+    omits: {}
+  },
+  mecard: {
+    label: 'MeCard',
+    maxLengths: { note: 150 },
+    // The MeCard spec allows 1-24 digits per number
+    maxPhoneDigits: 24,
+    omits: { jobTitle: 'Job title', photo: 'Photo' }
+  }
+};
+
+// Typed multi-value fields, keyed like the form data ('' is written without a TYPE)
+const PHONE_TYPES = { phone: 'cell', workPhone: 'work', homePhone: 'home' };
+const EMAIL_TYPES = { email: 'work', homeEmail: 'home', otherEmail: '' };
+const ADDRESS_FIELDS = {
+  work: ['street', 'city', 'state', 'zip', 'country'],
+  home: ['homeStreet', 'homeCity', 'homeState', 'homeZip', 'homeCountry']
+};
+
+// Social profile URL fields: the service name written to the card, and how a read card is matched back
+export const SOCIAL_PROFILES = {
+  linkedin: { label: 'LinkedIn', service: 'LinkedIn', aliases: ['linkedin'], pattern: /linkedin\.com/i },
+  twitter: { label: 'X (Twitter)', service: 'Twitter', aliases: ['twitter', 'x'], pattern: /\b(twitter|x)\.com/i },
+  github: { label: 'GitHub', service: 'GitHub', aliases: ['github'], pattern: /github\.com/i },
+  instagram: { label: 'Instagram', service: 'Instagram', aliases: ['instagram'], pattern: /instagram\.com/i }
+};
+
+// Embedded photos are tiny: a QR code holds about 2.3 KB at the default error correction
+const PHOTO_SIZE = 48;
+const MAX_PHOTO_LENGTH = 1200;
 
 export class VCardQRGenerator {
   constructor() {
     this.canvas = null;
-    this.qrOptions = {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      errorCorrectionLevel: 'M'
-    };
+    this.renderer = new QRRenderer();
   }
 
   async init() {
@@ -24,61 +61,407 @@ export class VCardQRGenerator {
     return true;
   }
 
-  generateVCardString(vcardData) {
-    let vcard = 'BEGIN:VCARD\n';
-    vcard += 'VERSION:3.0\n';
+  /**
+   * Build the vCard text for a contact
+   * @param {Object} vcardData - Form data (see VCardFormValidator fields); empty fields are left out
+   * @param {string} version - '3.0' or '4.0'; defaults to vcardData.version, then 3.0
+   * @returns {string} Escaped, folded vCard with CRLF line breaks
+   */
+  generateVCardString(vcardData, version = vcardData.version || '3.0') {
+    const isV4 = version === '4.0';
+    const text = (value) => ContentLines.escape(String(value || '').trim());
+    // 3.0 types are conventionally upper-case, 4.0 ones lower-case
+    const types = (...values) => values.filter(Boolean).map(value => (isV4 ? value : value.toUpperCase()));
+    const properties = [{ name: 'VERSION', value: version }];
 
     // Name (required)
     const firstName = vcardData.firstName || '';
     const lastName = vcardData.lastName || '';
     if (firstName || lastName) {
-      vcard += `N:${lastName};${firstName};;;\n`;
-      vcard += `FN:${firstName} ${lastName}`.trim() + '\n';
+      properties.push({ name: 'N', value: [lastName, firstName, '', '', ''].map(text).join(';') });
+      properties.push({ name: 'FN', value: text(`${firstName} ${lastName}`) });
     }
 
     // Organization
     if (vcardData.company) {
-      vcard += `ORG:${vcardData.company}\n`;
+      properties.push({ name: 'ORG', value: text(vcardData.company) });
     }
 
     // Job Title
     if (vcardData.jobTitle) {
-      vcard += `TITLE:${vcardData.jobTitle}\n`;
+      properties.push({ name: 'TITLE', value: text(vcardData.jobTitle) });
     }
 
-    // Phone
-    if (vcardData.phone) {
-      vcard += `TEL:${vcardData.phone}\n`;
-    }
+    // Phones; 4.0 writes them as tel: URIs, with hyphens for spaces (+1-555-123-4567)
+    Object.entries(PHONE_TYPES).forEach(([field, type]) => {
+      const phone = String(vcardData[field] || '').trim();
+      if (!phone) return;
 
-    // Email
-    if (vcardData.email) {
-      vcard += `EMAIL:${vcardData.email}\n`;
-    }
+      properties.push(isV4
+        ? { name: 'TEL', params: { VALUE: 'uri', TYPE: types(type, type === 'cell' ? '' : 'voice') }, value: `tel:${phone.replace(/[()]/g, '').replace(/\s+/g, '-')}` }
+        : { name: 'TEL', params: { TYPE: types(type, type === 'cell' ? '' : 'voice') }, value: text(phone) });
+    });
+
+    // Emails
+    Object.entries(EMAIL_TYPES).forEach(([field, type]) => {
+      if (vcardData[field]) {
+        properties.push({ name: 'EMAIL', params: { TYPE: types(isV4 ? '' : 'internet', type) }, value: text(vcardData[field]) });
+      }
+    });
 
     // Website
     if (vcardData.website) {
-      vcard += `URL:${vcardData.website}\n`;
+      properties.push({ name: 'URL', value: vcardData.website.trim() });
     }
 
-    // Address
-    const addressParts = [
-      '', // PO Box (empty)
-      '', // Extended address (empty)
-      vcardData.street || '',
-      vcardData.city || '',
-      vcardData.state || '',
-      vcardData.zip || '',
-      vcardData.country || ''
-    ];
+    // Social profiles: SOCIALPROFILE (RFC 9554) in 4.0, Apple's X-SOCIALPROFILE in 3.0
+    Object.entries(SOCIAL_PROFILES).forEach(([field, { service }]) => {
+      const url = String(vcardData[field] || '').trim();
+      if (!url) return;
 
-    if (addressParts.some(part => part.trim())) {
-      vcard += `ADR:${addressParts.join(';')}\n`;
+      properties.push(isV4
+        ? { name: 'SOCIALPROFILE', params: { 'SERVICE-TYPE': service }, value: url }
+        : { name: 'X-SOCIALPROFILE', params: { TYPE: service.toLowerCase() }, value: url });
+    });
+
+    // Addresses (PO box and extended address stay empty)
+    Object.entries(ADDRESS_FIELDS).forEach(([type, fields]) => {
+      const parts = fields.map(field => String(vcardData[field] || '').trim());
+      if (parts.some(Boolean)) {
+        properties.push({ name: 'ADR', params: { TYPE: types(type) }, value: ['', '', ...parts].map(text).join(';') });
+      }
+    });
+
+    // Birthday: 3.0 uses the ISO 8601 extended form, 4.0 the basic one
+    if (vcardData.birthday) {
+      properties.push({ name: 'BDAY', value: isV4 ? vcardData.birthday.replace(/-/g, '') : vcardData.birthday });
+    }
+
+    if (vcardData.note) {
+      properties.push({ name: 'NOTE', value: text(vcardData.note) });
     }
 
-    vcard += 'END:VCARD';
+    // Photo: a data: URI in 4.0, inline base64 in 3.0
+    const photo = /^data:image\/(\w+);base64,(.+)$/.exec(vcardData.photo || '');
+    if (photo) {
+      properties.push(isV4
+        ? { name: 'PHOTO', value: vcardData.photo }
+        : { name: 'PHOTO', params: { ENCODING: 'b', TYPE: photo[1].toUpperCase() }, value: photo[2] });
+    }
 
-    return vcard;
+    return ContentLines.stringify([
+      { name: 'BEGIN', value: 'VCARD' },
+      ...properties,
+      { name: 'END', value: 'VCARD' }
+    ]);
+  }
+
+  /**
+   * Build the MeCard text for a contact (MECARD:N:Doe,John;TEL:...;;)
+   * Phones, emails and addresses keep their order but lose their types; social profiles become URLs.
+   * @param {Object} vcardData - Form data, as for generateVCardString
+   * @returns {string}
+   */
+  generateMeCardString(vcardData) {
+    // MeCard escapes its separators with a backslash and has no line breaks
+    const text = (value) => String(value || '').trim().replace(/[\\;,:]/g, '\\$&').replace(/\s*[\r\n]+\s*/g, ' ');
+    const properties = [];
+    const add = (name, value) => {
+      if (value) {
+        properties.push(`${name}:${value}`);
+      }
+    };
+
+    // Last name first: "Doe,John"
+    add('N', [vcardData.lastName, vcardData.firstName].filter(Boolean).map(text).join(','));
+    add('ORG', text(vcardData.company));
+    Object.keys(PHONE_TYPES).forEach(field => add('TEL', String(vcardData[field] || '').replace(/[^\d+]/g, '')));
+    Object.keys(EMAIL_TYPES).forEach(field => add('EMAIL', text(vcardData[field])));
+    ['website', ...Object.keys(SOCIAL_PROFILES)].forEach(field => add('URL', text(vcardData[field])));
+
+    // PO box, room number, street, city, state, ZIP, country
+    Object.values(ADDRESS_FIELDS).forEach((fields) => {
+      const parts = fields.map(field => text(vcardData[field]));
+      if (parts.some(Boolean)) {
+        add('ADR', ['', '', ...parts].join(','));
+      }
+    });
+
+    add('BDAY', String(vcardData.birthday || '').replace(/-/g, ''));
+    add('NOTE', text(vcardData.note));
+
+    return `MECARD:${properties.map(property => `${property};`).join('')};`;
+  }
+
+  /**
+   * Build the payload for the chosen output format
+   * @param {Object} vcardData - Form data
+   * @param {string} format - Key of CONTACT_FORMATS; defaults to vcardData.format, then vCard
+   * @returns {string}
+   */
+  generatePayload(vcardData, format = vcardData.format || 'vcard') {
+    return format === 'mecard' ? this.generateMeCardString(vcardData) : this.generateVCardString(vcardData);
+  }
+
+  /**
+   * Payload size and QR version of a contact in every output format, for the comparison on the form
+   * @param {Object} vcardData - Form data (unvalidated values are fine)
+   * @returns {Object} Format -> { bytes, version, size, omitted }; version is null when the payload doesn't fit
+   */
+  compareFormats(vcardData) {
+    return Object.fromEntries(Object.entries(CONTACT_FORMATS).map(([format, { omits }]) => {
+      const payload = this.generatePayload(vcardData, format);
+      let symbol = null;
+      try {
+        // With the current design options, so a logo's higher error correction is counted
+        symbol = this.renderer.encode(payload);
+      } catch {
+        // Too long for any QR version
+      }
+
+      return [format, {
+        bytes: new TextEncoder().encode(payload).length,
+        version: symbol ? symbol.version : null,
+        size: symbol ? symbol.size : null,
+        omitted: Object.keys(omits).filter(field => vcardData[field]).map(field => omits[field])
+      }];
+    }));
+  }
+
+  // Read a vCard (2.1, 3.0 or 4.0) back into form fields; the first value of each kind wins
+  parseVCardString(vcardString) {
+    if (!/^BEGIN:VCARD/i.test((vcardString || '').trim())) {
+      return null;
+    }
+
+    const vcardData = {};
+    const setOnce = (key, value) => {
+      if (!vcardData[key] && value) {
+        vcardData[key] = value;
+      }
+    };
+
+    ContentLines.parse(vcardString).forEach(({ name, params, value }) => {
+      const types = VCardQRGenerator.getTypes(params);
+
+      switch (name) {
+        case 'VERSION':
+          if (VCARD_VERSIONS[value.trim()]) {
+            vcardData.version = value.trim();
+          }
+          break;
+        case 'N': {
+          const [lastName = '', firstName = ''] = ContentLines.split(value);
+          setOnce('lastName', lastName);
+          setOnce('firstName', firstName);
+          break;
+        }
+        case 'FN':
+          setOnce('fullName', ContentLines.unescape(value));
+          break;
+        case 'ORG':
+          setOnce('company', ContentLines.split(value)[0]);
+          break;
+        case 'TITLE':
+          setOnce('jobTitle', ContentLines.unescape(value));
+          break;
+        case 'TEL': {
+          if (types.includes('fax')) break;
+          const phone = ContentLines.unescape(value).replace(/^tel:/i, '');
+          const field = Object.keys(PHONE_TYPES).find(key => types.includes(PHONE_TYPES[key]));
+          setOnce(field || (vcardData.phone ? 'workPhone' : 'phone'), phone);
+          break;
+        }
+        case 'EMAIL': {
+          const email = ContentLines.unescape(value);
+          const field = Object.keys(EMAIL_TYPES).find(key => EMAIL_TYPES[key] && types.includes(EMAIL_TYPES[key]));
+          setOnce(field || (vcardData.email ? 'otherEmail' : 'email'), email);
+          break;
+        }
+        case 'URL':
+          setOnce('website', ContentLines.unescape(value));
+          break;
+        case 'SOCIALPROFILE':
+        case 'X-SOCIALPROFILE': {
+          const service = String(params['SERVICE-TYPE'] || params.TYPE || '').toLowerCase();
+          const url = ContentLines.unescape(value);
+          const field = Object.keys(SOCIAL_PROFILES).find(key => SOCIAL_PROFILES[key].aliases.includes(service)
+            || SOCIAL_PROFILES[key].pattern.test(url));
+          if (field) {
+            setOnce(field, url);
+          }
+          break;
+        }
+        case 'ADR': {
+          const [, , ...parts] = ContentLines.split(value);
+          const fields = ADDRESS_FIELDS[types.includes('home') ? 'home' : 'work'];
+          if (fields.some(field => vcardData[field])) break;
+          fields.forEach((field, index) => setOnce(field, parts[index]));
+          break;
+        }
+        case 'BDAY': {
+          // 1990-05-17, 19900517 or a date-time; dates without a year (--0517) can't fill the form
+          const date = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value.trim());
+          if (date) {
+            setOnce('birthday', `${date[1]}-${date[2]}-${date[3]}`);
+          }
+          break;
+        }
+        case 'NOTE':
+          setOnce('note', ContentLines.unescape(value));
+          break;
+        case 'PHOTO': {
+          const data = value.replace(/\s/g, '');
+          if (/^data:image\//i.test(data)) {
+            setOnce('photo', data);
+          } else if (/^b(ase64)?$/i.test(params.ENCODING || '')) {
+            setOnce('photo', `data:image/${(params.TYPE || 'jpeg').toLowerCase()};base64,${data}`);
+          }
+          break;
+        }
+      }
+    });
+
+    // Cards without an N property only carry the formatted name
+    if (!vcardData.firstName && !vcardData.lastName && vcardData.fullName) {
+      const [firstName, ...rest] = vcardData.fullName.split(' ');
+      vcardData.firstName = firstName;
+      vcardData.lastName = rest.join(' ');
+    }
+    delete vcardData.fullName;
+
+    return vcardData;
+  }
+
+  // Read a MeCard back into form fields; repeated TEL, EMAIL and ADR fill the typed fields in order
+  parseMeCardString(mecardString) {
+    const content = (mecardString || '').trim();
+    if (!/^MECARD:/i.test(content)) {
+      return null;
+    }
+
+    const vcardData = { format: 'mecard' };
+    const fill = (fields, value) => {
+      const field = fields.find(key => !vcardData[key]);
+      if (field && value) {
+        vcardData[field] = value;
+      }
+    };
+
+    VCardQRGenerator.splitMeCard(content.slice('MECARD:'.length), ';').filter(Boolean).forEach((property) => {
+      const colon = property.indexOf(':');
+      if (colon === -1) return;
+
+      const name = property.slice(0, colon).toUpperCase();
+      const value = property.slice(colon + 1);
+      const unescape = (part) => part.replace(/\\(.)/g, '$1');
+
+      switch (name) {
+        case 'N': {
+          // "Doe,John", or a single name
+          const names = VCardQRGenerator.splitMeCard(value, ',').map(unescape);
+          fill(['firstName'], names.length > 1 ? names[1] : names[0]);
+          fill(['lastName'], names.length > 1 ? names[0] : '');
+          break;
+        }
+        case 'ORG':
+          fill(['company'], unescape(value));
+          break;
+        case 'TEL':
+          fill(Object.keys(PHONE_TYPES), unescape(value));
+          break;
+        case 'EMAIL':
+          fill(Object.keys(EMAIL_TYPES), unescape(value));
+          break;
+        case 'URL': {
+          const url = unescape(value);
+          const social = Object.keys(SOCIAL_PROFILES).find(key => SOCIAL_PROFILES[key].pattern.test(url));
+          fill(social ? [social] : ['website'], url);
+          break;
+        }
+        case 'ADR': {
+          const parts = VCardQRGenerator.splitMeCard(value, ',').map(unescape);
+          const fields = Object.values(ADDRESS_FIELDS).find(group => group.every(field => !vcardData[field]));
+          if (!fields) break;
+          // A free-form address without commas goes into the street line
+          const values = parts.length >= 7 ? parts.slice(2) : [parts.join(', ')];
+          fields.forEach((field, index) => fill([field], values[index]));
+          break;
+        }
+        case 'BDAY': {
+          const date = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(value.trim());
+          if (date) {
+            fill(['birthday'], `${date[1]}-${date[2]}-${date[3]}`);
+          }
+          break;
+        }
+        case 'NOTE':
+          fill(['note'], unescape(value));
+          break;
+      }
+    });
+
+    return vcardData;
+  }
+
+  // Split on a separator that isn't backslash-escaped; escapes are kept for the caller
+  static splitMeCard(value, separator) {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\\' && i + 1 < value.length) {
+        current += value[i] + value[i + 1];
+        i++;
+      } else if (value[i] === separator) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += value[i];
+      }
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  // Lower-case TYPE values, including vCard 2.1's bare ones (TEL;CELL;VOICE:...)
+  static getTypes(params) {
+    return Object.entries(params)
+      .flatMap(([key, value]) => (key === 'TYPE' ? value.split(',') : value === '' ? [key] : []))
+      .map(type => type.trim().toLowerCase());
+  }
+
+  /**
+   * Shrink an image file into a photo small enough to embed in the QR code
+   * @param {File} file - PNG, JPEG or WebP image
+   * @returns {Promise<string>} JPEG data URL, PHOTO_SIZE pixels square
+   */
+  async createPhoto(file) {
+    const src = await QRLogoControls.readAsDataURL(file);
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The photo could not be read'));
+      img.src = src;
+    });
+
+    // Center square crop
+    const side = Math.min(image.width, image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = PHOTO_SIZE;
+    canvas.height = PHOTO_SIZE;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, PHOTO_SIZE, PHOTO_SIZE);
+    context.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, PHOTO_SIZE, PHOTO_SIZE);
+
+    // Lower the quality until the photo fits its share of the code
+    for (const quality of [0.8, 0.6, 0.4, 0.25]) {
+      const dataURL = canvas.toDataURL('image/jpeg', quality);
+      if (dataURL.length <= MAX_PHOTO_LENGTH) {
+        return dataURL;
+      }
+    }
+    throw new Error('This photo is too detailed to fit in the QR code. Try a simpler one.');
   }
 
   async generateVCardQR(vcardData) {
@@ -92,11 +475,11 @@ export class VCardQRGenerator {
         throw new Error('At least first name or last name is required');
       }
 
-      // Generate VCard string
-      const vcardString = this.generateVCardString(vcardData);
+      // Generate the vCard or MeCard string
+      const vcardString = this.generatePayload(vcardData);
 
       // Generate QR code
-      await QRCode.toCanvas(this.canvas, vcardString, this.qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, vcardString);
 
       // Get data URL for PDF generation
       const dataURL = this.canvas.toDataURL('image/png');
@@ -116,13 +499,48 @@ export class VCardQRGenerator {
     }
   }
 
-  clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  /**
+   * Download the last vCard QR code as PNG, SVG or EPS
+   * @param {string} filename - File name (the extension follows the format)
+   * @param {string} format - png, svg or eps
+   * @returns {Promise<boolean>} Whether the download was started
+   */
+  async downloadQR(filename = 'vcard-qr-code.png', format = 'png') {
+    try {
+      await this.renderer.downloadLast(filename, format);
+      return true;
+    } catch (error) {
+      console.error('QR download error:', error);
+      return false;
     }
   }
 
+  /**
+   * Save the contact as a .vcf file for address books. Always a vCard, even when the code holds a MeCard.
+   * @param {Object} vcardData - Form data
+   * @param {string} filename - File name, with extension
+   */
+  downloadVCF(vcardData, filename = 'contact.vcf') {
+    ContentLines.download(filename, this.generateVCardString(vcardData), 'text/vcard');
+  }
+
+  clearQR() {
+    this.renderer.clear(this.canvas);
+  }
+
+  /**
+   * Apply renderer options (colors, margin, logo) to the next contact QR code
+   * @param {Object} options - Merged over the current renderer options
+   */
+  updateOptions(options) {
+    this.renderer.setOptions(options);
+  }
+
+  // Decode the rendered contact QR code and check the vCard text comes back unchanged
+  verifyQR() {
+    return this.renderer.verifyLast();
+  }
+
   // Utility method to validate VCard data
   validateVCardData(vcardData) {
     const errors = [];
@@ -133,17 +551,17 @@ export class VCardQRGenerator {
     }
 
     // Validate email format if provided
-    if (vcardData.email && !this.isValidEmail(vcardData.email)) {
+    if (Object.keys(EMAIL_TYPES).some(field => vcardData[field] && !this.isValidEmail(vcardData[field]))) {
       errors.push('Please enter a valid email address');
     }
 
     // Validate URL format if provided
-    if (vcardData.website && !this.isValidURL(vcardData.website)) {
+    if (['website', ...Object.keys(SOCIAL_PROFILES)].some(field => vcardData[field] && !this.isValidURL(vcardData[field]))) {
       errors.push('Please enter a valid website URL');
     }
 
     // Validate phone format if provided (basic validation)
-    if (vcardData.phone && !this.isValidPhone(vcardData.phone)) {
+    if (Object.keys(PHONE_TYPES).some(field => vcardData[field] && !this.isValidPhone(vcardData[field]))) {
       errors.push('Please enter a valid phone number');
     }
 
@@ -0,0 +1,152 @@
+import { describe, expect, it } from 'vitest';
+import { CONTACT_FORMATS, VCardQRGenerator } from './vcard-qr-generator.js';
+
+const generator = new VCardQRGenerator();
+
+const contact = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  company: 'Doe, Smith & Co',
+  jobTitle: 'CTO',
+  phone: '+1 (555) 123 4567',
+  workPhone: '+1 555 765 4321',
+  email: 'jane@work.example',
+  homeEmail: 'jane@home.example',
+  otherEmail: 'o@x.com',
+  website: 'https://example.com',
+  github: 'https://github.com/janedoe',
+  street: '1 Main St; Suite 2',
+  city: 'Springfield',
+  country: 'USA',
+  birthday: '1990-04-01',
+  note: 'Line one\nLine two'
+};
+
+const lines = (vcard) => vcard.replace(/\r\n /g, '').split('\r\n');
+
+describe('VCardQRGenerator.generateVCardString', () => {
+  it('writes 3.0 cards with upper-case types and escaped values', () => {
+    const card = lines(generator.generateVCardString(contact, '3.0'));
+
+    expect(card[0]).toBe('BEGIN:VCARD');
+    expect(card).toContain('VERSION:3.0');
+    expect(card).toContain('N:Doe;Jane;;;');
+    expect(card).toContain('ORG:Doe\\, Smith & Co');
+    expect(card).toContain('TEL;TYPE=CELL:+1 (555) 123 4567');
+    expect(card).toContain('TEL;TYPE=WORK,VOICE:+1 555 765 4321');
+    expect(card).toContain('EMAIL;TYPE=INTERNET,WORK:jane@work.example');
+    expect(card).toContain('EMAIL;TYPE=INTERNET:o@x.com');
+    expect(card).toContain('X-SOCIALPROFILE;TYPE=github:https://github.com/janedoe');
+    expect(card).toContain('ADR;TYPE=WORK:;;1 Main St\\; Suite 2;Springfield;;;USA');
+    expect(card).toContain('BDAY:1990-04-01');
+    expect(card).toContain('NOTE:Line one\\nLine two');
+    expect(card[card.length - 1]).toBe('END:VCARD');
+  });
+
+  it('writes 4.0 cards with tel: URIs and no empty TYPE for other emails', () => {
+    const vcard = generator.generateVCardString(contact, '4.0');
+    const card = lines(vcard);
+
+    expect(vcard).not.toMatch(/TYPE=[:;]/);
+    expect(card).toContain('EMAIL:o@x.com');
+    expect(card).toContain('EMAIL;TYPE=home:jane@home.example');
+    expect(card).toContain('TEL;VALUE=uri;TYPE=cell:tel:+1-555-123-4567');
+    expect(card).toContain('SOCIALPROFILE;SERVICE-TYPE=GitHub:https://github.com/janedoe');
+    expect(card).toContain('BDAY:19900401');
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const vcard = generator.generateVCardString({ ...contact, note: 'ü'.repeat(100) });
+
+    vcard.split('\r\n').forEach((line) => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+  });
+
+  it('round-trips through parseVCardString in both versions', () => {
+    ['3.0', '4.0'].forEach((version) => {
+      const parsed = generator.parseVCardString(generator.generateVCardString(contact, version));
+
+      expect(parsed).toMatchObject({
+        version,
+        firstName: 'Jane',
+        lastName: 'Doe',
+        company: 'Doe, Smith & Co',
+        phone: version === '4.0' ? '+1-555-123-4567' : '+1 (555) 123 4567',
+        email: 'jane@work.example',
+        homeEmail: 'jane@home.example',
+        otherEmail: 'o@x.com',
+        github: 'https://github.com/janedoe',
+        street: '1 Main St; Suite 2',
+        city: 'Springfield',
+        note: 'Line one\nLine two'
+      });
+    });
+  });
+});
+
+describe('VCardQRGenerator.generateMeCardString', () => {
+  it('writes every field untyped, escaping separators and flattening newlines', () => {
+    expect(generator.generateMeCardString(contact)).toBe(
+      'MECARD:N:Doe,Jane;ORG:Doe\\, Smith & Co;TEL:+15551234567;TEL:+15557654321;'
+      + 'EMAIL:jane@work.example;EMAIL:jane@home.example;EMAIL:o@x.com;'
+      + 'URL:https\\://example.com;URL:https\\://github.com/janedoe;'
+      + 'ADR:,,1 Main St\\; Suite 2,Springfield,,,USA;BDAY:19900401;NOTE:Line one Line two;;'
+    );
+  });
+
+  it('leaves out the fields MeCard has no room for', () => {
+    const mecard = generator.generateMeCardString({ ...contact, photo: 'data:image/jpeg;base64,AAAA' });
+
+    expect(mecard).not.toContain('CTO');
+    expect(mecard).not.toContain('base64');
+  });
+
+  it('round-trips through parseMeCardString', () => {
+    const parsed = generator.parseMeCardString(generator.generateMeCardString(contact));
+
+    expect(parsed).toMatchObject({
+      format: 'mecard',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      company: 'Doe, Smith & Co',
+      phone: '+15551234567',
+      workPhone: '+15557654321',
+      otherEmail: 'o@x.com',
+      website: 'https://example.com',
+      github: 'https://github.com/janedoe',
+      street: '1 Main St; Suite 2',
+      city: 'Springfield',
+      country: 'USA',
+      birthday: '1990-04-01',
+      note: 'Line one Line two'
+    });
+  });
+
+  it('reads a single name as the first name', () => {
+    expect(generator.parseMeCardString('MECARD:N:Cher;;')).toMatchObject({ firstName: 'Cher' });
+  });
+});
+
+describe('VCardQRGenerator.compareFormats', () => {
+  it('reports size and QR version for each format, with MeCard the smaller one', () => {
+    const comparison = generator.compareFormats(contact);
+
+    expect(Object.keys(comparison)).toEqual(Object.keys(CONTACT_FORMATS));
+    expect(comparison.mecard.bytes).toBeLessThan(comparison.vcard.bytes);
+    expect(comparison.mecard.version).toBeLessThanOrEqual(comparison.vcard.version);
+    expect(comparison.mecard.omitted).toEqual(['Job title']);
+    expect(comparison.vcard.omitted).toEqual([]);
+  });
+
+  it('reports a null version when the payload does not fit in a QR code', () => {
+    const comparison = generator.compareFormats({ ...contact, note: 'x'.repeat(5000) });
+
+    expect(comparison.vcard.version).toBeNull();
+  });
+});
+
+describe('VCardQRGenerator.generatePayload', () => {
+  it('follows the chosen format', () => {
+    expect(generator.generatePayload({ ...contact, format: 'mecard' })).toMatch(/^MECARD:/);
+    expect(generator.generatePayload(contact)).toMatch(/^BEGIN:VCARD/);
+  });
+});
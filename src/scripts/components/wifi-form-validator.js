@@ -134,15 +134,14 @@ export class WiFiFormValidator {
 
   /**
    * Validate password field
+   * @param {string} value - Password
+   * @param {string} securityType - Defaults to the security select's value
    */
-  validatePassword(value) {
-    const securitySelect = DOMHelpers.$('#security-select');
-    if (!securitySelect) {
+  validatePassword(value, securityType = DOMHelpers.$('#security-select')?.value) {
+    if (!securityType) {
       return { isValid: false, error: 'Security type not found' };
     }
 
-    const securityType = securitySelect.value;
-
     // No password required for open networks
     if (securityType === 'nopass') {
       return { isValid: true, normalizedValue: '' };
@@ -358,4 +357,56 @@ export class WiFiFormValidator {
       }
     };
   }
+
+  /**
+   * Validate network details that don't come from the form (e.g. a CSV row)
+   * @param {Object} data - { ssid, password, security }; security defaults to WPA, or nopass without a password
+   * @returns {Object} { isValid, data } or { isValid: false, error }, like getFormData
+   */
+  validateData(data) {
+    const password = data.password || '';
+    const requested = (data.security || '').trim();
+    const security = requested
+      ? ['WPA', 'WPA3', 'WEP', 'nopass'].find(type => type.toLowerCase() === requested.toLowerCase()) || requested
+      : (password ? 'WPA' : 'nopass');
+
+    const results = [
+      this.validateSSID(data.ssid),
+      this.validateSecurity(security),
+      this.validatePassword(password, security)
+    ];
+
+    const firstError = results.find(result => !result.isValid);
+    if (firstError) {
+      return { isValid: false, error: firstError.error };
+    }
+
+    return {
+      isValid: true,
+      data: {
+        ssid: results[0].normalizedValue,
+        password: results[2].normalizedValue,
+        security
+      }
+    };
+  }
+
+  /**
+   * Fill the form from network details (e.g. a scanned WiFi code)
+   * @param {Object} data - { ssid, password, security }
+   */
+  populateForm(data) {
+    if (!data) return;
+
+    const securitySelect = DOMHelpers.$('#security-select');
+    if (securitySelect && data.security) {
+      securitySelect.value = data.security;
+      this.handleSecurityTypeChange();
+    }
+
+    this.setFieldValue('#ssid-input', data.ssid || '');
+    if (data.security !== 'nopass') {
+      this.setFieldValue('#password-input', data.password || '');
+    }
+  }
 }
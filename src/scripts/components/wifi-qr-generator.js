@@ -1,20 +1,17 @@
 // WiFi QR Generator Component
+import { QRRenderer } from './qr-renderer.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 import { ErrorHandler } from '../utils/error-handler.js';
 
 export class WiFiQRGenerator {
   constructor() {
-    this.qrLib = null;
+    this.renderer = new QRRenderer();
     this.canvas = null;
     this.currentWiFiData = null;
   }
 
   async init() {
     try {
-      // Import QR code library
-      const QRCode = await import('https://cdn.skypack.dev/qrcode');
-      this.qrLib = QRCode.default || QRCode;
-      
       // Get canvas element
       this.canvas = DOMHelpers.$('#qr-canvas');
       if (!this.canvas) {
@@ -46,7 +43,7 @@ export class WiFiQRGenerator {
       }
 
       // Initialize if not already done
-      if (!this.qrLib) {
+      if (!this.canvas) {
         const initResult = await this.init();
         if (!initResult.success) {
           return { success: false, error: initResult.error };
@@ -61,17 +58,7 @@ export class WiFiQRGenerator {
       this.currentWiFiData = { ...wifiData, wifiString };
 
       // Generate QR code
-      const qrOptions = {
-        width: 300,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        },
-        errorCorrectionLevel: 'M'
-      };
-
-      await this.qrLib.toCanvas(this.canvas, wifiString, qrOptions);
+      await this.renderer.renderToCanvas(this.canvas, wifiString);
 
       // Get data URL for PDF generation
       const dataURL = this.canvas.toDataURL('image/png');
@@ -140,6 +127,48 @@ export class WiFiQRGenerator {
       .replace(/"/g, '\\"');   // Escape double quotes
   }
 
+  /**
+   * Parse a WiFi QR string back into network details (inverse of formatWiFiString)
+   * @param {string} wifiString - e.g. WIFI:T:WPA;S:MySSID;P:mypassword;H:false;;
+   * @returns {Object|null} { ssid, password, security, hidden } or null when it isn't a WiFi string
+   */
+  parseWiFiString(wifiString) {
+    if (!/^WIFI:/i.test(wifiString || '')) return null;
+
+    const fields = {};
+    let key = null;
+    let value = '';
+
+    // KEY:value; pairs, where a backslash escapes the next character
+    for (let i = 5; i < wifiString.length; i++) {
+      const char = wifiString[i];
+      if (char === '\\' && i + 1 < wifiString.length) {
+        value += wifiString[++i];
+      } else if (char === ':' && key === null) {
+        key = value.toUpperCase();
+        value = '';
+      } else if (char === ';') {
+        if (key !== null) {
+          fields[key] = value;
+        }
+        key = null;
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    const type = (fields.T || '').toUpperCase();
+    const security = type === 'WEP' ? 'WEP' : (type === '' || type === 'NOPASS') ? 'nopass' : 'WPA';
+
+    return {
+      ssid: fields.S || '',
+      password: security === 'nopass' ? '' : (fields.P || ''),
+      security,
+      hidden: (fields.H || '').toLowerCase() === 'true'
+    };
+  }
+
   /**
    * Validate WiFi data
    */
@@ -191,17 +220,46 @@ export class WiFiQRGenerator {
     return { isValid: true };
   }
 
+  /**
+   * Download the last WiFi QR code as PNG, SVG or EPS
+   * @param {string} filename - File name (the extension follows the format)
+   * @param {string} format - png, svg or eps
+   * @returns {Promise<boolean>} Whether the download was started
+   */
+  async downloadQR(filename = 'wifi-qr-code.png', format = 'png') {
+    try {
+      await this.renderer.downloadLast(filename, format);
+      return true;
+    } catch (error) {
+      console.error('QR download error:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear the QR code display
    */
   clearQR() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.renderer.clear(this.canvas);
     this.currentWiFiData = null;
   }
 
+  /**
+   * Apply renderer options (colors, margin, logo) to the next WiFi QR code
+   * @param {Object} options - Merged over the current renderer options
+   */
+  updateOptions(options) {
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * Decode the rendered WiFi QR code and check the escaped WIFI: string round-trips
+   * @returns {Object} { passed, expected, decoded, error }
+   */
+  verifyQR() {
+    return this.renderer.verifyLast();
+  }
+
   /**
    * Get current WiFi data
    */
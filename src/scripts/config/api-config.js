@@ -2,7 +2,6 @@
 export const API_CONFIG = {
   CUSTOM_SHORTENER: {
     BASE_URL: 'https://qubex.it',
-    DATABASE_NAME: 'link-shortening-test',
     ENDPOINTS: {
       SHORTEN: '/api/shorten',
       REDIRECT: '/api'
@@ -15,7 +14,6 @@ export const getApiConfig = () => {
   const config = {
     CUSTOM_SHORTENER: {
       BASE_URL: 'https://qubex.it',
-      DATABASE_NAME: 'link-shortening-test',
       ENDPOINTS: {
         SHORTEN: '/api/shorten',
         REDIRECT: '/api'
@@ -2,6 +2,13 @@ import { EmailQRGenerator } from './components/email-qr-generator.js';
 import { EmailFormValidator } from './components/email-form-validator.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeManager } from './utils/theme-manager.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class EmailQRGeneratorApp {
     constructor() {
@@ -9,6 +16,16 @@ class EmailQRGeneratorApp {
         this.emailFormValidator = new EmailFormValidator();
         this.pdfGenerator = new PDFGenerator();
         this.themeManager = new ThemeManager();
+        this.designPanel = new QRDesignPanel('#qr-design-panel', {
+            onChange: (design) => this.emailQRGenerator.updateQROptions(design)
+        });
+        this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+            onChange: (profile) => this.pdfGenerator.setBranding(profile)
+        });
+        this.shareLink = new ShareLinkPanel('#share-link', {
+            fields: ['recipient', 'subject', 'body']
+        });
+        this.verificationBadge = new QRVerificationBadge('#qr-verification');
         
         this.form = document.getElementById('email-form');
         this.generateBtn = document.getElementById('generate-email-btn');
@@ -21,6 +38,8 @@ class EmailQRGeneratorApp {
         this.errorMessage = document.getElementById('error-message');
         
         this.downloadPdfBtn = document.getElementById('download-pdf-btn');
+        this.downloadSvgBtn = document.getElementById('download-svg-btn');
+        this.downloadEpsBtn = document.getElementById('download-eps-btn');
         this.generateAnotherBtn = document.getElementById('generate-another-btn');
         this.dismissErrorBtn = document.getElementById('dismiss-error-btn');
         
@@ -45,6 +64,19 @@ class EmailQRGeneratorApp {
         this.setupEventListeners();
         this.setupCharacterCounters();
         this.themeManager.init();
+        this.designPanel.init();
+        this.brandingPicker.init();
+        this.shareLink.init();
+
+        // Values handed over by the scanner or history, else a shared link, which generates straight away
+        const prefill = QRPrefill.take('email');
+        const shared = prefill ? null : URLState.read(this.shareLink.fields);
+        if (prefill || shared) {
+            this.populateForm(prefill || shared);
+        }
+        if (shared && this.form) {
+            this.form.requestSubmit();
+        }
         
         // Focus on recipient input
         if (this.recipientInput) {
@@ -52,6 +84,23 @@ class EmailQRGeneratorApp {
         }
     }
 
+    /**
+     * Fill the form from email details, updating counters and validation
+     * @param {Object} emailData - { recipient, subject, body }
+     */
+    populateForm(emailData) {
+        [
+            [this.recipientInput, emailData.recipient],
+            [this.subjectInput, emailData.subject],
+            [this.bodyInput, emailData.body]
+        ].forEach(([input, value]) => {
+            if (input) {
+                input.value = value || '';
+                input.dispatchEvent(new Event('input'));
+            }
+        });
+    }
+
     setupEventListeners() {
         // Form submission
         if (this.form) {
@@ -77,6 +126,14 @@ class EmailQRGeneratorApp {
             this.downloadPdfBtn.addEventListener('click', () => this.handleDownloadPDF());
         }
 
+        if (this.downloadSvgBtn) {
+            this.downloadSvgBtn.addEventListener('click', () => this.handleVectorDownload('svg'));
+        }
+
+        if (this.downloadEpsBtn) {
+            this.downloadEpsBtn.addEventListener('click', () => this.handleVectorDownload('eps'));
+        }
+
         if (this.generateAnotherBtn) {
             this.generateAnotherBtn.addEventListener('click', () => this.handleGenerateAnother());
         }
@@ -148,8 +205,20 @@ class EmailQRGeneratorApp {
                 this.qrCanvas
             );
 
+            // Add to the local history (/qr/history)
+            QRHistory.add({
+                type: 'email',
+                title: this.currentEmailData.recipient,
+                payload: this.emailQRGenerator.createMailtoUrl(this.currentEmailData),
+                formData: this.currentEmailData,
+                dataURL: this.currentQRCode,
+                renderOptions: this.emailQRGenerator.getQROptions()
+            });
+            this.shareLink.update(this.currentEmailData);
+
             // Update display
             this.updateEmailDisplay();
+            this.verificationBadge.show(this.emailQRGenerator.verifyQR());
             this.showResults();
 
         } catch (error) {
@@ -187,6 +256,19 @@ class EmailQRGeneratorApp {
         }
     }
 
+    async handleVectorDownload(format) {
+        if (!this.currentEmailData || !this.currentQRCode) {
+            this.showError('No QR code to download. Please generate a QR code first.');
+            return;
+        }
+
+        const fileName = `email-${this.currentEmailData.recipient.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        const downloaded = await this.emailQRGenerator.downloadQR(`${fileName}.${format}`, format);
+        if (!downloaded) {
+            this.showError(`Failed to download ${format.toUpperCase()} file`);
+        }
+    }
+
     async handleDownloadPDF() {
         if (!this.currentEmailData || !this.currentQRCode) {
             this.showError('No QR code to download. Please generate a QR code first.');
@@ -235,6 +317,8 @@ class EmailQRGeneratorApp {
         // Reset data
         this.currentEmailData = null;
         this.currentQRCode = null;
+        this.shareLink.reset();
+        this.verificationBadge.clear();
 
         // Show form, hide results
         this.hideResults();
@@ -4,9 +4,16 @@ import { EventFormValidator } from './components/event-form-validator.js';
 import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class EventQRGeneratorApp {
   constructor() {
@@ -15,6 +22,16 @@ class EventQRGeneratorApp {
     this.clipboardCopy = new ClipboardCopy();
     this.pdfGenerator = new PDFGenerator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.eventQRGenerator.updateOptions(design)
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: Object.keys(this.formValidator.fields)
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
     
     this.currentData = {
       eventData: null,
@@ -28,12 +45,39 @@ class EventQRGeneratorApp {
     await this.eventQRGenerator.init();
     this.formValidator.setupValidation();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     
     // Setup event listeners
     this.attachEventListeners();
     
     // Reset application state
     this.resetApplication();
+
+    // Values handed over by the scanner or history, or from a shared link
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('event');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields, { booleans: ['allDay'] });
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.populateForm(values);
+
+    // The all-day checkbox isn't one of the validator's fields
+    const allDayCheckbox = DOMHelpers.$('#all-day-event');
+    if (allDayCheckbox) {
+      allDayCheckbox.checked = Boolean(values.allDay);
+      this.handleAllDayToggle(allDayCheckbox.checked);
+    }
+
+    if (shared) {
+      this.handleFormSubmit();
+    }
   }
 
   attachEventListeners() {
@@ -54,6 +98,24 @@ class EventQRGeneratorApp {
       });
     }
 
+    // Copy the encoded text
+    const copyRawBtn = DOMHelpers.$('#copy-raw-btn');
+    if (copyRawBtn) {
+      copyRawBtn.addEventListener('click', () => {
+        if (this.currentData.icalString) {
+          this.clipboardCopy.copyWithFeedback(this.currentData.icalString, copyRawBtn);
+        }
+      });
+    }
+
+    // .ics download button
+    const icsBtn = DOMHelpers.$('#download-ics-btn');
+    if (icsBtn) {
+      icsBtn.addEventListener('click', () => {
+        this.handleICSDownload();
+      });
+    }
+
     // PDF download button
     const pdfBtn = DOMHelpers.$('#download-pdf-btn');
     if (pdfBtn) {
@@ -62,6 +124,16 @@ class EventQRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -125,8 +197,20 @@ class EventQRGeneratorApp {
       this.currentData.qrDataURL = qrResult.dataURL;
       this.currentData.icalString = qrResult.icalString;
 
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'event',
+        title: eventData.eventTitle,
+        payload: qrResult.icalString,
+        formData: eventData,
+        dataURL: qrResult.dataURL,
+        renderOptions: this.eventQRGenerator.renderer.getOptions()
+      });
+      this.shareLink.update(eventData);
+
       // Display results
       this.displayResults();
+      this.verificationBadge.show(this.eventQRGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -152,7 +236,7 @@ class EventQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Event:</span>
-          <span class="text-gray-900 dark:text-gray-100 font-semibold">${eventData.eventTitle}</span>
+          <span class="text-gray-900 dark:text-gray-100 font-semibold">${DOMHelpers.escapeHTML(eventData.eventTitle)}</span>
         </div>
       `;
     }
@@ -164,14 +248,14 @@ class EventQRGeneratorApp {
     previewHTML += `
       <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
         <span class="text-gray-600 dark:text-gray-300 font-medium">Start:</span>
-        <span class="text-gray-900 dark:text-gray-100 text-right">${startDateTime}</span>
+        <span class="text-gray-900 dark:text-gray-100 text-right">${DOMHelpers.escapeHTML(startDateTime)}</span>
       </div>
     `;
 
     previewHTML += `
       <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
         <span class="text-gray-600 dark:text-gray-300 font-medium">End:</span>
-        <span class="text-gray-900 dark:text-gray-100 text-right">${endDateTime}</span>
+        <span class="text-gray-900 dark:text-gray-100 text-right">${DOMHelpers.escapeHTML(endDateTime)}</span>
       </div>
     `;
 
@@ -180,7 +264,7 @@ class EventQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Location:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${eventData.eventLocation}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${DOMHelpers.escapeHTML(eventData.eventLocation)}</span>
         </div>
       `;
     }
@@ -190,7 +274,7 @@ class EventQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Description:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${eventData.eventDescription}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${DOMHelpers.escapeHTML(eventData.eventDescription)}</span>
         </div>
       `;
     }
@@ -200,7 +284,7 @@ class EventQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Organizer:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${eventData.eventOrganizer}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${DOMHelpers.escapeHTML(eventData.eventOrganizer)}</span>
         </div>
       `;
     }
@@ -210,12 +294,23 @@ class EventQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2">
           <span class="text-gray-600 dark:text-gray-300 font-medium">URL:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs font-mono text-sm">${eventData.eventUrl}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs font-mono text-sm">${DOMHelpers.escapeHTML(eventData.eventUrl)}</span>
         </div>
       `;
     }
 
     eventPreview.innerHTML = previewHTML;
+
+    DOMHelpers.setContent('#raw-payload', this.currentData.icalString);
+
+    // Add to calendar links
+    const calendarLinks = this.eventQRGenerator.getCalendarLinks(eventData);
+    Object.entries(calendarLinks).forEach(([calendar, href]) => {
+      const link = DOMHelpers.$(`#${calendar}-calendar-link`);
+      if (link) {
+        link.href = href;
+      }
+    });
   }
 
   formatDateTime(date, time, isAllDay) {
@@ -272,19 +367,56 @@ class EventQRGeneratorApp {
     }
   }
 
+  handleICSDownload() {
+    if (!this.currentData.icalString || !this.currentData.eventData) {
+      ErrorHandler.showError('No event available for download');
+      return;
+    }
+
+    const { eventData } = this.currentData;
+    const fileName = eventData.eventTitle
+      ? `event-${eventData.eventTitle.replace(/[^a-zA-Z0-9]/g, '_')}`
+      : 'event-calendar';
+
+    try {
+      this.eventQRGenerator.downloadICS(this.currentData.icalString, `${fileName}.ics`);
+    } catch (error) {
+      console.error('ICS download error:', error);
+      ErrorHandler.showError('Failed to download the .ics file');
+    }
+  }
+
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.eventData) {
+      ErrorHandler.showError('No Event QR code available for download');
+      return;
+    }
+
+    const { eventData } = this.currentData;
+    const fileName = eventData.eventTitle
+      ? `event-${eventData.eventTitle.replace(/[^a-zA-Z0-9]/g, '_')}`
+      : 'event-calendar';
+    const downloaded = await this.eventQRGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.reset();
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       eventData: null,
       qrDataURL: null,
       icalString: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.eventQRGenerator.clearQR();
+    this.verificationBadge.clear();
 
     // Reset UI states
     LoadingStates.resetAllStates();
@@ -0,0 +1,257 @@
+// QR History Main Application
+import { QRRenderer } from './components/qr-renderer.js';
+import { PAYLOAD_TYPES } from './components/qr-payload-parser.js';
+import { ThemeToggle } from './components/theme-toggle.js';
+import { QRHistory } from './utils/qr-history.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { DOMHelpers } from './utils/dom-helpers.js';
+import { ErrorHandler } from './utils/error-handler.js';
+
+class QRHistoryApp {
+  constructor() {
+    this.renderer = new QRRenderer();
+    this.themeToggle = new ThemeToggle();
+
+    // All stored entries, newest first
+    this.entries = [];
+  }
+
+  async init() {
+    this.themeToggle.init();
+    this.renderTypeOptions();
+    this.attachEventListeners();
+
+    if (!QRHistory.isSupported()) {
+      ErrorHandler.showError('This browser can\'t store QR code history.');
+      return;
+    }
+
+    await this.loadEntries();
+  }
+
+  renderTypeOptions() {
+    const select = DOMHelpers.$('#history-type-select');
+    if (!select) return;
+
+    DOMHelpers.setHTML(select, [
+      '<option value="">All types</option>',
+      ...Object.entries(PAYLOAD_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+    ].join(''));
+  }
+
+  attachEventListeners() {
+    const searchInput = DOMHelpers.$('#history-search-input');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        this.renderEntries();
+      });
+    }
+
+    const typeSelect = DOMHelpers.$('#history-type-select');
+    if (typeSelect) {
+      typeSelect.addEventListener('change', () => {
+        this.renderEntries();
+      });
+    }
+
+    // Entry buttons carry their action and entry id
+    const list = DOMHelpers.$('#history-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) {
+          this.handleEntryAction(button.dataset.action, Number(button.dataset.id), button);
+        }
+      });
+    }
+
+    const clearBtn = DOMHelpers.$('#clear-history-btn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        this.handleClearHistory();
+      });
+    }
+
+    const dismissErrorBtn = DOMHelpers.$('#dismiss-error-btn');
+    if (dismissErrorBtn) {
+      dismissErrorBtn.addEventListener('click', () => {
+        ErrorHandler.hideError();
+      });
+    }
+  }
+
+  async loadEntries() {
+    this.entries = await QRHistory.getAll();
+    this.renderEntries();
+  }
+
+  getFilteredEntries() {
+    const query = (DOMHelpers.$('#history-search-input')?.value || '').trim().toLowerCase();
+    const type = DOMHelpers.$('#history-type-select')?.value || '';
+
+    return this.entries.filter((entry) => {
+      if (type && entry.type !== type) {
+        return false;
+      }
+      return !query || [entry.title, entry.payload, this.getTypeLabel(entry.type)]
+        .some(value => String(value || '').toLowerCase().includes(query));
+    });
+  }
+
+  getTypeLabel(type) {
+    return PAYLOAD_TYPES[type] ? PAYLOAD_TYPES[type].label : type;
+  }
+
+  renderEntries() {
+    const list = DOMHelpers.$('#history-list');
+    if (!list) return;
+
+    const entries = this.getFilteredEntries();
+    list.replaceChildren(...entries.map(entry => this.createEntryElement(entry)));
+
+    const total = this.entries.length;
+    DOMHelpers.setContent('#history-count', total === entries.length
+      ? `${total} ${total === 1 ? 'code' : 'codes'}`
+      : `Showing ${entries.length} of ${total} codes`);
+
+    const clearBtn = DOMHelpers.$('#clear-history-btn');
+    if (clearBtn) {
+      clearBtn.disabled = total === 0;
+    }
+
+    if (entries.length === 0) {
+      DOMHelpers.setContent('#history-empty-message', total === 0
+        ? 'No QR codes yet. Codes you generate will appear here.'
+        : 'No codes match your search.');
+      DOMHelpers.show('#history-empty');
+    } else {
+      DOMHelpers.hide('#history-empty');
+    }
+  }
+
+  // Built with text nodes only: titles and payloads are user content
+  createEntryElement(entry) {
+    const item = DOMHelpers.createElement('li', 'flex gap-4 p-4 rounded-lg border border-gray-200 dark:border-gray-700');
+
+    if (entry.thumbnail) {
+      const thumbnail = DOMHelpers.createElement('img', 'w-20 h-20 flex-shrink-0 rounded border border-gray-200 dark:border-gray-600 bg-white');
+      thumbnail.src = entry.thumbnail;
+      thumbnail.alt = `${this.getTypeLabel(entry.type)} QR code`;
+      item.append(thumbnail);
+    }
+
+    const body = DOMHelpers.createElement('div', 'flex-1 min-w-0');
+
+    const meta = DOMHelpers.createElement('div', 'flex flex-wrap items-center gap-2 text-xs');
+    const badge = DOMHelpers.createElement('span', 'px-2 py-0.5 rounded-full bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200 font-medium');
+    badge.textContent = this.getTypeLabel(entry.type);
+    const time = DOMHelpers.createElement('time', 'text-gray-500 dark:text-gray-400');
+    time.dateTime = new Date(entry.createdAt).toISOString();
+    time.textContent = new Date(entry.createdAt).toLocaleString();
+    meta.append(badge, time);
+
+    const title = DOMHelpers.createElement('p', 'font-medium text-gray-900 dark:text-white truncate mt-1');
+    title.textContent = entry.title || this.getTypeLabel(entry.type);
+
+    const payload = DOMHelpers.createElement('p', 'text-sm text-gray-600 dark:text-gray-400 break-all line-clamp-2');
+    payload.textContent = entry.payload;
+
+    const actions = DOMHelpers.createElement('div', 'flex flex-wrap gap-2 mt-3');
+    actions.append(
+      this.createActionButton('edit', entry.id, 'Open in Generator', 'btn-primary'),
+      this.createActionButton('download', entry.id, 'Download PNG', 'btn-secondary'),
+      this.createActionButton('duplicate', entry.id, 'Duplicate', 'btn-secondary'),
+      this.createActionButton('delete', entry.id, 'Delete', 'btn-secondary')
+    );
+
+    body.append(meta, title, payload, actions);
+    item.append(body);
+    return item;
+  }
+
+  createActionButton(action, id, label, className) {
+    const button = DOMHelpers.createElement('button', `${className} text-sm`, label);
+    button.type = 'button';
+    button.dataset.action = action;
+    button.dataset.id = id;
+    return button;
+  }
+
+  async handleEntryAction(action, id, button) {
+    const entry = this.entries.find(item => item.id === id);
+    if (!entry) return;
+
+    try {
+      switch (action) {
+        case 'edit':
+          this.openInGenerator(entry);
+          break;
+        case 'download':
+          button.disabled = true;
+          await this.downloadEntry(entry);
+          break;
+        case 'duplicate':
+          await QRHistory.duplicate(id);
+          await this.loadEntries();
+          break;
+        case 'delete':
+          await QRHistory.remove(id);
+          await this.loadEntries();
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      console.error('History action error:', error);
+      ErrorHandler.showError(error.message || 'Something went wrong with that QR code');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // The generator page fills its form from QRPrefill, as after "edit and regenerate" on the scanner
+  openInGenerator(entry) {
+    const payloadType = PAYLOAD_TYPES[entry.type];
+    if (!payloadType) {
+      throw new Error('This QR code type can no longer be edited');
+    }
+
+    QRPrefill.store(entry.type, entry.formData || {});
+    window.location.href = payloadType.path;
+  }
+
+  // Re-rendered from the stored payload with the design it was generated with
+  // (entries saved before render options were recorded fall back to the default design)
+  async downloadEntry(entry) {
+    const blob = await this.renderer.toBlob(entry.payload, 'png', entry.renderOptions || {});
+    const url = URL.createObjectURL(blob);
+
+    try {
+      QRRenderer.triggerDownload(url, `${entry.type}-qr-code-${entry.id}.png`);
+    } finally {
+      // Revoke after the click has been handled
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  }
+
+  async handleClearHistory() {
+    if (this.entries.length === 0 || !window.confirm('Delete every QR code in your history?')) return;
+
+    try {
+      await QRHistory.clear();
+      await this.loadEntries();
+    } catch (error) {
+      console.error('Clear history error:', error);
+      ErrorHandler.showError('The history could not be cleared');
+    }
+  }
+}
+
+// Initialize application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new QRHistoryApp();
+  app.init();
+
+  // Make app available globally for debugging
+  window.QRHistoryApp = app;
+});
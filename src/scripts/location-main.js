@@ -4,9 +4,16 @@ import { LocationFormValidator } from './components/location-form-validator.js';
 import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class LocationQRGeneratorApp {
   constructor() {
@@ -15,6 +22,16 @@ class LocationQRGeneratorApp {
     this.clipboardCopy = new ClipboardCopy();
     this.pdfGenerator = new PDFGenerator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.locationQRGenerator.updateOptions(design)
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: ['mapsUrl', 'locationLabel']
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
     
     this.currentData = {
       locationData: null,
@@ -28,12 +45,31 @@ class LocationQRGeneratorApp {
     await this.locationQRGenerator.init();
     this.formValidator.setupValidation();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     
     // Setup event listeners
     this.attachEventListeners();
     
     // Reset application state
     this.resetApplication();
+
+    // Values handed over by the scanner or history, or from a shared link
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('location');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields);
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.setValues(values);
+    if (shared) {
+      this.handleFormSubmit();
+    }
   }
 
   attachEventListeners() {
@@ -54,6 +90,16 @@ class LocationQRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -98,8 +144,20 @@ class LocationQRGeneratorApp {
       this.currentData.qrDataURL = qrResult.dataURL;
       this.currentData.geoUri = qrResult.geoUri;
 
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'location',
+        title: locationData.locationLabel || locationData.mapsUrl,
+        payload: qrResult.geoUri,
+        formData: locationData,
+        dataURL: qrResult.dataURL,
+        renderOptions: this.locationQRGenerator.renderer.getOptions()
+      });
+      this.shareLink.update(locationData);
+
       // Display results
       this.displayResults();
+      this.verificationBadge.show(this.locationQRGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -125,7 +183,7 @@ class LocationQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Location:</span>
-          <span class="text-gray-900 dark:text-gray-100 font-semibold">${locationData.locationLabel}</span>
+          <span class="text-gray-900 dark:text-gray-100 font-semibold">${DOMHelpers.escapeHTML(locationData.locationLabel)}</span>
         </div>
       `;
     }
@@ -135,7 +193,7 @@ class LocationQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Coordinates:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right font-mono text-sm">${locationData.latitude}, ${locationData.longitude}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right font-mono text-sm">${DOMHelpers.escapeHTML(locationData.latitude)}, ${DOMHelpers.escapeHTML(locationData.longitude)}</span>
         </div>
       `;
     }
@@ -149,7 +207,7 @@ class LocationQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2 border-b border-gray-200 dark:border-gray-700">
           <span class="text-gray-600 dark:text-gray-300 font-medium">Source URL:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right font-mono text-xs break-all max-w-xs">${displayUrl}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right font-mono text-xs break-all max-w-xs">${DOMHelpers.escapeHTML(displayUrl)}</span>
         </div>
       `;
     }
@@ -159,7 +217,7 @@ class LocationQRGeneratorApp {
       previewHTML += `
         <div class="flex justify-between items-start py-2">
           <span class="text-gray-600 dark:text-gray-300 font-medium">QR Content:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right font-mono text-sm">${this.currentData.geoUri}</span>
+          <span class="text-gray-900 dark:text-gray-100 text-right font-mono text-sm">${DOMHelpers.escapeHTML(this.currentData.geoUri)}</span>
         </div>
       `;
     }
@@ -208,19 +266,37 @@ class LocationQRGeneratorApp {
     }
   }
 
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.locationData) {
+      ErrorHandler.showError('No Location QR code available for download');
+      return;
+    }
+
+    const { locationData } = this.currentData;
+    const fileName = locationData.locationLabel
+      ? `location-${locationData.locationLabel.replace(/[^a-zA-Z0-9]/g, '_')}`
+      : 'location-qr-code';
+    const downloaded = await this.locationQRGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.reset();
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       locationData: null,
       qrDataURL: null,
       geoUri: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.locationQRGenerator.clearQR();
+    this.verificationBadge.clear();
 
     // Reset UI states
     LoadingStates.resetAllStates();
@@ -5,9 +5,16 @@ import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { FormValidator } from './components/form-validator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class QRGeneratorApp {
   constructor() {
@@ -17,11 +24,22 @@ class QRGeneratorApp {
     this.pdfGenerator = new PDFGenerator();
     this.formValidator = new FormValidator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.qrGenerator.updateOptions(design)
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: ['url']
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
     
     this.currentData = {
       originalURL: null,
       normalizedURL: null,
       shortURL: null,
+      shortCode: null,
       qrDataURL: null
     };
   }
@@ -30,7 +48,24 @@ class QRGeneratorApp {
     this.setupFormValidation();
     this.attachEventListeners();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     this.resetApplication();
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('url');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields);
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.setFieldValue('#url-input', values.url || '');
+    if (shared) {
+      this.handleFormSubmit();
+    }
   }
 
   setupFormValidation() {
@@ -63,6 +98,16 @@ class QRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -103,20 +148,46 @@ class QRGeneratorApp {
       LoadingStates.showLoading();
       LoadingStates.showButtonLoading('#generate-btn');
 
-      // Generate QR code only
-      const qrResult = await this.qrGenerator.generateQR(this.currentData.normalizedURL);
+      // Dynamic QR codes encode an editable short link instead of the URL itself
+      const dynamicToggle = DOMHelpers.$('#dynamic-qr-toggle');
+      let encodedURL = this.currentData.normalizedURL;
+      this.currentData.shortCode = null;
+
+      if (dynamicToggle && dynamicToggle.checked) {
+        const shortResult = await this.urlShortener.createDynamicLink(this.currentData.normalizedURL);
+        if (!shortResult.success) {
+          throw new Error(`Could not create dynamic link: ${shortResult.error}`);
+        }
+        encodedURL = shortResult.shortURL;
+        this.currentData.shortCode = shortResult.shortCode;
+      }
+
+      // Generate QR code
+      const qrResult = await this.qrGenerator.generateQR(encodedURL);
 
       // Check QR generation result
       if (!qrResult.success) {
         throw new Error(qrResult.error || 'Failed to generate QR code');
       }
 
-      // Store QR result and use original URL for display
+      // Store QR result along with the URL that was actually encoded
       this.currentData.qrDataURL = qrResult.dataURL;
-      this.currentData.shortURL = this.currentData.normalizedURL;
+      this.currentData.shortURL = encodedURL;
+
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'url',
+        title: this.currentData.normalizedURL,
+        payload: encodedURL,
+        formData: { url: this.currentData.originalURL },
+        dataURL: qrResult.dataURL,
+        renderOptions: this.qrGenerator.renderer.getOptions()
+      });
+      this.shareLink.update({ url: this.currentData.originalURL });
 
       // Update UI
       this.displayResults();
+      this.verificationBadge.show(this.qrGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -128,21 +199,24 @@ class QRGeneratorApp {
   }
 
   displayResults() {
-    // Display original URL (no shortening in QR generator)
+    // Display the encoded URL (the short link for dynamic codes)
     const shortenedUrlElement = DOMHelpers.$('#shortened-url');
     if (shortenedUrlElement && this.currentData.shortURL) {
       DOMHelpers.setContent(shortenedUrlElement, this.currentData.shortURL);
     }
 
-    // Update the card header to reflect that this is the original URL
-    const cardHeader = DOMHelpers.$('#results-section .card:nth-child(2) .card-header h3');
-    if (cardHeader) {
-      DOMHelpers.setContent(cardHeader, 'Original URL');
-    }
-    
-    const cardDescription = DOMHelpers.$('#results-section .card:nth-child(2) .card-header p');
-    if (cardDescription) {
-      DOMHelpers.setContent(cardDescription, 'The URL encoded in your QR code');
+    // Dynamic codes link to the page where the destination can be changed
+    const dynamicCard = DOMHelpers.$('#dynamic-link-card');
+    if (dynamicCard) {
+      if (this.currentData.shortCode) {
+        const manageBtn = DOMHelpers.$('#manage-link-btn');
+        if (manageBtn) {
+          manageBtn.href = `/shortener/stats/?code=${encodeURIComponent(this.currentData.shortCode)}`;
+        }
+        DOMHelpers.show(dynamicCard);
+      } else {
+        DOMHelpers.hide(dynamicCard);
+      }
     }
 
     // QR code is already displayed on the canvas by the QR generator
@@ -193,21 +267,40 @@ class QRGeneratorApp {
     }
   }
 
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.shortURL) {
+      ErrorHandler.showError('No QR code available for download');
+      return;
+    }
+
+    const fileName = 'qr-code';
+    const downloaded = await this.qrGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.setFieldValue('#url-input', '');
     this.formValidator.reset();
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       originalURL: null,
       normalizedURL: null,
       shortURL: null,
+      shortCode: null,
       qrDataURL: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.qrGenerator.clearQR();
+    this.verificationBadge.clear();
+
+    // Hide the dynamic link card until the next dynamic code
+    DOMHelpers.hide('#dynamic-link-card');
 
     // Reset UI states
     LoadingStates.resetAllStates();
@@ -235,18 +328,6 @@ document.addEventListener('DOMContentLoaded', () => {
   const app = new QRGeneratorApp();
   app.init();
   
-  // Check for URL parameter to pre-fill the form
-  const urlParams = new URLSearchParams(window.location.search);
-  const prefilledUrl = urlParams.get('url');
-  if (prefilledUrl) {
-    const urlInput = DOMHelpers.$('#url-input');
-    if (urlInput) {
-      urlInput.value = decodeURIComponent(prefilledUrl);
-      // Trigger form validation
-      app.formValidator.validateField('#url-input');
-    }
-  }
-  
   // Make app available globally for debugging
   window.QRGeneratorApp = app;
 });
@@ -1,12 +1,37 @@
 import { PaymentQRGenerator } from './components/payment-qr-generator.js';
 import { PaymentFormValidator } from './components/payment-form-validator.js';
 import { PDFGenerator } from './components/pdf-generator.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
+import { DOMHelpers } from './utils/dom-helpers.js';
 
 class PaymentQRGeneratorApp {
     constructor() {
         this.qrGenerator = new PaymentQRGenerator();
         this.validator = new PaymentFormValidator();
         this.pdfGenerator = new PDFGenerator();
+        this.designPanel = new QRDesignPanel('#qr-design-panel', {
+            onChange: (design) => this.qrGenerator.updateOptions(design)
+        });
+        this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+            onChange: (profile) => this.pdfGenerator.setBranding(profile)
+        });
+        this.shareLink = new ShareLinkPanel('#share-link', {
+            fields: [
+                'paymentType',
+                'paypalUsername', 'paypalAmount',
+                'cryptoAddress', 'cryptoAmount',
+                'upiId', 'upiName', 'upiAmount',
+                'ibanCode', 'ibanName', 'ibanAmount',
+                'paymentUrl'
+            ]
+        });
+        this.verificationBadge = new QRVerificationBadge('#qr-verification');
         
         this.elements = {
             form: document.getElementById('payment-form'),
@@ -22,6 +47,8 @@ class PaymentQRGeneratorApp {
             qrCanvas: document.getElementById('qr-canvas'),
             paymentInfoDisplay: document.getElementById('payment-info-display'),
             downloadPdfBtn: document.getElementById('download-pdf-btn'),
+            downloadSvgBtn: document.getElementById('download-svg-btn'),
+            downloadEpsBtn: document.getElementById('download-eps-btn'),
             generateAnotherBtn: document.getElementById('generate-another-btn'),
             themeToggle: document.getElementById('theme-toggle'),
             
@@ -40,7 +67,36 @@ class PaymentQRGeneratorApp {
     init() {
         this.setupEventListeners();
         this.setupThemeToggle();
+        this.designPanel.init();
+        this.brandingPicker.init();
+        this.shareLink.init();
         this.setupPaymentTypeHandling();
+
+        // Values handed over by the scanner or history, else a shared link, which generates straight away
+        const prefill = QRPrefill.take('payment');
+        const shared = prefill ? null : URLState.read(this.shareLink.fields);
+        if (prefill || shared) {
+            this.populateForm(prefill || shared);
+        }
+        if (shared) {
+            this.elements.form.requestSubmit();
+        }
+    }
+
+    /**
+     * Select the payment type and fill its fields
+     * @param {Object} paymentData - paymentType plus form values keyed by input name
+     */
+    populateForm(paymentData) {
+        this.elements.paymentType.value = paymentData.paymentType || '';
+        this.handlePaymentTypeChange({ target: this.elements.paymentType });
+
+        Object.entries(paymentData).forEach(([name, value]) => {
+            const input = this.elements.form.elements[name];
+            if (input && name !== 'paymentType' && value) {
+                input.value = value;
+            }
+        });
     }
 
     setupEventListeners() {
@@ -53,6 +109,8 @@ class PaymentQRGeneratorApp {
         // Button clicks
         this.elements.dismissErrorBtn.addEventListener('click', () => this.dismissError());
         this.elements.downloadPdfBtn.addEventListener('click', () => this.downloadPDF());
+        this.elements.downloadSvgBtn.addEventListener('click', () => this.downloadVector('svg'));
+        this.elements.downloadEpsBtn.addEventListener('click', () => this.downloadVector('eps'));
         this.elements.generateAnotherBtn.addEventListener('click', () => this.resetForm());
     }
 
@@ -134,8 +192,19 @@ class PaymentQRGeneratorApp {
             // Generate QR code
             this.currentQRCode = await this.qrGenerator.generateQR(paymentString);
             this.currentPaymentData = paymentData;
+
+            // Add to the local history (/qr/history)
+            QRHistory.add({
+                type: 'payment',
+                payload: paymentString,
+                formData: paymentData,
+                dataURL: this.currentQRCode.dataURL,
+                renderOptions: this.qrGenerator.renderer.getOptions()
+            });
+            this.shareLink.update(paymentData);
             
-            // Display results
+            // Display results, with the read-back check of the rendered code
+            this.verificationBadge.show(this.qrGenerator.verifyQR());
             this.displayResults(paymentData, paymentString);
             
         } catch (error) {
@@ -254,17 +323,17 @@ class PaymentQRGeneratorApp {
             </div>
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Username:</span>
-                <span class="text-gray-900 dark:text-gray-100 font-mono">${data.paypalUsername}</span>
+                <span class="text-gray-900 dark:text-gray-100 font-mono">${DOMHelpers.escapeHTML(data.paypalUsername)}</span>
             </div>
             ${data.paypalAmount ? `
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Amount:</span>
-                <span class="text-gray-900 dark:text-gray-100">$${data.paypalAmount}</span>
+                <span class="text-gray-900 dark:text-gray-100">$${DOMHelpers.escapeHTML(data.paypalAmount)}</span>
             </div>
             ` : ''}
             <div class="py-2">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">Payment URL:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${paymentString}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(paymentString)}</div>
             </div>
         `;
     }
@@ -278,17 +347,17 @@ class PaymentQRGeneratorApp {
             </div>
             <div class="py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">Wallet Address:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${data.cryptoAddress}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(data.cryptoAddress)}</div>
             </div>
             ${data.cryptoAmount ? `
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Amount:</span>
-                <span class="text-gray-900 dark:text-gray-100">${data.cryptoAmount} ${type.toUpperCase()}</span>
+                <span class="text-gray-900 dark:text-gray-100">${DOMHelpers.escapeHTML(data.cryptoAmount)} ${type.toUpperCase()}</span>
             </div>
             ` : ''}
             <div class="py-2">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">Payment URI:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${paymentString}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(paymentString)}</div>
             </div>
         `;
     }
@@ -301,21 +370,21 @@ class PaymentQRGeneratorApp {
             </div>
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">UPI ID:</span>
-                <span class="text-gray-900 dark:text-gray-100 font-mono">${data.upiId}</span>
+                <span class="text-gray-900 dark:text-gray-100 font-mono">${DOMHelpers.escapeHTML(data.upiId)}</span>
             </div>
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Payee Name:</span>
-                <span class="text-gray-900 dark:text-gray-100">${data.upiName}</span>
+                <span class="text-gray-900 dark:text-gray-100">${DOMHelpers.escapeHTML(data.upiName)}</span>
             </div>
             ${data.upiAmount ? `
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Amount:</span>
-                <span class="text-gray-900 dark:text-gray-100">₹${data.upiAmount}</span>
+                <span class="text-gray-900 dark:text-gray-100">₹${DOMHelpers.escapeHTML(data.upiAmount)}</span>
             </div>
             ` : ''}
             <div class="py-2">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">UPI String:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${paymentString}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(paymentString)}</div>
             </div>
         `;
     }
@@ -328,21 +397,21 @@ class PaymentQRGeneratorApp {
             </div>
             <div class="py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">IBAN Code:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${data.ibanCode}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(data.ibanCode)}</div>
             </div>
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Account Holder:</span>
-                <span class="text-gray-900 dark:text-gray-100">${data.ibanName}</span>
+                <span class="text-gray-900 dark:text-gray-100">${DOMHelpers.escapeHTML(data.ibanName)}</span>
             </div>
             ${data.ibanAmount ? `
             <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
                 <span class="text-gray-600 dark:text-gray-300 font-medium">Amount:</span>
-                <span class="text-gray-900 dark:text-gray-100">€${data.ibanAmount}</span>
+                <span class="text-gray-900 dark:text-gray-100">€${DOMHelpers.escapeHTML(data.ibanAmount)}</span>
             </div>
             ` : ''}
             <div class="py-2">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">Payment String:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${paymentString}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(paymentString)}</div>
             </div>
         `;
     }
@@ -355,7 +424,7 @@ class PaymentQRGeneratorApp {
             </div>
             <div class="py-2">
                 <span class="text-gray-600 dark:text-gray-300 font-medium block mb-2">Payment URL:</span>
-                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${paymentString}</div>
+                <div class="text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-sm break-all">${DOMHelpers.escapeHTML(paymentString)}</div>
             </div>
         `;
     }
@@ -409,6 +478,19 @@ class PaymentQRGeneratorApp {
         }
     }
 
+    async downloadVector(format) {
+        if (!this.currentQRCode || !this.currentPaymentData) {
+            this.showError('No QR code available for download');
+            return;
+        }
+
+        const { paymentType } = this.currentPaymentData;
+        const downloaded = await this.qrGenerator.downloadQR(`payment-qr-${paymentType}-${Date.now()}.${format}`, format);
+        if (!downloaded) {
+            this.showError(`Failed to download ${format.toUpperCase()} file`);
+        }
+    }
+
     resetForm() {
         this.elements.form.reset();
         this.hideAllPaymentFields();
@@ -416,6 +498,8 @@ class PaymentQRGeneratorApp {
         this.elements.errorSection.classList.add('hidden');
         this.currentPaymentData = null;
         this.currentQRCode = null;
+        this.shareLink.reset();
+        this.verificationBadge.clear();
         
         // Scroll back to form
         this.elements.form.scrollIntoView({ behavior: 'smooth' });
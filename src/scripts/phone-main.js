@@ -4,9 +4,16 @@ import { PhoneFormValidator } from './components/phone-form-validator.js';
 import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class PhoneQRGeneratorApp {
   constructor() {
@@ -15,6 +22,16 @@ class PhoneQRGeneratorApp {
     this.clipboardCopy = new ClipboardCopy();
     this.pdfGenerator = new PDFGenerator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.phoneQRGenerator.updateOptions(design)
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: ['platform', 'phone', 'displayName']
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
     
     this.currentData = {
       phoneData: null,
@@ -28,12 +45,31 @@ class PhoneQRGeneratorApp {
     await this.phoneQRGenerator.init();
     this.formValidator.setupValidation();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     
     // Setup event listeners
     this.attachEventListeners();
     
     // Reset application state
     this.resetApplication();
+
+    // Values handed over by the scanner or history, or from a shared link
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('phone');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields);
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.populateForm(values);
+    if (shared) {
+      this.handleFormSubmit();
+    }
   }
 
   attachEventListeners() {
@@ -54,6 +90,16 @@ class PhoneQRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -98,8 +144,20 @@ class PhoneQRGeneratorApp {
       this.currentData.qrDataURL = qrResult.dataURL;
       this.currentData.phoneString = qrResult.phoneString;
 
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'phone',
+        title: phoneData.displayName || phoneData.phone,
+        payload: qrResult.phoneString,
+        formData: phoneData,
+        dataURL: qrResult.dataURL,
+        renderOptions: this.phoneQRGenerator.renderer.getOptions()
+      });
+      this.shareLink.update(phoneData);
+
       // Display results
       this.displayResults();
+      this.verificationBadge.show(this.phoneQRGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -192,19 +250,35 @@ class PhoneQRGeneratorApp {
     }
   }
 
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.phoneData) {
+      ErrorHandler.showError('No phone QR code available for download');
+      return;
+    }
+
+    const { phoneData } = this.currentData;
+    const fileName = `${phoneData.platform}-${phoneData.phone.replace(/[^0-9]/g, '')}`;
+    const downloaded = await this.phoneQRGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.reset();
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       phoneData: null,
       qrDataURL: null,
       phoneString: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.phoneQRGenerator.clearQR();
+    this.verificationBadge.clear();
 
     // Reset UI states
     LoadingStates.resetAllStates();
@@ -0,0 +1,194 @@
+// QR Code Scanner Main Application
+import { QRCameraScanner } from './components/qr-camera-scanner.js';
+import { QRDecoder } from './components/qr-decoder.js';
+import { QRPayloadParser } from './components/qr-payload-parser.js';
+import { ThemeToggle } from './components/theme-toggle.js';
+import { DOMHelpers } from './utils/dom-helpers.js';
+import { ErrorHandler } from './utils/error-handler.js';
+import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+
+class QRScannerApp {
+  constructor() {
+    this.themeToggle = new ThemeToggle();
+    this.payloadParser = new QRPayloadParser();
+    this.cameraScanner = null;
+    this.currentPayload = null;
+  }
+
+  init() {
+    this.themeToggle.init();
+
+    const video = DOMHelpers.$('#camera-video');
+    if (video) {
+      this.cameraScanner = new QRCameraScanner(video, {
+        onDetect: (result) => {
+          this.hideCamera();
+          this.showPayload(result.text);
+        }
+      });
+    }
+
+    if (!QRCameraScanner.isSupported()) {
+      DOMHelpers.hide('#start-camera-btn');
+    }
+
+    this.attachEventListeners();
+  }
+
+  attachEventListeners() {
+    const startCameraBtn = DOMHelpers.$('#start-camera-btn');
+    if (startCameraBtn) {
+      startCameraBtn.addEventListener('click', () => {
+        this.startCamera();
+      });
+    }
+
+    const stopCameraBtn = DOMHelpers.$('#stop-camera-btn');
+    if (stopCameraBtn) {
+      stopCameraBtn.addEventListener('click', () => {
+        this.stopCamera();
+      });
+    }
+
+    const fileInput = DOMHelpers.$('#scan-file-input');
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (file) {
+          this.handleFileUpload(file);
+        }
+      });
+    }
+
+    const editBtn = DOMHelpers.$('#edit-regenerate-btn');
+    if (editBtn) {
+      editBtn.addEventListener('click', () => {
+        this.handleEditAndRegenerate();
+      });
+    }
+
+    ['#scan-another-btn', '#dismiss-error-btn'].forEach((selector) => {
+      const button = DOMHelpers.$(selector);
+      if (button) {
+        button.addEventListener('click', () => {
+          this.resetApplication();
+        });
+      }
+    });
+
+    // Release the camera when the user leaves the page
+    window.addEventListener('pagehide', () => {
+      this.stopCamera();
+    });
+  }
+
+  async startCamera() {
+    ErrorHandler.hideError();
+    LoadingStates.resetAllStates();
+    DOMHelpers.show('#camera-preview');
+    DOMHelpers.hide('#start-camera-btn');
+    DOMHelpers.show('#stop-camera-btn');
+
+    try {
+      await this.cameraScanner.start();
+    } catch (error) {
+      this.hideCamera();
+      ErrorHandler.showError(error.message);
+    }
+  }
+
+  stopCamera() {
+    if (this.cameraScanner) {
+      this.cameraScanner.stop();
+    }
+    this.hideCamera();
+  }
+
+  hideCamera() {
+    DOMHelpers.hide('#camera-preview');
+    DOMHelpers.hide('#stop-camera-btn');
+    if (QRCameraScanner.isSupported()) {
+      DOMHelpers.show('#start-camera-btn');
+    }
+  }
+
+  async handleFileUpload(file) {
+    ErrorHandler.hideFieldError('#scan-file-input');
+    this.stopCamera();
+
+    if (!file.type.startsWith('image/')) {
+      ErrorHandler.showFieldError('#scan-file-input', 'Please choose an image file');
+      return;
+    }
+
+    try {
+      ErrorHandler.hideError();
+      LoadingStates.showLoading();
+
+      const result = await QRDecoder.decodeFile(file);
+      if (!result) {
+        throw new Error('No QR code was found in this image. Try a sharper photo with the whole code in view.');
+      }
+
+      this.showPayload(result.text);
+    } catch (error) {
+      console.error('QR scan error:', error);
+      ErrorHandler.showError(error.message || 'The image could not be scanned');
+    }
+  }
+
+  showPayload(text) {
+    this.currentPayload = this.payloadParser.parse(text);
+    const { label, details } = this.currentPayload;
+
+    DOMHelpers.setContent('#scan-type', label);
+    DOMHelpers.setContent('#scan-raw', text);
+
+    // Build the details list with text nodes only: scanned content is untrusted
+    const list = DOMHelpers.$('#scan-details');
+    if (list) {
+      list.replaceChildren(...details.map(({ label: term, value }) => {
+        const row = DOMHelpers.createElement('div', 'flex flex-col sm:flex-row sm:gap-4');
+        const dt = DOMHelpers.createElement('dt', 'text-sm font-medium text-gray-600 dark:text-gray-400 sm:w-40 flex-shrink-0');
+        const dd = DOMHelpers.createElement('dd', 'text-gray-900 dark:text-white whitespace-pre-wrap break-all');
+        dt.textContent = term;
+        dd.textContent = value;
+        row.append(dt, dd);
+        return row;
+      }));
+    }
+
+    LoadingStates.showResults();
+  }
+
+  handleEditAndRegenerate() {
+    if (!this.currentPayload) return;
+
+    const { type, formData, editPath } = this.currentPayload;
+    QRPrefill.store(type, formData);
+    window.location.href = editPath;
+  }
+
+  resetApplication() {
+    this.currentPayload = null;
+
+    const fileInput = DOMHelpers.$('#scan-file-input');
+    if (fileInput) {
+      fileInput.value = '';
+    }
+
+    ErrorHandler.hideFieldError('#scan-file-input');
+    LoadingStates.resetAllStates();
+    ErrorHandler.hideError();
+  }
+}
+
+// Initialize application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new QRScannerApp();
+  app.init();
+
+  // Make app available globally for debugging
+  window.QRScannerApp = app;
+});
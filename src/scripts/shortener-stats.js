@@ -0,0 +1,303 @@
+// Link analytics page functionality
+import { URLShortener } from './components/url-shortener.js';
+import { ThemeToggle } from './components/theme-toggle.js';
+import { FormValidator } from './components/form-validator.js';
+import { DOMHelpers } from './utils/dom-helpers.js';
+import { ErrorHandler } from './utils/error-handler.js';
+import { LoadingStates } from './utils/loading-states.js';
+
+class LinkStatsApp {
+  constructor() {
+    this.urlShortener = new URLShortener();
+    this.themeToggle = new ThemeToggle();
+    this.formValidator = new FormValidator();
+
+    this.currentLink = {
+      shortCode: null,
+      analyticsToken: null
+    };
+  }
+
+  init() {
+    this.formValidator.setupURLValidator('#destination-input');
+    this.attachEventListeners();
+    this.themeToggle.init();
+    this.renderSavedLinks();
+
+    // Open a saved link directly from /shortener/stats/?code=abc1234
+    const urlParams = new URLSearchParams(window.location.search);
+    const code = urlParams.get('code');
+    if (code) {
+      const savedLink = this.urlShortener.getSavedLink(code);
+      const token = urlParams.get('token') || (savedLink && savedLink.analyticsToken);
+      if (token) {
+        this.loadAnalytics(code, token);
+      } else {
+        DOMHelpers.$('#code-input').value = code;
+        DOMHelpers.$('#token-input').focus();
+      }
+    }
+  }
+
+  attachEventListeners() {
+    // Manual code + token lookup
+    const form = DOMHelpers.$('#stats-form');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = DOMHelpers.$('#code-input').value.trim();
+        const token = DOMHelpers.$('#token-input').value.trim();
+        if (!code || !token) {
+          ErrorHandler.showError('Please enter both the short code and the analytics token');
+          return;
+        }
+        this.loadAnalytics(code, token, '#load-stats-btn');
+      });
+    }
+
+    // Destination update
+    const destinationForm = DOMHelpers.$('#destination-form');
+    if (destinationForm) {
+      destinationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleDestinationUpdate();
+      });
+    }
+
+    // Refresh button
+    const refreshBtn = DOMHelpers.$('#refresh-stats-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => {
+        if (this.currentLink.shortCode) {
+          this.loadAnalytics(this.currentLink.shortCode, this.currentLink.analyticsToken);
+        }
+      });
+    }
+
+    // Dismiss error button
+    const dismissErrorBtn = DOMHelpers.$('#dismiss-error-btn');
+    if (dismissErrorBtn) {
+      dismissErrorBtn.addEventListener('click', () => {
+        ErrorHandler.hideError();
+      });
+    }
+  }
+
+  renderSavedLinks() {
+    const list = DOMHelpers.$('#saved-links');
+    const emptyMessage = DOMHelpers.$('#no-saved-links');
+    if (!list) return;
+
+    const links = this.urlShortener.getSavedLinks();
+    list.innerHTML = '';
+
+    if (links.length === 0) {
+      DOMHelpers.removeClass(emptyMessage, 'hidden');
+      return;
+    }
+    DOMHelpers.addClass(emptyMessage, 'hidden');
+
+    links.forEach((link) => {
+      const item = DOMHelpers.createElement('li', 'flex items-center justify-between gap-4 py-3');
+
+      const details = DOMHelpers.createElement('div', 'min-w-0');
+      const shortUrl = DOMHelpers.createElement('p', 'font-medium text-gray-900 dark:text-white');
+      shortUrl.textContent = link.shortURL || link.shortCode;
+      const originalUrl = DOMHelpers.createElement('p', 'text-sm text-gray-600 dark:text-gray-400 truncate');
+      originalUrl.textContent = link.originalURL || '';
+      details.append(shortUrl, originalUrl);
+
+      const actions = DOMHelpers.createElement('div', 'flex gap-2 flex-shrink-0');
+      const viewBtn = DOMHelpers.createElement('button', 'btn-primary text-sm');
+      viewBtn.type = 'button';
+      viewBtn.textContent = 'View';
+      viewBtn.addEventListener('click', () => {
+        this.loadAnalytics(link.shortCode, link.analyticsToken);
+      });
+
+      const removeBtn = DOMHelpers.createElement('button', 'btn-secondary text-sm');
+      removeBtn.type = 'button';
+      removeBtn.textContent = 'Remove';
+      removeBtn.title = 'Remove from this browser (the link keeps working)';
+      removeBtn.addEventListener('click', () => {
+        this.urlShortener.removeSavedLink(link.shortCode);
+        this.renderSavedLinks();
+      });
+
+      actions.append(viewBtn, removeBtn);
+      item.append(details, actions);
+      list.appendChild(item);
+    });
+  }
+
+  async loadAnalytics(shortCode, analyticsToken, buttonId = null) {
+    try {
+      LoadingStates.showLoading();
+      if (buttonId) {
+        LoadingStates.showButtonLoading(buttonId);
+      }
+
+      const [result, linkResult] = await Promise.all([
+        this.urlShortener.getAnalytics(shortCode, analyticsToken),
+        this.urlShortener.getLinkDetails(shortCode, analyticsToken)
+      ]);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.currentLink = { shortCode, analyticsToken };
+      this.displayAnalytics(result.analytics);
+      this.displayDestinationForm(linkResult.success && linkResult.link.dynamic === true);
+      this.displayHistory(linkResult.success ? linkResult.link.history : []);
+      LoadingStates.showResults();
+
+    } catch (error) {
+      console.error('Analytics load error:', error);
+      ErrorHandler.showError(error.message || 'Failed to load analytics');
+    } finally {
+      if (buttonId) {
+        LoadingStates.hideButtonLoading(buttonId);
+      }
+    }
+  }
+
+  displayAnalytics(analytics) {
+    DOMHelpers.setContent('#stats-short-url', analytics.shortUrl || analytics.shortCode);
+    DOMHelpers.setContent('#stats-original-url', analytics.originalUrl || '');
+    DOMHelpers.setContent('#stats-total-clicks', analytics.summary.totalClicks.toLocaleString());
+    DOMHelpers.setContent('#stats-unique-clicks', analytics.summary.uniqueClicks.toLocaleString());
+
+    this.renderBarChart('#chart-daily', analytics.timeline.daily);
+    this.renderBarChart('#chart-weekly', analytics.timeline.weekly);
+    this.renderBarChart('#chart-monthly', analytics.timeline.monthly);
+
+    this.renderBreakdown('#stats-referrers', analytics.referrers);
+    this.renderBreakdown('#stats-devices', analytics.devices);
+    this.renderBreakdown('#stats-browsers', analytics.browsers);
+  }
+
+  async handleDestinationUpdate() {
+    const validation = this.formValidator.validateAll();
+    const urlResult = validation.results['#destination-input'];
+    if (!urlResult || !urlResult.isValid) {
+      ErrorHandler.showFieldError('#destination-input', (urlResult && urlResult.error) || 'Please enter a valid URL');
+      return;
+    }
+
+    try {
+      LoadingStates.showButtonLoading('#update-destination-btn');
+
+      const result = await this.urlShortener.updateDestination(
+        this.currentLink.shortCode,
+        this.currentLink.analyticsToken,
+        urlResult.normalizedURL
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      DOMHelpers.setContent('#stats-original-url', result.link.originalUrl);
+      this.displayHistory(result.link.history);
+      this.formValidator.setFieldValue('#destination-input', '');
+      this.formValidator.reset();
+      this.renderSavedLinks();
+      ErrorHandler.showFieldSuccess('#destination-input', '✓ Destination updated');
+
+    } catch (error) {
+      console.error('Destination update error:', error);
+      ErrorHandler.showFieldError('#destination-input', error.message || 'Failed to update destination');
+    } finally {
+      LoadingStates.hideButtonLoading('#update-destination-btn');
+    }
+  }
+
+  // Only dynamic links can be repointed; standard links explain why instead
+  displayDestinationForm(isDynamic) {
+    if (isDynamic) {
+      DOMHelpers.show('#destination-form');
+      DOMHelpers.hide('#destination-fixed-note');
+    } else {
+      DOMHelpers.hide('#destination-form');
+      DOMHelpers.show('#destination-fixed-note');
+    }
+  }
+
+  displayHistory(history = []) {
+    const section = DOMHelpers.$('#destination-history-section');
+    const list = DOMHelpers.$('#destination-history');
+    if (!section || !list) return;
+
+    list.innerHTML = '';
+    if (history.length === 0) {
+      DOMHelpers.addClass(section, 'hidden');
+      return;
+    }
+    DOMHelpers.removeClass(section, 'hidden');
+
+    // Most recent change first
+    [...history].reverse().forEach((entry) => {
+      const item = DOMHelpers.createElement('li', 'flex justify-between gap-4');
+      const url = DOMHelpers.createElement('span', 'text-gray-700 dark:text-gray-300 break-all');
+      url.textContent = entry.url;
+      const date = DOMHelpers.createElement('span', 'text-gray-500 dark:text-gray-400 flex-shrink-0');
+      date.textContent = `until ${new Date(entry.replacedAt).toLocaleString()}`;
+      item.append(url, date);
+      list.appendChild(item);
+    });
+  }
+
+  // Simple CSS bar chart: one bar per period, scaled to the busiest period
+  renderBarChart(selector, series) {
+    const chart = DOMHelpers.$(selector);
+    if (!chart) return;
+
+    chart.innerHTML = '';
+    const max = Math.max(1, ...series.map(point => point.clicks));
+
+    series.forEach((point) => {
+      const column = DOMHelpers.createElement('div', 'flex-1 h-full flex items-end');
+      const bar = DOMHelpers.createElement('div', 'w-full rounded-t bg-blue-500 dark:bg-blue-400 hover:bg-blue-600');
+      bar.style.height = `${Math.max((point.clicks / max) * 100, point.clicks > 0 ? 4 : 1)}%`;
+      bar.title = `${point.period}: ${point.clicks} click${point.clicks === 1 ? '' : 's'}`;
+      column.appendChild(bar);
+      chart.appendChild(column);
+    });
+  }
+
+  renderBreakdown(selector, counts) {
+    const list = DOMHelpers.$(selector);
+    if (!list) return;
+
+    list.innerHTML = '';
+    const entries = Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+
+    if (entries.length === 0) {
+      const empty = DOMHelpers.createElement('li', 'text-gray-500 dark:text-gray-400');
+      empty.textContent = 'No data yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    entries.forEach(([label, count]) => {
+      const item = DOMHelpers.createElement('li', 'flex justify-between gap-2');
+      const name = DOMHelpers.createElement('span', 'text-gray-700 dark:text-gray-300 truncate');
+      name.textContent = label;
+      const value = DOMHelpers.createElement('span', 'text-gray-900 dark:text-white font-medium');
+      value.textContent = `${count} (${Math.round((count / total) * 100)}%)`;
+      item.append(name, value);
+      list.appendChild(item);
+    });
+  }
+}
+
+// Initialize application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new LinkStatsApp();
+  app.init();
+
+  // Make app available globally for debugging
+  window.LinkStatsApp = app;
+});
@@ -6,6 +6,14 @@ import { ThemeToggle } from './components/theme-toggle.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { CSVUtils } from './utils/csv.js';
+import { URLValidator } from './utils/url-validator.js';
+
+// Upper bound for one import; the client sends them to the API in batches
+const MAX_BULK_ROWS = 1000;
+
+// CSV columns understood by the bulk import, matched case-insensitively
+const BULK_COLUMNS = ['url', 'alias', 'activeFrom', 'expiresAt', 'maxClicks'];
 
 class URLShortenerApp {
   constructor() {
@@ -17,8 +25,12 @@ class URLShortenerApp {
     this.currentData = {
       originalURL: null,
       normalizedURL: null,
-      shortURL: null
+      shortURL: null,
+      shortCode: null,
+      analyticsToken: null
     };
+
+    this.bulkResults = [];
   }
 
   init() {
@@ -30,6 +42,19 @@ class URLShortenerApp {
 
   setupFormValidation() {
     this.formValidator.setupURLValidator('#url-input');
+
+    // Optional custom alias (mirrors the rules enforced by /api/shorten)
+    this.formValidator.addValidator('#alias-input', (value) => {
+      const alias = (value || '').trim();
+      if (!alias || /^[a-zA-Z0-9_-]{3,32}$/.test(alias)) {
+        return { isValid: true, error: null };
+      }
+      return {
+        isValid: false,
+        error: 'Alias must be 3-32 characters using only letters, numbers, hyphens and underscores'
+      };
+    }, { realTime: true });
+    this.formValidator.attachEventListeners('#alias-input');
   }
 
   attachEventListeners() {
@@ -73,6 +98,252 @@ class URLShortenerApp {
         this.resetApplication();
       });
     }
+
+    // Single / bulk mode switch
+    const singleModeBtn = DOMHelpers.$('#mode-single-btn');
+    const bulkModeBtn = DOMHelpers.$('#mode-bulk-btn');
+    if (singleModeBtn && bulkModeBtn) {
+      singleModeBtn.addEventListener('click', () => this.setMode('single'));
+      bulkModeBtn.addEventListener('click', () => this.setMode('bulk'));
+    }
+
+    // Bulk form submission
+    const bulkForm = DOMHelpers.$('#bulk-form');
+    if (bulkForm) {
+      bulkForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleBulkSubmit();
+      });
+    }
+
+    // CSV / text file import fills the textarea so it can be reviewed first
+    const bulkFileInput = DOMHelpers.$('#bulk-file-input');
+    if (bulkFileInput) {
+      bulkFileInput.addEventListener('change', async () => {
+        const file = bulkFileInput.files[0];
+        if (!file) return;
+        try {
+          DOMHelpers.$('#bulk-input').value = await file.text();
+        } catch (error) {
+          ErrorHandler.showError('Unable to read the selected file');
+        }
+      });
+    }
+
+    const bulkExportBtn = DOMHelpers.$('#bulk-export-btn');
+    if (bulkExportBtn) {
+      bulkExportBtn.addEventListener('click', () => {
+        this.exportBulkResults();
+      });
+    }
+
+    const bulkResetBtn = DOMHelpers.$('#bulk-reset-btn');
+    if (bulkResetBtn) {
+      bulkResetBtn.addEventListener('click', () => {
+        this.resetBulk();
+      });
+    }
+  }
+
+  setMode(mode) {
+    const isBulk = mode === 'bulk';
+    const singleModeBtn = DOMHelpers.$('#mode-single-btn');
+    const bulkModeBtn = DOMHelpers.$('#mode-bulk-btn');
+
+    if (isBulk) {
+      DOMHelpers.hide('#shortener-form');
+      DOMHelpers.show('#bulk-form');
+    } else {
+      DOMHelpers.show('#shortener-form');
+      DOMHelpers.hide('#bulk-form');
+    }
+    singleModeBtn.className = isBulk ? 'btn-secondary flex-1' : 'btn-primary flex-1';
+    bulkModeBtn.className = isBulk ? 'btn-primary flex-1' : 'btn-secondary flex-1';
+    singleModeBtn.setAttribute('aria-selected', String(!isBulk));
+    bulkModeBtn.setAttribute('aria-selected', String(isBulk));
+
+    LoadingStates.resetAllStates();
+    DOMHelpers.hide('#bulk-results-section');
+    ErrorHandler.hideError();
+
+    if (!isBulk) {
+      this.resetApplication();
+    }
+  }
+
+  // Turn pasted text or CSV into rows of { line, item, error }.
+  // A header row with a "url" column enables the other columns; otherwise the first
+  // column is the URL and an optional second column the alias.
+  parseBulkInput(text) {
+    const rows = CSVUtils.parse(text);
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const hasHeader = header.includes('url');
+    const columns = hasHeader
+      ? BULK_COLUMNS.reduce((map, column) => ({ ...map, [column]: header.indexOf(column.toLowerCase()) }), {})
+      : { url: 0, alias: 1 };
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const firstLine = hasHeader ? 2 : 1;
+
+    return dataRows.map((cells, index) => {
+      const value = (column) => (columns[column] >= 0 && cells[columns[column]] !== undefined
+        ? cells[columns[column]].trim()
+        : '');
+      const line = firstLine + index;
+      const rawURL = value('url');
+      const urlResult = URLValidator.validateAndNormalize(rawURL);
+
+      if (!urlResult.isValid) {
+        return { line, item: { url: rawURL }, error: urlResult.error };
+      }
+
+      return {
+        line,
+        item: {
+          url: urlResult.normalizedURL,
+          alias: value('alias') || null,
+          activeFrom: value('activeFrom') || null,
+          expiresAt: value('expiresAt') || null,
+          maxClicks: value('maxClicks') || null
+        },
+        error: null
+      };
+    });
+  }
+
+  async handleBulkSubmit() {
+    const text = DOMHelpers.$('#bulk-input').value;
+    const rows = this.parseBulkInput(text);
+
+    if (rows.length === 0) {
+      ErrorHandler.showError('Please paste some URLs or import a CSV file');
+      return;
+    }
+
+    if (rows.length > MAX_BULK_ROWS) {
+      ErrorHandler.showError(`Please import at most ${MAX_BULK_ROWS} URLs at a time`);
+      return;
+    }
+
+    const validRows = rows.filter(row => !row.error);
+
+    try {
+      ErrorHandler.hideError();
+      DOMHelpers.hide('#bulk-results-section');
+      LoadingStates.showButtonLoading('#bulk-shorten-btn');
+
+      const response = validRows.length > 0
+        ? await this.urlShortener.shortenBulk(validRows.map(row => row.item), (done, total) => {
+          DOMHelpers.setContent('#bulk-progress', `Shortening ${done} of ${total}...`);
+        })
+        : { success: true, results: [] };
+
+      // Rows that never reached the API keep their local validation error
+      validRows.forEach((row, index) => {
+        row.result = response.results[index] || null;
+      });
+
+      this.bulkResults = rows.map(row => ({
+        line: row.line,
+        originalURL: row.item.url,
+        shortURL: row.result && row.result.success ? row.result.shortUrl : '',
+        shortCode: row.result && row.result.success ? row.result.shortCode : '',
+        analyticsToken: (row.result && row.result.analyticsToken) || '',
+        status: row.error || !row.result
+          ? 'failed'
+          : row.result.success ? (row.result.existing ? 'existing' : 'created') : 'failed',
+        error: row.error || (row.result ? row.result.error || '' : 'Not processed')
+      }));
+
+      this.displayBulkResults();
+
+      if (!response.success) {
+        ErrorHandler.showError(`Bulk shortening stopped: ${response.error}`);
+      }
+
+    } catch (error) {
+      console.error('Bulk submission error:', error);
+      ErrorHandler.showError(error.message || 'An unexpected error occurred');
+    } finally {
+      LoadingStates.hideButtonLoading('#bulk-shorten-btn');
+      DOMHelpers.setContent('#bulk-progress', 'Shortening...');
+    }
+  }
+
+  displayBulkResults() {
+    const tbody = DOMHelpers.$('#bulk-results');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    this.bulkResults.forEach((result) => {
+      const row = DOMHelpers.createElement('tr', 'align-top');
+
+      const line = DOMHelpers.createElement('td', 'py-2 pr-4 text-gray-500 dark:text-gray-400');
+      line.textContent = result.line;
+
+      const original = DOMHelpers.createElement('td', 'py-2 pr-4 text-gray-700 dark:text-gray-300 break-all');
+      original.textContent = result.originalURL;
+
+      const short = DOMHelpers.createElement('td', 'py-2 pr-4 font-mono break-all');
+      if (result.shortURL) {
+        const link = DOMHelpers.createElement('a', 'text-blue-600 dark:text-blue-400 hover:underline');
+        link.href = result.shortURL;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = result.shortURL;
+        short.appendChild(link);
+      }
+
+      const status = DOMHelpers.createElement('td', result.status === 'failed'
+        ? 'py-2 text-red-600 dark:text-red-400'
+        : 'py-2 text-green-600 dark:text-green-400');
+      status.textContent = result.status === 'failed'
+        ? result.error
+        : result.status === 'existing' ? 'Existing link' : 'Created';
+
+      row.append(line, original, short, status);
+      tbody.appendChild(row);
+    });
+
+    const created = this.bulkResults.filter(result => result.status === 'created').length;
+    const existing = this.bulkResults.filter(result => result.status === 'existing').length;
+    const failed = this.bulkResults.filter(result => result.status === 'failed').length;
+    DOMHelpers.setContent('#bulk-summary', `${created} created, ${existing} already existed, ${failed} failed`);
+    DOMHelpers.show('#bulk-results-section');
+  }
+
+  exportBulkResults() {
+    if (this.bulkResults.length === 0) {
+      ErrorHandler.showError('No results to export');
+      return;
+    }
+
+    const rows = [
+      ['line', 'original_url', 'short_url', 'short_code', 'status', 'error', 'analytics_token'],
+      ...this.bulkResults.map(result => [
+        result.line,
+        result.originalURL,
+        result.shortURL,
+        result.shortCode,
+        result.status,
+        result.error,
+        result.analyticsToken
+      ])
+    ];
+
+    const date = new Date().toISOString().split('T')[0];
+    CSVUtils.download(`qubex-short-links-${date}.csv`, rows);
+  }
+
+  resetBulk() {
+    DOMHelpers.$('#bulk-input').value = '';
+    DOMHelpers.$('#bulk-file-input').value = '';
+    this.bulkResults = [];
+    DOMHelpers.hide('#bulk-results-section');
+    ErrorHandler.hideError();
   }
 
   async handleFormSubmit() {
@@ -81,8 +352,11 @@ class URLShortenerApp {
       const validation = this.formValidator.validateAll();
       if (!validation.isValid) {
         const urlResult = validation.results['#url-input'];
+        const aliasResult = validation.results['#alias-input'];
         if (urlResult && urlResult.error) {
           ErrorHandler.showError(urlResult.error);
+        } else if (aliasResult && aliasResult.error) {
+          ErrorHandler.showError(aliasResult.error);
         }
         return;
       }
@@ -94,12 +368,21 @@ class URLShortenerApp {
       this.currentData.originalURL = urlInput;
       this.currentData.normalizedURL = urlResult.normalizedURL;
 
+      const { linkOptions, error: optionsError } = this.getLinkOptions();
+      if (optionsError) {
+        ErrorHandler.showError(optionsError);
+        return;
+      }
+
       // Show loading state
       LoadingStates.showLoading();
       LoadingStates.showButtonLoading('#shorten-btn');
 
-      // Shorten URL
-      const shortResult = await this.urlShortener.shortenURL(this.currentData.normalizedURL);
+      // Shorten URL, with the custom alias and link options when entered
+      const alias = (this.formValidator.getFieldValue('#alias-input') || '').trim();
+      const shortResult = alias
+        ? await this.urlShortener.shortenWithAlias(this.currentData.normalizedURL, alias, linkOptions)
+        : await this.urlShortener.shortenURL(this.currentData.normalizedURL, linkOptions);
 
       // Check URL shortening result
       if (!shortResult.success) {
@@ -108,6 +391,8 @@ class URLShortenerApp {
       }
 
       this.currentData.shortURL = shortResult.shortURL;
+      this.currentData.shortCode = shortResult.shortCode || null;
+      this.currentData.analyticsToken = shortResult.analyticsToken || null;
 
       // Update UI
       this.displayResults();
@@ -121,6 +406,44 @@ class URLShortenerApp {
     }
   }
 
+  // Read the optional expiry/activation/click-limit/password fields as API values
+  getLinkOptions() {
+    const activeFrom = this.formValidator.getFieldValue('#active-from-input');
+    const expiresAt = this.formValidator.getFieldValue('#expires-at-input');
+    const maxClicks = this.formValidator.getFieldValue('#max-clicks-input');
+    const password = this.formValidator.getFieldValue('#password-input');
+
+    // datetime-local values are in the user's time zone; the API expects ISO strings
+    const activeFromDate = activeFrom ? new Date(activeFrom) : null;
+    const expiresAtDate = expiresAt ? new Date(expiresAt) : null;
+
+    if (expiresAtDate && expiresAtDate <= new Date()) {
+      return { linkOptions: null, error: 'Expiry date must be in the future' };
+    }
+
+    if (activeFromDate && expiresAtDate && activeFromDate >= expiresAtDate) {
+      return { linkOptions: null, error: 'Activation date must be before the expiry date' };
+    }
+
+    if (maxClicks && (!Number.isInteger(Number(maxClicks)) || Number(maxClicks) < 1)) {
+      return { linkOptions: null, error: 'Maximum clicks must be a whole number greater than 0' };
+    }
+
+    if (password && (password.length < 8 || password.length > 128)) {
+      return { linkOptions: null, error: 'Password must be between 8 and 128 characters' };
+    }
+
+    return {
+      linkOptions: {
+        activeFrom: activeFromDate ? activeFromDate.toISOString() : null,
+        expiresAt: expiresAtDate ? expiresAtDate.toISOString() : null,
+        maxClicks: maxClicks ? Number(maxClicks) : null,
+        password: password || null
+      },
+      error: null
+    };
+  }
+
   displayResults() {
     // Display shortened URL
     const shortenedUrlElement = DOMHelpers.$('#shortened-url');
@@ -133,6 +456,21 @@ class URLShortenerApp {
     if (originalUrlElement && this.currentData.originalURL) {
       DOMHelpers.setContent(originalUrlElement, this.currentData.originalURL);
     }
+
+    // Analytics are only available for links created from this browser
+    const statsBtn = DOMHelpers.$('#view-stats-btn');
+    if (statsBtn) {
+      const savedLink = this.currentData.shortCode
+        ? this.urlShortener.getSavedLink(this.currentData.shortCode)
+        : null;
+
+      if (savedLink) {
+        statsBtn.href = `/shortener/stats/?code=${encodeURIComponent(savedLink.shortCode)}`;
+        DOMHelpers.removeClass(statsBtn, 'hidden');
+      } else {
+        DOMHelpers.addClass(statsBtn, 'hidden');
+      }
+    }
   }
 
   async handleCopyURL() {
@@ -166,13 +504,20 @@ class URLShortenerApp {
   resetApplication() {
     // Clear form
     this.formValidator.setFieldValue('#url-input', '');
+    this.formValidator.setFieldValue('#alias-input', '');
+    this.formValidator.setFieldValue('#active-from-input', '');
+    this.formValidator.setFieldValue('#expires-at-input', '');
+    this.formValidator.setFieldValue('#max-clicks-input', '');
+    this.formValidator.setFieldValue('#password-input', '');
     this.formValidator.reset();
 
     // Clear data
     this.currentData = {
       originalURL: null,
       normalizedURL: null,
-      shortURL: null
+      shortURL: null,
+      shortCode: null,
+      analyticsToken: null
     };
 
     // Reset UI states
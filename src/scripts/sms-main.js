@@ -4,9 +4,16 @@ import { SMSFormValidator } from './components/sms-form-validator.js';
 import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class SMSQRGeneratorApp {
   constructor() {
@@ -15,6 +22,16 @@ class SMSQRGeneratorApp {
     this.clipboardCopy = new ClipboardCopy();
     this.pdfGenerator = new PDFGenerator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.smsQRGenerator.updateOptions(design)
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: ['platform', 'phone', 'message']
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
     
     this.currentData = {
       smsData: null,
@@ -28,12 +45,31 @@ class SMSQRGeneratorApp {
     await this.smsQRGenerator.init();
     this.formValidator.setupValidation();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     
     // Setup event listeners
     this.attachEventListeners();
     
     // Reset application state
     this.resetApplication();
+
+    // Values handed over by the scanner or history, or from a shared link
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('sms');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields);
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.populateForm(values);
+    if (shared) {
+      this.handleFormSubmit();
+    }
   }
 
   attachEventListeners() {
@@ -73,6 +109,16 @@ class SMSQRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -117,8 +163,20 @@ class SMSQRGeneratorApp {
       this.currentData.qrDataURL = qrResult.dataURL;
       this.currentData.messageString = qrResult.messageString;
 
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'sms',
+        title: smsData.phone,
+        payload: qrResult.messageString,
+        formData: smsData,
+        dataURL: qrResult.dataURL,
+        renderOptions: this.smsQRGenerator.renderer.getOptions()
+      });
+      this.shareLink.update(smsData);
+
       // Display results
       this.displayResults();
+      this.verificationBadge.show(this.smsQRGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -183,6 +241,20 @@ class SMSQRGeneratorApp {
     }
   }
 
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.smsData) {
+      ErrorHandler.showError('No SMS QR code available for download');
+      return;
+    }
+
+    const { smsData } = this.currentData;
+    const fileName = `${smsData.platform}-${smsData.phone.replace(/[^0-9]/g, '')}`;
+    const downloaded = await this.smsQRGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.reset();
@@ -194,15 +266,17 @@ class SMSQRGeneratorApp {
       charCount.className = 'text-sm text-gray-500 dark:text-gray-400';
     }
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       smsData: null,
       qrDataURL: null,
       messageString: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.smsQRGenerator.clearQR();
+    this.verificationBadge.clear();
 
     // Reset UI states
     LoadingStates.resetAllStates();
@@ -1,12 +1,29 @@
 import { TextQRGenerator } from './components/text-qr-generator.js';
 import { TextFormValidator } from './components/text-form-validator.js';
 import { PDFGenerator } from './components/pdf-generator.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class TextQRGeneratorApp {
     constructor() {
         this.qrGenerator = new TextQRGenerator();
         this.formValidator = new TextFormValidator();
         this.pdfGenerator = new PDFGenerator();
+        this.designPanel = new QRDesignPanel('#qr-design-panel', {
+            onChange: (design) => this.qrGenerator.updateOptions(design)
+        });
+        this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+            onChange: (profile) => this.pdfGenerator.setBranding(profile)
+        });
+        this.shareLink = new ShareLinkPanel('#share-link', {
+            fields: ['text']
+        });
+        this.verificationBadge = new QRVerificationBadge('#qr-verification');
         
         this.elements = {
             form: document.getElementById('text-form'),
@@ -22,6 +39,8 @@ class TextQRGeneratorApp {
             qrCanvas: document.getElementById('qr-canvas'),
             textPreview: document.getElementById('text-preview'),
             downloadPdfBtn: document.getElementById('download-pdf-btn'),
+            downloadSvgBtn: document.getElementById('download-svg-btn'),
+            downloadEpsBtn: document.getElementById('download-eps-btn'),
             generateAnotherBtn: document.getElementById('generate-another-btn'),
             dismissErrorBtn: document.getElementById('dismiss-error-btn'),
             themeToggle: document.getElementById('theme-toggle')
@@ -34,7 +53,21 @@ class TextQRGeneratorApp {
     init() {
         this.setupEventListeners();
         this.initializeTheme();
+        this.designPanel.init();
+        this.brandingPicker.init();
+        this.shareLink.init();
+
+        // Values handed over by the scanner or history, else a shared link, which generates straight away
+        const prefill = QRPrefill.take('text');
+        const shared = prefill ? null : URLState.read(this.shareLink.fields);
+        const values = prefill || shared;
+        if (values) {
+            this.elements.textInput.value = values.text || '';
+        }
         this.updateCharacterCount();
+        if (shared) {
+            this.elements.form.requestSubmit();
+        }
     }
 
     setupEventListeners() {
@@ -52,25 +85,13 @@ class TextQRGeneratorApp {
         
         // Button clicks
         this.elements.downloadPdfBtn.addEventListener('click', () => this.handleDownloadPDF());
+        this.elements.downloadSvgBtn.addEventListener('click', () => this.handleVectorDownload('svg'));
+        this.elements.downloadEpsBtn.addEventListener('click', () => this.handleVectorDownload('eps'));
         this.elements.generateAnotherBtn.addEventListener('click', () => this.handleGenerateAnother());
         this.elements.dismissErrorBtn.addEventListener('click', () => this.hideError());
         
         // Theme toggle
         this.elements.themeToggle.addEventListener('click', () => this.toggleTheme());
-        
-        // Handle URL parameters for pre-filling text
-        this.handleURLParameters();
-    }
-
-    handleURLParameters() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const textParam = urlParams.get('text');
-        
-        if (textParam) {
-            this.elements.textInput.value = decodeURIComponent(textParam);
-            this.updateCharacterCount();
-            this.validateInput();
-        }
     }
 
     updateCharacterCount() {
@@ -126,8 +147,19 @@ class TextQRGeneratorApp {
             // Generate QR code
             const qrDataURL = await this.qrGenerator.generateQR(text);
             this.currentQRDataURL = qrDataURL;
+
+            // Add to the local history (/qr/history)
+            QRHistory.add({
+                type: 'text',
+                payload: text,
+                formData: { text },
+                dataURL: qrDataURL,
+                renderOptions: this.qrGenerator.renderer.getOptions()
+            });
+            this.shareLink.update({ text });
             
             // Display results
+            this.verificationBadge.show(this.qrGenerator.verifyQR());
             this.showResults(text, qrDataURL);
             
         } catch (error) {
@@ -215,6 +247,18 @@ class TextQRGeneratorApp {
         this.elements.textInput.classList.remove('form-input-error');
     }
 
+    async handleVectorDownload(format) {
+        if (!this.currentQRDataURL || !this.currentText) {
+            this.showError('No QR code available for download');
+            return;
+        }
+
+        const downloaded = await this.qrGenerator.downloadQR(`text-qr-code.${format}`, format);
+        if (!downloaded) {
+            this.showError(`Failed to download ${format.toUpperCase()} file`);
+        }
+    }
+
     async handleDownloadPDF() {
         if (!this.currentQRDataURL || !this.currentText) {
             this.showError('No QR code available for download');
@@ -256,6 +300,8 @@ class TextQRGeneratorApp {
         this.clearValidationMessages();
         this.currentText = '';
         this.currentQRDataURL = '';
+        this.shareLink.reset();
+        this.verificationBadge.clear();
         
         // Scroll back to form
         this.elements.form.scrollIntoView({ behavior: 'smooth' });
@@ -0,0 +1,82 @@
+// Saved PDF branding profiles (see DEFAULT_BRANDING in pdf-generator.js), kept in this browser
+
+// localStorage keys: the profiles, and the one picked last so every results page starts with it
+const PROFILES_KEY = 'qubex_pdf_branding_profiles';
+const SELECTED_KEY = 'qubex_pdf_branding_selected';
+
+export class BrandingProfiles {
+  static getAll() {
+    try {
+      const profiles = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+      return Array.isArray(profiles) ? profiles : [];
+    } catch (error) {
+      console.warn('Unable to read branding profiles from localStorage');
+      return [];
+    }
+  }
+
+  static get(id) {
+    return this.getAll().find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Add a profile, or replace the one with the same id
+   * @param {Object} profile - Branding fields; an id is assigned when missing
+   * @returns {Object} The saved profile
+   * @throws {Error} When the browser refuses to store it (usually a logo too large for the quota)
+   */
+  static save(profile) {
+    const saved = { ...profile, id: profile.id || `brand-${Date.now().toString(36)}` };
+    const profiles = this.getAll();
+    const index = profiles.findIndex(existing => existing.id === saved.id);
+
+    if (index >= 0) {
+      profiles[index] = saved;
+    } else {
+      profiles.push(saved);
+    }
+
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+      console.warn('Unable to store branding profile in localStorage');
+      throw new Error('The profile could not be saved. Try a smaller logo.');
+    }
+    return saved;
+  }
+
+  static remove(id) {
+    const profiles = this.getAll().filter(profile => profile.id !== id);
+
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+      console.warn('Unable to update branding profiles in localStorage');
+    }
+
+    if (this.getSelectedId() === id) {
+      this.setSelectedId(null);
+    }
+  }
+
+  static getSelectedId() {
+    try {
+      return localStorage.getItem(SELECTED_KEY);
+    } catch (error) {
+      console.warn('Unable to read the selected branding profile from localStorage');
+      return null;
+    }
+  }
+
+  static setSelectedId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(SELECTED_KEY, id);
+      } else {
+        localStorage.removeItem(SELECTED_KEY);
+      }
+    } catch (error) {
+      console.warn('Unable to store the selected branding profile in localStorage');
+    }
+  }
+}
@@ -0,0 +1,22 @@
+// WCAG relative luminance and contrast ratio, used to keep QR colors scannable
+export class ColorContrast {
+  // Channels are 0-1 sRGB values, as returned by QRRenderer.parseColor
+  static luminance({ r, g, b }) {
+    const linear = (value) => (value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4));
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+  }
+
+  // Blend a translucent color over an opaque backdrop
+  static composite(color, backdrop) {
+    const alpha = color.a === undefined ? 1 : color.a;
+    const mix = (channel) => color[channel] * alpha + backdrop[channel] * (1 - alpha);
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+  }
+
+  // Ratio between two luminances, from 1 (identical) to 21 (black on white)
+  static ratio(luminanceA, luminanceB) {
+    const lighter = Math.max(luminanceA, luminanceB);
+    const darker = Math.min(luminanceA, luminanceB);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+}
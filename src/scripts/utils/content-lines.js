@@ -0,0 +1,162 @@
+// vCard / iCalendar content lines (RFC 6350, RFC 5545): unfolding, NAME;PARAM=x:value parsing and text unescaping,
+// and the reverse for writers: text escaping, folding at 75 octets with CRLF line breaks, and file downloads
+
+// Longest line, in UTF-8 octets and without the line break
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+export class ContentLines {
+  /**
+   * Split a vCard or iCalendar document into properties
+   * @param {string} text - Raw document; CRLF or LF line endings, folded lines allowed
+   * @returns {Array<Object>} [{ name, params, value }] with upper-case names and param keys
+   */
+  static parse(text) {
+    // A line starting with a space or tab continues the previous one
+    const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    return lines
+      .filter((line) => line.trim())
+      .map((line) => {
+        const colon = ContentLines.findValueSeparator(line);
+        if (colon === -1) {
+          return null;
+        }
+
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach((part) => {
+          const [key, ...rest] = part.split('=');
+          params[key.toUpperCase()] = rest.join('=').replace(/^"(.*)"$/, '$1');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+      })
+      .filter(Boolean);
+  }
+
+  // First colon outside a quoted parameter value (ORGANIZER;CN="Doe: Jane":mailto:...)
+  static findValueSeparator(line) {
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') {
+        inQuotes = !inQuotes;
+      } else if (line[i] === ':' && !inQuotes) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  static unescape(value) {
+    return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Split a structured value (N, ADR) on unescaped separators and unescape each component
+   * @param {string} value - Raw property value
+   * @param {string} separator - ';' for components, ',' for lists
+   * @returns {Array<string>}
+   */
+  static split(value, separator = ';') {
+    const parts = [];
+    let current = '';
+    const input = String(value || '');
+
+    for (let i = 0; i < input.length; i++) {
+      if (input[i] === '\\' && i + 1 < input.length) {
+        current += input[i] + input[i + 1];
+        i++;
+      } else if (input[i] === separator) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += input[i];
+      }
+    }
+    parts.push(current);
+
+    return parts.map((part) => ContentLines.unescape(part));
+  }
+
+  // Escape a text value (or one component of a structured value) for writing
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/[;,]/g, '\\$&')
+      .replace(/\r\n?|\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line into 75-octet pieces; continuation lines start with a space.
+   * Multi-byte UTF-8 characters are never split across lines.
+   * @param {string} line - One unfolded line
+   * @returns {string} The folded line, joined with CRLF
+   */
+  static fold(line) {
+    const pieces = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of String(line)) {
+      const size = encoder.encode(char).length;
+      // Continuation lines lose one octet to their leading space
+      const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        pieces.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    pieces.push(current);
+
+    return pieces.join('\r\n ');
+  }
+
+  /**
+   * Write properties back into a document, the reverse of parse
+   * @param {Array<Object>} properties - [{ name, params, value }]; values must already be escaped
+   *   (see escape), params is an optional object of PARAM: value or PARAM: [values] (empty ones are skipped)
+   * @returns {string} Folded lines joined with CRLF
+   */
+  static stringify(properties) {
+    return properties
+      .map(({ name, params = {}, value }) => {
+        const paramText = Object.entries(params)
+          .map(([key, paramValue]) => {
+            // Empty values and empty lists are left out entirely, never written as KEY=
+            const values = [].concat(paramValue ?? []).filter((item) => item !== undefined && item !== null && item !== '');
+            if (values.length === 0) {
+              return '';
+            }
+            // Lists are comma-separated; a value containing ; or : has to be quoted
+            const text = values.join(',');
+            return `;${key}=${/[;:]/.test(text) ? `"${text}"` : text}`;
+          })
+          .join('');
+        return ContentLines.fold(`${name}${paramText}:${value}`);
+      })
+      .join('\r\n');
+  }
+
+  /**
+   * Save a document as a file (contact.vcf, event.ics)
+   * @param {string} filename - File name, with extension
+   * @param {string} text - Document; line breaks are written as CRLF
+   * @param {string} mimeType - e.g. text/vcard or text/calendar
+   */
+  static download(filename, text, mimeType) {
+    const blob = new Blob([String(text).replace(/\r?\n/g, '\r\n')], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
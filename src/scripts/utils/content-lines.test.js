@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { ContentLines } from './content-lines.js';
+
+const octets = (line) => new TextEncoder().encode(line).length;
+
+describe('ContentLines.escape / unescape', () => {
+  it('escapes backslashes, separators and newlines, and reverses it', () => {
+    const value = 'Smith, Jones; Partners\\Co\r\nSecond line\nThird';
+    const escaped = ContentLines.escape(value);
+
+    expect(escaped).toBe('Smith\\, Jones\\; Partners\\\\Co\\nSecond line\\nThird');
+    expect(ContentLines.unescape(escaped)).toBe('Smith, Jones; Partners\\Co\nSecond line\nThird');
+  });
+
+  it('splits structured values on unescaped separators only', () => {
+    expect(ContentLines.split('Doe;Jane\\; Mary;;Dr.')).toEqual(['Doe', 'Jane; Mary', '', 'Dr.']);
+  });
+});
+
+describe('ContentLines.fold', () => {
+  it('leaves short lines alone', () => {
+    expect(ContentLines.fold('FN:Jane Doe')).toBe('FN:Jane Doe');
+  });
+
+  it('folds at 75 octets, 74 after the leading space of continuations', () => {
+    const line = `NOTE:${'a'.repeat(200)}`;
+    const pieces = ContentLines.fold(line).split('\r\n');
+
+    expect(pieces[0]).toHaveLength(75);
+    pieces.slice(1).forEach((piece) => {
+      expect(piece.startsWith(' ')).toBe(true);
+      expect(octets(piece)).toBeLessThanOrEqual(75);
+    });
+    expect(pieces.map((piece, index) => (index === 0 ? piece : piece.slice(1))).join('')).toBe(line);
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `NOTE:${'é€😀'.repeat(40)}`;
+    const folded = ContentLines.fold(line);
+
+    folded.split('\r\n').forEach((piece) => expect(octets(piece)).toBeLessThanOrEqual(75));
+    expect(folded).not.toContain('�');
+    expect(ContentLines.parse(folded)[0].value).toBe(line.slice(5));
+  });
+});
+
+describe('ContentLines.stringify', () => {
+  it('writes params, joining lists and quoting values with ; or :', () => {
+    expect(ContentLines.stringify([
+      { name: 'TEL', params: { TYPE: ['work', 'voice'] }, value: '+1 555 0100' },
+      { name: 'ORGANIZER', params: { CN: 'Doe: Jane' }, value: 'mailto:jane@example.com' }
+    ])).toBe('TEL;TYPE=work,voice:+1 555 0100\r\nORGANIZER;CN="Doe: Jane":mailto:jane@example.com');
+  });
+
+  it('skips empty params, including empty lists', () => {
+    expect(ContentLines.stringify([
+      { name: 'EMAIL', params: { TYPE: [], PREF: '', LABEL: null, X: [''] }, value: 'o@x.com' }
+    ])).toBe('EMAIL:o@x.com');
+  });
+
+  it('round-trips through parse', () => {
+    const properties = [
+      { name: 'BEGIN', value: 'VCARD' },
+      { name: 'NOTE', params: { LANGUAGE: 'en' }, value: ContentLines.escape(`Long note, ${'x'.repeat(120)}`) },
+      { name: 'END', value: 'VCARD' }
+    ];
+    const parsed = ContentLines.parse(ContentLines.stringify(properties));
+
+    expect(parsed.map(({ name }) => name)).toEqual(['BEGIN', 'NOTE', 'END']);
+    expect(parsed[1].params).toEqual({ LANGUAGE: 'en' });
+    expect(ContentLines.unescape(parsed[1].value)).toBe(`Long note, ${'x'.repeat(120)}`);
+  });
+});
@@ -0,0 +1,82 @@
+// CSV parsing and export helpers (RFC 4180: quoted fields, "" escapes, CRLF or LF rows)
+export class CSVUtils {
+  static parse(text) {
+    return this.parseRecords(text).map(record => record.cells);
+  }
+
+  // Like parse, but keeps the 1-based line each row starts on so errors can point back at the file
+  static parseRecords(text) {
+    const records = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          // Quoted fields may span lines
+          if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+            line++;
+          }
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        records.push({ cells: row, line: rowLine });
+        row = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      records.push({ cells: row, line: rowLine });
+    }
+
+    // Drop blank lines
+    return records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+  }
+
+  static escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static stringify(rows) {
+    return rows.map(row => row.map(value => this.escapeField(value)).join(',')).join('\r\n');
+  }
+
+  static download(filename, rows) {
+    const blob = new Blob([this.stringify(rows)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { CSVUtils } from './csv.js';
+
+describe('CSVUtils.parseRecords', () => {
+  it('handles quotes, escaped quotes, CRLF rows and a BOM', () => {
+    expect(CSVUtils.parse('\uFEFFurl,alias\r\n"https://example.com/?a=1,2","say ""hi"""\r\n')).toEqual([
+      ['url', 'alias'],
+      ['https://example.com/?a=1,2', 'say "hi"']
+    ]);
+  });
+
+  it('keeps the line each row starts on, counting quoted line breaks', () => {
+    const records = CSVUtils.parseRecords('name,note\n"Ada","line one\nline two"\n\nBob,x');
+
+    expect(records.map((record) => record.line)).toEqual([1, 2, 5]);
+    expect(records[1].cells).toEqual(['Ada', 'line one\nline two']);
+  });
+
+  it('drops blank lines and keeps a last row without a newline', () => {
+    expect(CSVUtils.parse('a,b\n ,\n\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
+
+describe('CSVUtils.stringify', () => {
+  it('quotes only fields that need it and round-trips through parse', () => {
+    const rows = [['url', 'note'], ['https://example.com', 'comma, "quote"\nnewline'], [null, 42]];
+    const text = CSVUtils.stringify(rows);
+
+    expect(text).toBe('url,note\r\nhttps://example.com,"comma, ""quote""\nnewline"\r\n,42');
+    expect(CSVUtils.parse(text)).toEqual([['url', 'note'], ['https://example.com', 'comma, "quote"\nnewline'], ['', '42']]);
+  });
+});
@@ -8,6 +8,17 @@ export class DOMHelpers {
     return document.querySelectorAll(selector);
   }
 
+  // Escape text for use inside an HTML template (values from forms and shared links)
+  static escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  }
+
   static createElement(tag, className = '', innerHTML = '') {
     const element = document.createElement(tag);
     if (className) element.className = className;
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { DOMHelpers } from './dom-helpers.js';
+
+describe('DOMHelpers.escapeHTML', () => {
+  it('neutralizes markup from shared links', () => {
+    expect(DOMHelpers.escapeHTML('<img src=x onerror="alert(1)">'))
+      .toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(DOMHelpers.escapeHTML("Tom & Jerry's")).toBe('Tom &amp; Jerry&#39;s');
+  });
+
+  it('turns empty values into an empty string', () => {
+    expect(DOMHelpers.escapeHTML(null)).toBe('');
+    expect(DOMHelpers.escapeHTML(undefined)).toBe('');
+    expect(DOMHelpers.escapeHTML(0)).toBe('0');
+  });
+});
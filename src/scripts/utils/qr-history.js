@@ -0,0 +1,160 @@
+// Generation history: every code made on a generator page, kept in this browser's IndexedDB.
+// History is a convenience, so failures are logged and never interrupt generating a code.
+
+const DB_NAME = 'qubex_qr_history';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Oldest entries are dropped once the history grows past this
+const MAX_ENTRIES = 500;
+// Edge of the stored thumbnail, in pixels
+const THUMBNAIL_SIZE = 96;
+
+let dbPromise = null;
+
+export class QRHistory {
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Shared connection, created (and upgraded) on first use
+  static open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run one request in its own transaction and resolve with its result
+  static async run(mode, operation) {
+    const db = await QRHistory.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Record a generated code
+   * @param {Object} entry
+   * @param {string} entry.type - Payload type, as in PAYLOAD_TYPES (url, wifi, vcard, ...)
+   * @param {string} entry.payload - The exact string that was encoded
+   * @param {Object} entry.formData - Form values, keyed like the generator's form data (see QRPrefill)
+   * @param {string} [entry.title] - Short name shown in the history list
+   * @param {string} [entry.dataURL] - Rendered code, shrunk to a thumbnail
+   * @param {Object} [entry.renderOptions] - QRRenderer options it was drawn with (colors, shapes, logo...), so re-downloads keep the design
+   * @returns {Promise<number|null>} The new entry's id, or null when it couldn't be stored
+   */
+  static async add({ type, payload, formData, title = '', dataURL = null, renderOptions = null }) {
+    if (!QRHistory.isSupported()) return null;
+
+    try {
+      const thumbnail = dataURL ? await QRHistory.createThumbnail(dataURL) : null;
+      return await QRHistory.put({ type, title, payload, formData, renderOptions, thumbnail, createdAt: Date.now() });
+    } catch (error) {
+      console.warn('Unable to save the QR code to history', error);
+      return null;
+    }
+  }
+
+  /**
+   * Copy an entry to the top of the history
+   * @returns {Promise<number|null>} The copy's id
+   */
+  static async duplicate(id) {
+    const entry = await QRHistory.get(id);
+    if (!entry) return null;
+
+    const copy = { ...entry, createdAt: Date.now() };
+    delete copy.id;
+    return QRHistory.put(copy);
+  }
+
+  static async put(record) {
+    const id = await QRHistory.run('readwrite', store => store.add(record));
+    await QRHistory.prune();
+    return id;
+  }
+
+  // Drop the oldest entries beyond MAX_ENTRIES
+  static async prune() {
+    const count = await QRHistory.run('readonly', store => store.count());
+    if (count <= MAX_ENTRIES) return;
+
+    await QRHistory.run('readwrite', (store) => {
+      let excess = count - MAX_ENTRIES;
+      const request = store.index('createdAt').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && excess > 0) {
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        }
+      };
+      return request;
+    });
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Every entry, newest first ([] when history is unavailable)
+   */
+  static async getAll() {
+    if (!QRHistory.isSupported()) return [];
+
+    try {
+      const entries = await QRHistory.run('readonly', store => store.getAll());
+      return entries.sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+      console.warn('Unable to read the QR code history', error);
+      return [];
+    }
+  }
+
+  static async get(id) {
+    return (await QRHistory.run('readonly', store => store.get(id))) || null;
+  }
+
+  static async remove(id) {
+    await QRHistory.run('readwrite', store => store.delete(id));
+  }
+
+  static async clear() {
+    await QRHistory.run('readwrite', store => store.clear());
+  }
+
+  /**
+   * Shrink a rendered code for the history list
+   * @param {string} dataURL - PNG data URL
+   * @returns {Promise<string>} PNG data URL at most THUMBNAIL_SIZE pixels wide
+   */
+  static createThumbnail(dataURL) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      image.onerror = () => reject(new Error('Unable to load the QR code image'));
+      image.src = dataURL;
+    });
+  }
+}
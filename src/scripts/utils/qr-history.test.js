@@ -0,0 +1,40 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { QRHistory } from './qr-history.js';
+
+describe('QRHistory.add', () => {
+  beforeEach(() => {
+    vi.stubGlobal('indexedDB', {});
+    vi.spyOn(QRHistory, 'put').mockResolvedValue(7);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('stores the render options with the entry so re-downloads keep the design', async () => {
+    const renderOptions = {
+      color: { dark: '#1e3a8a', light: '#ffffff' },
+      moduleStyle: 'dots',
+      logo: { src: 'data:image/png;base64,AAAA', size: 0.2 }
+    };
+
+    const id = await QRHistory.add({ type: 'url', payload: 'https://example.com', formData: { url: 'https://example.com' }, renderOptions });
+
+    expect(id).toBe(7);
+    expect(QRHistory.put).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'url',
+      payload: 'https://example.com',
+      renderOptions,
+      thumbnail: null,
+      createdAt: expect.any(Number)
+    }));
+  });
+
+  it('returns null without IndexedDB', async () => {
+    vi.stubGlobal('indexedDB', undefined);
+
+    expect(await QRHistory.add({ type: 'text', payload: 'hi', formData: {} })).toBeNull();
+    expect(QRHistory.put).not.toHaveBeenCalled();
+  });
+});
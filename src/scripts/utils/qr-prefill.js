@@ -0,0 +1,39 @@
+// Hands form values from one page to a QR generator page (scanner "edit and regenerate")
+
+// sessionStorage key, so a pending prefill never outlives the tab
+const PREFILL_KEY = 'qubex_qr_prefill';
+
+export class QRPrefill {
+  /**
+   * Remember values for the next generator page of this type
+   * @param {string} type - Payload type (url, wifi, vcard, event, location, sms, phone, email, payment, text)
+   * @param {Object} data - Form values, keyed like the generator's form data
+   */
+  static store(type, data) {
+    try {
+      sessionStorage.setItem(PREFILL_KEY, JSON.stringify({ type, data }));
+    } catch (error) {
+      console.warn('Unable to store form values in sessionStorage');
+    }
+  }
+
+  /**
+   * Read and forget the pending values when they are meant for this page
+   * @param {string} type - The page's payload type
+   * @returns {Object|null} Form values, or null when nothing is pending for this type
+   */
+  static take(type) {
+    try {
+      const pending = JSON.parse(sessionStorage.getItem(PREFILL_KEY) || 'null');
+      if (!pending || pending.type !== type) {
+        return null;
+      }
+
+      sessionStorage.removeItem(PREFILL_KEY);
+      return pending.data || null;
+    } catch (error) {
+      console.warn('Unable to read form values from sessionStorage');
+      return null;
+    }
+  }
+}
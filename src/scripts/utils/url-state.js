@@ -0,0 +1,80 @@
+// Form state in the page URL, so a generator link opens with the same values filled in
+// (e.g. /qr/wifi/?ssid=Guest&security=WPA). Secret fields only travel in the hash, which browsers
+// never send to the server, and only when the user opts in.
+
+export class URLState {
+  /**
+   * Read form values from the current URL's query and hash (hash values win)
+   * @param {string[]} fields - Form data keys the page accepts; anything else (e.g. utm_*) is ignored
+   * @param {Object} options
+   * @param {string[]} options.booleans - Keys of checkbox fields, read as true for 1/true/yes/on
+   * @returns {Object|null} Form values, or null when the URL holds none of the fields
+   */
+  static read(fields, { booleans = [] } = {}) {
+    const params = [
+      new URLSearchParams(window.location.search),
+      new URLSearchParams(window.location.hash.replace(/^#/, ''))
+    ];
+    const values = {};
+
+    params.forEach((search) => {
+      fields.forEach((field) => {
+        if (search.has(field)) {
+          values[field] = search.get(field);
+        }
+      });
+    });
+
+    booleans.forEach((field) => {
+      if (field in values) {
+        values[field] = /^(1|true|yes|on)$/i.test(values[field]);
+      }
+    });
+
+    return Object.keys(values).length > 0 ? values : null;
+  }
+
+  /**
+   * Build a link to this page with the given form values
+   * @param {Object} data - Form data, keyed like the generator's form data
+   * @param {Object} options
+   * @param {string[]} options.fields - Keys to include (in this order)
+   * @param {string[]} options.secrets - Keys left out unless includeSecrets is set
+   * @param {boolean} options.includeSecrets - Put the secrets in the hash
+   * @returns {string} Absolute URL; empty values and false checkboxes are left out
+   */
+  static buildURL(data, { fields, secrets = [], includeSecrets = false }) {
+    const query = new URLSearchParams();
+    const hash = new URLSearchParams();
+
+    fields.forEach((field) => {
+      const value = data[field];
+      if (value === undefined || value === null || value === '' || value === false) {
+        return;
+      }
+
+      const serialized = value === true ? '1' : String(value);
+      if (!secrets.includes(field)) {
+        query.set(field, serialized);
+      } else if (includeSecrets) {
+        hash.set(field, serialized);
+      }
+    });
+
+    const search = query.toString();
+    const fragment = hash.toString();
+    return `${window.location.origin}${window.location.pathname}${search ? `?${search}` : ''}${fragment ? `#${fragment}` : ''}`;
+  }
+
+  /**
+   * Show a URL in the address bar without reloading or adding a history entry
+   * @param {string} url - Same-origin URL; defaults to the page without any form state
+   */
+  static replace(url = window.location.pathname) {
+    try {
+      window.history.replaceState(window.history.state, '', url);
+    } catch (error) {
+      console.warn('Unable to update the page URL');
+    }
+  }
+}
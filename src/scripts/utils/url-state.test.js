@@ -0,0 +1,70 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { URLState } from './url-state.js';
+
+function visit(url) {
+  const replaceState = vi.fn();
+  vi.stubGlobal('window', { location: new URL(url), history: { state: null, replaceState } });
+  return replaceState;
+}
+
+describe('URLState', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('read', () => {
+    it('reads only the page fields, with hash values winning over the query', () => {
+      visit('https://qubex.it/qr/wifi/?ssid=Guest&password=query&utm_source=mail#password=s%C3%A9cret');
+
+      expect(URLState.read(['ssid', 'password', 'security'])).toEqual({ ssid: 'Guest', password: 'sécret' });
+    });
+
+    it('parses checkbox fields as booleans', () => {
+      visit('https://qubex.it/qr/wifi/?hidden=yes&includePassword=0');
+
+      expect(URLState.read(['hidden', 'includePassword'], { booleans: ['hidden', 'includePassword'] }))
+        .toEqual({ hidden: true, includePassword: false });
+    });
+
+    it('returns null when the URL holds none of the fields', () => {
+      visit('https://qubex.it/qr/wifi/?utm_source=mail');
+
+      expect(URLState.read(['ssid'])).toBeNull();
+    });
+  });
+
+  describe('buildURL', () => {
+    const options = { fields: ['ssid', 'security', 'hidden', 'password'], secrets: ['password'] };
+    const data = { ssid: 'Café & Co', security: 'WPA', hidden: false, password: 'p@ss word' };
+
+    it('keeps secrets out of the link unless asked', () => {
+      visit('https://qubex.it/qr/wifi/?old=1#stale');
+
+      expect(URLState.buildURL(data, options)).toBe('https://qubex.it/qr/wifi/?ssid=Caf%C3%A9+%26+Co&security=WPA');
+    });
+
+    it('puts opted-in secrets in the hash and true checkboxes as 1', () => {
+      visit('https://qubex.it/qr/wifi/');
+
+      expect(URLState.buildURL({ ...data, hidden: true }, { ...options, includeSecrets: true }))
+        .toBe('https://qubex.it/qr/wifi/?ssid=Caf%C3%A9+%26+Co&security=WPA&hidden=1#password=p%40ss+word');
+    });
+
+    it('round-trips through read', () => {
+      visit('https://qubex.it/qr/wifi/');
+      const url = URLState.buildURL({ ...data, hidden: true }, { ...options, includeSecrets: true });
+
+      visit(url);
+      expect(URLState.read(options.fields, { booleans: ['hidden'] })).toEqual({ ...data, hidden: true });
+    });
+  });
+
+  describe('replace', () => {
+    it('defaults to the page without form state', () => {
+      const replaceState = visit('https://qubex.it/qr/text/?text=hi');
+      URLState.replace();
+
+      expect(replaceState).toHaveBeenCalledWith(null, '', '/qr/text/');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// Minimal ZIP writer for bundling generated files into one download.
+// Entries are stored uncompressed: PNGs are already deflated, and SVG/CSV output is small.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// General purpose flag bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+export class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  static crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS date and time fields used by ZIP headers (2-second resolution, local time)
+  static getDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive (use / for folders)
+   * @param {string|Blob|Uint8Array|ArrayBuffer} content - File content; strings are written as UTF-8
+   */
+  async addFile(name, content) {
+    let bytes;
+    if (typeof content === 'string') {
+      bytes = new TextEncoder().encode(content);
+    } else if (content instanceof Blob) {
+      bytes = new Uint8Array(await content.arrayBuffer());
+    } else {
+      bytes = new Uint8Array(content);
+    }
+
+    this.entries.push({
+      name: new TextEncoder().encode(name),
+      bytes,
+      crc: ZipArchive.crc32(bytes),
+      modified: ZipArchive.getDosDateTime(new Date())
+    });
+  }
+
+  /**
+   * Build the archive
+   * @returns {Blob} application/zip
+   */
+  toBlob() {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, entry.modified.time, true);
+      local.setUint16(12, entry.modified.date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, entry.name, entry.bytes);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, UTF8_FLAG, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, entry.modified.time, true);
+      central.setUint16(14, entry.modified.date, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.bytes.length, true);
+      central.setUint32(24, entry.bytes.length, true);
+      central.setUint16(28, entry.name.length, true);
+      central.setUint32(42, offset, true);
+      directory.push(central, entry.name);
+
+      offset += 30 + entry.name.length + entry.bytes.length;
+    });
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+}
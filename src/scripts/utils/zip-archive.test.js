@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { ZipArchive } from './zip-archive.js';
+
+// Read the archive back through its central directory, like an unzip tool would
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014B50);
+    const flags = view.getUint16(position + 8, true);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034B50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    files.push({ name, flags, crc, content: bytes.slice(dataStart, dataStart + size) });
+
+    position += 46 + nameLength;
+  }
+  return files;
+}
+
+describe('ZipArchive', () => {
+  it('computes the standard CRC-32', () => {
+    expect(ZipArchive.crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  });
+
+  it('encodes MS-DOS dates with two-second resolution', () => {
+    expect(ZipArchive.getDosDateTime(new Date(2024, 5, 1, 13, 45, 31))).toEqual({
+      time: (13 << 11) | (45 << 5) | 15,
+      date: (44 << 9) | (6 << 5) | 1
+    });
+  });
+
+  it('writes entries that read back with their names, contents and checksums', async () => {
+    const archive = new ZipArchive();
+    await archive.addFile('manifest.csv', 'row,file\r\n2,qr-002.png');
+    await archive.addFile('codes/café.svg', new Blob(['<svg/>']));
+    await archive.addFile('codes/raw.bin', new Uint8Array([0, 1, 2, 255]));
+
+    const blob = archive.toBlob();
+    expect(blob.type).toBe('application/zip');
+
+    const files = await readZip(blob);
+    expect(files.map((file) => file.name)).toEqual(['manifest.csv', 'codes/café.svg', 'codes/raw.bin']);
+    expect(new TextDecoder().decode(files[0].content)).toBe('row,file\r\n2,qr-002.png');
+    expect(new TextDecoder().decode(files[1].content)).toBe('<svg/>');
+    expect([...files[2].content]).toEqual([0, 1, 2, 255]);
+    files.forEach((file) => {
+      expect(file.flags & 0x0800).toBe(0x0800);
+      expect(file.crc).toBe(ZipArchive.crc32(file.content));
+    });
+  });
+});
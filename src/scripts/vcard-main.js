@@ -1,12 +1,21 @@
 // VCard QR Generator Main Application
-import { VCardQRGenerator } from './components/vcard-qr-generator.js';
+import { VCardQRGenerator, VCARD_VERSIONS, SOCIAL_PROFILES } from './components/vcard-qr-generator.js';
 import { VCardFormValidator } from './components/vcard-form-validator.js';
 import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
+
+const ACCEPTED_PHOTO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
 
 class VCardQRGeneratorApp {
   constructor() {
@@ -15,6 +24,22 @@ class VCardQRGeneratorApp {
     this.clipboardCopy = new ClipboardCopy();
     this.pdfGenerator = new PDFGenerator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => {
+        this.vcardQRGenerator.updateOptions(design);
+        // A logo raises error correction, and with it the QR version
+        this.scheduleFormatComparison();
+      }
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    // The photo stays out of links: it would make them several kilobytes long
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: Object.keys(this.formValidator.fields).filter(field => field !== 'photo')
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
+    this.comparisonTimer = null;
     
     this.currentData = {
       vcardData: null,
@@ -28,12 +53,32 @@ class VCardQRGeneratorApp {
     await this.vcardQRGenerator.init();
     this.formValidator.setupValidation();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     
     // Setup event listeners
     this.attachEventListeners();
     
     // Reset application state
     this.resetApplication();
+
+    // Values handed over by the scanner or history, or from a shared link
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('vcard');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields);
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.populateForm(values);
+    this.updateFormatComparison();
+    if (shared) {
+      this.handleFormSubmit();
+    }
   }
 
   attachEventListeners() {
@@ -44,6 +89,47 @@ class VCardQRGeneratorApp {
         e.preventDefault();
         this.handleFormSubmit();
       });
+
+      // Keep the format comparison in step with the form
+      form.addEventListener('input', () => this.scheduleFormatComparison());
+      form.addEventListener('change', () => this.scheduleFormatComparison());
+    }
+
+    // Contact photo
+    const photoInput = DOMHelpers.$('#photo-file-input');
+    if (photoInput) {
+      photoInput.addEventListener('change', () => {
+        const file = photoInput.files && photoInput.files[0];
+        if (file) {
+          this.handlePhotoChange(file);
+        }
+      });
+    }
+
+    const photoRemoveBtn = DOMHelpers.$('#photo-remove-btn');
+    if (photoRemoveBtn) {
+      photoRemoveBtn.addEventListener('click', () => {
+        this.formValidator.setPhoto(null);
+        this.updateFormatComparison();
+      });
+    }
+
+    // Copy the encoded text
+    const copyRawBtn = DOMHelpers.$('#copy-raw-btn');
+    if (copyRawBtn) {
+      copyRawBtn.addEventListener('click', () => {
+        if (this.currentData.vcardString) {
+          this.clipboardCopy.copyWithFeedback(this.currentData.vcardString, copyRawBtn);
+        }
+      });
+    }
+
+    // .vcf download button
+    const vcfBtn = DOMHelpers.$('#download-vcf-btn');
+    if (vcfBtn) {
+      vcfBtn.addEventListener('click', () => {
+        this.handleVCFDownload();
+      });
     }
 
     // PDF download button
@@ -54,6 +140,16 @@ class VCardQRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -98,8 +194,20 @@ class VCardQRGeneratorApp {
       this.currentData.qrDataURL = qrResult.dataURL;
       this.currentData.vcardString = qrResult.vcardString;
 
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'vcard',
+        title: [vcardData.firstName, vcardData.lastName].filter(Boolean).join(' ') || vcardData.company,
+        payload: qrResult.vcardString,
+        formData: vcardData,
+        dataURL: qrResult.dataURL,
+        renderOptions: this.vcardQRGenerator.renderer.getOptions()
+      });
+      this.shareLink.update(vcardData);
+
       // Display results
       this.displayResults();
+      this.verificationBadge.show(this.vcardQRGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -110,6 +218,58 @@ class VCardQRGeneratorApp {
     }
   }
 
+  async handlePhotoChange(file) {
+    const photoInput = DOMHelpers.$('#photo-file-input');
+    ErrorHandler.hideFieldError('#photo-file-input');
+
+    try {
+      if (!ACCEPTED_PHOTO_TYPES.includes(file.type)) {
+        throw new Error('Please choose a PNG, JPEG or WebP image');
+      }
+      this.formValidator.setPhoto(await this.vcardQRGenerator.createPhoto(file));
+      this.updateFormatComparison();
+    } catch (error) {
+      console.error('Contact photo error:', error);
+      ErrorHandler.showFieldError('#photo-file-input', error.message || 'The photo could not be read');
+    } finally {
+      photoInput.value = '';
+    }
+  }
+
+  scheduleFormatComparison() {
+    clearTimeout(this.comparisonTimer);
+    this.comparisonTimer = setTimeout(() => this.updateFormatComparison(), 150);
+  }
+
+  // Payload size and QR version of the form in each format; the chosen one is highlighted
+  updateFormatComparison() {
+    const values = this.formValidator.getValues();
+    const format = values.format || 'vcard';
+    const comparison = this.vcardQRGenerator.compareFormats(values);
+
+    // The version only applies to vCard output
+    if (format === 'vcard') {
+      DOMHelpers.show('#version-setting');
+    } else {
+      DOMHelpers.hide('#version-setting');
+    }
+
+    DOMHelpers.setContent('#compare-vcard-label', VCARD_VERSIONS[values.version] ? `vCard ${values.version}` : 'vCard');
+    Object.entries(comparison).forEach(([key, { bytes, version, size }]) => {
+      DOMHelpers.setContent(`#compare-${key}-bytes`, `${bytes} bytes`);
+      DOMHelpers.setContent(`#compare-${key}-version`, version ? `${version} (${size}×${size})` : 'Too long');
+      DOMHelpers.$(`#compare-${key}-row`)?.classList.toggle('font-semibold', key === format);
+    });
+
+    const { omitted } = comparison.mecard;
+    DOMHelpers.setContent('#compare-mecard-omitted', `MeCard leaves out: ${omitted.join(', ')}`);
+    if (omitted.length > 0) {
+      DOMHelpers.show('#compare-mecard-omitted');
+    } else {
+      DOMHelpers.hide('#compare-mecard-omitted');
+    }
+  }
+
   displayResults() {
     const { vcardData } = this.currentData;
     if (!vcardData) return;
@@ -118,89 +278,65 @@ class VCardQRGeneratorApp {
     const contactPreview = DOMHelpers.$('#contact-preview');
     if (!contactPreview) return;
 
-    let previewHTML = '';
-
-    // Name
-    if (vcardData.firstName || vcardData.lastName) {
-      const fullName = `${vcardData.firstName || ''} ${vcardData.lastName || ''}`.trim();
-      previewHTML += `
-        <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Name:</span>
-          <span class="text-gray-900 dark:text-gray-100 font-semibold">${fullName}</span>
-        </div>
-      `;
+    const address = (fields) => fields.map(field => vcardData[field]).filter(part => part && part.trim()).join(', ');
+    const rows = [
+      ['Name', `${vcardData.firstName || ''} ${vcardData.lastName || ''}`.trim(), 'font-semibold'],
+      ['Job Title', vcardData.jobTitle],
+      ['Company', vcardData.company],
+      ['Birthday', vcardData.birthday],
+      ['Mobile Phone', vcardData.phone, 'font-mono'],
+      ['Work Phone', vcardData.workPhone, 'font-mono'],
+      ['Home Phone', vcardData.homePhone, 'font-mono'],
+      ['Work Email', vcardData.email, 'font-mono'],
+      ['Personal Email', vcardData.homeEmail, 'font-mono'],
+      ['Other Email', vcardData.otherEmail, 'font-mono'],
+      ['Website', vcardData.website, 'font-mono'],
+      ...Object.entries(SOCIAL_PROFILES).map(([field, { label }]) => [label, vcardData[field], 'font-mono']),
+      ['Work Address', address(['street', 'city', 'state', 'zip', 'country'])],
+      ['Home Address', address(['homeStreet', 'homeCity', 'homeState', 'homeZip', 'homeCountry'])],
+      ['Note', vcardData.note],
+      ['Format', vcardData.format === 'mecard' ? 'MeCard' : VCARD_VERSIONS[vcardData.version]]
+    ].filter(([, value]) => value);
+
+    // Built with text nodes: the values may come from a shared link
+    const children = rows.map(([label, value, valueClass = ''], index) => {
+      const row = DOMHelpers.createElement('div', `flex justify-between items-start gap-4 py-2${index < rows.length - 1 ? ' border-b border-gray-200 dark:border-gray-700' : ''}`);
+      const labelElement = DOMHelpers.createElement('span', 'text-gray-600 dark:text-gray-300 font-medium');
+      labelElement.textContent = `${label}:`;
+      const valueElement = DOMHelpers.createElement('span', `text-gray-900 dark:text-gray-100 text-right max-w-xs break-words whitespace-pre-line ${valueClass}`);
+      valueElement.textContent = value;
+      row.append(labelElement, valueElement);
+      return row;
+    });
+
+    if (vcardData.photo) {
+      const photo = DOMHelpers.createElement('img', 'w-12 h-12 rounded-full object-cover mx-auto mb-2');
+      photo.src = vcardData.photo;
+      photo.alt = 'Contact photo';
+      children.unshift(photo);
     }
 
-    // Job Title
-    if (vcardData.jobTitle) {
-      previewHTML += `
-        <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Job Title:</span>
-          <span class="text-gray-900 dark:text-gray-100">${vcardData.jobTitle}</span>
-        </div>
-      `;
-    }
+    contactPreview.replaceChildren(...children);
 
-    // Company
-    if (vcardData.company) {
-      previewHTML += `
-        <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Company:</span>
-          <span class="text-gray-900 dark:text-gray-100">${vcardData.company}</span>
-        </div>
-      `;
-    }
-
-    // Phone
-    if (vcardData.phone) {
-      previewHTML += `
-        <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Phone:</span>
-          <span class="text-gray-900 dark:text-gray-100 font-mono">${vcardData.phone}</span>
-        </div>
-      `;
-    }
+    DOMHelpers.setContent('#raw-payload', this.currentData.vcardString);
+  }
 
-    // Email
-    if (vcardData.email) {
-      previewHTML += `
-        <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Email:</span>
-          <span class="text-gray-900 dark:text-gray-100 font-mono">${vcardData.email}</span>
-        </div>
-      `;
+  handleVCFDownload() {
+    if (!this.currentData.vcardData) {
+      ErrorHandler.showError('No contact available for download');
+      return;
     }
 
-    // Website
-    if (vcardData.website) {
-      previewHTML += `
-        <div class="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Website:</span>
-          <span class="text-gray-900 dark:text-gray-100 font-mono">${vcardData.website}</span>
-        </div>
-      `;
-    }
+    const { vcardData } = this.currentData;
+    const fullName = `${vcardData.firstName || ''} ${vcardData.lastName || ''}`.trim();
+    const fileName = fullName ? `vcard-${fullName.replace(/[^a-zA-Z0-9]/g, '_')}` : 'vcard-contact';
 
-    // Address
-    const addressParts = [
-      vcardData.street,
-      vcardData.city,
-      vcardData.state,
-      vcardData.zip,
-      vcardData.country
-    ].filter(part => part && part.trim());
-
-    if (addressParts.length > 0) {
-      const address = addressParts.join(', ');
-      previewHTML += `
-        <div class="flex justify-between items-start py-2">
-          <span class="text-gray-600 dark:text-gray-300 font-medium">Address:</span>
-          <span class="text-gray-900 dark:text-gray-100 text-right max-w-xs">${address}</span>
-        </div>
-      `;
+    try {
+      this.vcardQRGenerator.downloadVCF(vcardData, `${fileName}.vcf`);
+    } catch (error) {
+      console.error('VCF download error:', error);
+      ErrorHandler.showError('Failed to download the .vcf file');
     }
-
-    contactPreview.innerHTML = previewHTML;
   }
 
   async handlePDFDownload() {
@@ -240,23 +376,43 @@ class VCardQRGeneratorApp {
     }
   }
 
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.vcardData) {
+      ErrorHandler.showError('No VCard QR code available for download');
+      return;
+    }
+
+    const { vcardData } = this.currentData;
+    const fullName = `${vcardData.firstName || ''} ${vcardData.lastName || ''}`.trim();
+    const fileName = fullName
+      ? `vcard-${fullName.replace(/[^a-zA-Z0-9]/g, '_')}`
+      : 'vcard-contact';
+    const downloaded = await this.vcardQRGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.reset();
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       vcardData: null,
       qrDataURL: null,
       vcardString: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.vcardQRGenerator.clearQR();
+    this.verificationBadge.clear();
 
     // Reset UI states
     LoadingStates.resetAllStates();
     ErrorHandler.hideError();
+    this.updateFormatComparison();
 
     // Focus on first name input
     const firstNameInput = DOMHelpers.$('#first-name');
@@ -4,9 +4,16 @@ import { WiFiFormValidator } from './components/wifi-form-validator.js';
 import { ClipboardCopy } from './components/clipboard-copy.js';
 import { PDFGenerator } from './components/pdf-generator.js';
 import { ThemeToggle } from './components/theme-toggle.js';
+import { QRDesignPanel } from './components/qr-design-panel.js';
+import { PDFBrandingPicker } from './components/pdf-branding-picker.js';
+import { ShareLinkPanel } from './components/share-link-panel.js';
+import { QRVerificationBadge } from './components/qr-verification-badge.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { LoadingStates } from './utils/loading-states.js';
+import { QRPrefill } from './utils/qr-prefill.js';
+import { QRHistory } from './utils/qr-history.js';
+import { URLState } from './utils/url-state.js';
 
 class WiFiQRGeneratorApp {
   constructor() {
@@ -15,6 +22,18 @@ class WiFiQRGeneratorApp {
     this.clipboardCopy = new ClipboardCopy();
     this.pdfGenerator = new PDFGenerator();
     this.themeToggle = new ThemeToggle();
+    this.designPanel = new QRDesignPanel('#qr-design-panel', {
+      onChange: (design) => this.wifiQRGenerator.updateOptions(design)
+    });
+    this.brandingPicker = new PDFBrandingPicker('#pdf-branding', {
+      onChange: (profile) => this.pdfGenerator.setBranding(profile)
+    });
+    this.shareLink = new ShareLinkPanel('#share-link', {
+      fields: ['ssid', 'security', 'password'],
+      secrets: ['password'],
+      secretLabel: 'the password'
+    });
+    this.verificationBadge = new QRVerificationBadge('#qr-verification');
     
     this.currentData = {
       wifiData: null,
@@ -28,12 +47,33 @@ class WiFiQRGeneratorApp {
     await this.wifiQRGenerator.init();
     this.formValidator.setupValidation();
     this.themeToggle.init();
+    this.designPanel.init();
+    this.brandingPicker.init();
+    this.shareLink.init();
     
     // Setup event listeners
     this.attachEventListeners();
     
     // Reset application state
     this.resetApplication();
+
+    // Values handed over by the scanner or history, or from a shared link
+    this.applyPrefill();
+  }
+
+  applyPrefill() {
+    // A shared link is only read when nothing was handed over, and generates the code straight away
+    const prefill = QRPrefill.take('wifi');
+    const shared = prefill ? null : URLState.read(this.shareLink.fields);
+    const values = prefill || shared;
+    if (!values) return;
+
+    this.formValidator.populateForm(values);
+
+    // Links leave the password out unless it was opted in, so wait for it instead of failing
+    if (shared && this.formValidator.getFormData().isValid) {
+      this.handleFormSubmit();
+    }
   }
 
   attachEventListeners() {
@@ -54,6 +94,16 @@ class WiFiQRGeneratorApp {
       });
     }
 
+    // SVG and EPS download buttons
+    ['svg', 'eps'].forEach((format) => {
+      const downloadBtn = DOMHelpers.$(`#download-${format}-btn`);
+      if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+          this.handleVectorDownload(format);
+        });
+      }
+    });
+
     // Generate another button
     const generateAnotherBtn = DOMHelpers.$('#generate-another-btn');
     if (generateAnotherBtn) {
@@ -98,8 +148,20 @@ class WiFiQRGeneratorApp {
       this.currentData.qrDataURL = qrResult.dataURL;
       this.currentData.wifiString = qrResult.wifiString;
 
+      // Add to the local history (/qr/history)
+      QRHistory.add({
+        type: 'wifi',
+        title: wifiData.ssid,
+        payload: qrResult.wifiString,
+        formData: wifiData,
+        dataURL: qrResult.dataURL,
+        renderOptions: this.wifiQRGenerator.renderer.getOptions()
+      });
+      this.shareLink.update(wifiData);
+
       // Display results
       this.displayResults();
+      this.verificationBadge.show(this.wifiQRGenerator.verifyQR());
       LoadingStates.showResults();
 
     } catch (error) {
@@ -168,19 +230,34 @@ class WiFiQRGeneratorApp {
     }
   }
 
+  async handleVectorDownload(format) {
+    if (!this.currentData.qrDataURL || !this.currentData.wifiData) {
+      ErrorHandler.showError('No WiFi QR code available for download');
+      return;
+    }
+
+    const fileName = `wifi-${this.currentData.wifiData.ssid.replace(/[^a-zA-Z0-9]/g, '_')}`;
+    const downloaded = await this.wifiQRGenerator.downloadQR(`${fileName}.${format}`, format);
+    if (!downloaded) {
+      ErrorHandler.showError(`Failed to download ${format.toUpperCase()} file`);
+    }
+  }
+
   resetApplication() {
     // Clear form
     this.formValidator.reset();
 
-    // Clear data
+    // Clear data, and the form state in the address bar
     this.currentData = {
       wifiData: null,
       qrDataURL: null,
       wifiString: null
     };
+    this.shareLink.reset();
 
     // Clear QR code
     this.wifiQRGenerator.clearQR();
+    this.verificationBadge.clear();
 
     // Reset UI states
     LoadingStates.resetAllStates();
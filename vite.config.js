@@ -13,6 +13,7 @@ export default defineConfig({
         main: resolve(__dirname, 'index.html'),
         qr: resolve(__dirname, 'qr/index.html'),
         shortener: resolve(__dirname, 'shortener/index.html'),
+        shortenerStats: resolve(__dirname, 'shortener/stats/index.html'),
         sms: resolve(__dirname, 'qr/sms/index.html'),
         email: resolve(__dirname, 'qr/email/index.html'),
         wifi: resolve(__dirname, 'qr/wifi/index.html'),
@@ -21,7 +22,10 @@ export default defineConfig({
         location: resolve(__dirname, 'qr/location/index.html'),
         phone: resolve(__dirname, 'qr/phone/index.html'),
         text: resolve(__dirname, 'qr/text/index.html'),
-        payment: resolve(__dirname, 'qr/payment/index.html')
+        payment: resolve(__dirname, 'qr/payment/index.html'),
+        scan: resolve(__dirname, 'qr/scan/index.html'),
+        batch: resolve(__dirname, 'qr/batch/index.html'),
+        history: resolve(__dirname, 'qr/history/index.html')
       },
       output: {
         entryFileNames: 'assets/[name]-[hash].js',